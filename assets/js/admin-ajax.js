@@ -0,0 +1,87 @@
+/**
+ * BBAB Service Center - Admin AJAX Helper
+ *
+ * Shared client for the AjaxRouter (bbab_sc_ajax) on admin screens.
+ * Scripts that need it depend on the 'bbab-sc-admin-ajax' handle, which
+ * also provides the bbabScAdmin config (url, nonce, action).
+ *
+ * Errors always reach the error callback as { message, code, ... },
+ * whether the server sent an error response or the request itself failed.
+ */
+(function($) {
+    'use strict';
+
+    var BBABAdminAjax = {
+
+        /**
+         * Make a request through the AjaxRouter.
+         *
+         * @param {string}   handler         - Router handler name (e.g. 'timer_stop')
+         * @param {object}   data            - Handler payload
+         * @param {function} successCallback - Called with response.data
+         * @param {function} errorCallback   - Called with { message, code, ... }
+         * @return {jqXHR|undefined}
+         */
+        request: function(handler, data, successCallback, errorCallback) {
+            if (typeof bbabScAdmin === 'undefined') {
+                console.error('BBAB Admin: Ajax config not available');
+                return;
+            }
+
+            return $.post(bbabScAdmin.url, {
+                action: bbabScAdmin.action,
+                handler: handler,
+                nonce: bbabScAdmin.nonce,
+                data: JSON.stringify(data || {})
+            }, function(response) {
+                if (response && response.success) {
+                    if (successCallback) successCallback(response.data);
+                } else {
+                    BBABAdminAjax.handleError(BBABAdminAjax.normalizeError(response ? response.data : null), errorCallback);
+                }
+            }).fail(function(xhr, status, error) {
+                var body = xhr.responseJSON;
+                var payload = body && body.data ? body.data : { message: error || status };
+
+                BBABAdminAjax.handleError(BBABAdminAjax.normalizeError(payload), errorCallback);
+            });
+        },
+
+        /**
+         * Turn any error payload into { message, code, ... }.
+         *
+         * @param {*} data - response.data from the server
+         * @return {object}
+         */
+        normalizeError: function(data) {
+            if (data && typeof data === 'object') {
+                return $.extend({ code: 'error' }, data, {
+                    message: data.message || 'Something went wrong. Please try again.'
+                });
+            }
+
+            return {
+                message: data ? String(data) : 'Something went wrong. Please try again.',
+                code: 'error'
+            };
+        },
+
+        /**
+         * Pass an error to the callback, or log it.
+         *
+         * @param {object}   error    - Normalized error
+         * @param {function} callback - Optional error callback
+         */
+        handleError: function(error, callback) {
+            if (callback) {
+                callback(error);
+            } else {
+                console.error('BBAB Admin AJAX Error:', error.message);
+            }
+        }
+    };
+
+    // Expose to global scope
+    window.BBABAdminAjax = BBABAdminAjax;
+
+})(jQuery);
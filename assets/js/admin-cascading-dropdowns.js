@@ -1,16 +1,24 @@
 /**
  * Cascading Dropdown Filters for Admin CPT Edit Screens
  *
- * Handles:
- * - Service Request: Filter "Submitted By" contacts by selected Organization
- * - Invoice: Filter "Related Project" by selected Organization
- * - Invoice: Filter "Related Milestone" by selected Project
+ * Generic engine driven by the dependency map from CascadingDropdowns.php
+ * (bbabCascading.cascades). Each cascade names a parent field, a child
+ * select, the AjaxRouter handler that lists the child options, and whether
+ * refilling the child should cascade further (chain).
+ *
+ * Fields listed in bbabCascading.pickers are first swapped for type-ahead
+ * pickers (admin-relationship-picker.js). A picker child is not refilled:
+ * it searches by parent itself and only drops a value that no longer fits.
  *
  * Phase 8.4b
  */
 (function($) {
     'use strict';
 
+    if (typeof bbabCascading === 'undefined') {
+        return;
+    }
+
     var CascadingDropdowns = {
         /**
          * Initialize based on current screen.
@@ -18,330 +26,147 @@
         init: function() {
             // Wait for DOM and Pods to be ready
             $(document).ready(function() {
-                CascadingDropdowns.setupHandlers();
-            });
-        },
-
-        /**
-         * Setup event handlers based on post type.
-         */
-        setupHandlers: function() {
-            var postType = $('#post_type').val();
-
-            if (postType === 'service_request') {
-                CascadingDropdowns.setupSRSubmittedBy();
-                CascadingDropdowns.setupSRProject();
-            } else if (postType === 'invoice') {
-                CascadingDropdowns.setupInvoiceProject();
-                CascadingDropdowns.setupInvoiceMilestone();
-            } else if (postType === 'time_entry') {
-                CascadingDropdowns.setupTEProject();
-            }
-        },
-
-        /**
-         * SR Screen: Filter "Submitted By" by Organization.
-         */
-        setupSRSubmittedBy: function() {
-            var $orgField = $('select[name="pods_meta_organization"]');
-            var $submittedByField = $('select[name="pods_meta_submitted_by"]');
-
-            if (!$orgField.length || !$submittedByField.length) {
-                // Try alternative selectors for Pods
-                $orgField = $('#pods-form-ui-service_request-organization');
-                $submittedByField = $('#pods-form-ui-service_request-submitted_by');
-            }
-
-            if (!$orgField.length || !$submittedByField.length) {
-                return;
-            }
-
-            // Store original options
-            var originalOptions = $submittedByField.find('option').clone();
-
-            $orgField.on('change', function() {
-                var orgId = $(this).val();
-
-                if (!orgId) {
-                    // Reset to all options
-                    $submittedByField.html(originalOptions.clone());
-                    return;
+                if (window.BBABRelationshipPicker) {
+                    $.each(bbabCascading.pickers || [], function(i, picker) {
+                        BBABRelationshipPicker.attach(CascadingDropdowns.findField(picker.field), picker);
+                    });
                 }
 
-                // Show loading state
-                $submittedByField.prop('disabled', true);
-
-                $.post(ajaxurl, {
-                    action: 'bbab_get_org_contacts',
-                    org_id: orgId,
-                    nonce: bbabCascading.nonce
-                }, function(response) {
-                    $submittedByField.prop('disabled', false);
-
-                    if (response.success && response.data.contacts) {
-                        var currentVal = $submittedByField.val();
-                        $submittedByField.empty();
-                        $submittedByField.append('<option value="">— Select —</option>');
-
-                        $.each(response.data.contacts, function(id, name) {
-                            var selected = (id == currentVal) ? ' selected' : '';
-                            $submittedByField.append('<option value="' + id + '"' + selected + '>' + name + '</option>');
-                        });
-                    }
-                }).fail(function() {
-                    $submittedByField.prop('disabled', false);
+                $.each(bbabCascading.cascades || [], function(i, cascade) {
+                    CascadingDropdowns.bind(cascade);
                 });
             });
         },
 
         /**
-         * SR Screen: Filter "Related Project" by Organization.
+         * Find a Pods field by name.
+         *
+         * Pods renders meta fields as pods_meta_{field}; the id form is a
+         * fallback for older Pods versions.
+         *
+         * @param {string} field - Field name (e.g. 'related_project')
+         * @return {jQuery}
          */
-        setupSRProject: function() {
-            var $orgField = $('select[name="pods_meta_organization"]');
-            var $projectField = $('select[name="pods_meta_related_project"]');
+        findField: function(field) {
+            var $field = $('[name="pods_meta_' + field + '"]');
 
-            if (!$orgField.length || !$projectField.length) {
-                $orgField = $('#pods-form-ui-service_request-organization');
-                $projectField = $('#pods-form-ui-service_request-related_project');
+            if (!$field.length) {
+                $field = $('#pods-form-ui-pods-meta-' + field.replace(/_/g, '-'));
             }
 
-            if (!$orgField.length || !$projectField.length) {
-                return;
-            }
-
-            var originalOptions = $projectField.find('option').clone();
-
-            $orgField.on('change', function() {
-                var orgId = $(this).val();
-
-                if (!orgId) {
-                    $projectField.html(originalOptions.clone());
-                    return;
-                }
-
-                $projectField.prop('disabled', true);
-
-                $.post(ajaxurl, {
-                    action: 'bbab_cascade_get_projects',
-                    org_id: orgId,
-                    nonce: bbabCascading.nonce
-                }, function(response) {
-                    $projectField.prop('disabled', false);
-
-                    if (response.success && response.data.projects) {
-                        var currentVal = $projectField.val();
-                        $projectField.empty();
-                        $projectField.append('<option value="">— Select —</option>');
-
-                        $.each(response.data.projects, function(id, name) {
-                            var selected = (id == currentVal) ? ' selected' : '';
-                            $projectField.append('<option value="' + id + '"' + selected + '>' + name + '</option>');
-                        });
-                    }
-                }).fail(function() {
-                    $projectField.prop('disabled', false);
-                });
-            });
+            return $field.first();
         },
 
         /**
-         * Time Entry Screen: Filter "Related Project" by Organization.
+         * Wire up one cascade. Skipped when either field is not on the screen.
+         *
+         * @param {object} cascade - { parent, child, handler, param, chain, filterOnLoad }
          */
-        setupTEProject: function() {
-            // Time entries get org from SR or directly
-            // Look for organization field or derive from related_service_request
-            var $srField = $('select[name="pods_meta_related_service_request"]');
-            var $projectField = $('select[name="pods_meta_related_project"]');
-
-            if (!$srField.length || !$projectField.length) {
-                $srField = $('#pods-form-ui-time_entry-related_service_request');
-                $projectField = $('#pods-form-ui-time_entry-related_project');
-            }
+        bind: function(cascade) {
+            var $parent = CascadingDropdowns.findField(cascade.parent);
+            var $child = CascadingDropdowns.findField(cascade.child);
 
-            if (!$projectField.length) {
+            if (!$parent.length || !$child.length || !$child.is('select')) {
                 return;
             }
 
-            // If there's a direct org field on TE, use that
-            var $orgField = $('select[name="pods_meta_organization"]');
-            if (!$orgField.length) {
-                $orgField = $('#pods-form-ui-time_entry-organization');
-            }
-
-            if ($orgField.length) {
-                var originalOptions = $projectField.find('option').clone();
+            var picker = window.BBABRelationshipPicker ? BBABRelationshipPicker.get($child) : null;
 
-                $orgField.on('change', function() {
-                    var orgId = $(this).val();
+            if (picker) {
+                // Saved values are trusted on load; only later changes are checked
+                picker.parentId = $parent.val() || '';
 
-                    if (!orgId) {
-                        $projectField.html(originalOptions.clone());
-                        return;
-                    }
-
-                    $projectField.prop('disabled', true);
-
-                    $.post(ajaxurl, {
-                        action: 'bbab_cascade_get_projects',
-                        org_id: orgId,
-                        nonce: bbabCascading.nonce
-                    }, function(response) {
-                        $projectField.prop('disabled', false);
-
-                        if (response.success && response.data.projects) {
-                            var currentVal = $projectField.val();
-                            $projectField.empty();
-                            $projectField.append('<option value="">— Select —</option>');
-
-                            $.each(response.data.projects, function(id, name) {
-                                var selected = (id == currentVal) ? ' selected' : '';
-                                $projectField.append('<option value="' + id + '"' + selected + '>' + name + '</option>');
-                            });
-                        }
-                    }).fail(function() {
-                        $projectField.prop('disabled', false);
+                $parent.on('change', function() {
+                    picker.setParent($parent.val(), function() {
+                        CascadingDropdowns.chain(cascade, $child);
                     });
                 });
+                return;
             }
-        },
 
-        /**
-         * Invoice Screen: Filter "Related Project" by Organization.
-         */
-        setupInvoiceProject: function() {
-            // Find the organization field - try multiple patterns
-            var $orgField = null;
-            var $projectField = null;
-
-            // Pattern 1: Standard Pods meta naming
-            $orgField = $('select[name="pods_meta_organization"]');
-            $projectField = $('select[name="pods_meta_related_project"]');
-
-            // Pattern 2: Try finding by label text (look for "Client" or "Organization" labels)
-            if (!$orgField.length) {
-                $('.pods-form-front-row, .pods-field').each(function() {
-                    var $row = $(this);
-                    var labelText = $row.find('label').text().toLowerCase();
-                    if (labelText.indexOf('client') !== -1 || labelText.indexOf('organization') !== -1) {
-                        var $select = $row.find('select');
-                        if ($select.length) {
-                            $orgField = $select;
-                            return false; // break
-                        }
-                    }
-                });
-            }
+            // Store original options
+            var originalOptions = $child.find('option').clone();
 
-            // Pattern 3: Any select with organization in name or id
-            if (!$orgField || !$orgField.length) {
-                $orgField = $('select[name*="organization"], select[id*="organization"]').first();
-            }
-            if (!$projectField || !$projectField.length) {
-                $projectField = $('select[name*="related_project"], select[id*="related_project"]').first();
-            }
+            $parent.on('change', function() {
+                CascadingDropdowns.update(cascade, $parent.val(), $child, originalOptions);
+            });
 
-            // Pattern 4: Pods autocomplete hidden input (if org is autocomplete field)
-            if (!$orgField || !$orgField.length) {
-                // Look for hidden input that stores the relationship value
-                $orgField = $('input[type="hidden"][name*="organization"]').first();
+            if (cascade.filterOnLoad && $parent.val()) {
+                CascadingDropdowns.update(cascade, $parent.val(), $child, originalOptions);
             }
+        },
 
-            if (!$orgField || !$orgField.length || !$projectField || !$projectField.length) {
+        /**
+         * Refill the child select for a parent value.
+         *
+         * @param {object} cascade         - Cascade definition
+         * @param {string} parentId        - Selected parent value
+         * @param {jQuery} $child          - Child select
+         * @param {jQuery} originalOptions - Options the child started with
+         */
+        update: function(cascade, parentId, $child, originalOptions) {
+            if (!parentId) {
+                // Reset to all options
+                $child.html(originalOptions.clone());
+                CascadingDropdowns.chain(cascade, $child);
                 return;
             }
 
-            // Store original options
-            var originalOptions = $projectField.find('option').clone();
+            // Ignore responses for a parent value that has since changed
+            var requestId = ($child.data('bbab-cascade-request') || 0) + 1;
+            $child.data('bbab-cascade-request', requestId);
 
-            // Handle change events
-            $orgField.on('change', function() {
-                var orgId = $(this).val();
+            var data = {};
+            data[cascade.param] = parentId;
 
-                if (!orgId) {
-                    $projectField.html(originalOptions.clone());
+            // Show loading state
+            $child.prop('disabled', true);
+
+            BBABAdminAjax.request(cascade.handler, data, function(response) {
+                if ($child.data('bbab-cascade-request') !== requestId) {
                     return;
                 }
 
-                $projectField.prop('disabled', true);
-
-                $.post(ajaxurl, {
-                    action: 'bbab_cascade_get_projects',
-                    org_id: orgId,
-                    nonce: bbabCascading.nonce
-                }, function(response) {
-                    $projectField.prop('disabled', false);
+                $child.prop('disabled', false);
+                CascadingDropdowns.populate($child, response.options || []);
+                CascadingDropdowns.chain(cascade, $child);
+            }, function() {
+                if ($child.data('bbab-cascade-request') === requestId) {
+                    $child.prop('disabled', false);
+                }
+            });
+        },
 
-                    if (response.success && response.data.projects) {
-                        var currentVal = $projectField.val();
-                        $projectField.empty();
-                        $projectField.append('<option value="">— Select —</option>');
+        /**
+         * Replace the child's options, keeping the current value when still listed.
+         *
+         * @param {jQuery} $child  - Child select
+         * @param {Array}  options - List of { value, label }
+         */
+        populate: function($child, options) {
+            var currentVal = String($child.val() || '');
 
-                        $.each(response.data.projects, function(id, name) {
-                            var selected = (id == currentVal) ? ' selected' : '';
-                            $projectField.append('<option value="' + id + '"' + selected + '>' + name + '</option>');
-                        });
+            $child.empty().append($('<option value=""></option>').text('— Select —'));
 
-                        // Trigger milestone filter update
-                        $projectField.trigger('change');
-                    }
-                }).fail(function() {
-                    $projectField.prop('disabled', false);
-                });
+            $.each(options, function(i, option) {
+                $('<option></option>')
+                    .val(option.value)
+                    .text(option.label)
+                    .prop('selected', String(option.value) === currentVal)
+                    .appendTo($child);
             });
         },
 
         /**
-         * Invoice Screen: Filter "Related Milestone" by Project.
+         * Let dependent cascades react to a refilled child.
+         *
+         * @param {object} cascade - Cascade definition
+         * @param {jQuery} $child  - Child select
          */
-        setupInvoiceMilestone: function() {
-            var $projectField = $('select[name="pods_meta_related_project"]');
-            var $milestoneField = $('select[name="pods_meta_related_milestone"]');
-
-            if (!$projectField.length || !$milestoneField.length) {
-                // Try alternative selectors
-                $projectField = $('#pods-form-ui-invoice-related_project');
-                $milestoneField = $('#pods-form-ui-invoice-related_milestone');
+        chain: function(cascade, $child) {
+            if (cascade.chain) {
+                $child.trigger('change');
             }
-
-            if (!$projectField.length || !$milestoneField.length) {
-                return;
-            }
-
-            // Store original options
-            var originalOptions = $milestoneField.find('option').clone();
-
-            $projectField.on('change', function() {
-                var projectId = $(this).val();
-
-                if (!projectId) {
-                    $milestoneField.html(originalOptions.clone());
-                    return;
-                }
-
-                $milestoneField.prop('disabled', true);
-
-                $.post(ajaxurl, {
-                    action: 'bbab_get_project_milestones',
-                    project_id: projectId,
-                    nonce: bbabCascading.nonce
-                }, function(response) {
-                    $milestoneField.prop('disabled', false);
-
-                    if (response.success && response.data.milestones) {
-                        var currentVal = $milestoneField.val();
-                        $milestoneField.empty();
-                        $milestoneField.append('<option value="">— Select —</option>');
-
-                        $.each(response.data.milestones, function(id, name) {
-                            var selected = (id == currentVal) ? ' selected' : '';
-                            $milestoneField.append('<option value="' + id + '"' + selected + '>' + name + '</option>');
-                        });
-                    }
-                }).fail(function() {
-                    $milestoneField.prop('disabled', false);
-                });
-            });
         }
     };
 
@@ -0,0 +1,358 @@
+/**
+ * Relationship Picker for Admin CPT Edit Screens
+ *
+ * Replaces a Pods relationship select with a type-ahead search box backed by
+ * the cascade_search AjaxRouter handler. The original select stays in the
+ * form (hidden) and keeps holding the value, so Pods saves it as before and
+ * the cascade engine can keep listening to its 'change' event.
+ *
+ * Results are paged ("Load more"), show the reference number as a badge and
+ * are always inserted as text, never HTML.
+ *
+ * Phase 8.4b
+ */
+(function($) {
+    'use strict';
+
+    /**
+     * Delay before searching after the last keystroke (ms).
+     */
+    var SEARCH_DELAY = 250;
+
+    /**
+     * One picker bound to a select.
+     *
+     * @param {jQuery} $select - Pods select to replace
+     * @param {object} config  - { source }
+     */
+    function Picker($select, config) {
+        this.$select = $select;
+        this.source = config.source;
+        this.parentId = '';
+        this.query = '';
+        this.page = 1;
+        this.requestId = 0;
+        this.timer = null;
+
+        this.build();
+        this.bindEvents();
+    }
+
+    /**
+     * Render the search box after the (now hidden) select.
+     */
+    Picker.prototype.build = function() {
+        var $selected = this.$select.find('option:selected');
+
+        this.$wrap = $('<div class="bbab-picker"></div>');
+        this.$input = $('<input type="text" class="bbab-picker-input" autocomplete="off" role="combobox" aria-autocomplete="list">')
+            .attr('placeholder', 'Type to search by name or reference...')
+            .val(this.$select.val() ? $selected.text() : '');
+        this.$clear = $('<button type="button" class="bbab-picker-clear" aria-label="Clear selection">&times;</button>');
+        this.$results = $('<ul class="bbab-picker-results" role="listbox"></ul>').hide();
+
+        this.$wrap.append(this.$input, this.$clear, this.$results);
+        this.$select.hide().after(this.$wrap);
+        this.$select.data('bbab-picker', this);
+
+        this.toggleClear();
+    };
+
+    /**
+     * Wire up typing, keyboard navigation and result clicks.
+     */
+    Picker.prototype.bindEvents = function() {
+        var self = this;
+
+        this.$input.on('focus', function() {
+            self.query = '';
+            self.search(1);
+        });
+
+        this.$input.on('input', function() {
+            clearTimeout(self.timer);
+            self.timer = setTimeout(function() {
+                self.query = $.trim(self.$input.val());
+                self.search(1);
+            }, SEARCH_DELAY);
+        });
+
+        this.$input.on('keydown', function(e) {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    self.move(1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    self.move(-1);
+                    break;
+                case 'Enter':
+                    // Never submit the post form from the search box
+                    e.preventDefault();
+                    self.$results.find('.is-active').trigger('click');
+                    break;
+                case 'Escape':
+                    self.close();
+                    break;
+            }
+        });
+
+        this.$input.on('blur', function() {
+            // Restore the label of the current value when the user wanders off
+            self.close();
+            self.$input.val(self.$select.val() ? self.$select.find('option:selected').text() : '');
+        });
+
+        // Keep focus in the input while clicking results
+        this.$results.on('mousedown', function(e) {
+            e.preventDefault();
+        });
+
+        this.$results.on('click', '.bbab-picker-option', function() {
+            var $item = $(this);
+
+            self.choose({ value: $item.data('value'), label: $item.data('label') });
+        });
+
+        this.$results.on('click', '.bbab-picker-more', function() {
+            self.search(self.page + 1);
+        });
+
+        this.$clear.on('click', function() {
+            self.choose(null);
+        });
+    };
+
+    /**
+     * Fetch a page of results for the current query and parent.
+     *
+     * @param {number} page - 1-based page; page 1 replaces the list
+     */
+    Picker.prototype.search = function(page) {
+        var self = this;
+        var requestId = ++this.requestId;
+
+        if (page === 1) {
+            this.$results.empty().append($('<li class="bbab-picker-status"></li>').text('Searching...')).show();
+        } else {
+            this.$results.find('.bbab-picker-more').text('Loading...');
+        }
+
+        BBABAdminAjax.request('cascade_search', {
+            source: this.source,
+            parent_id: this.parentId,
+            q: this.query,
+            page: page
+        }, function(response) {
+            // Ignore responses overtaken by a newer search
+            if (requestId !== self.requestId) {
+                return;
+            }
+
+            self.page = page;
+            self.render(response.options || [], !!response.more, page > 1);
+        }, function(error) {
+            if (requestId !== self.requestId) {
+                return;
+            }
+
+            self.$results.find('.bbab-picker-status, .bbab-picker-more').remove();
+            self.$results.append($('<li class="bbab-picker-status is-error"></li>').text(error.message)).show();
+        });
+    };
+
+    /**
+     * Render results.
+     *
+     * @param {Array}   options - List of { value, label, ref, title }
+     * @param {boolean} more    - Whether another page exists
+     * @param {boolean} append  - Add to the list instead of replacing it
+     */
+    Picker.prototype.render = function(options, more, append) {
+        var $results = this.$results;
+        var currentVal = String(this.$select.val() || '');
+
+        $results.find('.bbab-picker-status, .bbab-picker-more').remove();
+
+        if (!append) {
+            $results.empty();
+        }
+
+        $.each(options, function(i, option) {
+            var $item = $('<li class="bbab-picker-option" role="option"></li>')
+                .data('value', String(option.value))
+                .data('label', option.label)
+                .toggleClass('is-selected', String(option.value) === currentVal);
+
+            if (option.ref) {
+                $('<span class="bbab-picker-ref"></span>').text(option.ref).appendTo($item);
+            }
+
+            $('<span class="bbab-picker-title"></span>').text(option.title || option.label).appendTo($item);
+            $item.appendTo($results);
+        });
+
+        if (!$results.find('.bbab-picker-option').length) {
+            $results.append($('<li class="bbab-picker-status"></li>').text('No matches found.'));
+        }
+
+        if (more) {
+            $results.append($('<li class="bbab-picker-more"></li>').text('Load more...'));
+        }
+
+        $results.show();
+    };
+
+    /**
+     * Move the keyboard highlight.
+     *
+     * @param {number} step - 1 for down, -1 for up
+     */
+    Picker.prototype.move = function(step) {
+        var $items = this.$results.find('.bbab-picker-option, .bbab-picker-more');
+
+        if (!this.$results.is(':visible') || !$items.length) {
+            return;
+        }
+
+        var index = $items.index($items.filter('.is-active')) + step;
+        index = Math.max(0, Math.min($items.length - 1, index));
+
+        $items.removeClass('is-active');
+        $items.eq(index).addClass('is-active')[0].scrollIntoView({ block: 'nearest' });
+    };
+
+    /**
+     * Set the value on the underlying select and notify listeners.
+     *
+     * @param {object|null} option - { value, label }, or null to clear
+     */
+    Picker.prototype.choose = function(option) {
+        this.setValue(option);
+        this.close();
+        this.$select.trigger('change');
+    };
+
+    /**
+     * Set the value on the underlying select without firing 'change'.
+     *
+     * Options not yet in the select (e.g. found on a later page) are added.
+     *
+     * @param {object|null} option - { value, label }, or null to clear
+     */
+    Picker.prototype.setValue = function(option) {
+        if (!option) {
+            this.$select.val('');
+            this.$input.val('');
+            this.toggleClear();
+            return;
+        }
+
+        var value = String(option.value);
+        var $option = this.$select.find('option').filter(function() {
+            return this.value === value;
+        });
+
+        if (!$option.length) {
+            $option = $('<option></option>').val(value).appendTo(this.$select);
+        }
+
+        $option.text(option.label);
+        this.$select.val(value);
+        this.$input.val(option.label);
+        this.toggleClear();
+    };
+
+    /**
+     * Change the parent the results are filtered by.
+     *
+     * The current value is kept when it still belongs to the new parent and
+     * cleared (silently) otherwise. Without a parent every value is valid.
+     *
+     * @param {string}   parentId - New parent value ('' for none)
+     * @param {function} callback - Called once the value has been checked
+     */
+    Picker.prototype.setParent = function(parentId, callback) {
+        var self = this;
+        var value = this.$select.val();
+        var requestId = ++this.requestId;
+
+        this.parentId = parentId || '';
+        this.close();
+
+        if (!value || !this.parentId) {
+            if (callback) callback();
+            return;
+        }
+
+        this.$wrap.addClass('is-loading');
+
+        BBABAdminAjax.request('cascade_search', {
+            source: this.source,
+            parent_id: this.parentId,
+            ids: [value]
+        }, function(response) {
+            if (requestId !== self.requestId) {
+                return;
+            }
+
+            self.$wrap.removeClass('is-loading');
+
+            var match = $.grep(response.options || [], function(option) {
+                return String(option.value) === String(value);
+            });
+
+            self.setValue(match.length ? match[0] : null);
+            if (callback) callback();
+        }, function() {
+            // Keep the value if it could not be checked
+            if (requestId === self.requestId) {
+                self.$wrap.removeClass('is-loading');
+            }
+        });
+    };
+
+    /**
+     * Hide the results list.
+     */
+    Picker.prototype.close = function() {
+        clearTimeout(this.timer);
+        this.$results.hide();
+    };
+
+    /**
+     * Show the clear button only when there is a value.
+     */
+    Picker.prototype.toggleClear = function() {
+        this.$clear.toggle(!!this.$select.val());
+    };
+
+    window.BBABRelationshipPicker = {
+        /**
+         * Replace a select with a picker. Non-selects are left alone.
+         *
+         * @param {jQuery} $select - Pods select
+         * @param {object} config  - { source }
+         * @return {Picker|null}
+         */
+        attach: function($select, config) {
+            if (!$select.length || !$select.is('select')) {
+                return null;
+            }
+
+            return $select.data('bbab-picker') || new Picker($select, config);
+        },
+
+        /**
+         * Get the picker bound to a select, if any.
+         *
+         * @param {jQuery} $select - Pods select
+         * @return {Picker|null}
+         */
+        get: function($select) {
+            return $select.data('bbab-picker') || null;
+        }
+    };
+
+})(jQuery);
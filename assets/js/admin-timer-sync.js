@@ -0,0 +1,668 @@
+/**
+ * BBAB Service Center - Timer Sync JavaScript
+ *
+ * Shared client-side timer state for every open admin tab:
+ * - Drives the global timer bar (elapsed display, paused state, Stop button)
+ * - Broadcasts timer changes to other tabs (BroadcastChannel, localStorage fallback)
+ * - Polls TimerService so changes made elsewhere are picked up
+ * - One-click "Start Timer" links on SR/project/milestone rows
+ * - Idle prompt while a timer runs (keep, discard idle time, or stop at idle start)
+ *
+ * admin-timer.js subscribes to this module to keep the timer metabox in step.
+ */
+(function($) {
+    'use strict';
+
+    if (typeof bbabTimerSync === 'undefined') {
+        return;
+    }
+
+    var CHANNEL_NAME = 'bbab-timer';
+    var STORAGE_KEY = 'bbab_timer_state';
+    var ACTIVITY_KEY = 'bbab_timer_activity';
+
+    /**
+     * BBAB Timer Sync module
+     */
+    var TimerSync = {
+
+        /**
+         * Current shared state: { active: timer|null, entry: entryState|null }.
+         */
+        state: { active: null, entry: null },
+
+        /**
+         * Subscriber callbacks.
+         */
+        listeners: [],
+
+        /**
+         * BroadcastChannel instance (null when unsupported).
+         */
+        channel: null,
+
+        /**
+         * Pending poll timeout ID.
+         */
+        pollTimer: null,
+
+        /**
+         * Initialize the module.
+         */
+        init: function() {
+            this.state = $.extend({ active: null, entry: null }, bbabTimerSync.state);
+            this.openChannel();
+            this.bindEvents();
+            this.renderBar();
+
+            setInterval(function() {
+                TimerSync.renderBarDisplay();
+                TimerSync.notify('tick');
+            }, 1000);
+
+            this.schedulePoll();
+        },
+
+        /**
+         * Listen for updates from other tabs.
+         */
+        openChannel: function() {
+            if ('BroadcastChannel' in window) {
+                this.channel = new BroadcastChannel(CHANNEL_NAME);
+                this.channel.onmessage = function(e) {
+                    TimerSync.receive(e.data);
+                };
+                return;
+            }
+
+            // Fallback: storage events fire in every other tab on the same origin
+            $(window).on('storage', function(e) {
+                var original = e.originalEvent;
+                if (original.key !== STORAGE_KEY || !original.newValue) {
+                    return;
+                }
+                try {
+                    TimerSync.receive(JSON.parse(original.newValue));
+                } catch (err) {
+                    // Ignore malformed payloads
+                }
+            });
+        },
+
+        /**
+         * Bind event handlers.
+         */
+        bindEvents: function() {
+            // Catch up as soon as a background tab comes back into view
+            $(document).on('visibilitychange', function() {
+                if (!document.hidden) {
+                    TimerSync.refresh(false);
+                }
+            });
+
+            $(document).on('click', '#bbab-global-timer-stop', function() {
+                TimerSync.stopActive($(this));
+            });
+
+            $(document).on('click', '.bbab-start-timer-for', function(e) {
+                e.preventDefault();
+                TimerSync.startFor($(this), false);
+            });
+        },
+
+        /**
+         * Register a callback for state changes and ticks.
+         *
+         * @param {function} callback - Called with (state, reason) where reason is 'change' or 'tick'
+         */
+        subscribe: function(callback) {
+            this.listeners.push(callback);
+        },
+
+        /**
+         * Call every subscriber.
+         *
+         * @param {string} reason - 'change' or 'tick'
+         */
+        notify: function(reason) {
+            var state = this.state;
+            $.each(this.listeners, function(i, callback) {
+                callback(state, reason);
+            });
+        },
+
+        /**
+         * Apply an update locally.
+         *
+         * @param {object} update - May contain 'active' and/or 'entry'
+         */
+        apply: function(update) {
+            if (!update) {
+                return;
+            }
+
+            if (Object.prototype.hasOwnProperty.call(update, 'active')) {
+                this.state.active = update.active;
+            }
+
+            // Entry state only matters to the tab editing that entry
+            if (update.entry && parseInt(update.entry.post_id, 10) === parseInt(bbabTimerSync.postId, 10)) {
+                this.state.entry = update.entry;
+            }
+
+            this.renderBar();
+            this.notify('change');
+        },
+
+        /**
+         * Handle a message from another tab.
+         *
+         * @param {object} message - { update: {...}, sent: timestamp }
+         */
+        receive: function(message) {
+            if (message && message.update) {
+                this.apply(message.update);
+            }
+        },
+
+        /**
+         * Apply an update here and send it to every other tab.
+         *
+         * @param {object} update - May contain 'active' and/or 'entry'
+         */
+        publish: function(update) {
+            var message = { update: update, sent: Date.now() };
+
+            this.apply(update);
+
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                try {
+                    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+                } catch (err) {
+                    // Storage unavailable (private mode); polling still catches up
+                }
+            }
+        },
+
+        /**
+         * Fetch the authoritative state from the server.
+         *
+         * @param {boolean} broadcast - Also send the result to other tabs
+         */
+        refresh: function(broadcast) {
+            clearTimeout(this.pollTimer);
+
+            var request = BBABAdminAjax.request('timer_status', {
+                post_id: bbabTimerSync.postId
+            }, function(data) {
+                if (broadcast) {
+                    TimerSync.publish(data);
+                } else {
+                    TimerSync.apply(data);
+                }
+            }, function() {
+                // Keep the last known state; the next poll retries
+            });
+
+            if (request) {
+                request.always(function() {
+                    TimerSync.schedulePoll();
+                });
+            }
+        },
+
+        /**
+         * Schedule the next background poll.
+         */
+        schedulePoll: function() {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = setTimeout(function() {
+                // Hidden tabs catch up on visibilitychange instead
+                if (document.hidden) {
+                    TimerSync.schedulePoll();
+                    return;
+                }
+                TimerSync.refresh(false);
+            }, bbabTimerSync.pollInterval || 15000);
+        },
+
+        /**
+         * Elapsed seconds for a timer across all of its segments.
+         *
+         * @param {object} timer - Has status, start_timestamp and accumulated_seconds
+         * @return {number}
+         */
+        getElapsed: function(timer) {
+            if (!timer) {
+                return 0;
+            }
+
+            var elapsed = parseInt(timer.accumulated_seconds, 10) || 0;
+
+            if (timer.status === 'running' && timer.start_timestamp) {
+                elapsed += Math.max(0, Math.floor(Date.now() / 1000) - parseInt(timer.start_timestamp, 10));
+            }
+
+            return elapsed;
+        },
+
+        /**
+         * Format a number of seconds as HH:MM:SS.
+         *
+         * @param {number} elapsed - Elapsed seconds
+         * @return {string}
+         */
+        formatElapsed: function(elapsed) {
+            var hours = Math.floor(elapsed / 3600);
+            var minutes = Math.floor((elapsed % 3600) / 60);
+            var seconds = elapsed % 60;
+
+            return String(hours).padStart(2, '0') + ':' +
+                String(minutes).padStart(2, '0') + ':' +
+                String(seconds).padStart(2, '0');
+        },
+
+        /**
+         * Render the global timer bar from the current state.
+         */
+        renderBar: function() {
+            var $bar = $('#bbab-global-timer');
+            var active = this.state.active;
+
+            if (!$bar.length) {
+                return;
+            }
+
+            if (!active) {
+                $bar.attr('data-status', 'stopped').hide();
+                return;
+            }
+
+            var paused = active.status === 'paused';
+
+            $bar.attr('data-status', active.status).css('display', 'flex');
+            $bar.find('.bbab-global-timer-icon')
+                .html(paused ? '&#10074;&#10074;' : '&#9679;')
+                .css('color', paused ? '#f5c542' : '#ff6b6b');
+            $bar.find('.bbab-global-timer-label').text(paused ? 'Timer paused:' : 'Timer running:');
+            $bar.find('.bbab-global-timer-context').text(active.context || '');
+            $bar.find('.bbab-global-timer-context-wrap').toggle(!!active.context);
+            $bar.find('.bbab-global-timer-error').hide();
+            $bar.find('#bbab-global-timer-stop').prop('disabled', false);
+
+            if (active.edit_url) {
+                $bar.find('.bbab-global-timer-link').attr('href', active.edit_url);
+            }
+
+            this.renderBarDisplay();
+        },
+
+        /**
+         * Update the elapsed time in the global bar.
+         */
+        renderBarDisplay: function() {
+            if (!this.state.active) {
+                return;
+            }
+            $('#bbab-global-timer-display').text(this.formatElapsed(this.getElapsed(this.state.active)));
+        },
+
+        /**
+         * Create a time entry for an SR/project/milestone and start its timer.
+         *
+         * When another timer is running, offers to stop it and switch.
+         *
+         * @param {jQuery}  $link  - Link with data-target-type and data-target-id
+         * @param {boolean} switchTimer - Stop the running timer first
+         */
+        startFor: function($link, switchTimer) {
+            if ($link.hasClass('is-busy')) {
+                return;
+            }
+
+            var originalText = $link.text();
+            $link.addClass('is-busy').text('Starting...');
+
+            BBABAdminAjax.request('timer_start_for', {
+                target_type: $link.data('target-type'),
+                target_id: $link.data('target-id'),
+                'switch': switchTimer ? 1 : 0
+            }, function(data) {
+                $link.removeClass('is-busy').text(originalText);
+
+                if (data.stopped) {
+                    TimerSync.publish({ entry: data.stopped });
+                }
+
+                TimerSync.publish({
+                    active: {
+                        post_id: data.post_id,
+                        status: 'running',
+                        start_timestamp: data.start_timestamp,
+                        accumulated_seconds: 0,
+                        context: data.context,
+                        edit_url: data.edit_url
+                    }
+                });
+            }, function(error) {
+                $link.removeClass('is-busy').text(originalText);
+
+                if (error.code === 'timer_running' && error.running) {
+                    var label = error.running.context ? ' (' + error.running.context + ')' : '';
+                    if (window.confirm('A timer is already running on TE #' + error.running.post_id + label + '.\n\nStop it and start a new timer here?')) {
+                        TimerSync.startFor($link, true);
+                    }
+                    return;
+                }
+
+                TimerSync.showBarError(error.message || 'Could not start the timer.');
+            });
+        },
+
+        /**
+         * Show an error in the global bar, making the bar visible if needed.
+         *
+         * @param {string} message - Error text
+         */
+        showBarError: function(message) {
+            var $bar = $('#bbab-global-timer');
+
+            $bar.css('display', 'flex');
+            $bar.find('.bbab-global-timer-error').text(message).show();
+        },
+
+        /**
+         * Stop the timer shown in the global bar.
+         *
+         * @param {jQuery} $btn - The bar's Stop button
+         * @param {number} [endTimestamp] - Unix timestamp to stop at instead of now
+         */
+        stopActive: function($btn, endTimestamp) {
+            var active = this.state.active;
+            var $error = $('#bbab-global-timer .bbab-global-timer-error');
+            var params;
+
+            if (!active) {
+                return;
+            }
+
+            params = { post_id: active.post_id };
+            if (endTimestamp) {
+                params.end_timestamp = endTimestamp;
+            }
+
+            $btn.prop('disabled', true);
+            $error.hide();
+
+            BBABAdminAjax.request('timer_stop', params, function(data) {
+                TimerSync.publish({
+                    active: null,
+                    entry: $.extend({ post_id: active.post_id, status: 'stopped' }, data)
+                });
+                // A paused timer may still need to be shown
+                TimerSync.refresh(true);
+            }, function(error) {
+                $error.text(error.message || 'Could not stop the timer.').show();
+                $btn.prop('disabled', false);
+                // The timer may already have been stopped elsewhere
+                TimerSync.refresh(true);
+            });
+        }
+    };
+
+    /**
+     * Idle detection while a timer runs.
+     *
+     * Input in any admin tab counts as activity (shared through localStorage);
+     * a hidden tab gets no input, so time spent away counts as idle. When the
+     * user comes back after bbabTimerSync.idleMinutes, they choose to keep the
+     * time, discard the idle gap, or stop the timer when they went idle.
+     */
+    var TimerIdle = {
+
+        /**
+         * Minimum gap between activity writes to localStorage (ms).
+         */
+        WRITE_INTERVAL: 5000,
+
+        /**
+         * Idle period that triggers the prompt (ms).
+         */
+        idleMs: 0,
+
+        /**
+         * Last activity seen in this tab (ms).
+         */
+        lastActivity: 0,
+
+        /**
+         * Last activity written to localStorage (ms).
+         */
+        lastWrite: 0,
+
+        /**
+         * Start of the idle period being asked about (ms), or 0.
+         */
+        idleSince: 0,
+
+        /**
+         * start_timestamp of the segment the prompt is about.
+         */
+        promptStart: 0,
+
+        $dialog: null,
+
+        /**
+         * Start watching for activity, if idle prompts are on.
+         */
+        init: function() {
+            var self = this;
+            var idleMinutes = parseInt(bbabTimerSync.idleMinutes, 10);
+
+            if (!idleMinutes) {
+                return;
+            }
+
+            this.idleMs = idleMinutes * 60000;
+            this.lastActivity = this.getStoredActivity() || Date.now();
+
+            $(document).on('mousemove keydown mousedown scroll touchstart', function() {
+                self.onActivity();
+            });
+
+            $(document).on('visibilitychange', function() {
+                if (!document.hidden) {
+                    self.onActivity();
+                }
+            });
+
+            // A prompt is moot once the timer stops, or its idle time is handled, in another tab
+            TimerSync.subscribe(function(state, reason) {
+                if (reason !== 'change' || !self.idleSince) {
+                    return;
+                }
+
+                if (!self.isRunning(state.active) || String(state.active.start_timestamp) !== String(self.promptStart)) {
+                    self.close();
+                }
+            });
+
+            // Loading a page is a return too
+            if (!document.hidden) {
+                this.onActivity();
+            }
+        },
+
+        /**
+         * @param {object|null} active - Active timer from the shared state
+         * @return {boolean}
+         */
+        isRunning: function(active) {
+            return !!(active && active.status === 'running' && active.start_timestamp);
+        },
+
+        /**
+         * Latest activity recorded by any tab (ms), or 0.
+         *
+         * @return {number}
+         */
+        getStoredActivity: function() {
+            try {
+                return parseInt(window.localStorage.getItem(ACTIVITY_KEY), 10) || 0;
+            } catch (err) {
+                return 0;
+            }
+        },
+
+        /**
+         * Record activity now, here and (throttled) for the other tabs.
+         */
+        record: function() {
+            var now = Date.now();
+
+            this.lastActivity = now;
+
+            if (now - this.lastWrite < this.WRITE_INTERVAL) {
+                return;
+            }
+
+            this.lastWrite = now;
+
+            try {
+                window.localStorage.setItem(ACTIVITY_KEY, String(now));
+            } catch (err) {
+                // Storage unavailable (private mode); this tab still tracks its own input
+            }
+        },
+
+        /**
+         * Handle input: prompt if the user is back from being idle, else record it.
+         */
+        onActivity: function() {
+            var active = TimerSync.state.active;
+
+            // Input within the last second can't follow an idle period
+            if (this.idleSince || Date.now() - this.lastActivity < 1000) {
+                return;
+            }
+
+            if (this.isRunning(active)) {
+                // Idle can't start before the current segment did
+                var since = Math.max(this.lastActivity, this.getStoredActivity(), parseInt(active.start_timestamp, 10) * 1000);
+
+                if (Date.now() - since >= this.idleMs) {
+                    this.prompt(since);
+                    return;
+                }
+            }
+
+            this.record();
+        },
+
+        /**
+         * Show the idle prompt.
+         *
+         * @param {number} since - Start of the idle period (ms)
+         */
+        prompt: function(since) {
+            var self = this;
+            var time = new Date(since).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            var minutes = Math.round((Date.now() - since) / 60000);
+
+            this.idleSince = since;
+            this.promptStart = TimerSync.state.active.start_timestamp;
+
+            this.$dialog = $('<div id="bbab-timer-idle" role="alertdialog" aria-labelledby="bbab-timer-idle-title" style="' +
+                    'position: fixed; bottom: 60px; left: 50%; transform: translateX(-50%); z-index: 100000; width: 420px; max-width: 90vw; ' +
+                    'background: #fff; border-left: 4px solid #dba617; padding: 16px 20px; box-shadow: 0 4px 20px rgba(0,0,0,0.25);"></div>')
+                .append($('<p id="bbab-timer-idle-title" style="margin: 0 0 4px; font-size: 14px; font-weight: 600;"></p>')
+                    .text('You were idle since ' + time + ' (' + minutes + ' min).'))
+                .append($('<p style="margin: 0 0 12px; color: #50575e;"></p>')
+                    .text(TimerSync.state.active.context || 'A timer is running.'))
+                .append(
+                    $('<div style="display: flex; gap: 8px; flex-wrap: wrap;"></div>')
+                        .append('<button type="button" class="button" data-idle-action="keep">Keep</button>')
+                        .append('<button type="button" class="button" data-idle-action="discard">Discard idle time</button>')
+                        .append($('<button type="button" class="button button-primary" data-idle-action="stop"></button>')
+                            .text('Stop at ' + time))
+                )
+                .append('<p class="bbab-timer-idle-error" style="margin: 10px 0 0; color: #d63638; display: none;"></p>')
+                .appendTo('body');
+
+            this.$dialog.on('click', '[data-idle-action]', function() {
+                self.resolve($(this).data('idle-action'), $(this));
+            });
+
+            this.$dialog.find('[data-idle-action="keep"]').trigger('focus');
+        },
+
+        /**
+         * Act on the user's choice.
+         *
+         * @param {string} action - 'keep', 'discard' or 'stop'
+         * @param {jQuery} $btn - Button that was clicked
+         */
+        resolve: function(action, $btn) {
+            var self = this;
+            var active = TimerSync.state.active;
+            var idleSince = Math.floor(this.idleSince / 1000);
+
+            if (action === 'keep' || !this.isRunning(active)) {
+                this.close();
+                return;
+            }
+
+            if (action === 'stop') {
+                TimerSync.stopActive($('#bbab-global-timer-stop'), idleSince);
+                this.close();
+                return;
+            }
+
+            this.$dialog.find('button').prop('disabled', true);
+
+            BBABAdminAjax.request('timer_discard_idle', {
+                post_id: active.post_id,
+                idle_since: idleSince
+            }, function(data) {
+                TimerSync.publish({
+                    active: $.extend({}, active, {
+                        start_timestamp: data.start_timestamp,
+                        accumulated_seconds: data.accumulated_seconds
+                    }),
+                    entry: $.extend({ post_id: active.post_id }, data)
+                });
+                self.close();
+            }, function(error) {
+                self.$dialog.find('.bbab-timer-idle-error').text(error.message || 'Could not discard the idle time.').show();
+                $btn.siblings().addBack().prop('disabled', false);
+                TimerSync.refresh(true);
+            });
+        },
+
+        /**
+         * Remove the prompt and count now as activity.
+         */
+        close: function() {
+            if (this.$dialog) {
+                this.$dialog.remove();
+                this.$dialog = null;
+            }
+
+            this.idleSince = 0;
+            this.lastWrite = 0;
+            this.record();
+        }
+    };
+
+    // Expose for admin-timer.js
+    window.BBABTimerSync = TimerSync;
+
+    // Initialize on document ready
+    $(document).ready(function() {
+        TimerSync.init();
+        TimerIdle.init();
+    });
+
+})(jQuery);
@@ -2,22 +2,39 @@
  * BBAB Service Center - Timer JavaScript
  *
  * Handles timer functionality on time entry edit screens.
+ * Start/pause/resume/stop update the metabox and the Pods time fields in place,
+ * so unsaved edits on the form survive a timer action. Shared state, ticking
+ * and cross-tab updates come from admin-timer-sync.js (BBABTimerSync).
+ *
  * Migrated from: WPCode Snippet #2332
  */
 (function($) {
     'use strict';
 
-    var timerInterval;
     var $container = $('#bbab-timer-container');
+    var Sync = window.BBABTimerSync;
 
-    if (!$container.length) {
+    if (!$container.length || !Sync) {
         return;
     }
 
-    var postId = $container.data('post-id');
+    var postId = parseInt($container.data('post-id'), 10);
+
+    // Which state the metabox currently shows: running, paused or stopped
+    var currentStatus = $('#bbab-start-timestamp').length ? 'running' :
+        ($('#bbab-resume-timer').length ? 'paused' : 'stopped');
+
+    /**
+     * Seconds banked in closed segments before the current one.
+     *
+     * @return {number}
+     */
+    function getAccumulated() {
+        return parseInt($('#bbab-accumulated-seconds').val(), 10) || 0;
+    }
 
     /**
-     * Update the timer display with elapsed time.
+     * Update the timer display with elapsed time across all segments.
      */
     function updateTimerDisplay() {
         var startTimestamp = $('#bbab-start-timestamp').val();
@@ -25,85 +42,246 @@
             return;
         }
 
-        var elapsed = Math.floor(Date.now() / 1000) - parseInt(startTimestamp);
-        var hours = Math.floor(elapsed / 3600);
-        var minutes = Math.floor((elapsed % 3600) / 60);
-        var seconds = elapsed % 60;
+        $('#bbab-timer-display').text(Sync.formatElapsed(Sync.getElapsed({
+            status: 'running',
+            start_timestamp: startTimestamp,
+            accumulated_seconds: getAccumulated()
+        })));
+    }
+
+    /**
+     * Write a value into a Pods field on the edit form.
+     *
+     * Pods renders meta fields as pods_meta_{field}; the id form is a fallback
+     * for older Pods versions.
+     *
+     * @param {string} field - Field name (e.g. 'time_start')
+     * @param {string} value - Value to set
+     */
+    function setPodsField(field, value) {
+        var $field = $('[name="pods_meta_' + field + '"]');
+
+        if (!$field.length) {
+            $field = $('#pods-form-ui-pods-meta-' + field.replace(/_/g, '-'));
+        }
+
+        if ($field.length) {
+            $field.val(value).trigger('change');
+        }
+    }
 
-        var display =
-            String(hours).padStart(2, '0') + ':' +
-            String(minutes).padStart(2, '0') + ':' +
-            String(seconds).padStart(2, '0');
+    /**
+     * Show an inline error message inside the metabox.
+     *
+     * @param {string} message - Error text
+     */
+    function showError(message) {
+        clearError();
+        $('<div class="bbab-timer-error notice notice-error inline"><p></p></div>')
+            .find('p').text(message).end()
+            .appendTo($container);
+    }
 
-        $('#bbab-timer-display').text(display);
+    /**
+     * Remove any inline error message.
+     */
+    function clearError() {
+        $container.find('.bbab-timer-error').remove();
     }
 
-    // Start the interval if timer is running
-    if ($('#bbab-start-timestamp').length) {
+    /**
+     * Build the list of closed segments.
+     *
+     * @param {Array} segments - Segments from TimerService (time_start, time_end, seconds)
+     * @return {jQuery}
+     */
+    function buildSegments(segments) {
+        var $list = $('<ul class="bbab-timer-segments"></ul>');
+
+        $.each(segments || [], function(i, segment) {
+            $('<li></li>')
+                .text(segment.time_start + ' - ' + segment.time_end + ' ')
+                .append($('<span></span>').text(Sync.formatElapsed(segment.seconds)))
+                .appendTo($list);
+        });
+
+        return $list;
+    }
+
+    /**
+     * Render the running state: elapsed display plus Pause and Stop buttons.
+     *
+     * @param {object} data - start_timestamp and accumulated_seconds from start()/resume(),
+     *                        plus segments when known
+     */
+    function renderRunning(data) {
+        // Keep the closed segments list when resuming
+        var $segments = data.segments ? buildSegments(data.segments) :
+            $container.find('.bbab-timer-segments').detach();
+
+        $container.empty()
+            .append('<p id="bbab-timer-display" style="font-size: 24px; font-weight: bold; text-align: center; margin: 10px 0;"></p>')
+            .append(
+                $('<div class="bbab-timer-buttons"></div>')
+                    .append('<button type="button" id="bbab-pause-timer" class="button" style="height: 40px; font-size: 14px;">\u23F8 Pause</button>')
+                    .append('<button type="button" id="bbab-stop-timer" class="button button-primary" style="height: 40px; font-size: 14px;">\u23F9 Stop Timer</button>')
+            )
+            .append($('<input type="hidden" id="bbab-start-timestamp">').val(data.start_timestamp))
+            .append($('<input type="hidden" id="bbab-accumulated-seconds">').val(data.accumulated_seconds || 0))
+            .append(data.accumulated_seconds && $segments.length ? $segments : buildSegments([]));
+
+        currentStatus = 'running';
         updateTimerDisplay();
-        timerInterval = setInterval(updateTimerDisplay, 1000);
     }
 
     /**
-     * Start Timer button click handler.
+     * Render the paused state: frozen elapsed display plus Resume and Stop buttons.
+     *
+     * @param {object} data - accumulated_seconds and segments from pause()
      */
-    $(document).on('click', '#bbab-start-timer', function() {
-        var $btn = $(this);
-        $btn.prop('disabled', true).text('Starting...');
-
-        console.log('BBAB Timer: Starting AJAX call for post ' + postId);
-
-        $.post(ajaxurl, {
-            action: 'bbab_start_timer',
-            post_id: postId,
-            nonce: $('#bbab_timer_nonce').val()
-        }, function(response) {
-            console.log('BBAB Timer: Response received', response);
-            if (response.success) {
-                console.log('BBAB Timer: Success, reloading page');
-                location.reload();
-            } else {
-                alert('Error: ' + response.data);
-                $btn.prop('disabled', false).text('\u25B6 Start Timer'); // ▶
+    function renderPaused(data) {
+        $container.empty()
+            .append('<p class="bbab-timer-paused-label">Paused</p>')
+            .append(
+                $('<p id="bbab-timer-display" style="font-size: 24px; font-weight: bold; text-align: center; margin: 10px 0;"></p>')
+                    .text(Sync.formatElapsed(data.accumulated_seconds))
+            )
+            .append(
+                $('<div class="bbab-timer-buttons"></div>')
+                    .append('<button type="button" id="bbab-resume-timer" class="button button-primary" style="height: 40px; font-size: 14px;">\u25B6 Resume</button>')
+                    .append('<button type="button" id="bbab-stop-timer" class="button" style="height: 40px; font-size: 14px;">\u23F9 Stop Timer</button>')
+            )
+            .append($('<input type="hidden" id="bbab-accumulated-seconds">').val(data.accumulated_seconds))
+            .append(buildSegments(data.segments));
+
+        currentStatus = 'paused';
+    }
+
+    /**
+     * Render the stopped state: recorded times plus Start New button.
+     *
+     * @param {object} data - time_start, time_end, hours and segments from TimerService::stop()
+     */
+    function renderStopped(data) {
+        var $summary = $('<p class="bbab-timer-summary" style="text-align: center; color: #666;"></p>')
+            .text(data.time_start + ' \u2013 ' + data.time_end + ' (' + data.hours + ' hrs)');
+
+        $container.empty()
+            .append($summary)
+            .append('<button type="button" id="bbab-start-timer" class="button" style="width: 100%; height: 40px; font-size: 14px;">\u25B6 Start New Timer</button>')
+            .append('<p style="font-size: 11px; color: #999; text-align: center; margin-top: 8px;">This will clear existing times</p>')
+            .append(buildSegments(data.segments));
+
+        currentStatus = 'stopped';
+    }
+
+    /**
+     * Apply a state for this entry: render it and mirror times into the form.
+     *
+     * @param {object} entry - Entry state (status plus the fields its renderer needs)
+     */
+    function applyEntry(entry) {
+        if (entry.status === 'running') {
+            if (currentStatus === 'stopped') {
+                // A fresh start clears the stored times
+                setPodsField('time_start', '');
+                setPodsField('time_end', '');
+                setPodsField('hours', '');
             }
-        }).fail(function(xhr, status, error) {
-            console.log('BBAB Timer: AJAX failed', status, error);
-            alert('AJAX request failed: ' + error);
-            $btn.prop('disabled', false).text('\u25B6 Start Timer');
-        });
-    });
+            renderRunning(entry);
+        } else if (entry.status === 'paused') {
+            renderPaused(entry);
+        } else if (entry.time_start && entry.time_end) {
+            setPodsField('time_start', entry.time_start);
+            setPodsField('time_end', entry.time_end);
+            setPodsField('hours', entry.hours);
+            renderStopped(entry);
+        }
+    }
 
     /**
-     * Stop Timer button click handler.
+     * Bring the metabox in line with state changed in another tab or on the server.
+     *
+     * @param {object|null} entry - Shared entry state from BBABTimerSync
      */
-    $(document).on('click', '#bbab-stop-timer', function() {
-        var $btn = $(this);
-        $btn.prop('disabled', true).text('Stopping...');
+    function syncEntry(entry) {
+        if (!entry || parseInt(entry.post_id, 10) !== postId) {
+            return;
+        }
 
-        if (timerInterval) {
-            clearInterval(timerInterval);
+        var sameRun = entry.status === 'running' &&
+            String(entry.start_timestamp) === String($('#bbab-start-timestamp').val());
+
+        if (entry.status === currentStatus && (entry.status !== 'running' || sameRun)) {
+            return;
         }
 
-        console.log('BBAB Timer: Stopping AJAX call for post ' + postId);
-
-        $.post(ajaxurl, {
-            action: 'bbab_stop_timer',
-            post_id: postId,
-            nonce: $('#bbab_timer_nonce').val()
-        }, function(response) {
-            console.log('BBAB Timer: Response received', response);
-            if (response.success) {
-                console.log('BBAB Timer: Success, reloading page');
-                location.reload();
-            } else {
-                alert('Error: ' + response.data);
-                $btn.prop('disabled', false).text('\u23F9 Stop Timer'); // ⏹
-            }
-        }).fail(function(xhr, status, error) {
-            console.log('BBAB Timer: AJAX failed', status, error);
-            alert('AJAX request failed: ' + error);
-            $btn.prop('disabled', false).text('\u23F9 Stop Timer');
+        clearError();
+        applyEntry(entry);
+    }
+
+    /**
+     * Send a timer action and render the result in place.
+     *
+     * @param {string}   handler   - AjaxRouter handler name
+     * @param {jQuery}   $btn      - Button that triggered the action
+     * @param {string}   busyText  - Button label while the request runs
+     * @param {string}   status    - Timer status after a successful request
+     */
+    function timerRequest(handler, $btn, busyText, status) {
+        var originalText = $btn.text();
+        $btn.prop('disabled', true).text(busyText);
+        clearError();
+
+        BBABAdminAjax.request(handler, { post_id: postId }, function(data) {
+            var entry = $.extend({}, data, { post_id: postId, status: status });
+
+            applyEntry(entry);
+
+            // Tell the other tabs, then pull the authoritative state for the global bar
+            Sync.publish({ entry: entry });
+            Sync.refresh(true);
+        }, function(error) {
+            showError('Error: ' + error.message);
+            $btn.prop('disabled', false).text(originalText);
         });
+    }
+
+    // Keep the display ticking and follow changes from other tabs
+    Sync.subscribe(function(state, reason) {
+        if (reason === 'tick') {
+            updateTimerDisplay();
+        } else {
+            syncEntry(state.entry);
+        }
+    });
+
+    /**
+     * Start Timer button click handler.
+     */
+    $(document).on('click', '#bbab-start-timer', function() {
+        timerRequest('timer_start', $(this), 'Starting...', 'running');
+    });
+
+    /**
+     * Pause Timer button click handler.
+     */
+    $(document).on('click', '#bbab-pause-timer', function() {
+        timerRequest('timer_pause', $(this), 'Pausing...', 'paused');
+    });
+
+    /**
+     * Resume Timer button click handler.
+     */
+    $(document).on('click', '#bbab-resume-timer', function() {
+        timerRequest('timer_resume', $(this), 'Resuming...', 'running');
+    });
+
+    /**
+     * Stop Timer button click handler.
+     */
+    $(document).on('click', '#bbab-stop-timer', function() {
+        timerRequest('timer_stop', $(this), 'Stopping...', 'stopped');
     });
 
 })(jQuery);
@@ -3,7 +3,10 @@
  *
  * Handles admin-side functionality including:
  * - Simulation controls
- * - Workbench interactions
+ * - Workbench interactions (inline SR status, task completion, org filter)
+ * - Live refresh of the main page boxes
+ * - Ctrl/Cmd+K command palette
+ * - Weekly timesheet grid
  * - Admin AJAX operations
  */
 (function($) {
@@ -14,54 +17,1300 @@
      */
     var BBAdminWorkbench = {
 
+        /**
+         * Auto-refresh timer ID.
+         */
+        refreshTimer: null,
+
+        /**
+         * In-flight refresh request, aborted when a newer one starts.
+         */
+        refreshRequest: null,
+
         /**
          * Initialize the module.
          */
         init: function() {
             this.bindEvents();
+            this.startAutoRefresh();
         },
 
         /**
          * Bind event handlers.
+         *
+         * Delegated from the grid so rows replaced by a refresh keep working.
          */
         bindEvents: function() {
-            // Simulation form enhancements (if any)
-            // Additional event bindings will be added as needed
+            var self = this;
+            var $grid = $('.bbab-workbench-grid');
+
+            if (!$grid.length) {
+                return;
+            }
+
+            $grid.on('change', '.bbab-sr-status-select', function() {
+                self.changeSrStatus($(this));
+            });
+
+            $grid.on('click', '.bbab-task-done', function(e) {
+                e.preventDefault();
+                self.completeTask($(this));
+            });
+
+            $('#bbab-workbench-org-filter').on('change', function() {
+                self.refresh();
+            });
+
+            // Catch up straight away when the tab comes back into view
+            $(document).on('visibilitychange', function() {
+                if (!document.hidden) {
+                    self.refresh();
+                }
+            });
+        },
+
+        /**
+         * Refresh the boxes every data-refresh-interval seconds.
+         */
+        startAutoRefresh: function() {
+            var self = this;
+            var interval = parseInt($('.bbab-workbench-grid').data('refresh-interval'), 10);
+
+            if (!interval) {
+                return;
+            }
+
+            this.refreshTimer = setInterval(function() {
+                // Skip while hidden or while the user has a status select open
+                if (document.hidden || $('.bbab-sr-status-select:focus').length) {
+                    return;
+                }
+
+                self.refresh();
+            }, interval * 1000);
+        },
+
+        /**
+         * Reload every box's rows and count for the current org filter.
+         */
+        refresh: function() {
+            var self = this;
+            var $status = $('.bbab-refresh-status');
+
+            if (this.refreshRequest) {
+                this.refreshRequest.abort();
+            }
+
+            $status.text('Refreshing...');
+
+            this.refreshRequest = BBABAdminAjax.request('workbench_refresh', {
+                org_id: $('#bbab-workbench-org-filter').val() || 0
+            }, function(data) {
+                self.refreshRequest = null;
+
+                $.each(data.boxes || {}, function(box, content) {
+                    $('.bbab-box-content[data-box="' + box + '"]').html(content.html);
+                    $('[data-box-count="' + box + '"] .bbab-count-value').text(content.count);
+                });
+
+                $status.text('Updated ' + new Date().toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }));
+            }, function(error) {
+                self.refreshRequest = null;
+
+                // Aborted by a newer refresh
+                if (error.message === 'abort') {
+                    return;
+                }
+
+                $status.text('Refresh failed: ' + error.message);
+            });
+        },
+
+        /**
+         * Save an inline SR status change, then refresh the boxes.
+         *
+         * @param {jQuery} $select - Status select in a Service Requests row
+         */
+        changeSrStatus: function($select) {
+            var self = this;
+
+            $select.prop('disabled', true);
+
+            BBABAdminAjax.request('sr_change_status', {
+                post_id: $select.data('post-id'),
+                new_status: $select.val()
+            }, function() {
+                self.refresh();
+            }, function(error) {
+                alert('Error: ' + error.message);
+                self.refresh();
+            });
+        },
+
+        /**
+         * Mark a client task complete, then refresh the boxes.
+         *
+         * @param {jQuery} $button - Done button in a Client Tasks row
+         */
+        completeTask: function($button) {
+            var self = this;
+
+            $button.prop('disabled', true);
+            $button.closest('tr').addClass('bbab-row-done');
+
+            BBABAdminAjax.request('workbench_complete_task', {
+                task_id: $button.data('task-id')
+            }, function() {
+                self.refresh();
+            }, function(error) {
+                alert('Error: ' + error.message);
+                $button.prop('disabled', false);
+                $button.closest('tr').removeClass('bbab-row-done');
+            });
         },
 
         /**
          * Make an AJAX request to the plugin backend.
          *
+         * Thin wrapper around BBABAdminAjax; the callback receives the whole
+         * response ({ success, data }) for both outcomes.
+         *
          * @param {string} handler - The handler name
          * @param {object} data - Additional data to send
-         * @param {function} callback - Success callback
+         * @param {function} callback - Called with the response
          */
         ajax: function(handler, data, callback) {
-            if (typeof bbabScAdmin === 'undefined') {
-                console.error('BBAB Admin: Ajax config not available');
+            return BBABAdminAjax.request(handler, data, function(responseData) {
+                if (typeof callback === 'function') {
+                    callback({ success: true, data: responseData });
+                }
+            }, function(error) {
+                if (typeof callback === 'function') {
+                    callback({ success: false, data: error });
+                } else {
+                    console.error('BBAB Admin AJAX Error:', error.message);
+                }
+            });
+        }
+    };
+
+    /**
+     * Ctrl/Cmd+K command palette.
+     *
+     * Searches through the palette_search handler, fuzzy-ranks the combined
+     * results and runs an action on the chosen one. Enter on a result runs
+     * its first action (Open); Right arrow or Tab lists all its actions.
+     */
+    var CommandPalette = {
+
+        /**
+         * Delay before searching after the last keystroke (ms).
+         */
+        SEARCH_DELAY: 200,
+
+        $overlay: null,
+        $input: null,
+        $list: null,
+        $status: null,
+
+        /**
+         * Results from the last search.
+         */
+        results: [],
+
+        /**
+         * Result whose actions are listed, or null when listing results.
+         */
+        current: null,
+
+        searchTimer: null,
+        searchRequest: null,
+
+        /**
+         * Bind the global shortcut.
+         */
+        init: function() {
+            var self = this;
+
+            $(document).on('keydown', function(e) {
+                if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key && e.key.toLowerCase() === 'k') {
+                    e.preventDefault();
+                    if (self.isOpen()) {
+                        self.close();
+                    } else {
+                        self.open();
+                    }
+                }
+            });
+        },
+
+        /**
+         * Build the palette markup on first use.
+         */
+        build: function() {
+            var self = this;
+
+            this.$overlay = $('<div class="bbab-palette-overlay" role="dialog" aria-modal="true" aria-label="Command palette"></div>').hide();
+            var $palette = $('<div class="bbab-palette"></div>').appendTo(this.$overlay);
+
+            this.$input = $('<input type="text" class="bbab-palette-input" autocomplete="off">')
+                .attr('placeholder', 'Search SRs, projects, invoices, time entries by reference or title...')
+                .appendTo($palette);
+            this.$list = $('<ul class="bbab-palette-list" role="listbox"></ul>').appendTo($palette);
+            this.$status = $('<div class="bbab-palette-status"></div>').appendTo($palette);
+            $('<div class="bbab-palette-hint"></div>')
+                .text('\u2191\u2193 navigate \u00b7 Enter open \u00b7 \u2192 actions \u00b7 Esc close')
+                .appendTo($palette);
+
+            this.$overlay.appendTo('body');
+
+            this.$overlay.on('mousedown', function(e) {
+                if (e.target === self.$overlay[0]) {
+                    self.close();
+                }
+            });
+
+            this.$input.on('input', function() {
+                self.current = null;
+                clearTimeout(self.searchTimer);
+                self.searchTimer = setTimeout(function() {
+                    self.search($.trim(self.$input.val()));
+                }, self.SEARCH_DELAY);
+            });
+
+            this.$input.on('keydown', function(e) {
+                self.handleKey(e);
+            });
+
+            this.$list.on('mousemove', '.bbab-palette-item', function() {
+                self.highlight($(this).index());
+            });
+
+            this.$list.on('click', '.bbab-palette-item', function(e) {
+                e.preventDefault();
+                self.highlight($(this).index());
+                self.choose(false);
+            });
+        },
+
+        /**
+         * @return {boolean}
+         */
+        isOpen: function() {
+            return !!this.$overlay && this.$overlay.is(':visible');
+        },
+
+        /**
+         * Show the palette and focus the search box.
+         */
+        open: function() {
+            if (!this.$overlay) {
+                this.build();
+            }
+
+            this.current = null;
+            this.$overlay.show();
+            this.$input.val('').trigger('focus');
+            this.renderResults([]);
+            this.setStatus('Type at least 2 characters.');
+        },
+
+        /**
+         * Hide the palette.
+         */
+        close: function() {
+            clearTimeout(this.searchTimer);
+
+            if (this.searchRequest) {
+                this.searchRequest.abort();
+            }
+
+            this.$overlay.hide();
+        },
+
+        /**
+         * Keyboard handling inside the search box.
+         *
+         * @param {Event} e - keydown event
+         */
+        handleKey: function(e) {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.move(1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.move(-1);
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    this.choose(false);
+                    break;
+                case 'ArrowRight':
+                case 'Tab':
+                    if (!this.current && this.$list.find('.is-active').length) {
+                        e.preventDefault();
+                        this.choose(true);
+                    }
+                    break;
+                case 'ArrowLeft':
+                    if (this.current) {
+                        e.preventDefault();
+                        this.current = null;
+                        this.renderResults(this.results);
+                    }
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    if (this.current) {
+                        this.current = null;
+                        this.renderResults(this.results);
+                    } else {
+                        this.close();
+                    }
+                    break;
+            }
+        },
+
+        /**
+         * Run palette_search and rank the results.
+         *
+         * @param {string} query - Search text
+         */
+        search: function(query) {
+            var self = this;
+
+            if (this.searchRequest) {
+                this.searchRequest.abort();
+            }
+
+            if (query.length < 2) {
+                this.results = [];
+                this.renderResults([]);
+                this.setStatus('Type at least 2 characters.');
                 return;
             }
 
-            var requestData = {
-                action: bbabScAdmin.action,
-                handler: handler,
-                nonce: bbabScAdmin.nonce,
-                data: JSON.stringify(data || {})
-            };
+            this.setStatus('Searching...');
 
-            $.post(bbabScAdmin.url, requestData, function(response) {
-                if (typeof callback === 'function') {
-                    callback(response);
+            this.searchRequest = BBABAdminAjax.request('palette_search', { query: query }, function(data) {
+                self.searchRequest = null;
+                self.results = self.rank(query, data.results || []);
+                self.renderResults(self.results);
+                self.setStatus(self.results.length ? '' : 'No matches.');
+            }, function(error) {
+                self.searchRequest = null;
+
+                if (error.message !== 'abort') {
+                    self.setStatus('Search failed: ' + error.message);
+                }
+            });
+        },
+
+        /**
+         * Sort results by fuzzy score against "ref title", dropping non-matches.
+         *
+         * @param {string} query   - Search text
+         * @param {Array}  results - Server results
+         * @return {Array}
+         */
+        rank: function(query, results) {
+            var self = this;
+
+            return $.map(results, function(result) {
+                var score = Math.max(
+                    self.fuzzyScore(query, result.ref || ''),
+                    self.fuzzyScore(query, result.title || '')
+                );
+
+                return score > 0 ? $.extend({ score: score }, result) : null;
+            }).sort(function(a, b) {
+                return b.score - a.score;
+            });
+        },
+
+        /**
+         * Subsequence match score; higher for consecutive and early matches.
+         *
+         * Dashes and spaces are ignored so "sr12" scores well against "SR-0012".
+         *
+         * @param {string} query - Search text
+         * @param {string} text  - Candidate text
+         * @return {number} 0 when not every query character appears in order
+         */
+        fuzzyScore: function(query, text) {
+            var q = query.toLowerCase().replace(/[\s-]+/g, '');
+            var t = text.toLowerCase().replace(/[\s-]+/g, '');
+            var score = 0;
+            var streak = 0;
+            var pos = 0;
+
+            if (!q) {
+                return 0;
+            }
+
+            for (var i = 0; i < q.length; i++) {
+                var found = t.indexOf(q.charAt(i), pos);
+
+                if (found === -1) {
+                    return 0;
+                }
+
+                streak = (found === pos) ? streak + 1 : 1;
+                score += streak + (found === 0 ? 3 : 0);
+                pos = found + 1;
+            }
+
+            // Favour shorter candidates for the same match
+            return score + q.length / t.length;
+        },
+
+        /**
+         * List results.
+         *
+         * @param {Array} results - Ranked results
+         */
+        renderResults: function(results) {
+            var $list = this.$list.empty();
+
+            $.each(results, function(i, result) {
+                var $item = $('<li class="bbab-palette-item" role="option"></li>');
+
+                if (result.ref) {
+                    $('<span class="bbab-palette-ref"></span>').text(result.ref).appendTo($item);
+                }
+
+                $('<span class="bbab-palette-title"></span>').text(result.title).appendTo($item);
+                $('<span class="bbab-palette-type"></span>').text(result.type_label).appendTo($item);
+                $item.appendTo($list);
+            });
+
+            this.highlight(0);
+        },
+
+        /**
+         * List the actions of one result.
+         *
+         * @param {object} result - Chosen result
+         */
+        renderActions: function(result) {
+            var $list = this.$list.empty();
+
+            $.each(result.actions, function(i, action) {
+                $('<li class="bbab-palette-item bbab-palette-action" role="option"></li>')
+                    .text(action.label)
+                    .appendTo($list);
+            });
+
+            this.highlight(0);
+            this.setStatus((result.ref ? result.ref + ' \u2014 ' : '') + result.title);
+        },
+
+        /**
+         * @param {number} step - 1 for down, -1 for up
+         */
+        move: function(step) {
+            var $items = this.$list.children();
+            var index = $items.index($items.filter('.is-active')) + step;
+
+            this.highlight(Math.max(0, Math.min($items.length - 1, index)));
+        },
+
+        /**
+         * @param {number} index - Item to highlight
+         */
+        highlight: function(index) {
+            var $items = this.$list.children().removeClass('is-active');
+            var $item = $items.eq(index).addClass('is-active');
+
+            if ($item.length) {
+                $item[0].scrollIntoView({ block: 'nearest' });
+            }
+        },
+
+        /**
+         * Act on the highlighted item.
+         *
+         * @param {boolean} showActions - List a result's actions instead of running the first
+         */
+        choose: function(showActions) {
+            var index = this.$list.children('.is-active').index();
+
+            if (index === -1) {
+                return;
+            }
+
+            if (this.current) {
+                this.run(this.current, this.current.actions[index]);
+                return;
+            }
+
+            var result = this.results[index];
+
+            if (showActions) {
+                this.current = result;
+                this.renderActions(result);
+            } else {
+                this.run(result, result.actions[0]);
+            }
+        },
+
+        /**
+         * Run an action.
+         *
+         * @param {object} result - Result the action belongs to
+         * @param {object} action - { id, label, url?, target_type? }
+         */
+        run: function(result, action) {
+            var self = this;
+
+            if (!action) {
+                return;
+            }
+
+            if (action.url) {
+                window.location.href = action.url;
+                return;
+            }
+
+            if (action.id === 'start_timer') {
+                // Hand off to admin-timer-sync.js, which handles "switch timer?" too
+                $('<a href="#" class="bbab-start-timer-for" style="display: none;"></a>')
+                    .attr('data-target-type', action.target_type)
+                    .attr('data-target-id', result.id)
+                    .appendTo('body')
+                    .trigger('click')
+                    .remove();
+                this.close();
+                return;
+            }
+
+            if (action.id === 'generate_pdf') {
+                this.setStatus('Generating PDF...');
+
+                BBABAdminAjax.request('invoice_generate_pdf', { invoice_id: result.id }, function(data) {
+                    self.setStatus(data.message);
+                }, function(error) {
+                    self.setStatus('Error: ' + error.message);
+                });
+            }
+        },
+
+        /**
+         * @param {string} message - Status line text
+         */
+        setStatus: function(message) {
+            this.$status.text(message).toggle(!!message);
+        }
+    };
+
+    /**
+     * Weekly timesheet grid.
+     *
+     * Each cell saves through the timesheet_save_cell handler when it
+     * changes. Service request cells warn before a client's free hours for
+     * the month would be exceeded; usage comes from the table's data-usage
+     * (keyed "orgId:Y-m") and is kept current from each save.
+     */
+    var Timesheet = {
+
+        $table: null,
+        $warning: null,
+
+        /**
+         * Free hours usage: { "orgId:Y-m": { month, used, limit } }.
+         */
+        usage: {},
+
+        /**
+         * Warning lines keyed by usage key.
+         */
+        warnings: {},
+
+        /**
+         * Bind the grid, if this is the timesheet page.
+         */
+        init: function() {
+            var self = this;
+
+            this.$table = $('.bbab-timesheet');
+
+            if (!this.$table.length) {
+                return;
+            }
+
+            this.$warning = $('.bbab-timesheet-warning');
+            this.usage = this.$table.data('usage') || {};
+
+            this.$table.on('input', '.bbab-ts-input', function() {
+                self.checkFreeHours($(this));
+            });
+
+            this.$table.on('change', '.bbab-ts-input', function() {
+                self.save($(this));
+            });
+
+            this.$table.on('keydown', '.bbab-ts-input', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    $(this).trigger('blur');
                 }
-            }).fail(function(xhr, status, error) {
-                console.error('BBAB Admin AJAX Error:', error);
             });
+
+            $('.bbab-ts-add-row').on('change', function() {
+                self.addRow($(this));
+            });
+        },
+
+        /**
+         * Round hours up to the quarter hour, like MonthlyReportService::roundToQuarterHour().
+         *
+         * @param {number} hours - Hours
+         * @return {number}
+         */
+        roundHours: function(hours) {
+            return Math.ceil(Math.round(hours * 60) / 15) * 15 / 60;
+        },
+
+        /**
+         * Read a cell input as hours (0 when empty or invalid).
+         *
+         * @param {jQuery} $input - Cell input
+         * @return {number}
+         */
+        inputHours: function($input) {
+            var hours = parseFloat($input.val());
+            return isNaN(hours) || hours < 0 ? 0 : hours;
+        },
+
+        /**
+         * Usage key for a cell, or null when the row doesn't count toward free hours.
+         *
+         * @param {jQuery} $input - Cell input
+         * @return {string|null}
+         */
+        usageKey: function($input) {
+            var $row = $input.closest('tr');
+
+            if ($row.data('type') !== 'service_request' || !$row.data('org-id')) {
+                return null;
+            }
+
+            return $row.data('org-id') + ':' + String($input.closest('td').data('date')).substr(0, 7);
+        },
+
+        /**
+         * Warn while typing if the new value would exceed the client's free hours.
+         *
+         * @param {jQuery} $input - Cell input
+         */
+        checkFreeHours: function($input) {
+            var key = this.usageKey($input);
+
+            if (!key || !this.usage[key]) {
+                return;
+            }
+
+            // Non-billable time doesn't count toward free hours either way
+            var projected = Number($input.data('billable')) === 0 ?
+                this.usage[key].used :
+                this.usage[key].used - Number($input.data('hours')) + this.roundHours(this.inputHours($input));
+
+            this.setWarning(key, $input.closest('tr').find('.bbab-ts-org').text(), projected);
+        },
+
+        /**
+         * Set or clear the warning line for one client and month.
+         *
+         * @param {string} key - Usage key
+         * @param {string} orgName - Client name
+         * @param {number} used - Hours used (or projected)
+         */
+        setWarning: function(key, orgName, used) {
+            var usage = this.usage[key];
+            var lines = [];
+
+            if (usage && usage.limit > 0 && used > usage.limit) {
+                this.warnings[key] = orgName + ' will have ' + used.toFixed(2) + ' of ' + Number(usage.limit).toFixed(2) +
+                    ' free hours used in ' + usage.month + ' (' + (used - usage.limit).toFixed(2) + ' over).';
+            } else {
+                delete this.warnings[key];
+            }
+
+            $.each(this.warnings, function(k, line) {
+                lines.push(line);
+            });
+
+            this.$warning.find('p').text(lines.join(' '));
+            this.$warning.prop('hidden', !lines.length);
+        },
+
+        /**
+         * Save a cell, then update its value, the totals and the client's usage.
+         *
+         * @param {jQuery} $input - Cell input
+         */
+        save: function($input) {
+            var self = this;
+            var $row = $input.closest('tr');
+            var previous = Number($input.data('hours'));
+            var hours = this.inputHours($input);
+            var orgName = $row.find('.bbab-ts-org').text();
+
+            if (this.roundHours(hours) === previous) {
+                $input.val(previous || '');
+                return;
+            }
+
+            $input.prop('disabled', true).closest('td').addClass('is-saving');
+
+            BBABAdminAjax.request('timesheet_save_cell', {
+                type: $row.data('type'),
+                id: $row.data('id'),
+                date: $input.closest('td').data('date'),
+                hours: hours
+            }, function(data) {
+                $input.val(data.cell.hours || '')
+                    .data('hours', data.cell.hours)
+                    .data('entry-id', data.cell.entry_id)
+                    .data('billable', data.cell.billable ? 1 : 0)
+                    .prop('disabled', false)
+                    .closest('td').removeClass('is-saving');
+
+                if (data.usage) {
+                    self.usage[data.usage.key] = data.usage;
+                    self.setWarning(data.usage.key, orgName, data.usage.used);
+                }
+
+                self.updateTotals();
+            }, function(error) {
+                $input.val(previous || '')
+                    .prop('disabled', false)
+                    .closest('td').removeClass('is-saving');
+
+                var key = self.usageKey($input);
+                if (key) {
+                    self.setWarning(key, orgName, self.usage[key] ? self.usage[key].used : 0);
+                }
+
+                if (error.code === 'billed' || error.code === 'timer_active') {
+                    self.lockCell($input, error.lock || error.message);
+                }
+
+                alert('Error: ' + error.message);
+            });
+        },
+
+        /**
+         * Turn a cell into a read-only locked cell (billed time or a live timer).
+         *
+         * @param {jQuery} $input - Cell input
+         * @param {string} reason - Why it is locked
+         */
+        lockCell: function($input, reason) {
+            var hours = Number($input.data('hours')) || 0;
+
+            $input.closest('td')
+                .addClass('is-locked')
+                .attr('title', reason)
+                .data('hours', hours)
+                .empty()
+                .append('<span class="dashicons dashicons-lock"></span> ')
+                .append(document.createTextNode(hours.toFixed(2)));
+        },
+
+        /**
+         * Recalculate row, day and week totals from the saved cell hours.
+         */
+        updateTotals: function() {
+            var $body = this.$table.find('tbody');
+            var grand = 0;
+
+            var cellHours = function($cells) {
+                var sum = 0;
+                $cells.each(function() {
+                    var $cell = $(this);
+                    var $input = $cell.find('.bbab-ts-input');
+                    sum += Number(($input.length ? $input : $cell).data('hours')) || 0;
+                });
+                return sum;
+            };
+
+            $body.find('tr[data-type]').each(function() {
+                var total = cellHours($(this).find('.bbab-ts-cell'));
+                $(this).find('.bbab-ts-row-total').text(total.toFixed(2));
+                grand += total;
+            });
+
+            this.$table.find('.bbab-ts-day-total').each(function() {
+                var $th = $(this);
+                $th.text(cellHours($body.find('.bbab-ts-cell[data-date="' + $th.data('date') + '"]')).toFixed(2));
+            });
+
+            this.$table.find('.bbab-ts-grand-total').text(grand.toFixed(2));
+        },
+
+        /**
+         * Add a service request or project row from the picker.
+         *
+         * @param {jQuery} $select - Add row select
+         */
+        addRow: function($select) {
+            var $option = $select.find('option:selected');
+
+            if (!$option.val()) {
+                return;
+            }
+
+            var $row = $($('.bbab-ts-row-template').html().trim());
+
+            $row.attr({
+                'data-type': $option.data('type'),
+                'data-id': $option.data('id'),
+                'data-org-id': $option.data('org-id')
+            });
+            $row.find('.bbab-ts-label a').attr('href', $option.data('edit-url')).text($option.data('label'));
+            $row.find('.bbab-ts-org').text($option.data('org-name'));
+
+            this.$table.find('.bbab-ts-empty').prop('hidden', true).before($row);
+
+            $option.remove();
+            $select.val('').prop('disabled', !$select.find('option[value!=""]').length);
+
+            $row.find('.bbab-ts-input').first().trigger('focus');
+        }
+    };
+
+    /**
+     * Time entry reassignment board.
+     *
+     * Entries are dragged (a checked row carries the whole selection) or
+     * picked from the "Move selected to" menu onto a service request,
+     * project or milestone. The move is previewed with each target's
+     * before/after hours, then sent to reassign_move. Recent moves can be
+     * undone through reassign_undo.
+     */
+    var Reassign = {
+
+        $board: null,
+        $preview: null,
+        $notice: null,
+        $log: null,
+
+        /**
+         * Pending move: { ids: [entry IDs], target: "type:id" }.
+         */
+        pending: null,
+
+        /**
+         * Entry IDs being dragged.
+         */
+        dragging: [],
+
+        /**
+         * Bind the board, if this is the reassignment page.
+         */
+        init: function() {
+            var self = this;
+
+            this.$notice = $('.bbab-ra-notice');
+            this.$log = $('.bbab-ra-log');
+            this.$board = $('.bbab-ra-board');
+
+            this.$log.on('click', '.bbab-ra-undo', function() {
+                self.undo($(this).closest('.bbab-ra-move'));
+            });
+
+            if (!this.$board.length) {
+                return;
+            }
+
+            this.$preview = $('.bbab-ra-preview');
+
+            this.$board.on('change', '.bbab-ra-select', function() {
+                $(this).closest('tr').toggleClass('is-selected', this.checked);
+                self.updateSelection();
+            });
+
+            this.$board.on('change', '.bbab-ra-select-all', function() {
+                self.$board.find('.bbab-ra-select').prop('checked', this.checked).trigger('change');
+            });
+
+            this.$board.on('dragstart', '.bbab-ra-entry[draggable]', function(e) {
+                var $row = $(this);
+                var $checkbox = $row.find('.bbab-ra-select');
+
+                self.dragging = $checkbox.prop('checked') ? self.selectedIds() : [Number($row.data('id'))];
+                self.$board.addClass('is-dragging');
+
+                e.originalEvent.dataTransfer.effectAllowed = 'move';
+                e.originalEvent.dataTransfer.setData('text/plain', self.dragging.join(','));
+            });
+
+            this.$board.on('dragend', '.bbab-ra-entry', function() {
+                self.dragging = [];
+                self.$board.removeClass('is-dragging').find('.bbab-ra-target').removeClass('is-over');
+            });
+
+            this.$board.on('dragover', '.bbab-ra-target', function(e) {
+                if (!self.dragging.length || $(this).data('lock')) {
+                    return;
+                }
+                e.preventDefault();
+                e.originalEvent.dataTransfer.dropEffect = 'move';
+                $(this).addClass('is-over');
+            });
+
+            this.$board.on('dragleave', '.bbab-ra-target', function() {
+                $(this).removeClass('is-over');
+            });
+
+            this.$board.on('drop', '.bbab-ra-target', function(e) {
+                e.preventDefault();
+                $(this).removeClass('is-over');
+
+                if (self.dragging.length) {
+                    self.preview(self.dragging, String($(this).data('target')));
+                }
+            });
+
+            $('.bbab-ra-move-target').on('change', function() {
+                var target = $(this).val();
+                $(this).val('');
+
+                if (target) {
+                    self.preview(self.selectedIds(), target);
+                }
+            });
+
+            this.$preview.on('click', '.bbab-ra-confirm', function() {
+                self.confirm();
+            });
+
+            this.$preview.on('click', '.bbab-ra-cancel', function() {
+                self.clearPreview();
+            });
+
+            $(document).on('keydown', function(e) {
+                if (e.key === 'Escape' && self.pending) {
+                    self.clearPreview();
+                }
+            });
+        },
+
+        /**
+         * @return {number[]} Checked entry IDs
+         */
+        selectedIds: function() {
+            return this.$board.find('.bbab-ra-select:checked').map(function() {
+                return Number($(this).val());
+            }).get();
+        },
+
+        /**
+         * Enable the move menu and show the selection size.
+         */
+        updateSelection: function() {
+            var ids = this.selectedIds();
+            var hours = 0;
+            var self = this;
+
+            $.each(ids, function(i, id) {
+                hours += Number(self.row(id).data('hours')) || 0;
+            });
+
+            $('.bbab-ra-move-target').prop('disabled', !ids.length);
+            $('.bbab-ra-selected-count').text(ids.length ? ids.length + ' selected, ' + hours.toFixed(2) + ' hours' : '');
+        },
+
+        /**
+         * @param {number} id - Entry ID
+         * @return {jQuery} Entry row
+         */
+        row: function(id) {
+            return this.$board.find('.bbab-ra-entry[data-id="' + id + '"]');
+        },
+
+        /**
+         * @param {string} key - Target key ("type:id")
+         * @return {jQuery} Target item
+         */
+        target: function(key) {
+            return this.$board.find('.bbab-ra-target[data-target="' + key + '"]');
+        },
+
+        /**
+         * Show a move's before/after hours per target and wait for confirmation.
+         *
+         * @param {number[]} ids - Entry IDs
+         * @param {string} key - Destination target key
+         */
+        preview: function(ids, key) {
+            var self = this;
+            var $dest = this.target(key);
+            var deltas = {};
+            var moving = [];
+            var hours = 0;
+
+            this.clearPreview();
+
+            if ($dest.data('lock')) {
+                this.notice('error', $dest.data('label') + ': ' + $dest.data('lock'));
+                return;
+            }
+
+            $.each(ids, function(i, id) {
+                var $row = self.row(id);
+                var from = String($row.data('target'));
+                var entryHours = Number($row.data('hours')) || 0;
+
+                if (!$row.length || from === key) {
+                    return;
+                }
+
+                moving.push(id);
+                hours += entryHours;
+                deltas[from] = (deltas[from] || 0) - entryHours;
+            });
+
+            if (!moving.length) {
+                this.notice('info', 'The selected entries are already filed under ' + $dest.data('label') + '.');
+                return;
+            }
+
+            deltas[key] = hours;
+            this.pending = { ids: moving, target: key };
+
+            var $tbody = this.$preview.find('tbody').empty();
+
+            $.each(deltas, function(k, delta) {
+                var $target = self.target(k);
+                var before = Number($target.find('.bbab-ra-target-hours').text()) || 0;
+
+                $target.find('.bbab-ra-target-delta')
+                    .text((delta > 0 ? '+' : '\u2212') + Math.abs(delta).toFixed(2))
+                    .toggleClass('is-negative', delta < 0)
+                    .prop('hidden', false);
+
+                $('<tr>')
+                    .append($('<td>').text($target.data('label') || k))
+                    .append($('<td class="bbab-ra-hours">').text(before.toFixed(2)))
+                    .append($('<td class="bbab-ra-hours">').text((before + delta).toFixed(2)))
+                    .appendTo($tbody);
+            });
+
+            $.each(moving, function(i, id) {
+                self.row(id).addClass('is-pending');
+            });
+
+            this.$preview.find('.bbab-ra-preview-title').text(
+                'Move ' + moving.length + (moving.length === 1 ? ' entry' : ' entries') +
+                ' (' + hours.toFixed(2) + ' hours) to ' + $dest.data('label') + '?'
+            );
+            this.$preview.prop('hidden', false);
+            this.$preview.find('.bbab-ra-confirm').prop('disabled', false).trigger('focus');
+        },
+
+        /**
+         * Hide the preview and the target deltas.
+         */
+        clearPreview: function() {
+            this.pending = null;
+            this.$preview.prop('hidden', true);
+            this.$board.find('.bbab-ra-target-delta').prop('hidden', true);
+            this.$board.find('.bbab-ra-entry').removeClass('is-pending');
+        },
+
+        /**
+         * Send the pending move.
+         */
+        confirm: function() {
+            var self = this;
+            var pending = this.pending;
+
+            if (!pending) {
+                return;
+            }
+
+            var parts = pending.target.split(':');
+
+            this.$preview.find('.bbab-ra-confirm').prop('disabled', true);
+
+            BBABAdminAjax.request('reassign_move', {
+                entry_ids: pending.ids,
+                type: parts[0],
+                target_id: parts[1]
+            }, function(data) {
+                self.clearPreview();
+                self.applyEntries(data.entries);
+                self.$board.find('.bbab-ra-select:checked').prop('checked', false).closest('tr').removeClass('is-selected');
+                self.$board.find('.bbab-ra-select-all').prop('checked', false);
+                self.updateSelection();
+                self.addMove(data.move);
+                self.notice('success', 'Moved ' + data.move.summary + '.');
+            }, function(error) {
+                self.clearPreview();
+                self.notice('error', self.errorText(error));
+            });
+        },
+
+        /**
+         * Undo a logged move.
+         *
+         * @param {jQuery} $move - Recent Moves item
+         */
+        undo: function($move) {
+            var self = this;
+            var $button = $move.find('.bbab-ra-undo').prop('disabled', true);
+
+            BBABAdminAjax.request('reassign_undo', {
+                move_id: $move.data('move-id')
+            }, function(data) {
+                self.markUndone($move);
+
+                var message = 'Undid ' + data.move.summary + '.';
+                if (data.skipped) {
+                    message += ' ' + data.skipped + (data.skipped === 1 ? ' entry was' : ' entries were') + ' moved again since and stayed put.';
+                }
+                self.notice('success', message);
+
+                if (!self.applyEntries(data.entries)) {
+                    // An entry went back to a target that isn't on the board (or this is another month).
+                    window.location.reload();
+                }
+            }, function(error) {
+                if (error.code === 'already_undone') {
+                    self.markUndone($move);
+                } else {
+                    $button.prop('disabled', false);
+                }
+                self.notice('error', self.errorText(error));
+            });
+        },
+
+        /**
+         * Refile entry rows after a move and recount the target hours.
+         *
+         * @param {Array} entries - [{ id, target }]
+         * @return {boolean} False when an entry on the board landed on a target that isn't shown
+         */
+        applyEntries: function(entries) {
+            var self = this;
+            var complete = true;
+
+            if (!this.$board.length) {
+                return true;
+            }
+
+            $.each(entries, function(i, entry) {
+                var $row = self.row(entry.id);
+                var $target = self.target(entry.target);
+
+                if (!$row.length) {
+                    return;
+                }
+
+                if (!$target.length) {
+                    complete = false;
+                    return;
+                }
+
+                $row.attr('data-target', entry.target).data('target', entry.target);
+                $row.find('.bbab-ra-filed').text($target.data('label'));
+            });
+
+            this.updateTotals();
+
+            return complete;
+        },
+
+        /**
+         * Recount each target's hours from the entry rows.
+         */
+        updateTotals: function() {
+            var totals = {};
+
+            this.$board.find('.bbab-ra-entry').each(function() {
+                var key = String($(this).data('target'));
+                totals[key] = (totals[key] || 0) + (Number($(this).data('hours')) || 0);
+            });
+
+            this.$board.find('.bbab-ra-target').each(function() {
+                $(this).find('.bbab-ra-target-hours').text((totals[String($(this).data('target'))] || 0).toFixed(2));
+            });
+        },
+
+        /**
+         * Add a move to the top of the Recent Moves list.
+         *
+         * @param {Object} move - { id, summary, user, when, undone }
+         */
+        addMove: function(move) {
+            var $item = $('<li class="bbab-ra-move">').attr('data-move-id', move.id)
+                .append($('<span class="bbab-ra-move-summary">').text(move.summary))
+                .append(' ')
+                .append($('<span class="bbab-text-muted">').text([move.user, move.when].filter(Boolean).join(', ')))
+                .append(' ')
+                .append($('<button type="button" class="button-link bbab-ra-undo">').text('Undo'));
+
+            this.$log.prepend($item);
+            this.$log.find('.bbab-ra-log-empty').prop('hidden', true);
+        },
+
+        /**
+         * @param {jQuery} $move - Recent Moves item
+         */
+        markUndone: function($move) {
+            $move.addClass('is-undone').find('.bbab-ra-undo')
+                .replaceWith($('<span class="bbab-ra-move-state">').text('Undone'));
+        },
+
+        /**
+         * Error message, listing blocked entries for billing locks.
+         *
+         * @param {Object} error - { message, code, blocked }
+         * @return {string}
+         */
+        errorText: function(error) {
+            var lines = [error.message];
+
+            $.each(error.blocked || [], function(i, blocked) {
+                lines.push(blocked.ref + ': ' + blocked.reason);
+            });
+
+            return lines.join('\n');
+        },
+
+        /**
+         * Show a notice above the board.
+         *
+         * @param {string} type - 'success', 'error' or 'info'
+         * @param {string} message - Text (newlines become separate lines)
+         */
+        notice: function(type, message) {
+            var $p = this.$notice.find('p').empty();
+
+            $.each(String(message).split('\n'), function(i, line) {
+                if (i) {
+                    $p.append('<br>');
+                }
+                $p.append(document.createTextNode(line));
+            });
+
+            this.$notice
+                .removeClass('notice-success notice-error notice-info')
+                .addClass('notice-' + type)
+                .prop('hidden', false);
         }
     };
 
     // Initialize on document ready
     $(document).ready(function() {
         BBAdminWorkbench.init();
+        CommandPalette.init();
+        Timesheet.init();
+        Reassign.init();
     });
 
 })(jQuery);
@@ -31,8 +31,69 @@
                     }
                 },
                 error: function(xhr, status, error) {
-                    if (errorCallback) errorCallback({ message: error });
-                    else console.error('BBAB AJAX Error:', error);
+                    // Router errors carry { message, code } with a non-200 status
+                    var body = xhr.responseJSON;
+                    var errorData = body && body.data ? body.data : { message: error || 'Something went wrong. Please try again.', code: 'error' };
+
+                    if (errorCallback) errorCallback(errorData);
+                    else console.error('BBAB AJAX Error:', errorData.message);
+                }
+            });
+        },
+
+        /**
+         * Upload a file through the AjaxRouter, reporting progress.
+         *
+         * The handler receives data as usual and the file as $_FILES['file'].
+         *
+         * @param {string}   handler          - Router handler name
+         * @param {File}     file             - File to upload
+         * @param {object}   data             - Extra request data
+         * @param {function} progressCallback - Called with 0..1 as the upload proceeds
+         * @param {function} successCallback  - Called with the response data
+         * @param {function} errorCallback    - Called with { message, code }
+         * @return {jqXHR}
+         */
+        upload: function(handler, file, data, progressCallback, successCallback, errorCallback) {
+            var formData = new FormData();
+            formData.append('action', bbabScAjax.action);
+            formData.append('handler', handler);
+            formData.append('nonce', bbabScAjax.nonce);
+            formData.append('data', JSON.stringify(data));
+            formData.append('file', file);
+
+            return $.ajax({
+                url: bbabScAjax.url,
+                type: 'POST',
+                data: formData,
+                processData: false,
+                contentType: false,
+                xhr: function() {
+                    var xhr = $.ajaxSettings.xhr();
+
+                    if (xhr.upload && progressCallback) {
+                        xhr.upload.addEventListener('progress', function(e) {
+                            if (e.lengthComputable) {
+                                progressCallback(e.loaded / e.total);
+                            }
+                        });
+                    }
+
+                    return xhr;
+                },
+                success: function(response) {
+                    if (response.success) {
+                        if (successCallback) successCallback(response.data);
+                    } else if (errorCallback) {
+                        errorCallback(response.data);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    var body = xhr.responseJSON;
+                    var errorData = body && body.data ? body.data : { message: error || 'Upload failed. Please try again.', code: 'error' };
+
+                    if (errorCallback) errorCallback(errorData);
+                    else console.error('BBAB Upload Error:', errorData.message);
                 }
             });
         },
@@ -84,92 +145,925 @@
 
         // Initialize Roadmap handlers
         initRoadmapHandlers();
+
+        // Initialize client analytics charts
+        initAnalyticsCharts();
+
+        // Initialize the simulation bar's org switcher (admins simulating only)
+        initSimulationSwitcher();
+
+        // Initialize the notification bell and deep-link highlighting
+        initNotifications();
+        highlightFromHash();
+        $(window).on('hashchange', highlightFromHash);
+
+        // Initialize the interactive project list
+        initProjectList();
     });
 
     /**
-     * Initialize Roadmap AJAX handlers
-     * Handles: I'm Interested, Not Right Now, Decline, Approve buttons
+     * Initialize analytics chart cards ([client_analytics] traffic/CWV charts).
+     *
+     * Each card carries its first payload in data-chart; the range, compare
+     * and device switches fetch a new one from analytics_chart_data.
      */
-    function initRoadmapHandlers() {
-        // "I'm Interested" button handler
-        $(document).on('click', '.btn-interested', function() {
-            var $btn = $(this);
-            var $card = $btn.closest('.roadmap-card');
-            var itemId = $btn.data('item-id');
-            var nonce = $btn.data('nonce');
+    function initAnalyticsCharts() {
+        $('.bbab-chart-card').each(function() {
+            var $card = $(this);
+            var chart = $card.data('chart');
+            var requestId = 0;
+            var activeKey = null;
+
+            if (!chart || !chart.series) {
+                return;
+            }
+
+            /**
+             * Draw the summary and the chart for a payload.
+             *
+             * @param {object} payload - Chart payload from ClientAnalytics
+             */
+            function render(payload) {
+                var shown = payload.series;
+
+                $card.removeClass('is-loading');
+                $card.find('.bbab-chart-empty').prop('hidden', !!payload.available);
+                $card.find('.bbab-chart-summary, .bbab-chart-canvas').toggle(!!payload.available);
+
+                if (!payload.available) {
+                    return;
+                }
 
-            $btn.prop('disabled', true).text('Sending...');
+                // Metrics on different scales are shown one at a time
+                if (payload.single) {
+                    if (!activeKey || !payload.series.some(function(series) { return series.key === activeKey; })) {
+                        activeKey = payload.series[0].key;
+                    }
+                    shown = payload.series.filter(function(series) {
+                        return series.key === activeKey;
+                    });
+                }
+
+                renderSummary(payload);
+                $card.find('.bbab-chart-canvas').html(buildLineChart(payload.labels, shown));
+            }
+
+            /**
+             * Draw the summary row (legend, totals and change).
+             *
+             * @param {object} payload - Chart payload
+             */
+            function renderSummary(payload) {
+                var $summary = $card.find('.bbab-chart-summary').empty();
+
+                $.each(payload.series, function(i, series) {
+                    var $item = $(payload.single ? '<button type="button"></button>' : '<div></div>')
+                        .addClass('bbab-chart-summary-item')
+                        .attr('data-key', series.key)
+                        .append($('<span class="bbab-chart-swatch"></span>').css('background', series.color))
+                        .append($('<span class="bbab-chart-summary-label"></span>').text(series.label))
+                        .append($('<span class="bbab-chart-summary-value"></span>').text(series.summary));
+
+                    if (series.change !== null && series.change !== undefined) {
+                        var improved = series.lower_is_better ? series.change <= 0 : series.change >= 0;
+                        $item.append($('<span class="bbab-trend-badge"></span>')
+                            .addClass(improved ? 'trend-up' : 'trend-down')
+                            .text((series.change >= 0 ? '\u2191 ' : '\u2193 ') + Math.abs(series.change) + '%'));
+                    }
+
+                    if (payload.single) {
+                        $item.toggleClass('is-active', series.key === activeKey)
+                            .attr('aria-pressed', series.key === activeKey ? 'true' : 'false');
+                    }
+
+                    $summary.append($item);
+                });
+            }
+
+            /**
+             * Fetch a payload for the current switches.
+             */
+            function load() {
+                var thisRequest = ++requestId;
+
+                $card.addClass('is-loading');
+
+                BBAB.ajax('analytics_chart_data', {
+                    chart: chart.chart,
+                    range: parseInt($card.find('.bbab-chart-ranges .is-active').data('range'), 10),
+                    compare: $card.find('.bbab-chart-compare input').is(':checked'),
+                    strategy: $card.find('.bbab-chart-strategy').val() || ''
+                }, function(payload) {
+                    if (thisRequest !== requestId) {
+                        return;
+                    }
+                    chart = payload;
+                    render(payload);
+                }, function(error) {
+                    if (thisRequest !== requestId) {
+                        return;
+                    }
+                    $card.removeClass('is-loading');
+                    alert(error.message || 'Could not load chart data.');
+                });
+            }
+
+            $card.on('click', '.bbab-chart-ranges button', function() {
+                $(this).addClass('is-active').attr('aria-pressed', 'true')
+                    .siblings().removeClass('is-active').attr('aria-pressed', 'false');
+                load();
+            });
+
+            $card.on('change', '.bbab-chart-compare input, .bbab-chart-strategy', load);
 
-            $.post(bbabScAjax.url, {
-                action: 'roadmap_interested',
-                item_id: itemId,
-                nonce: nonce
-            }, function(response) {
-                if (response.success) {
-                    $card.html('<p style="padding: 20px; text-align: center; color: #059669;">&#10004; ' + response.data.message + '</p>');
-                    setTimeout(function() { $card.fadeOut(); }, 2000);
-                } else {
-                    alert(response.data.message || 'Something went wrong');
-                    $btn.prop('disabled', false).text("I'm Interested");
+            $card.on('click', 'button.bbab-chart-summary-item', function() {
+                activeKey = $(this).data('key');
+                render(chart);
+            });
+
+            render(chart);
+        });
+    }
+
+    /**
+     * Build an SVG line chart.
+     *
+     * Null values leave a gap. Series with a 'previous' array get a dashed
+     * line for the comparison period, aligned day by day.
+     *
+     * @param {string[]} labels - X axis labels
+     * @param {object[]} series - [{ label, color, decimals, unit, values, previous }]
+     * @return {string} SVG markup
+     */
+    function buildLineChart(labels, series) {
+        var width = 640;
+        var height = 240;
+        var pad = { top: 12, right: 12, bottom: 28, left: 48 };
+        var plotW = width - pad.left - pad.right;
+        var plotH = height - pad.top - pad.bottom;
+        var max = 0;
+        var svg = [];
+
+        var esc = function(text) {
+            return $('<div>').text(String(text)).html();
+        };
+
+        var format = function(value, item) {
+            var decimals = item.decimals || 0;
+            return Number(value).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }) + (item.unit || '');
+        };
+
+        var x = function(i) {
+            return pad.left + (labels.length > 1 ? (i / (labels.length - 1)) * plotW : plotW / 2);
+        };
+
+        $.each(series, function(i, item) {
+            $.each((item.values || []).concat(item.previous || []), function(j, value) {
+                if (value !== null && value > max) {
+                    max = value;
                 }
-            }).fail(function() {
-                alert('Something went wrong. Please try again.');
-                $btn.prop('disabled', false).text("I'm Interested");
             });
         });
 
-        // "Not Right Now" / "Decline" button handler
-        $(document).on('click', '.btn-not-now, .btn-decline', function() {
-            var $btn = $(this);
+        // Round the top of the scale up to a readable step
+        var step = Math.pow(10, Math.floor(Math.log10(max || 1)));
+        var top = Math.ceil((max || 1) / step) * step;
+        var decimals = top < 1 ? 3 : (top < 10 ? 1 : 0);
+
+        var y = function(value) {
+            return pad.top + plotH - (value / top) * plotH;
+        };
+
+        var path = function(values) {
+            var d = '';
+            var drawing = false;
+
+            $.each(values, function(i, value) {
+                if (value === null || value === undefined) {
+                    drawing = false;
+                    return;
+                }
+                d += (drawing ? 'L' : 'M') + x(i).toFixed(1) + ' ' + y(value).toFixed(1) + ' ';
+                drawing = true;
+            });
+
+            return d;
+        };
+
+        svg.push('<svg class="bbab-line-chart" viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="xMidYMid meet" role="img">');
+
+        // Grid and Y axis
+        for (var g = 0; g <= 4; g++) {
+            var value = (top / 4) * g;
+            svg.push('<line class="bbab-chart-grid" x1="' + pad.left + '" x2="' + (width - pad.right) + '" y1="' + y(value) + '" y2="' + y(value) + '"/>');
+            svg.push('<text class="bbab-chart-axis" x="' + (pad.left - 6) + '" y="' + (y(value) + 4) + '" text-anchor="end">' +
+                esc(Number(value).toLocaleString('en-US', { maximumFractionDigits: decimals })) + '</text>');
+        }
+
+        // X axis: about six labels
+        var every = Math.max(1, Math.ceil(labels.length / 6));
+        $.each(labels, function(i, label) {
+            if (i % every === 0 || i === labels.length - 1) {
+                svg.push('<text class="bbab-chart-axis" x="' + x(i) + '" y="' + (height - 8) + '" text-anchor="middle">' + esc(label) + '</text>');
+            }
+        });
+
+        $.each(series, function(i, item) {
+            if (item.previous) {
+                svg.push('<path class="bbab-chart-line is-previous" stroke="' + esc(item.color) + '" d="' + path(item.previous) + '"/>');
+            }
+            svg.push('<path class="bbab-chart-line" stroke="' + esc(item.color) + '" d="' + path(item.values) + '"/>');
+
+            // Points carry the exact values as tooltips
+            $.each(item.values, function(j, value) {
+                if (value === null || value === undefined) {
+                    return;
+                }
+
+                var tip = labels[j] + ' \u2013 ' + item.label + ': ' + format(value, item);
+                if (item.previous && item.previous[j] !== null && item.previous[j] !== undefined) {
+                    tip += ' (previous period: ' + format(item.previous[j], item) + ')';
+                }
+
+                svg.push('<circle class="bbab-chart-point" cx="' + x(j).toFixed(1) + '" cy="' + y(value).toFixed(1) + '" r="' + (labels.length > 45 ? 2 : 3) + '" fill="' + esc(item.color) + '"><title>' + esc(tip) + '</title></circle>');
+            });
+        });
+
+        svg.push('</svg>');
+
+        return svg.join('');
+    }
+
+    /**
+     * Initialize the notification bell ([dashboard_notifications]).
+     *
+     * Polls notifications_list while the tab is visible. Clicking a
+     * notification marks it read and follows its link; the x dismisses it.
+     */
+    function initNotifications() {
+        var $center = $('.bbab-notifications').first();
+
+        if (!$center.length) {
+            return;
+        }
+
+        var $bell = $center.find('.bbab-notifications-bell');
+        var $badge = $center.find('.bbab-notifications-badge');
+        var $panel = $center.find('.bbab-notifications-panel');
+        var $list = $center.find('.bbab-notifications-list');
+        var $empty = $center.find('.bbab-notifications-empty');
+        var $markAll = $center.find('.bbab-notifications-mark-all');
+        var interval = (parseInt($center.data('poll-interval'), 10) || 60) * 1000;
+
+        /**
+         * Render the list and badge.
+         *
+         * @param {object} data - { notifications, unread }
+         */
+        function render(data) {
+            var notifications = data.notifications || [];
+            var unread = parseInt(data.unread, 10) || 0;
+
+            $list.empty();
+            $.each(notifications, function(i, item) {
+                var $link = $('<a class="bbab-notification-link"></a>')
+                    .attr('href', item.url || '#')
+                    .append($('<span class="bbab-notification-title"></span>').text(item.title))
+                    .append($('<span class="bbab-notification-message"></span>').text(item.message))
+                    .append($('<span class="bbab-notification-date"></span>').text(item.date));
+
+                $('<li class="bbab-notification"></li>')
+                    .toggleClass('is-unread', !item.read)
+                    .addClass('type-' + item.type)
+                    .attr('data-id', item.id)
+                    .append($link)
+                    .append($('<button type="button" class="bbab-notification-dismiss" aria-label="Dismiss">&times;</button>'))
+                    .appendTo($list);
+            });
+
+            $empty.toggle(!notifications.length);
+            $badge.text(unread > 9 ? '9+' : unread).prop('hidden', !unread);
+            $markAll.prop('disabled', !unread);
+        }
+
+        /**
+         * Fetch the list (skipped while the tab is hidden).
+         */
+        function refresh() {
+            if (document.hidden) {
+                return;
+            }
+
+            BBAB.ajax('notifications_list', {}, render, function() {
+                // Try again on the next poll
+            });
+        }
+
+        /**
+         * Open or close the panel.
+         *
+         * @param {boolean} open - Whether to open
+         */
+        function toggle(open) {
+            $panel.prop('hidden', !open);
+            $bell.attr('aria-expanded', open ? 'true' : 'false');
+        }
+
+        $bell.on('click', function(e) {
+            e.stopPropagation();
+            toggle($panel.prop('hidden'));
+        });
+
+        $panel.on('click', function(e) {
+            e.stopPropagation();
+        });
+
+        $(document).on('click', function() {
+            toggle(false);
+        });
+
+        $(document).on('keydown', function(e) {
+            if (e.key === 'Escape' && !$panel.prop('hidden')) {
+                toggle(false);
+                $bell.trigger('focus');
+            }
+        });
+
+        $markAll.on('click', function() {
+            $markAll.prop('disabled', true);
+            BBAB.ajax('notifications_mark_read', { all: true }, render, function() {
+                $markAll.prop('disabled', false);
+            });
+        });
+
+        $list.on('click', '.bbab-notification-link', function(e) {
+            var $item = $(this).closest('.bbab-notification');
+            var url = $(this).attr('href');
+            var go = function() {
+                toggle(false);
+                if (url && url !== '#') {
+                    window.location.href = url;
+                }
+            };
+
+            e.preventDefault();
+
+            if (!$item.hasClass('is-unread')) {
+                go();
+                return;
+            }
+
+            // Navigate whether or not the read flag saves
+            BBAB.ajax('notifications_mark_read', { ids: [$item.data('id')] }, function(data) {
+                render(data);
+                go();
+            }, go);
+        });
+
+        $list.on('click', '.bbab-notification-dismiss', function() {
+            var $item = $(this).closest('.bbab-notification');
+
+            $item.addClass('is-removing');
+            BBAB.ajax('notifications_dismiss', { id: $item.data('id') }, render, function(error) {
+                $item.removeClass('is-removing');
+                alert(error.message || 'Could not dismiss the notification.');
+            });
+        });
+
+        $(document).on('visibilitychange', function() {
+            if (!document.hidden) {
+                refresh();
+            }
+        });
+
+        refresh();
+        setInterval(refresh, interval);
+    }
+
+    /**
+     * Initialize the org switcher in the simulation bar.
+     *
+     * Typing filters both lists; Enter picks the first match. Picking an org
+     * switches the simulation through simulation_switch_org, then reloads the
+     * page (minus any compare view) as that org.
+     */
+    function initSimulationSwitcher() {
+        var $switcher = $('.bbab-sim-switcher').first();
+
+        if (!$switcher.length) {
+            return;
+        }
+
+        var $toggle = $switcher.find('.bbab-sim-switcher-toggle');
+        var $panel = $switcher.find('.bbab-sim-switcher-panel');
+        var $search = $switcher.find('.bbab-sim-switcher-search');
+        var $recent = $switcher.find('.bbab-sim-switcher-recent');
+        var $items = $switcher.find('.bbab-sim-switcher-item');
+        var $empty = $switcher.find('.bbab-sim-switcher-empty');
+        var $error = $switcher.find('.bbab-sim-switcher-error');
+
+        /**
+         * Open or close the panel.
+         *
+         * @param {boolean} open - Whether to open
+         */
+        function toggle(open) {
+            $panel.prop('hidden', !open);
+            $toggle.attr('aria-expanded', open ? 'true' : 'false');
+
+            if (open) {
+                $search.val('');
+                filter();
+                $search.trigger('focus');
+            }
+        }
+
+        /**
+         * Show only orgs matching the search. Recent is hidden while searching.
+         */
+        function filter() {
+            var term = $.trim($search.val()).toLowerCase();
+
+            $items.each(function() {
+                var $item = $(this);
+                $item.prop('hidden', term !== '' && String($item.data('search')).indexOf(term) === -1);
+            });
+
+            $recent.prop('hidden', term !== '');
+            $empty.prop('hidden', $switcher.find('.bbab-sim-switcher-all .bbab-sim-switcher-item:not([hidden])').length > 0);
+        }
+
+        /**
+         * Switch to an org and reload.
+         *
+         * @param {jQuery} $button - The org's button
+         */
+        function choose($button) {
+            $switcher.find('.bbab-sim-switcher-org').prop('disabled', true);
+            $error.prop('hidden', true);
+
+            BBAB.ajax('simulation_switch_org', { org_id: $button.data('org-id') }, function() {
+                window.location.href = $switcher.data('reload-url');
+            }, function(error) {
+                $switcher.find('.bbab-sim-switcher-item:not(.is-current) .bbab-sim-switcher-org').prop('disabled', false);
+                $error.text(error.message || 'Could not switch organizations.').prop('hidden', false);
+            });
+        }
+
+        $toggle.on('click', function(e) {
+            e.stopPropagation();
+            toggle($panel.prop('hidden'));
+        });
+
+        $panel.on('click', function(e) {
+            e.stopPropagation();
+        });
+
+        $(document).on('click', function() {
+            toggle(false);
+        });
+
+        $search.on('input', filter);
+
+        $search.on('keydown', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                var $first = $switcher.find('.bbab-sim-switcher-all .bbab-sim-switcher-item:not([hidden]):not(.is-current) .bbab-sim-switcher-org').first();
+                if ($first.length) {
+                    choose($first);
+                }
+            } else if (e.key === 'Escape') {
+                toggle(false);
+                $toggle.trigger('focus');
+            }
+        });
+
+        $panel.on('click', '.bbab-sim-switcher-org', function() {
+            choose($(this));
+        });
+    }
+
+    /**
+     * Initialize the project list ([dashboard_project_list]).
+     *
+     * Projects load once from project_list; status filters, sorting and the
+     * list/card toggle work on that copy. Switching views saves the choice
+     * through project_list_view.
+     */
+    function initProjectList() {
+        $('.bbab-project-list').each(function() {
+            var $wrap = $(this);
+            var $filters = $wrap.find('.bbab-project-list-filters');
+            var $sort = $wrap.find('.bbab-project-list-sort');
+            var $direction = $wrap.find('.bbab-project-list-direction');
+            var $status = $wrap.find('.bbab-project-list-status');
+            var $items = $wrap.find('.bbab-project-list-items');
+            var projects = [];
+            var filter = 'open';
+            var descending = true;
+            var view = $wrap.data('view') || 'list';
+
+            // Natural direction per sort: newest start, soonest due, most done, most owed
+            var defaultDescending = { start: true, due: false, progress: true, outstanding: true };
+
+            /**
+             * Compare two projects on the current sort.
+             */
+            function compare(a, b) {
+                var key = $sort.val();
+                var result;
+
+                // Projects without a due date go last either way
+                if (key === 'due' && (!a.due || !b.due)) {
+                    return (a.due ? 0 : 1) - (b.due ? 0 : 1);
+                }
+
+                result = (key === 'progress' || key === 'outstanding') ?
+                    a[key] - b[key] :
+                    (a[key] < b[key] ? -1 : (a[key] > b[key] ? 1 : 0));
+
+                return (descending ? -result : result) || a.name.localeCompare(b.name);
+            }
+
+            /**
+             * Does a project pass the current status filter?
+             */
+            function matches(project) {
+                if (filter === 'all') {
+                    return true;
+                }
+                return filter === 'open' ? project.open : project.status === filter;
+            }
+
+            /**
+             * Draw the status filter buttons with counts.
+             *
+             * @param {string[]} statuses - Statuses present, in display order
+             */
+            function renderFilters(statuses) {
+                var options = [{ key: 'open', label: 'Open' }];
+
+                $.each(statuses, function(i, status) {
+                    options.push({ key: status, label: status });
+                });
+                options.push({ key: 'all', label: 'All' });
+
+                $filters.empty();
+                $.each(options, function(i, option) {
+                    var count = $.grep(projects, function(project) {
+                        return option.key === 'all' || (option.key === 'open' ? project.open : project.status === option.key);
+                    }).length;
+
+                    $('<button type="button" class="bbab-project-list-filter"></button>')
+                        .attr('data-filter', option.key)
+                        .text(option.label + ' (' + count + ')')
+                        .appendTo($filters);
+                });
+
+                updateFilters();
+            }
+
+            /**
+             * Mark the active filter button.
+             */
+            function updateFilters() {
+                $filters.find('.bbab-project-list-filter').each(function() {
+                    var active = $(this).data('filter') === filter;
+                    $(this).toggleClass('is-active', active).attr('aria-pressed', active ? 'true' : 'false');
+                });
+            }
+
+            /**
+             * Mark the active view button.
+             */
+            function updateViews() {
+                $wrap.removeClass('view-list view-cards').addClass('view-' + view);
+                $wrap.find('.bbab-project-list-views button').each(function() {
+                    $(this).attr('aria-pressed', $(this).data('view') === view ? 'true' : 'false');
+                });
+            }
+
+            /**
+             * Build the progress bar for a project.
+             */
+            function progressBar(project) {
+                return $('<div class="bbab-project-list-progress"></div>')
+                    .append($('<div class="bbab-project-list-bar"></div>')
+                        .append($('<div class="bbab-project-list-fill"></div>').css('width', project.progress + '%')))
+                    .append($('<span class="bbab-project-list-progress-text"></span>')
+                        .text(project.milestones || Math.round(project.progress) + '% paid'));
+            }
+
+            /**
+             * Build a list row for a project.
+             */
+            function listRow(project) {
+                return $('<tr></tr>')
+                    .append($('<td class="bbab-project-list-name"></td>')
+                        .append($('<a></a>').attr('href', project.url).text(project.name))
+                        .append(project.ref ? $('<span class="bbab-project-list-ref"></span>').text(project.ref) : null))
+                    .append($('<td></td>').html(project.status_badge))
+                    .append($('<td></td>').text(project.start_display))
+                    .append($('<td></td>').text(project.due_display || '\u2014'))
+                    .append($('<td></td>').append(progressBar(project)))
+                    .append($('<td class="bbab-project-list-money"></td>').text(project.outstanding_display));
+            }
+
+            /**
+             * Build a card for a project.
+             */
+            function card(project) {
+                return $('<div class="bbab-project-list-card"></div>')
+                    .append($('<div class="bbab-project-list-card-header"></div>')
+                        .append($('<h4></h4>').append($('<a></a>').attr('href', project.url).text(project.name)))
+                        .append($('<span></span>').html(project.status_badge)))
+                    .append(project.ref ? $('<span class="bbab-project-list-ref"></span>').text(project.ref) : null)
+                    .append(progressBar(project))
+                    .append($('<dl class="bbab-project-list-facts"></dl>')
+                        .append('<dt>Started</dt>').append($('<dd></dd>').text(project.start_display))
+                        .append('<dt>Due</dt>').append($('<dd></dd>').text(project.due_display || '\u2014'))
+                        .append('<dt>Budget</dt>').append($('<dd></dd>').text(project.budget))
+                        .append('<dt>Outstanding</dt>').append($('<dd></dd>').text(project.outstanding_display)));
+            }
+
+            /**
+             * Draw the filtered, sorted projects in the current view.
+             */
+            function render() {
+                var shown = $.grep(projects, matches).sort(compare);
+                var $body;
+
+                $direction.html(descending ? '&#8595;' : '&#8593;');
+                $items.empty();
+                $status.text(projects.length ? 'No projects match this filter.' : 'No projects yet.').prop('hidden', !!shown.length);
+
+                if (!shown.length) {
+                    return;
+                }
+
+                if (view === 'cards') {
+                    $items.append($('<div class="bbab-project-list-cards"></div>').append($.map(shown, card)));
+                    return;
+                }
+
+                $body = $('<tbody></tbody>').append($.map(shown, listRow));
+                $('<table class="bbab-project-list-table"></table>')
+                    .append('<thead><tr><th>Project</th><th>Status</th><th>Started</th><th>Due</th><th>Progress</th><th>Outstanding</th></tr></thead>')
+                    .append($body)
+                    .appendTo($items);
+            }
+
+            $filters.on('click', '.bbab-project-list-filter', function() {
+                filter = String($(this).data('filter'));
+                updateFilters();
+                render();
+            });
+
+            $sort.on('change', function() {
+                descending = defaultDescending[$sort.val()];
+                render();
+            });
+
+            $direction.on('click', function() {
+                descending = !descending;
+                render();
+            });
+
+            $wrap.find('.bbab-project-list-views').on('click', 'button', function() {
+                var chosen = $(this).data('view');
+
+                if (chosen === view) {
+                    return;
+                }
+
+                view = chosen;
+                updateViews();
+                render();
+
+                // The list has already switched; the choice just won't stick
+                BBAB.ajax('project_list_view', { view: view }, function() {}, function() {});
+            });
+
+            updateViews();
+
+            BBAB.ajax('project_list', {}, function(data) {
+                projects = data.projects || [];
+                $wrap.removeClass('is-loading');
+
+                // Nothing open: start on everything rather than an empty list
+                if (!$.grep(projects, function(project) { return project.open; }).length) {
+                    filter = 'all';
+                }
+
+                renderFilters(data.statuses || []);
+                render();
+            }, function(error) {
+                $wrap.removeClass('is-loading');
+                $status.text(error.message || 'Could not load projects.');
+            });
+        });
+    }
+
+    /**
+     * Scroll to and highlight the card a notification linked to.
+     *
+     * Handles #roadmap-item-{id} (roadmap cards and past-request rows) and
+     * #client-task-{id} (action items).
+     */
+    function highlightFromHash() {
+        var match = /^#(roadmap-item|client-task)-(\d+)$/.exec(window.location.hash);
+
+        if (!match) {
+            return;
+        }
+
+        var $target = match[1] === 'roadmap-item' ?
+            $('.roadmap-dashboard').find('.roadmap-card[data-item-id="' + match[2] + '"], tr[data-item-id="' + match[2] + '"]').not('.roadmap-undo') :
+            $('.task-card[data-task-id="' + match[2] + '"]');
+
+        if (!$target.length) {
+            return;
+        }
+
+        // Past requests sit in a collapsed section
+        $target.closest('.roadmap-section.past-requests').addClass('expanded');
+
+        $target.first().addClass('bbab-highlight')[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setTimeout(function() {
+            $target.removeClass('bbab-highlight');
+        }, 3000);
+    }
+
+    /**
+     * Initialize Roadmap AJAX handlers
+     * Handles: I'm Interested, Not Right Now, Decline, Approve buttons, optional
+     * vote notes, and Undo. After a vote the card is re-rendered by the server
+     * and moved into its new section; an undo notice holds its old place.
+     */
+    function initRoadmapHandlers() {
+        /**
+         * Find an item's card or past-requests row, excluding undo notices.
+         *
+         * @param {jQuery} $dashboard - .roadmap-dashboard container
+         * @param {number} itemId     - Roadmap item ID
+         * @return {jQuery}
+         */
+        function findItem($dashboard, itemId) {
+            return $dashboard.find('.roadmap-card[data-item-id="' + itemId + '"], tr[data-item-id="' + itemId + '"]')
+                .not('.roadmap-undo');
+        }
+
+        /**
+         * Show or hide sections (and the empty state) based on their content.
+         *
+         * @param {jQuery} $dashboard - .roadmap-dashboard container
+         */
+        function refreshSections($dashboard) {
+            var anyItems = false;
+
+            $dashboard.find('.roadmap-section').each(function() {
+                var $section = $(this);
+                var hasItems = $section.find('.roadmap-card, tbody tr').length > 0;
+
+                $section.toggle(hasItems);
+                anyItems = anyItems || hasItems;
+            });
+
+            $dashboard.find('.roadmap-empty').toggle(!anyItems);
+        }
+
+        /**
+         * Put server-rendered card HTML into its section.
+         *
+         * @param {jQuery} $dashboard - .roadmap-dashboard container
+         * @param {object} data       - { item_id, section, card_html }
+         */
+        function placeCard($dashboard, data) {
+            findItem($dashboard, data.item_id).remove();
+
+            if (!data.section || !data.card_html) {
+                return;
+            }
+
+            var $section = $dashboard.find('.roadmap-section.' + data.section);
+            var $target = data.section === 'past-requests' ?
+                $section.find('tbody') : $section.find('.roadmap-cards');
+
+            $target.prepend($.trim(data.card_html));
+        }
+
+        /**
+         * Replace a card with an undo notice that counts down, then fades out.
+         *
+         * @param {jQuery} $card - Card that was voted on
+         * @param {object} data  - Vote response (message, undo_seconds, item_id)
+         */
+        function showUndo($card, data) {
+            var seconds = parseInt(data.undo_seconds, 10) || 0;
+            var $undo = $('<div class="roadmap-card roadmap-undo"></div>')
+                .attr('data-item-id', data.item_id)
+                .append($('<p class="undo-message"></p>').text(data.message))
+                .append($('<button type="button" class="btn-undo"></button>').text('Undo (' + seconds + ')'));
+
+            $card.replaceWith($undo);
+
+            var timer = setInterval(function() {
+                seconds--;
+                if (seconds > 0) {
+                    $undo.find('.btn-undo').text('Undo (' + seconds + ')');
+                    return;
+                }
+
+                clearInterval(timer);
+                $undo.find('.btn-undo').prop('disabled', true);
+                $undo.fadeOut(400, function() {
+                    var $dashboard = $undo.closest('.roadmap-dashboard');
+                    $undo.remove();
+                    refreshSections($dashboard);
+                });
+            }, 1000);
+
+            $undo.data('undo-timer', timer);
+        }
+
+        /**
+         * Send a roadmap vote and re-render the card in its new section.
+         *
+         * @param {jQuery} $btn    - Clicked button (has data-item-id)
+         * @param {string} handler - Router handler name
+         */
+        function roadmapAction($btn, handler) {
             var $card = $btn.closest('.roadmap-card');
-            var itemId = $btn.data('item-id');
-            var nonce = $btn.data('nonce');
+            var $dashboard = $card.closest('.roadmap-dashboard');
             var originalText = $btn.text();
 
-            $btn.prop('disabled', true).text('Sending...');
+            $card.find('button').prop('disabled', true);
+            $btn.text('Sending...');
 
-            $.post(bbabScAjax.url, {
-                action: 'roadmap_decline',
-                item_id: itemId,
-                nonce: nonce
-            }, function(response) {
-                if (response.success) {
-                    $card.html('<p style="padding: 20px; text-align: center; color: #666;">&#128077; ' + response.data.message + '</p>');
-                    setTimeout(function() { $card.fadeOut(); }, 2000);
-                } else {
-                    alert(response.data.message || 'Something went wrong');
-                    $btn.prop('disabled', false).text(originalText);
+            BBAB.ajax(handler, {
+                item_id: $btn.data('item-id'),
+                comment: $.trim($card.find('.roadmap-comment').val() || '')
+            }, function(data) {
+                showUndo($card, data);
+                placeCard($dashboard, data);
+                refreshSections($dashboard);
+            }, function(error) {
+                alert(error.message || 'Something went wrong. Please try again.');
+                $card.find('button').prop('disabled', false);
+                $btn.text(originalText);
+            });
+        }
+
+        // "Add a note" toggle
+        $(document).on('click', '.roadmap-comment-toggle', function(e) {
+            e.preventDefault();
+            var $field = $(this).siblings('.roadmap-comment');
+            $field.slideToggle(150, function() {
+                if ($field.is(':visible')) {
+                    $field.trigger('focus');
                 }
-            }).fail(function() {
-                alert('Something went wrong. Please try again.');
-                $btn.prop('disabled', false).text(originalText);
             });
         });
 
+        // "I'm Interested" button handler
+        $(document).on('click', '.btn-interested', function() {
+            roadmapAction($(this), 'roadmap_interested');
+        });
+
+        // "Not Right Now" / "Decline" button handler
+        $(document).on('click', '.btn-not-now, .btn-decline', function() {
+            roadmapAction($(this), 'roadmap_decline');
+        });
+
         // "Approve" button handler
         $(document).on('click', '.btn-approve', function() {
+            roadmapAction($(this), 'roadmap_approve');
+        });
+
+        // "Undo" button handler
+        $(document).on('click', '.roadmap-undo .btn-undo', function() {
             var $btn = $(this);
-            var $card = $btn.closest('.roadmap-card');
-            var itemId = $btn.data('item-id');
-            var nonce = $btn.data('nonce');
-
-            $btn.prop('disabled', true).text('Sending...');
-
-            $.post(bbabScAjax.url, {
-                action: 'roadmap_approve',
-                item_id: itemId,
-                nonce: nonce
-            }, function(response) {
-                if (response.success) {
-                    $card.html('<p style="padding: 20px; text-align: center; color: #059669;">&#127881; ' + response.data.message + '</p>');
-                    setTimeout(function() { $card.fadeOut(); }, 2000);
-                } else {
-                    alert(response.data.message || 'Something went wrong');
-                    $btn.prop('disabled', false).text('Approve');
-                }
-            }).fail(function() {
-                alert('Something went wrong. Please try again.');
-                $btn.prop('disabled', false).text('Approve');
+            var $undo = $btn.closest('.roadmap-undo');
+            var $dashboard = $undo.closest('.roadmap-dashboard');
+            var itemId = $undo.data('item-id');
+
+            clearInterval($undo.data('undo-timer'));
+            $btn.prop('disabled', true).text('Undoing...');
+
+            BBAB.ajax('roadmap_revert', { item_id: itemId }, function(data) {
+                // The restored card goes back where the undo notice is
+                findItem($dashboard, itemId).remove();
+                $undo.replaceWith($.trim(data.card_html));
+                refreshSections($dashboard);
+            }, function(error) {
+                $undo.find('.undo-message').text(error.message || 'Could not undo.');
+                $btn.remove();
+                setTimeout(function() {
+                    $undo.fadeOut(400, function() {
+                        $undo.remove();
+                        refreshSections($dashboard);
+                    });
+                }, 3000);
             });
         });
     }
@@ -3,6 +3,8 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin;
 
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Admin\Workbench\CommandPalette;
 use BBAB\ServiceCenter\Admin\Workbench\WorkbenchPage;
 use BBAB\ServiceCenter\Admin\Pages\ClientHealthDashboard;
 use BBAB\ServiceCenter\Admin\Pages\SettingsPage;
@@ -36,7 +38,6 @@ use BBAB\ServiceCenter\Admin\Metaboxes\MonthlyReportMetabox;
 use BBAB\ServiceCenter\Admin\Metaboxes\RoadmapMetabox;
 use BBAB\ServiceCenter\Admin\GlobalTimerIndicator;
 use BBAB\ServiceCenter\Admin\AdminBarHealth;
-use BBAB\ServiceCenter\Admin\ProjectReportFieldFilter;
 use BBAB\ServiceCenter\Admin\CascadingDropdowns;
 use BBAB\ServiceCenter\Admin\LineItemLinker;
 use BBAB\ServiceCenter\Modules\TimeTracking\TimeEntryService;
@@ -93,6 +94,9 @@ class AdminLoader {
         $this->workbench = new WorkbenchPage();
         $this->workbench->register();
 
+        // Initialize Workbench command palette search (Ctrl/Cmd+K)
+        CommandPalette::register();
+
         // Initialize Client Health Dashboard
         $this->health_dashboard = new ClientHealthDashboard();
         $this->health_dashboard->register();
@@ -214,9 +218,6 @@ class AdminLoader {
         // Initialize Roadmap metaboxes (Phase 7 staging fixes)
         RoadmapMetabox::register();
 
-        // Initialize Project Report field filtering (Phase 7.3)
-        ProjectReportFieldFilter::register();
-
         // Initialize global timer indicator (Phase 4.3)
         GlobalTimerIndicator::register();
 
@@ -226,7 +227,7 @@ class AdminLoader {
         // Initialize admin bar health indicator (Phase 7 Review)
         AdminBarHealth::register();
 
-        // Initialize cascading dropdown filters (Phase 8.4b)
+        // Initialize cascading dropdown filters (Phase 8.4b; includes Project Report org -> project)
         CascadingDropdowns::register();
 
         // Register assets
@@ -319,17 +320,10 @@ class AdminLoader {
         wp_enqueue_script(
             'bbab-sc-admin',
             BBAB_SC_URL . 'assets/js/admin-workbench.js',
-            ['jquery'],
+            ['jquery', AjaxRouter::ADMIN_SCRIPT],
             BBAB_SC_VERSION,
             true
         );
-
-        // Localize script with AJAX data
-        wp_localize_script('bbab-sc-admin', 'bbabScAdmin', [
-            'url' => admin_url('admin-ajax.php'),
-            'nonce' => wp_create_nonce('bbab_sc_ajax_nonce'),
-            'action' => 'bbab_sc_ajax',
-        ]);
     }
 
     /**
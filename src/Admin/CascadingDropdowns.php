@@ -3,20 +3,124 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
  * Cascading Dropdown Filters for Admin CPT Edit Screens.
  *
- * Provides AJAX endpoints and script enqueuing for:
- * - Service Request: Filter "Submitted By" contacts by selected Organization
- * - Invoice: Filter "Related Project" by selected Organization
- * - Invoice: Filter "Related Milestone" by selected Project
+ * Each post type declares its cascades in CASCADES: when the parent field
+ * changes, the child field is refilled from an AJAX source. The map for the
+ * current screen is localized to admin-cascading-dropdowns.js, which runs
+ * one generic engine over it.
+ *
+ * Relationship selects listed in PICKERS are replaced with a type-ahead
+ * picker (admin-relationship-picker.js) that searches SEARCH_SOURCES with
+ * paging and keeps a still-valid value when its parent changes.
+ *
+ * Current cascades:
+ * - Service Request: Submitted By and Related Project by Organization
+ * - Invoice: Related Project by Organization, Related Milestone by Project
+ * - Time Entry: Related SR and Related Project by Organization, Related Milestone by Project
+ * - Line Item: Related Project by Organization, Related Milestone by Project
+ * - Project Report: Related Project by Organization, Related Milestone by Project
  *
  * Phase 8.4b
  */
 class CascadingDropdowns {
 
+    /**
+     * AJAX sources: router handler and the request parameter carrying the parent value.
+     */
+    private const SOURCES = [
+        'org_contacts' => ['handler' => 'cascade_org_contacts', 'param' => 'org_id'],
+        'org_projects' => ['handler' => 'cascade_org_projects', 'param' => 'org_id'],
+        'org_service_requests' => ['handler' => 'cascade_org_service_requests', 'param' => 'org_id'],
+        'project_milestones' => ['handler' => 'cascade_project_milestones', 'param' => 'project_id'],
+    ];
+
+    /**
+     * Searchable sources for the type-ahead pickers.
+     *
+     * - post_type / users: what to search
+     * - name_field:        meta field with the display name (falls back to the title)
+     * - ref_field:         meta field shown as the reference badge
+     * - parent_meta:       meta field that links a result to its parent (cascade filter)
+     */
+    private const SEARCH_SOURCES = [
+        'organizations' => ['post_type' => 'client_organization', 'name_field' => 'organization_name', 'ref_field' => 'organization_shortcode', 'parent_meta' => ''],
+        'org_projects' => ['post_type' => 'project', 'name_field' => 'project_name', 'ref_field' => 'reference_number', 'parent_meta' => 'organization'],
+        'org_service_requests' => ['post_type' => 'service_request', 'name_field' => 'subject', 'ref_field' => 'reference_number', 'parent_meta' => 'organization'],
+        'project_milestones' => ['post_type' => 'milestone', 'name_field' => 'milestone_name', 'ref_field' => 'reference_number', 'parent_meta' => 'related_project'],
+        'org_contacts' => ['users' => true, 'parent_meta' => 'organization'],
+    ];
+
+    /**
+     * Results per picker page.
+     */
+    private const PICKER_PAGE_SIZE = 20;
+
+    /**
+     * Relationship fields shown as type-ahead pickers, per post type (field => source).
+     *
+     * A picker's parent comes from CASCADES, where the field is a child.
+     */
+    private const PICKERS = [
+        'service_request' => [
+            'organization' => 'organizations',
+            'submitted_by' => 'org_contacts',
+            'related_project' => 'org_projects',
+        ],
+        'invoice' => [
+            'organization' => 'organizations',
+            'related_project' => 'org_projects',
+            'related_milestone' => 'project_milestones',
+        ],
+        'time_entry' => [
+            'organization' => 'organizations',
+            'related_service_request' => 'org_service_requests',
+            'related_project' => 'org_projects',
+            'related_milestone' => 'project_milestones',
+        ],
+    ];
+
+    /**
+     * Dependency map per post type.
+     *
+     * - parent:         Pods field whose value filters the child
+     * - child:          Pods select to refill
+     * - source:         Key in SOURCES
+     * - chain:          Fire 'change' on the child after refilling, so cascades
+     *                   that use it as their parent update too
+     * - filter_on_load: Filter the child straight away when the parent has a value
+     *
+     * Fields missing from a screen are skipped by the JS engine.
+     */
+    private const CASCADES = [
+        'service_request' => [
+            ['parent' => 'organization', 'child' => 'submitted_by', 'source' => 'org_contacts'],
+            ['parent' => 'organization', 'child' => 'related_project', 'source' => 'org_projects'],
+        ],
+        'invoice' => [
+            ['parent' => 'organization', 'child' => 'related_project', 'source' => 'org_projects', 'chain' => true],
+            ['parent' => 'related_project', 'child' => 'related_milestone', 'source' => 'project_milestones'],
+        ],
+        'time_entry' => [
+            ['parent' => 'organization', 'child' => 'related_service_request', 'source' => 'org_service_requests'],
+            ['parent' => 'organization', 'child' => 'related_project', 'source' => 'org_projects', 'chain' => true],
+            ['parent' => 'related_project', 'child' => 'related_milestone', 'source' => 'project_milestones'],
+        ],
+        'invoice_line_item' => [
+            ['parent' => 'organization', 'child' => 'related_project', 'source' => 'org_projects', 'chain' => true],
+            ['parent' => 'related_project', 'child' => 'related_milestone', 'source' => 'project_milestones'],
+        ],
+        'project_report' => [
+            ['parent' => 'organization', 'child' => 'related_project', 'source' => 'org_projects', 'chain' => true, 'filter_on_load' => true],
+            ['parent' => 'related_project', 'child' => 'related_milestone', 'source' => 'project_milestones'],
+        ],
+    ];
+
     /**
      * Register all hooks.
      */
@@ -25,13 +129,75 @@ class CascadingDropdowns {
         add_action('admin_enqueue_scripts', [self::class, 'enqueueScripts']);
 
         // AJAX handlers
-        add_action('wp_ajax_bbab_get_org_contacts', [self::class, 'handleGetOrgContacts']);
-        add_action('wp_ajax_bbab_cascade_get_projects', [self::class, 'handleGetOrgProjects']);
-        add_action('wp_ajax_bbab_get_project_milestones', [self::class, 'handleGetProjectMilestones']);
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerHandlers']);
 
         Logger::debug('CascadingDropdowns', 'Registered cascading dropdown hooks');
     }
 
+    /**
+     * Add the cascading dropdown handlers to the router.
+     *
+     * Admin edit screens only: no org context, but edit_posts is required.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerHandlers(AjaxRouter $router): void {
+        $router->addHandler('cascade_org_contacts', [self::class, 'handleGetOrgContacts'], false, false, 'edit_posts');
+        $router->addHandler('cascade_org_projects', [self::class, 'handleGetOrgProjects'], false, false, 'edit_posts');
+        $router->addHandler('cascade_org_service_requests', [self::class, 'handleGetOrgServiceRequests'], false, false, 'edit_posts');
+        $router->addHandler('cascade_project_milestones', [self::class, 'handleGetProjectMilestones'], false, false, 'edit_posts');
+        $router->addHandler('cascade_search', [self::class, 'handleSearch'], false, false, 'edit_posts');
+    }
+
+    /**
+     * Get the cascades for a post type, resolved for the JS engine.
+     *
+     * @param string $post_type Post type.
+     * @return array List of { parent, child, handler, param, chain, filterOnLoad }.
+     */
+    public static function getCascades(string $post_type): array {
+        $cascades = [];
+
+        foreach (self::CASCADES[$post_type] ?? [] as $cascade) {
+            $source = self::SOURCES[$cascade['source']];
+
+            $cascades[] = [
+                'parent' => $cascade['parent'],
+                'child' => $cascade['child'],
+                'handler' => $source['handler'],
+                'param' => $source['param'],
+                'chain' => !empty($cascade['chain']),
+                'filterOnLoad' => !empty($cascade['filter_on_load']),
+            ];
+        }
+
+        return $cascades;
+    }
+
+    /**
+     * Get the pickers for a post type, with each picker's parent field.
+     *
+     * @param string $post_type Post type.
+     * @return array List of { field, source, parent }.
+     */
+    public static function getPickers(string $post_type): array {
+        $parents = [];
+        foreach (self::CASCADES[$post_type] ?? [] as $cascade) {
+            $parents[$cascade['child']] = $cascade['parent'];
+        }
+
+        $pickers = [];
+        foreach (self::PICKERS[$post_type] ?? [] as $field => $source) {
+            $pickers[] = [
+                'field' => $field,
+                'source' => $source,
+                'parent' => $parents[$field] ?? '',
+            ];
+        }
+
+        return $pickers;
+    }
+
     /**
      * Enqueue the cascading dropdowns script on relevant screens.
      *
@@ -44,25 +210,42 @@ class CascadingDropdowns {
         }
 
         $screen = get_current_screen();
-        if (!$screen) {
+        if (!$screen || !isset(self::CASCADES[$screen->post_type])) {
             return;
         }
 
-        // Only on service_request, invoice, and time_entry edit screens
-        if (!in_array($screen->post_type, ['service_request', 'invoice', 'time_entry'], true)) {
-            return;
+        $deps = ['jquery', AjaxRouter::ADMIN_SCRIPT];
+
+        if (isset(self::PICKERS[$screen->post_type])) {
+            wp_enqueue_style(
+                'bbab-relationship-picker',
+                BBAB_SC_URL . 'assets/css/admin-relationship-picker.css',
+                [],
+                BBAB_SC_VERSION
+            );
+
+            wp_enqueue_script(
+                'bbab-relationship-picker',
+                BBAB_SC_URL . 'assets/js/admin-relationship-picker.js',
+                ['jquery', AjaxRouter::ADMIN_SCRIPT],
+                BBAB_SC_VERSION,
+                true
+            );
+
+            $deps[] = 'bbab-relationship-picker';
         }
 
         wp_enqueue_script(
             'bbab-cascading-dropdowns',
             BBAB_SC_URL . 'assets/js/admin-cascading-dropdowns.js',
-            ['jquery'],
+            $deps,
             BBAB_SC_VERSION,
             true
         );
 
         wp_localize_script('bbab-cascading-dropdowns', 'bbabCascading', [
-            'nonce' => wp_create_nonce('bbab_cascading_nonce'),
+            'cascades' => self::getCascades($screen->post_type),
+            'pickers' => self::getPickers($screen->post_type),
         ]);
     }
 
@@ -70,26 +253,12 @@ class CascadingDropdowns {
      * AJAX: Get contacts (users) for an organization.
      *
      * Used by SR screen to filter "Submitted By" dropdown.
+     *
+     * @param array $data Request data with 'org_id'.
+     * @return array Options list.
      */
-    public static function handleGetOrgContacts(): void {
-        // Verify nonce
-        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'bbab_cascading_nonce')) {
-            wp_send_json_error(['message' => 'Invalid security token.']);
-            return;
-        }
-
-        // Verify capability
-        if (!current_user_can('edit_posts')) {
-            wp_send_json_error(['message' => 'Permission denied.']);
-            return;
-        }
-
-        $org_id = isset($_POST['org_id']) ? absint($_POST['org_id']) : 0;
-
-        if (!$org_id) {
-            wp_send_json_error(['message' => 'No organization specified.']);
-            return;
-        }
+    public static function handleGetOrgContacts(array $data): array {
+        $org_id = self::requireId($data, 'org_id', 'No organization specified.');
 
         // Get users associated with this organization
         // Users are linked via 'organization' user meta
@@ -100,43 +269,29 @@ class CascadingDropdowns {
             'order' => 'ASC',
         ]);
 
-        $contacts = [];
+        $options = [];
         foreach ($users as $user) {
-            $contacts[$user->ID] = $user->display_name;
+            $options[] = self::buildUserOption($user);
         }
 
         Logger::debug('CascadingDropdowns', 'Fetched org contacts', [
             'org_id' => $org_id,
-            'count' => count($contacts),
+            'count' => count($options),
         ]);
 
-        wp_send_json_success(['contacts' => $contacts]);
+        return ['options' => $options];
     }
 
     /**
      * AJAX: Get projects for an organization.
      *
-     * Used by Invoice screen to filter "Related Project" dropdown.
+     * Used to filter "Related Project" dropdowns by organization.
+     *
+     * @param array $data Request data with 'org_id'.
+     * @return array Options list.
      */
-    public static function handleGetOrgProjects(): void {
-        // Verify nonce
-        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'bbab_cascading_nonce')) {
-            wp_send_json_error(['message' => 'Invalid security token.']);
-            return;
-        }
-
-        // Verify capability
-        if (!current_user_can('edit_posts')) {
-            wp_send_json_error(['message' => 'Permission denied.']);
-            return;
-        }
-
-        $org_id = isset($_POST['org_id']) ? absint($_POST['org_id']) : 0;
-
-        if (!$org_id) {
-            wp_send_json_error(['message' => 'No organization specified.']);
-            return;
-        }
+    public static function handleGetOrgProjects(array $data): array {
+        $org_id = self::requireId($data, 'org_id', 'No organization specified.');
 
         // Get projects for this organization
         $projects = get_posts([
@@ -149,46 +304,57 @@ class CascadingDropdowns {
             'order' => 'ASC',
         ]);
 
-        $result = [];
-        foreach ($projects as $project) {
-            $ref = get_post_meta($project->ID, 'reference_number', true);
-            $name = get_post_meta($project->ID, 'project_name', true) ?: $project->post_title;
-            $display = $ref ? "{$ref} - {$name}" : $name;
-            $result[$project->ID] = $display;
-        }
+        $options = self::buildPostOptions($projects, 'project_name', 'reference_number');
 
         Logger::debug('CascadingDropdowns', 'Fetched org projects', [
             'org_id' => $org_id,
-            'count' => count($result),
+            'count' => count($options),
         ]);
 
-        wp_send_json_success(['projects' => $result]);
+        return ['options' => $options];
     }
 
     /**
-     * AJAX: Get milestones for a project.
+     * AJAX: Get service requests for an organization.
+     *
+     * Used by Time Entry screen to filter "Related Service Request" dropdown.
      *
-     * Used by Invoice screen to filter "Related Milestone" dropdown.
+     * @param array $data Request data with 'org_id'.
+     * @return array Options list.
      */
-    public static function handleGetProjectMilestones(): void {
-        // Verify nonce
-        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'bbab_cascading_nonce')) {
-            wp_send_json_error(['message' => 'Invalid security token.']);
-            return;
-        }
+    public static function handleGetOrgServiceRequests(array $data): array {
+        $org_id = self::requireId($data, 'org_id', 'No organization specified.');
 
-        // Verify capability
-        if (!current_user_can('edit_posts')) {
-            wp_send_json_error(['message' => 'Permission denied.']);
-            return;
-        }
+        $requests = get_posts([
+            'post_type' => 'service_request',
+            'posts_per_page' => -1,
+            'post_status' => 'publish',
+            'meta_key' => 'organization',
+            'meta_value' => $org_id,
+            'orderby' => 'date',
+            'order' => 'DESC',
+        ]);
 
-        $project_id = isset($_POST['project_id']) ? absint($_POST['project_id']) : 0;
+        $options = self::buildPostOptions($requests, 'subject', 'reference_number');
 
-        if (!$project_id) {
-            wp_send_json_error(['message' => 'No project specified.']);
-            return;
-        }
+        Logger::debug('CascadingDropdowns', 'Fetched org service requests', [
+            'org_id' => $org_id,
+            'count' => count($options),
+        ]);
+
+        return ['options' => $options];
+    }
+
+    /**
+     * AJAX: Get milestones for a project.
+     *
+     * Used to filter "Related Milestone" dropdowns by project.
+     *
+     * @param array $data Request data with 'project_id'.
+     * @return array Options list.
+     */
+    public static function handleGetProjectMilestones(array $data): array {
+        $project_id = self::requireId($data, 'project_id', 'No project specified.');
 
         // Get milestones for this project
         $milestones = get_posts([
@@ -201,19 +367,217 @@ class CascadingDropdowns {
             'order' => 'ASC',
         ]);
 
-        $result = [];
-        foreach ($milestones as $milestone) {
-            $ref = get_post_meta($milestone->ID, 'reference_number', true);
-            $name = get_post_meta($milestone->ID, 'milestone_name', true) ?: $milestone->post_title;
-            $display = $ref ? "{$ref} - {$name}" : $name;
-            $result[$milestone->ID] = $display;
-        }
+        $options = self::buildPostOptions($milestones, 'milestone_name', 'reference_number');
 
         Logger::debug('CascadingDropdowns', 'Fetched project milestones', [
             'project_id' => $project_id,
-            'count' => count($result),
+            'count' => count($options),
+        ]);
+
+        return ['options' => $options];
+    }
+
+    /**
+     * AJAX: Search a picker source.
+     *
+     * Request data:
+     * - source:    Key in SEARCH_SOURCES
+     * - q:         Search text (reference number or name)
+     * - parent_id: Parent value to filter by (optional)
+     * - page:      1-based page
+     * - ids:       Only return these IDs (used to check a value is still valid)
+     *
+     * @param array $data Request data.
+     * @return array { options: list of { value, label, ref, title }, more: bool }.
+     */
+    public static function handleSearch(array $data): array {
+        $source = sanitize_key($data['source'] ?? '');
+
+        if (!isset(self::SEARCH_SOURCES[$source])) {
+            throw new AjaxException('Unknown search source.', 400, 'invalid_request');
+        }
+
+        $config = self::SEARCH_SOURCES[$source];
+        $search = sanitize_text_field($data['q'] ?? '');
+        $parent_id = absint($data['parent_id'] ?? 0);
+        $page = max(1, absint($data['page'] ?? 1));
+        $ids = array_values(array_filter(array_map('absint', (array) ($data['ids'] ?? []))));
+
+        if (!empty($config['users'])) {
+            return self::searchUsers($config, $search, $parent_id, $page, $ids);
+        }
+
+        $args = [
+            'post_type' => $config['post_type'],
+            'post_status' => 'publish',
+            'posts_per_page' => self::PICKER_PAGE_SIZE,
+            'paged' => $page,
+            'orderby' => 'title',
+            'order' => 'ASC',
+            'meta_query' => ['relation' => 'AND'],
+        ];
+
+        if ($ids) {
+            $args['post__in'] = $ids;
+        }
+
+        if ($parent_id && $config['parent_meta']) {
+            $args['meta_query'][] = [
+                'key' => $config['parent_meta'],
+                'value' => $parent_id,
+            ];
+        }
+
+        if ($search !== '') {
+            $args['post__in'] = self::searchPostIds($args, $config, $search) ?: [0];
+        }
+
+        $query = new \WP_Query($args);
+
+        return [
+            'options' => self::buildPostOptions($query->posts, $config['name_field'], $config['ref_field']),
+            'more' => $page < (int) $query->max_num_pages,
+        ];
+    }
+
+    /**
+     * IDs of posts whose reference, name or title matches the search.
+     *
+     * Options fall back to the post title when the name field is empty, so
+     * titles are searched too. Titles can't be OR'd into a meta query, so
+     * they are searched separately and the IDs merged.
+     *
+     * @param array  $args   Picker query args (post type, parent and ID filters).
+     * @param array  $config Source config.
+     * @param string $search Search text.
+     * @return int[] Matching post IDs.
+     */
+    private static function searchPostIds(array $args, array $config, string $search): array {
+        $args = array_merge($args, [
+            'posts_per_page' => -1,
+            'paged' => 1,
+            'fields' => 'ids',
+            'no_found_rows' => true,
         ]);
 
-        wp_send_json_success(['milestones' => $result]);
+        $meta_args = $args;
+        $meta_args['meta_query'][] = [
+            'relation' => 'OR',
+            ['key' => $config['ref_field'], 'value' => $search, 'compare' => 'LIKE'],
+            ['key' => $config['name_field'], 'value' => $search, 'compare' => 'LIKE'],
+        ];
+
+        $title_args = $args;
+        $title_args['s'] = $search;
+        $title_args['search_columns'] = ['post_title'];
+
+        return array_values(array_unique(array_merge(
+            get_posts($meta_args),
+            get_posts($title_args)
+        )));
+    }
+
+    /**
+     * Search users for a picker source.
+     *
+     * @param array  $config    Source config.
+     * @param string $search    Search text.
+     * @param int    $parent_id Organization to filter by (0 for all).
+     * @param int    $page      1-based page.
+     * @param int[]  $ids       Only return these user IDs.
+     * @return array { options, more }.
+     */
+    private static function searchUsers(array $config, string $search, int $parent_id, int $page, array $ids): array {
+        $args = [
+            'orderby' => 'display_name',
+            'order' => 'ASC',
+            'number' => self::PICKER_PAGE_SIZE,
+            'paged' => $page,
+            'count_total' => true,
+        ];
+
+        if ($ids) {
+            $args['include'] = $ids;
+        }
+
+        if ($parent_id) {
+            $args['meta_key'] = $config['parent_meta'];
+            $args['meta_value'] = $parent_id;
+        }
+
+        if ($search !== '') {
+            $args['search'] = '*' . $search . '*';
+            $args['search_columns'] = ['display_name', 'user_email', 'user_login'];
+        }
+
+        $query = new \WP_User_Query($args);
+
+        return [
+            'options' => array_map([self::class, 'buildUserOption'], $query->get_results()),
+            'more' => $page * self::PICKER_PAGE_SIZE < $query->get_total(),
+        ];
+    }
+
+    /**
+     * Read a required ID from request data.
+     *
+     * @param array  $data    Request data.
+     * @param string $key     Parameter name.
+     * @param string $message Error message when missing.
+     * @return int The ID.
+     * @throws AjaxException If missing.
+     */
+    private static function requireId(array $data, string $key, string $message): int {
+        $id = absint($data[$key] ?? 0);
+
+        if (!$id) {
+            throw new AjaxException($message, 400, 'invalid_request');
+        }
+
+        return $id;
+    }
+
+    /**
+     * Build "REF - Name" options for a list of posts, keeping their order.
+     *
+     * Returned as a list rather than keyed by ID so JS keeps the order.
+     * Values are raw text; the JS sets them with .text(), never as HTML.
+     *
+     * @param \WP_Post[] $posts      Posts.
+     * @param string     $name_field Meta field holding the display name.
+     * @param string     $ref_field  Meta field holding the reference number.
+     * @return array List of { value, label, ref, title }.
+     */
+    private static function buildPostOptions(array $posts, string $name_field, string $ref_field): array {
+        $options = [];
+
+        foreach ($posts as $post) {
+            $ref = (string) get_post_meta($post->ID, $ref_field, true);
+            $name = get_post_meta($post->ID, $name_field, true) ?: $post->post_title;
+
+            $options[] = [
+                'value' => $post->ID,
+                'label' => $ref ? "{$ref} - {$name}" : $name,
+                'ref' => $ref,
+                'title' => $name,
+            ];
+        }
+
+        return $options;
+    }
+
+    /**
+     * Build an option for a user.
+     *
+     * @param \WP_User $user User.
+     * @return array { value, label, ref, title }.
+     */
+    private static function buildUserOption(\WP_User $user): array {
+        return [
+            'value' => $user->ID,
+            'label' => $user->display_name,
+            'ref' => '',
+            'title' => $user->display_name,
+        ];
     }
 }
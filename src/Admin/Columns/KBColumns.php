@@ -3,6 +3,7 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Columns;
 
+use BBAB\ServiceCenter\Modules\KnowledgeBase\SearchService;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
@@ -15,12 +16,18 @@ use BBAB\ServiceCenter\Utils\Logger;
  * - Client (org name if client-specific)
  * - Date
  *
- * Also provides a visibility filter.
+ * Also provides a visibility filter, and a list of client searches that
+ * found no articles (logged by the Knowledge Base search).
  *
  * Phase 7.4 - Migrated from snippet #1492 (KB section only)
  */
 class KBColumns {
 
+    /**
+     * Number of missed searches listed above the articles.
+     */
+    private const SEARCH_MISS_LIMIT = 10;
+
     /**
      * Register hooks.
      */
@@ -30,6 +37,8 @@ class KBColumns {
         add_action('restrict_manage_posts', [self::class, 'addFilters']);
         add_filter('posts_results', [self::class, 'filterByVisibility'], 10, 2);
         add_action('admin_head', [self::class, 'renderStyles']);
+        add_action('admin_notices', [self::class, 'renderSearchMisses']);
+        add_action('admin_post_bbab_kb_dismiss_search_miss', [self::class, 'handleDismissSearchMiss']);
 
         Logger::debug('KBColumns', 'Registered KB article admin column hooks');
     }
@@ -224,6 +233,88 @@ class KBColumns {
         });
     }
 
+    /**
+     * List the most common client searches that found nothing, above the KB articles list.
+     */
+    public static function renderSearchMisses(): void {
+        $screen = get_current_screen();
+
+        if (!$screen || $screen->id !== 'edit-kb_article' || !current_user_can('manage_options')) {
+            return;
+        }
+
+        $misses = SearchService::getMisses(true);
+
+        if (empty($misses)) {
+            return;
+        }
+
+        $total = count($misses);
+        $misses = array_slice($misses, 0, self::SEARCH_MISS_LIMIT, true);
+
+        echo '<div class="notice notice-info kb-search-misses">';
+        echo '<p><strong>Searches with no results</strong> &mdash; clients looked for these and found no article.';
+        if ($total > count($misses)) {
+            echo ' Showing the ' . count($misses) . ' most common of ' . $total . '.';
+        }
+        echo '</p>';
+
+        echo '<table class="widefat striped">';
+        echo '<thead><tr><th>Search</th><th>Times</th><th>Last Searched</th><th>Clients</th><th></th></tr></thead>';
+        echo '<tbody>';
+
+        foreach ($misses as $miss) {
+            $clients = array_filter(array_map(function ($org_id) {
+                return get_post_meta((int) $org_id, 'organization_shortcode', true) ?: get_the_title((int) $org_id);
+            }, $miss['org_ids']));
+
+            $write_url = admin_url('post-new.php?post_type=kb_article&post_title=' . rawurlencode(ucfirst((string) $miss['query'])));
+            $dismiss_url = wp_nonce_url(
+                admin_url('admin-post.php?action=bbab_kb_dismiss_search_miss&query=' . rawurlencode((string) $miss['query'])),
+                'bbab_kb_dismiss_search_miss'
+            );
+
+            echo '<tr>';
+            echo '<td><strong>' . esc_html((string) $miss['query']) . '</strong></td>';
+            echo '<td>' . esc_html((string) $miss['count']) . '</td>';
+            echo '<td>' . esc_html(human_time_diff((int) $miss['last_seen'])) . ' ago</td>';
+            echo '<td>';
+            foreach ($clients as $client) {
+                echo '<code class="org-shortcode">' . esc_html($client) . '</code> ';
+            }
+            echo '</td>';
+            echo '<td class="kb-miss-actions">';
+            echo '<a href="' . esc_url($write_url) . '">Write Article</a> | ';
+            echo '<a href="' . esc_url($dismiss_url) . '">Dismiss</a>';
+            echo '</td>';
+            echo '</tr>';
+        }
+
+        echo '</tbody></table>';
+        echo '</div>';
+    }
+
+    /**
+     * Handle Dismiss on a missed search.
+     */
+    public static function handleDismissSearchMiss(): void {
+        if (!wp_verify_nonce($_GET['_wpnonce'] ?? '', 'bbab_kb_dismiss_search_miss')) {
+            wp_die('Security check failed');
+        }
+
+        if (!current_user_can('manage_options')) {
+            wp_die('Permission denied');
+        }
+
+        $query = sanitize_text_field(wp_unslash($_GET['query'] ?? ''));
+        SearchService::dismissMiss($query);
+
+        Logger::debug('KBColumns', 'Dismissed missed KB search', ['query' => $query]);
+
+        wp_redirect(admin_url('edit.php?post_type=kb_article'));
+        exit;
+    }
+
     /**
      * Render admin styles for KB columns.
      */
@@ -263,6 +354,15 @@ class KBColumns {
                 width: 200px;
             }
 
+            /* Searches with no results */
+            .kb-search-misses table {
+                margin: 4px 0 12px;
+            }
+            .kb-search-misses .kb-miss-actions {
+                text-align: right;
+                white-space: nowrap;
+            }
+
             /* Shortcode styling */
             .org-shortcode {
                 background: #f0f6fc;
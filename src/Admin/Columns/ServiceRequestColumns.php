@@ -3,6 +3,8 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Columns;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Modules\ServiceRequests\ServiceRequestService;
 use BBAB\ServiceCenter\Utils\Logger;
 
@@ -13,6 +15,7 @@ use BBAB\ServiceCenter\Utils\Logger;
  * - Custom column definitions and rendering
  * - Admin list filters (Org, Status, Priority)
  * - Quick status change dropdown in row actions
+ * - Bulk status, project and priority changes with per-row progress and undo
  * - Column styles
  *
  * Migrated from: WPCode Snippets #1716, #1717, #1844 (partial)
@@ -35,12 +38,17 @@ class ServiceRequestColumns {
         // Quick status change in row actions
         add_filter('post_row_actions', [self::class, 'addStatusChangeAction'], 10, 2);
 
-        // Quick status change AJAX handler
-        add_action('wp_ajax_bbab_change_sr_status', [self::class, 'handleStatusChangeAjax']);
+        // Bulk actions (run row by row from the list screen script)
+        add_filter('bulk_actions-edit-service_request', [self::class, 'addBulkActions']);
+
+        // Quick status change and bulk update AJAX handlers
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerAjaxHandlers']);
 
         // Admin styles and scripts
+        add_action('admin_enqueue_scripts', [self::class, 'enqueueScripts']);
         add_action('admin_head', [self::class, 'renderStyles']);
         add_action('admin_footer', [self::class, 'renderStatusChangeScript']);
+        add_action('admin_footer', [self::class, 'renderBulkActionScript']);
 
         Logger::debug('ServiceRequestColumns', 'Registered SR column hooks');
     }
@@ -58,6 +66,7 @@ class ServiceRequestColumns {
         $new_columns['subject'] = 'Subject';
         $new_columns['request_type'] = 'Type';
         $new_columns['organization'] = 'Client';
+        $new_columns['project'] = 'Project';
         $new_columns['request_status'] = 'Status';
         $new_columns['priority'] = 'Priority';
         $new_columns['hours'] = 'Hours';
@@ -105,6 +114,10 @@ class ServiceRequestColumns {
                 }
                 break;
 
+            case 'project':
+                echo self::getProjectCellHtml((int) get_post_meta($post_id, 'related_project', true));
+                break;
+
             case 'request_status':
                 $status = get_post_meta($post_id, 'request_status', true);
                 echo ServiceRequestService::getStatusBadgeHtml($status ?: 'New');
@@ -140,6 +153,20 @@ class ServiceRequestColumns {
         }
     }
 
+    /**
+     * Get the Project column content.
+     *
+     * @param int $project_id Project ID (0 when unassigned).
+     * @return string HTML.
+     */
+    private static function getProjectCellHtml(int $project_id): string {
+        if (!$project_id || get_post_type($project_id) !== 'project') {
+            return '—';
+        }
+
+        return '<a href="' . esc_url(get_edit_post_link($project_id)) . '">' . esc_html(get_the_title($project_id)) . '</a>';
+    }
+
     /**
      * Render attachments column content.
      *
@@ -350,55 +377,152 @@ class ServiceRequestColumns {
 
         $actions['change_status'] = sprintf(
             '<span class="sr-status-change">
-                <select class="sr-status-select" data-post-id="%d" data-nonce="%s">
+                <select class="sr-status-select" data-post-id="%d">
                     %s
                 </select>
             </span>',
             $post->ID,
-            wp_create_nonce('bbab_sc_sr_status_' . $post->ID),
             $status_options
         );
 
         return $actions;
     }
 
+    /**
+     * Add the bulk actions to the list table dropdown.
+     *
+     * These never submit the form: renderBulkActionScript() intercepts Apply,
+     * asks for the new value and updates the checked rows one at a time.
+     *
+     * @param array $actions Existing bulk actions.
+     * @return array Modified bulk actions.
+     */
+    public static function addBulkActions(array $actions): array {
+        $actions['sr_bulk_status'] = 'Set Status';
+        $actions['sr_bulk_project'] = 'Assign Project';
+        $actions['sr_bulk_priority'] = 'Set Priority';
+
+        return $actions;
+    }
+
+    /**
+     * Add the quick status change and bulk update handlers to the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('sr_change_status', [self::class, 'handleStatusChangeAjax'], false, false, 'edit_posts');
+        $router->addHandler('sr_bulk_update', [self::class, 'handleBulkUpdateAjax'], false, false, 'edit_posts');
+    }
+
     /**
      * Handle AJAX request for quick status change.
      *
      * Migrated from: WPCode Snippet #1844
+     *
+     * @param array $data Request data with 'post_id' and 'new_status'.
+     * @return array New badge HTML and status.
      */
-    public static function handleStatusChangeAjax(): void {
-        $post_id = isset($_POST['post_id']) ? intval($_POST['post_id']) : 0;
-        $new_status = isset($_POST['new_status']) ? sanitize_text_field($_POST['new_status']) : '';
-        $nonce = isset($_POST['nonce']) ? sanitize_text_field($_POST['nonce']) : '';
-
-        // Verify nonce
-        if (!wp_verify_nonce($nonce, 'bbab_sc_sr_status_' . $post_id)) {
-            wp_send_json_error(['message' => 'Security check failed']);
-            return;
+    public static function handleStatusChangeAjax(array $data): array {
+        $post_id = absint($data['post_id'] ?? 0);
+        $new_status = sanitize_text_field($data['new_status'] ?? '');
+
+        if (!$post_id || get_post_type($post_id) !== 'service_request') {
+            throw new AjaxException('Invalid service request', 400, 'invalid_request');
         }
 
         // Verify user can edit
         if (!current_user_can('edit_post', $post_id)) {
-            wp_send_json_error(['message' => 'Permission denied']);
-            return;
+            throw new AjaxException('Permission denied', 403, 'forbidden');
         }
 
         // Use ServiceRequestService to update status
         $result = ServiceRequestService::updateStatus($post_id, $new_status);
 
         if (!$result) {
-            wp_send_json_error(['message' => 'Failed to update status']);
-            return;
+            throw new AjaxException('Failed to update status', 400, 'update_failed');
         }
 
         // Generate new badge HTML for list display
         $badge_html = ServiceRequestService::getStatusBadgeHtml($new_status);
 
-        wp_send_json_success([
+        return [
             'badge_html' => $badge_html,
             'new_status' => $new_status,
-        ]);
+        ];
+    }
+
+    /**
+     * Handle AJAX request for one row of a bulk action.
+     *
+     * Called once per checked row so the list can show progress; undo sends
+     * the returned 'previous' value back through the same handler.
+     *
+     * @param array $data Request data with 'post_id', 'field' (status, project or priority) and 'value'.
+     * @return array { value, previous, html } where html is the new cell content.
+     */
+    public static function handleBulkUpdateAjax(array $data): array {
+        $post_id = absint($data['post_id'] ?? 0);
+        $field = sanitize_key($data['field'] ?? '');
+        $value = sanitize_text_field((string) ($data['value'] ?? ''));
+
+        if (!$post_id || get_post_type($post_id) !== 'service_request') {
+            throw new AjaxException('Invalid service request', 400, 'invalid_request');
+        }
+
+        if (!current_user_can('edit_post', $post_id)) {
+            throw new AjaxException('Permission denied', 403, 'forbidden');
+        }
+
+        switch ($field) {
+            case 'status':
+                $previous = get_post_meta($post_id, 'request_status', true) ?: 'New';
+                $result = $previous === $value || ServiceRequestService::updateStatus($post_id, $value);
+                $html = ServiceRequestService::getStatusBadgeHtml($value);
+                break;
+
+            case 'priority':
+                // Client-submitted requests store 'Normal'; compare and undo with the key
+                $value = strtolower($value);
+                $previous = strtolower((string) get_post_meta($post_id, 'priority', true)) ?: 'normal';
+                $result = $previous === $value || ServiceRequestService::updatePriority($post_id, $value);
+                $html = ServiceRequestService::getPriorityBadgeHtml($value);
+                break;
+
+            case 'project':
+                $previous = (string) (int) get_post_meta($post_id, 'related_project', true);
+                $result = $previous === $value || ServiceRequestService::assignProject($post_id, (int) $value);
+                $html = self::getProjectCellHtml((int) $value);
+                break;
+
+            default:
+                throw new AjaxException('Unknown bulk action', 400, 'invalid_field');
+        }
+
+        if (!$result) {
+            $message = $field === 'project'
+                ? 'Project is not available for this client'
+                : 'Failed to update ' . $field;
+            throw new AjaxException($message, 400, 'update_failed');
+        }
+
+        return [
+            'value' => $value,
+            'previous' => $previous,
+            'html' => $html,
+        ];
+    }
+
+    /**
+     * Enqueue the shared AJAX helper on the SR list screen.
+     */
+    public static function enqueueScripts(): void {
+        $screen = get_current_screen();
+        if (!$screen || $screen->id !== 'edit-service_request') {
+            return;
+        }
+
+        wp_enqueue_script(AjaxRouter::ADMIN_SCRIPT);
     }
 
     /**
@@ -417,44 +541,279 @@ class ServiceRequestColumns {
                 var $select = $(this);
                 var postId = $select.data('post-id');
                 var newStatus = $select.val();
-                var nonce = $select.data('nonce');
                 var $row = $select.closest('tr');
 
                 $select.prop('disabled', true);
 
-                $.ajax({
-                    url: ajaxurl,
-                    type: 'POST',
-                    data: {
-                        action: 'bbab_change_sr_status',
-                        post_id: postId,
-                        new_status: newStatus,
-                        nonce: nonce
-                    },
-                    success: function(response) {
-                        if (response.success) {
-                            // Update the status badge in the list
-                            var $statusCell = $row.find('.column-request_status');
-                            if ($statusCell.length) {
-                                $statusCell.html(response.data.badge_html);
-                            }
-
-                            // Show success message briefly
-                            $select.css('border', '2px solid #46b450');
-                            setTimeout(function() {
-                                $select.css('border', '');
-                                $select.prop('disabled', false);
-                            }, 1000);
-                        } else {
-                            alert('Error: ' + (response.data.message || 'Unknown error'));
-                            $select.prop('disabled', false);
-                        }
-                    },
-                    error: function() {
-                        alert('Failed to update status. Please try again.');
+                BBABAdminAjax.request('sr_change_status', {
+                    post_id: postId,
+                    new_status: newStatus
+                }, function(data) {
+                    // Update the status badge in the list
+                    var $statusCell = $row.find('.column-request_status');
+                    if ($statusCell.length) {
+                        $statusCell.html(data.badge_html);
+                    }
+
+                    // Show success message briefly
+                    $select.css('border', '2px solid #46b450');
+                    setTimeout(function() {
+                        $select.css('border', '');
                         $select.prop('disabled', false);
+                    }, 1000);
+                }, function(error) {
+                    alert('Error: ' + error.message);
+                    $select.prop('disabled', false);
+                });
+            });
+        });
+        </script>
+        <?php
+    }
+
+    /**
+     * Get the value choices for the bulk actions.
+     *
+     * Projects are grouped by client; the server rejects a project from
+     * another client row by row.
+     *
+     * @return array { status, priority, project } lists of { value, label, group? }.
+     */
+    private static function getBulkChoices(): array {
+        $statuses = array_map(function (string $status): array {
+            return ['value' => $status, 'label' => $status];
+        }, ServiceRequestService::STATUSES);
+
+        $priorities = [];
+        foreach (ServiceRequestService::PRIORITIES as $key => $label) {
+            $priorities[] = ['value' => $key, 'label' => $label];
+        }
+
+        $projects = [['value' => '0', 'label' => '— No project —']];
+        foreach (get_posts(['post_type' => 'project', 'posts_per_page' => -1, 'post_status' => 'publish']) as $project) {
+            $org_id = (int) get_post_meta($project->ID, 'organization', true);
+            $projects[] = [
+                'value' => (string) $project->ID,
+                'label' => $project->post_title,
+                'group' => $org_id ? get_the_title($org_id) : 'No client',
+            ];
+        }
+
+        usort($projects, function (array $a, array $b): int {
+            return [$a['group'] ?? '', $a['label']] <=> [$b['group'] ?? '', $b['label']];
+        });
+
+        return [
+            'status' => $statuses,
+            'priority' => $priorities,
+            'project' => $projects,
+        ];
+    }
+
+    /**
+     * Render JavaScript for the bulk actions.
+     *
+     * Apply opens a panel above the table to pick the new value, then each
+     * checked row is sent to sr_bulk_update in turn. Cells update in place
+     * and the last run can be undone from the summary.
+     */
+    public static function renderBulkActionScript(): void {
+        $screen = get_current_screen();
+        if (!$screen || $screen->id !== 'edit-service_request') {
+            return;
+        }
+
+        ?>
+        <script>
+        jQuery(document).ready(function($) {
+            var choices = <?php echo wp_json_encode(self::getBulkChoices()); ?>;
+            var actions = {
+                sr_bulk_status: { field: 'status', label: 'Set status', column: 'request_status' },
+                sr_bulk_project: { field: 'project', label: 'Assign project', column: 'project' },
+                sr_bulk_priority: { field: 'priority', label: 'Set priority', column: 'priority' }
+            };
+            var lastRun = null;
+            var running = false;
+            var $panel = $('<div class="sr-bulk-panel notice" hidden></div>').insertBefore('.wp-list-table');
+
+            /**
+             * Get a row's reference number for messages.
+             */
+            function rowRef(id) {
+                return $('#post-' + id).find('.column-reference a').text() || ('#' + id);
+            }
+
+            /**
+             * Build the value dropdown for a field.
+             */
+            function buildSelect(field) {
+                var $select = $('<select class="sr-bulk-value"></select>');
+                var groups = {};
+
+                $.each(choices[field], function(i, choice) {
+                    var $option = $('<option></option>').val(choice.value).text(choice.label);
+
+                    if (!choice.group) {
+                        $select.append($option);
+                        return;
+                    }
+
+                    if (!groups[choice.group]) {
+                        groups[choice.group] = $('<optgroup></optgroup>').attr('label', choice.group).appendTo($select);
+                    }
+                    groups[choice.group].append($option);
+                });
+
+                return $select;
+            }
+
+            /**
+             * Ask for the new value for the checked rows.
+             */
+            function openPanel(action, ids) {
+                var $select = buildSelect(action.field);
+
+                $panel.removeClass('notice-success notice-warning notice-error').addClass('notice-info').empty()
+                    .append($('<p></p>')
+                        .append($('<strong></strong>').text(action.label + ' for ' + ids.length + ' request' + (ids.length === 1 ? '' : 's') + ': '))
+                        .append($select)
+                        .append(' ')
+                        .append($('<button type="button" class="button button-primary"></button>').text('Apply').on('click', function() {
+                            run(action, ids.map(function(id) {
+                                return { id: id, value: $select.val() };
+                            }), false);
+                        }))
+                        .append(' ')
+                        .append($('<button type="button" class="button-link"></button>').text('Cancel').on('click', function() {
+                            $panel.prop('hidden', true);
+                        })))
+                    .prop('hidden', false);
+
+                $select.trigger('focus');
+            }
+
+            /**
+             * Update rows one at a time, then show the summary.
+             *
+             * @param {object}  action - Entry from actions
+             * @param {Array}   items  - [{ id, value }]
+             * @param {boolean} isUndo - Whether this run reverts the last one
+             */
+            function run(action, items, isUndo) {
+                var done = [];
+                var failed = [];
+                var $progress = $('<progress class="sr-bulk-progress"></progress>').attr('max', items.length).val(0);
+                var $status = $('<span></span>');
+
+                running = true;
+                $panel.removeClass('notice-info notice-success notice-warning notice-error').addClass('notice-info').empty()
+                    .append($('<p></p>').append($progress).append(' ').append($status));
+
+                $.each(items, function(i, item) {
+                    $('#post-' + item.id).removeClass('sr-bulk-done sr-bulk-failed').addClass('sr-bulk-pending');
+                });
+
+                (function next(index) {
+                    if (index >= items.length) {
+                        running = false;
+                        summarize(action, done, failed, isUndo);
+                        return;
                     }
+
+                    var item = items[index];
+                    var $row = $('#post-' + item.id);
+
+                    $status.text((isUndo ? 'Undoing ' : 'Updating ') + (index + 1) + ' of ' + items.length + '\u2026');
+                    $row.removeClass('sr-bulk-pending').addClass('sr-bulk-working');
+
+                    BBABAdminAjax.request('sr_bulk_update', {
+                        post_id: item.id,
+                        field: action.field,
+                        value: item.value
+                    }, function(data) {
+                        $row.find('.column-' + action.column).html(data.html);
+                        if (action.field === 'status') {
+                            $row.find('.sr-status-select').val(data.value);
+                        }
+                        $row.removeClass('sr-bulk-working').addClass('sr-bulk-done').removeAttr('title');
+                        done.push({ id: item.id, value: data.previous, changed: data.previous !== data.value });
+                        $progress.val(index + 1);
+                        next(index + 1);
+                    }, function(error) {
+                        $row.removeClass('sr-bulk-working').addClass('sr-bulk-failed').attr('title', error.message);
+                        failed.push({ id: item.id, message: error.message });
+                        $progress.val(index + 1);
+                        next(index + 1);
+                    });
+                })(0);
+            }
+
+            /**
+             * Show what happened and offer undo.
+             */
+            function summarize(action, done, failed, isUndo) {
+                var $summary = $('<p></p>');
+                var undoable = done.filter(function(item) {
+                    return item.changed;
                 });
+
+                lastRun = !isUndo && undoable.length ? { action: action, items: undoable } : null;
+
+                $summary.append($('<strong></strong>').text(
+                    (isUndo ? 'Reverted ' : 'Updated ') + done.length + ' request' + (done.length === 1 ? '' : 's') + '.' +
+                    (failed.length ? ' ' + failed.length + ' failed.' : '')
+                ));
+
+                if (lastRun) {
+                    $summary.append(' ').append($('<button type="button" class="button"></button>').text('Undo').on('click', function() {
+                        var undo = lastRun;
+                        lastRun = null;
+                        run(undo.action, undo.items, true);
+                    }));
+                }
+
+                $summary.append(' ').append($('<button type="button" class="button-link"></button>').text('Dismiss').on('click', function() {
+                    $panel.prop('hidden', true);
+                    $('.sr-bulk-done, .sr-bulk-failed').removeClass('sr-bulk-done sr-bulk-failed').removeAttr('title');
+                }));
+
+                $panel.removeClass('notice-info').addClass(failed.length ? (done.length ? 'notice-warning' : 'notice-error') : 'notice-success')
+                    .empty().append($summary);
+
+                if (failed.length) {
+                    var $list = $('<ul class="sr-bulk-failures"></ul>').appendTo($panel);
+                    $.each(failed, function(i, item) {
+                        $('<li></li>').text(rowRef(item.id) + ': ' + item.message).appendTo($list);
+                    });
+                }
+
+                $('#the-list input[name="post[]"], #cb-select-all-1, #cb-select-all-2').prop('checked', false);
+            }
+
+            $('#doaction, #doaction2').on('click', function(e) {
+                var $selector = $(this).siblings('select');
+                var action = actions[$selector.val()];
+
+                if (!action) {
+                    return;
+                }
+
+                e.preventDefault();
+
+                if (running) {
+                    return;
+                }
+
+                var ids = $('#the-list input[name="post[]"]:checked').map(function() {
+                    return parseInt(this.value, 10);
+                }).get();
+
+                if (!ids.length) {
+                    alert('Select at least one service request.');
+                    return;
+                }
+
+                openPanel(action, ids);
             });
         });
         </script>
@@ -532,6 +891,31 @@ class ServiceRequestColumns {
                 border-color: #467FF7;
             }
 
+            /* Bulk actions */
+            .sr-bulk-panel .sr-bulk-value {
+                min-width: 220px;
+            }
+            .sr-bulk-progress {
+                width: 200px;
+                vertical-align: middle;
+            }
+            .sr-bulk-failures {
+                margin: 0 0 10px 20px;
+                list-style: disc;
+            }
+            tr.sr-bulk-pending {
+                opacity: 0.6;
+            }
+            tr.sr-bulk-working {
+                background: #f0f6fc !important;
+            }
+            tr.sr-bulk-done th.check-column {
+                box-shadow: inset 4px 0 0 #46b450;
+            }
+            tr.sr-bulk-failed th.check-column {
+                box-shadow: inset 4px 0 0 #dc3232;
+            }
+
             /* Reference number link */
             .sr-ref-link {
                 font-family: monospace;
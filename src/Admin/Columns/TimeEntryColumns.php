@@ -238,6 +238,8 @@ class TimeEntryColumns {
         if (TimerService::isRunning($post_id)) {
             $start_timestamp = get_post_meta($post_id, 'start_timestamp', true);
             echo '<span class="te-timer-running">⏱️ Running</span>';
+        } elseif (TimerService::isPaused($post_id)) {
+            echo '<span class="te-timer-paused">⏸️ Paused</span>';
         } elseif ($hours) {
             echo number_format((float) $hours, 2);
         } else {
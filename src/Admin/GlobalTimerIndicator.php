@@ -3,13 +3,18 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin;
 
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Modules\TimeTracking\TimerService;
 use BBAB\ServiceCenter\Utils\Logger;
+use BBAB\ServiceCenter\Utils\Settings;
 
 /**
  * Global Timer Indicator for admin screens.
  *
- * Shows a persistent bar at the bottom of all admin pages when a timer is running.
- * Also enqueues the timer JavaScript on time_entry edit screens.
+ * Shows a persistent bar at the bottom of all admin pages when a timer is running
+ * or paused. Enqueues the shared timer sync script that keeps the bar and the
+ * timer metabox consistent across tabs, plus the metabox script on time_entry
+ * edit screens.
  *
  * Migrated from: WPCode Snippets #2332, #2357
  */
@@ -19,7 +24,7 @@ class GlobalTimerIndicator {
      * Register all hooks.
      */
     public static function register(): void {
-        // Enqueue timer script on time_entry screens
+        // Enqueue timer sync script (all screens) and metabox script (time_entry)
         add_action('admin_enqueue_scripts', [self::class, 'enqueueTimerScript']);
 
         // Render global indicator on all admin pages
@@ -29,10 +34,35 @@ class GlobalTimerIndicator {
     }
 
     /**
-     * Enqueue the timer script on time_entry screens.
+     * Enqueue the shared timer sync script on all admin pages, and the
+     * metabox timer script on time_entry screens.
      */
     public static function enqueueTimerScript(): void {
+        if (!current_user_can('edit_posts')) {
+            return;
+        }
+
         $screen = get_current_screen();
+        $post_id = 0;
+
+        if ($screen && $screen->post_type === 'time_entry' && $screen->base === 'post') {
+            $post_id = isset($_GET['post']) ? absint($_GET['post']) : 0;
+        }
+
+        wp_enqueue_script(
+            'bbab-sc-timer-sync',
+            BBAB_SC_URL . 'assets/js/admin-timer-sync.js',
+            ['jquery', AjaxRouter::ADMIN_SCRIPT],
+            BBAB_SC_VERSION,
+            true
+        );
+
+        wp_localize_script('bbab-sc-timer-sync', 'bbabTimerSync', [
+            'postId' => $post_id,
+            'pollInterval' => 15000,
+            'idleMinutes' => (int) Settings::get('timer_idle_minutes', 15),
+            'state' => TimerService::getClientState($post_id),
+        ]);
 
         if (!$screen || $screen->post_type !== 'time_entry') {
             return;
@@ -41,65 +71,41 @@ class GlobalTimerIndicator {
         wp_enqueue_script(
             'bbab-sc-admin-timer',
             BBAB_SC_URL . 'assets/js/admin-timer.js',
-            ['jquery'],
+            ['jquery', 'bbab-sc-timer-sync'],
             BBAB_SC_VERSION,
             true
         );
     }
 
     /**
-     * Render the global timer indicator if a timer is running.
+     * Render the global timer indicator.
+     *
+     * The bar is always printed (hidden when no timer is active) so that
+     * admin-timer-sync.js can show it when a timer starts in another tab.
      */
     public static function renderGlobalIndicator(): void {
         if (!current_user_can('edit_posts')) {
             return;
         }
 
-        global $wpdb;
-
-        // Check for any running timer
-        // phpcs:disable WordPress.DB.DirectDatabaseQuery
-        $running = $wpdb->get_row("
-            SELECT p.ID, p.post_title, pm.meta_value as start_timestamp
-            FROM {$wpdb->posts} p
-            INNER JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id
-            INNER JOIN {$wpdb->postmeta} pm2 ON p.ID = pm2.post_id
-            WHERE p.post_type = 'time_entry'
-            AND p.post_status IN ('publish', 'draft')
-            AND pm.meta_key = 'start_timestamp'
-            AND pm.meta_value != ''
-            AND pm2.meta_key = 'timer_status'
-            AND pm2.meta_value = 'running'
-            LIMIT 1
-        ");
-        // phpcs:enable
-
-        if (!$running) {
-            return;
-        }
-
-        $edit_url = admin_url('post.php?post=' . $running->ID . '&action=edit');
-        $elapsed = time() - intval($running->start_timestamp);
-
-        // Get more info about what this TE is for
-        $sr_id = get_post_meta($running->ID, 'related_service_request', true);
-        $project_id = get_post_meta($running->ID, 'related_project', true);
-        $milestone_id = get_post_meta($running->ID, 'related_milestone', true);
+        // Running timer first, otherwise the most recent paused one
+        $active = TimerService::getActiveTimer();
 
+        $is_paused = $active && $active['status'] === 'paused';
+        $elapsed = 0;
         $context = '';
-        if ($sr_id) {
-            $ref = get_post_meta($sr_id, 'reference_number', true);
-            $subject = get_post_meta($sr_id, 'subject', true);
-            $context = $ref . ' - ' . substr($subject, 0, 40);
-        } elseif ($project_id) {
-            $name = get_post_meta($project_id, 'project_name', true);
-            $context = 'Project: ' . $name;
-        } elseif ($milestone_id) {
-            $name = get_post_meta($milestone_id, 'milestone_name', true);
-            $context = 'Milestone: ' . $name;
+        $edit_url = '';
+
+        if ($active) {
+            $elapsed = $active['accumulated_seconds'];
+            if (!$is_paused) {
+                $elapsed += time() - $active['start_timestamp'];
+            }
+            $context = TimerService::getContextLabel($active['post_id']);
+            $edit_url = admin_url('post.php?post=' . $active['post_id'] . '&action=edit');
         }
         ?>
-        <div id="bbab-global-timer" style="
+        <div id="bbab-global-timer" data-status="<?php echo esc_attr($active ? $active['status'] : 'stopped'); ?>" style="
             position: fixed;
             bottom: 0;
             left: 0;
@@ -107,7 +113,7 @@ class GlobalTimerIndicator {
             background: #1e3a5f;
             color: #fff;
             padding: 10px 20px;
-            display: flex;
+            display: <?php echo $active ? 'flex' : 'none'; ?>;
             align-items: center;
             justify-content: center;
             gap: 15px;
@@ -115,42 +121,28 @@ class GlobalTimerIndicator {
             font-size: 14px;
             box-shadow: 0 -2px 10px rgba(0,0,0,0.2);
         ">
-            <span style="color: #ff6b6b; font-size: 18px;">&#9679;</span>
-            <span>Timer running:</span>
+            <span class="bbab-global-timer-icon" style="color: <?php echo $is_paused ? '#f5c542' : '#ff6b6b'; ?>; font-size: 18px;">
+                <?php echo $is_paused ? '&#10074;&#10074;' : '&#9679;'; ?>
+            </span>
+            <span class="bbab-global-timer-label"><?php echo $is_paused ? 'Timer paused:' : 'Timer running:'; ?></span>
             <strong id="bbab-global-timer-display" style="font-family: monospace; font-size: 16px;">
                 <?php echo esc_html(gmdate('H:i:s', $elapsed)); ?>
             </strong>
-            <?php if ($context): ?>
+            <span class="bbab-global-timer-context-wrap" style="display: <?php echo $context ? 'inline' : 'none'; ?>;">
                 <span style="color: #aaa;">&#8212;</span>
-                <span style="color: #aaa; max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                <span class="bbab-global-timer-context" style="color: #aaa; max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
                     <?php echo esc_html($context); ?>
                 </span>
-            <?php endif; ?>
+            </span>
             <span style="color: #aaa;">&#8212;</span>
-            <a href="<?php echo esc_url($edit_url); ?>" style="color: #66b3ff; text-decoration: none;">
+            <a href="<?php echo esc_url($edit_url); ?>" class="bbab-global-timer-link" style="color: #66b3ff; text-decoration: none;">
                 Click to return to Time Entry
             </a>
+            <button type="button" id="bbab-global-timer-stop" class="button button-small">
+                &#9209; Stop
+            </button>
+            <span class="bbab-global-timer-error" style="color: #ff9b9b; display: none;"></span>
         </div>
-        <script>
-        (function() {
-            var startTimestamp = <?php echo intval($running->start_timestamp); ?>;
-            var display = document.getElementById('bbab-global-timer-display');
-
-            function updateGlobalTimer() {
-                var elapsed = Math.floor(Date.now() / 1000) - startTimestamp;
-                var hours = Math.floor(elapsed / 3600);
-                var minutes = Math.floor((elapsed % 3600) / 60);
-                var seconds = elapsed % 60;
-
-                display.textContent =
-                    String(hours).padStart(2, '0') + ':' +
-                    String(minutes).padStart(2, '0') + ':' +
-                    String(seconds).padStart(2, '0');
-            }
-
-            setInterval(updateGlobalTimer, 1000);
-        })();
-        </script>
         <?php
     }
 }
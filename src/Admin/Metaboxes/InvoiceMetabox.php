@@ -3,6 +3,9 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Metaboxes;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Modules\Billing\InvoiceGenerator;
 use BBAB\ServiceCenter\Modules\Billing\InvoiceService;
 use BBAB\ServiceCenter\Modules\Billing\LineItemService;
 use BBAB\ServiceCenter\Modules\Billing\PDFService;
@@ -13,7 +16,7 @@ use BBAB\ServiceCenter\Utils\Logger;
  *
  * Displays on invoice edit screens:
  * - Invoice Summary (sidebar) - status, amounts, dates
- * - Line Items (main area) - list of invoice line items
+ * - Line Items (main area) - editable grid on draft invoices, list otherwise
  * - Related Items (sidebar) - links to milestone, project, report
  *
  * Foundation for Phase 5.3 - full metabox migration in Phase 5.4
@@ -27,7 +30,10 @@ class InvoiceMetabox {
     public static function register(): void {
         add_action('add_meta_boxes', [self::class, 'registerMetaboxes']);
         add_action('admin_head', [self::class, 'renderStyles']);
+        add_action('admin_enqueue_scripts', [self::class, 'enqueueScripts']);
+        add_action('admin_footer', [self::class, 'renderLineItemEditorScript']);
         add_action('wp_ajax_bbab_generate_invoice_pdf', [self::class, 'handleGeneratePDF']);
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerAjaxHandlers']);
 
         Logger::debug('InvoiceMetabox', 'Registered invoice metabox hooks');
     }
@@ -240,13 +246,64 @@ class InvoiceMetabox {
             return;
         }
 
-        // Verify invoice exists
-        if (!$invoice_id || get_post_type($invoice_id) !== 'invoice') {
-            wp_send_json_error(['message' => 'Invalid invoice.']);
+        $result = self::generatePDF($invoice_id);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
             return;
         }
 
-        // Generate PDF
+        wp_send_json_success([
+            'message' => 'PDF generated successfully.',
+            'path' => $result,
+        ]);
+    }
+
+    /**
+     * Add the invoice handlers to the router.
+     *
+     * invoice_generate_pdf is used by the Workbench command palette,
+     * invoice_line_items_save by the line item editor.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('invoice_generate_pdf', [self::class, 'handleGeneratePDFAjax'], false, false, 'manage_options');
+        $router->addHandler('invoice_line_items_save', [self::class, 'handleSaveLineItemsAjax'], false, false, 'manage_options');
+    }
+
+    /**
+     * AjaxRouter version of handleGeneratePDF.
+     *
+     * @param array $data Request data with 'invoice_id'.
+     * @return array { message, path }.
+     * @throws AjaxException On an invalid invoice or a failed generation.
+     */
+    public static function handleGeneratePDFAjax(array $data): array {
+        $result = self::generatePDF(absint($data['invoice_id'] ?? 0));
+
+        if (is_wp_error($result)) {
+            $invalid = $result->get_error_code() === 'invalid_invoice';
+            throw new AjaxException($result->get_error_message(), $invalid ? 400 : 500, $invalid ? 'invalid_request' : 'pdf_failed');
+        }
+
+        return [
+            'message' => 'PDF generated successfully.',
+            'path' => $result,
+        ];
+    }
+
+    /**
+     * Generate an invoice's PDF (shared by both PDF handlers).
+     *
+     * @param int $invoice_id Invoice post ID.
+     * @return string|\WP_Error PDF path, or an error (code 'invalid_invoice' for a bad ID).
+     */
+    private static function generatePDF(int $invoice_id): string|\WP_Error {
+        if (!$invoice_id || get_post_type($invoice_id) !== 'invoice') {
+            return new \WP_Error('invalid_invoice', 'Invalid invoice.');
+        }
+
         $result = PDFService::generateInvoicePDF($invoice_id);
 
         if (is_wp_error($result)) {
@@ -254,8 +311,7 @@ class InvoiceMetabox {
                 'invoice_id' => $invoice_id,
                 'error' => $result->get_error_message(),
             ]);
-            wp_send_json_error(['message' => $result->get_error_message()]);
-            return;
+            return $result;
         }
 
         Logger::debug('InvoiceMetabox', 'PDF generated via admin action', [
@@ -263,10 +319,7 @@ class InvoiceMetabox {
             'path' => $result,
         ]);
 
-        wp_send_json_success([
-            'message' => 'PDF generated successfully.',
-            'path' => $result,
-        ]);
+        return $result;
     }
 
     /**
@@ -278,6 +331,11 @@ class InvoiceMetabox {
         $invoice_id = $post->ID;
         $line_items = LineItemService::getForInvoice($invoice_id);
 
+        if (InvoiceService::getStatus($invoice_id) === InvoiceService::STATUS_DRAFT) {
+            self::renderLineItemEditor($invoice_id, $line_items);
+            return;
+        }
+
         if (empty($line_items)) {
             echo '<p style="color: #666; font-style: italic;">No line items yet.</p>';
             echo '<p><a href="' . admin_url('post-new.php?post_type=invoice_line_item&invoice_id=' . $invoice_id) . '" class="button">+ Add Line Item</a></p>';
@@ -353,6 +411,446 @@ class InvoiceMetabox {
         echo '</p>';
     }
 
+    /**
+     * Render the editable line item grid for a draft invoice.
+     *
+     * Rows are saved together by invoice_line_items_save; the script in
+     * renderLineItemEditorScript() keeps the totals and the source check live.
+     *
+     * @param int   $invoice_id Invoice post ID.
+     * @param array $line_items Line item posts in display order.
+     */
+    private static function renderLineItemEditor(int $invoice_id, array $line_items): void {
+        $source = InvoiceGenerator::getSourceAmount($invoice_id);
+
+        echo '<div class="bbab-line-item-editor" data-invoice-id="' . esc_attr($invoice_id) . '"';
+        echo ' data-hour-types="' . esc_attr(wp_json_encode(LineItemService::HOUR_LINE_TYPES)) . '"';
+        if ($source) {
+            echo ' data-source-label="' . esc_attr($source['label']) . '" data-source-amount="' . esc_attr($source['amount']) . '"';
+        }
+        echo '>';
+
+        echo '<div class="notice notice-warning inline bbab-li-mismatch" hidden><p></p></div>';
+
+        echo '<table class="wp-list-table widefat fixed bbab-li-table">';
+        echo '<thead>';
+        echo '<tr>';
+        echo '<th class="column-handle"></th>';
+        echo '<th class="column-type">Type</th>';
+        echo '<th class="column-description">Description</th>';
+        echo '<th class="column-qty">Qty</th>';
+        echo '<th class="column-rate">Rate</th>';
+        echo '<th class="column-amount">Amount</th>';
+        echo '<th class="column-actions"></th>';
+        echo '</tr>';
+        echo '</thead>';
+        echo '<tbody>';
+
+        foreach ($line_items as $item) {
+            self::renderLineItemEditorRow([
+                'id' => $item->ID,
+                'line_type' => get_post_meta($item->ID, 'line_type', true),
+                'description' => get_post_meta($item->ID, 'description', true),
+                'quantity' => get_post_meta($item->ID, 'quantity', true),
+                'rate' => get_post_meta($item->ID, 'rate', true),
+                'amount' => get_post_meta($item->ID, 'amount', true),
+            ]);
+        }
+
+        echo '</tbody>';
+        echo '<tfoot>';
+        echo '<tr class="total-row">';
+        echo '<td colspan="3" style="text-align: right; font-weight: 600;">Total:</td>';
+        echo '<td class="column-qty"><span class="bbab-li-total-hours">0.00</span> hrs</td>';
+        echo '<td></td>';
+        echo '<td class="column-amount" style="font-weight: 600;">$<span class="bbab-li-total-amount">0.00</span></td>';
+        echo '<td></td>';
+        echo '</tr>';
+        echo '</tfoot>';
+        echo '</table>';
+
+        // Blank row cloned by "Add Row"
+        echo '<template class="bbab-li-row-template">';
+        self::renderLineItemEditorRow(['id' => 0, 'line_type' => '', 'description' => '', 'quantity' => '', 'rate' => '', 'amount' => '']);
+        echo '</template>';
+
+        echo '<p class="bbab-li-actions">';
+        echo '<button type="button" class="button bbab-li-add">+ Add Row</button> ';
+        echo '<button type="button" class="button button-primary bbab-li-save" disabled>Save Line Items</button>';
+        echo '<span class="bbab-li-status"></span>';
+        echo '</p>';
+        echo '<p class="description">Drag rows to reorder. Amount fills in from Qty &times; Rate; leave those blank for a flat amount. Hours count Support quantities. Saving also updates the invoice amount.</p>';
+
+        echo '</div>';
+    }
+
+    /**
+     * Render one row of the line item editor.
+     *
+     * @param array $row { id, line_type, description, quantity, rate, amount }
+     */
+    private static function renderLineItemEditorRow(array $row): void {
+        $types = LineItemService::LINE_TYPES;
+        if ($row['line_type'] !== '' && !in_array($row['line_type'], $types, true)) {
+            $types[] = $row['line_type'];
+        }
+
+        echo '<tr class="bbab-li-row" data-id="' . esc_attr($row['id']) . '">';
+        echo '<td class="column-handle"><span class="dashicons dashicons-menu bbab-li-handle" title="Drag to reorder"></span></td>';
+
+        echo '<td class="column-type"><select class="bbab-li-type">';
+        echo '<option value="">— Type —</option>';
+        foreach ($types as $type) {
+            echo '<option value="' . esc_attr($type) . '"' . selected($row['line_type'], $type, false) . '>' . esc_html($type) . '</option>';
+        }
+        echo '</select></td>';
+
+        echo '<td class="column-description"><input type="text" class="bbab-li-description" value="' . esc_attr($row['description']) . '"></td>';
+        echo '<td class="column-qty"><input type="number" step="any" class="bbab-li-quantity" value="' . esc_attr($row['quantity']) . '"></td>';
+        echo '<td class="column-rate"><input type="number" step="0.01" class="bbab-li-rate" value="' . esc_attr($row['rate']) . '"></td>';
+        echo '<td class="column-amount"><input type="number" step="0.01" class="bbab-li-amount" value="' . esc_attr($row['amount']) . '"></td>';
+
+        echo '<td class="column-actions">';
+        if ($row['id']) {
+            echo '<a href="' . esc_url(get_edit_post_link($row['id'])) . '" class="bbab-li-edit" title="Open full editor"><span class="dashicons dashicons-edit"></span></a>';
+        }
+        echo '<button type="button" class="button-link bbab-li-remove" title="Remove row"><span class="dashicons dashicons-trash"></span></button>';
+        echo '</td>';
+        echo '</tr>';
+    }
+
+    /**
+     * AJAX: Save the line item editor.
+     *
+     * Rows with an ID are updated, rows without one are created through
+     * LineItemService::create(), and line items missing from the list are
+     * deleted. Row order becomes display_order. Every row is checked before
+     * anything is written, and the invoice amount is always synced to the
+     * line items afterwards, even when a create fails part way.
+     *
+     * @param array $data Request data with 'invoice_id' and 'rows' (id, line_type, description, quantity, rate, amount).
+     * @return array { rows: [{ id }], amount, hours, source: { label, amount } | null }.
+     * @throws AjaxException On invalid input or a non-draft invoice, or when a row
+     *                       can't be created (code 'create_failed' with the saved 'rows').
+     */
+    public static function handleSaveLineItemsAjax(array $data): array {
+        $invoice_id = absint($data['invoice_id'] ?? 0);
+
+        if (!$invoice_id || get_post_type($invoice_id) !== 'invoice') {
+            throw new AjaxException('Invalid invoice.', 400, 'invalid_request');
+        }
+
+        if (InvoiceService::getStatus($invoice_id) !== InvoiceService::STATUS_DRAFT) {
+            throw new AjaxException('Only draft invoices can be edited here.', 409, 'not_draft');
+        }
+
+        $existing = wp_list_pluck(LineItemService::getForInvoice($invoice_id), 'ID');
+        $rows = [];
+
+        // Check every row before writing any, so a bad row changes nothing
+        foreach (array_values((array) ($data['rows'] ?? [])) as $order => $row) {
+            if (!is_array($row)) {
+                continue;
+            }
+
+            $fields = [
+                'line_type' => sanitize_text_field($row['line_type'] ?? ''),
+                'description' => sanitize_text_field($row['description'] ?? ''),
+                'quantity' => is_numeric($row['quantity'] ?? '') ? (float) $row['quantity'] : '',
+                'rate' => is_numeric($row['rate'] ?? '') ? round((float) $row['rate'], 2) : '',
+                'amount' => round((float) ($row['amount'] ?? 0), 2),
+                'display_order' => $order,
+            ];
+
+            if ($fields['line_type'] === '') {
+                throw new AjaxException('Row ' . ($order + 1) . ' needs a type.', 400, 'missing_type');
+            }
+
+            $line_item_id = absint($row['id'] ?? 0);
+
+            if ($line_item_id && !in_array($line_item_id, $existing, true)) {
+                throw new AjaxException('Row ' . ($order + 1) . ' is not on this invoice. Reload and try again.', 409, 'stale_row');
+            }
+
+            $rows[] = ['id' => $line_item_id, 'fields' => $fields];
+        }
+
+        $kept = [];
+        $saved = [];
+        $error = null;
+
+        foreach ($rows as $row) {
+            $line_item_id = $row['id'];
+
+            if ($line_item_id) {
+                LineItemService::update($line_item_id, $row['fields']);
+            } else {
+                $line_item_id = LineItemService::create($invoice_id, $row['fields']);
+
+                if (is_wp_error($line_item_id)) {
+                    $error = $line_item_id;
+                    break;
+                }
+            }
+
+            $kept[] = $line_item_id;
+            $saved[] = ['id' => $line_item_id];
+        }
+
+        // An incomplete save keeps the rows it didn't get to
+        $deleted = $error ? [] : array_diff($existing, $kept);
+
+        foreach ($deleted as $line_item_id) {
+            LineItemService::delete((int) $line_item_id);
+        }
+
+        $amount = LineItemService::syncInvoiceAmount($invoice_id);
+
+        if ($error) {
+            // Rows created so far come back so a retry updates them instead of adding them again
+            throw new AjaxException($error->get_error_message(), 500, 'create_failed', ['rows' => $saved, 'amount' => $amount]);
+        }
+
+        Logger::debug('InvoiceMetabox', 'Saved line items from editor', [
+            'invoice_id' => $invoice_id,
+            'rows' => count($saved),
+            'deleted' => count($deleted),
+        ]);
+
+        return [
+            'rows' => $saved,
+            'amount' => $amount,
+            'hours' => LineItemService::getTotalHours($invoice_id),
+            'source' => InvoiceGenerator::getSourceAmount($invoice_id),
+        ];
+    }
+
+    /**
+     * Enqueue the AJAX helper and jQuery UI Sortable on invoice edit screens.
+     */
+    public static function enqueueScripts(): void {
+        $screen = get_current_screen();
+        if (!$screen || $screen->post_type !== 'invoice' || $screen->base !== 'post') {
+            return;
+        }
+
+        wp_enqueue_script(AjaxRouter::ADMIN_SCRIPT);
+        wp_enqueue_script('jquery-ui-sortable');
+    }
+
+    /**
+     * Render the line item editor script on invoice edit screens.
+     */
+    public static function renderLineItemEditorScript(): void {
+        $screen = get_current_screen();
+        if (!$screen || $screen->post_type !== 'invoice' || $screen->base !== 'post') {
+            return;
+        }
+
+        ?>
+        <script>
+        jQuery(document).ready(function($) {
+            var $editor = $('.bbab-line-item-editor');
+
+            if (!$editor.length) {
+                return;
+            }
+
+            var $body = $editor.find('.bbab-li-table tbody');
+            var $save = $editor.find('.bbab-li-save');
+            var $status = $editor.find('.bbab-li-status');
+            var hourTypes = $editor.data('hour-types') || [];
+            var source = $editor.is('[data-source-amount]') ? {
+                label: $editor.data('source-label'),
+                amount: Number($editor.data('source-amount'))
+            } : null;
+            var dirty = false;
+
+            function num(value) {
+                var n = parseFloat(value);
+                return isNaN(n) ? 0 : n;
+            }
+
+            function money(value) {
+                return (value < 0 ? '-$' : '$') + Math.abs(value).toFixed(2);
+            }
+
+            // Recalculate totals and compare with the report/milestone
+            function updateTotals() {
+                var amount = 0;
+                var hours = 0;
+
+                $body.find('.bbab-li-row').each(function() {
+                    var $row = $(this);
+                    var rowAmount = num($row.find('.bbab-li-amount').val());
+
+                    amount += rowAmount;
+                    if (hourTypes.indexOf($row.find('.bbab-li-type').val()) !== -1) {
+                        hours += num($row.find('.bbab-li-quantity').val());
+                    }
+
+                    $row.toggleClass('credit-row', rowAmount < 0);
+                });
+
+                amount = Math.round(amount * 100) / 100;
+
+                $editor.find('.bbab-li-total-amount').text(amount.toFixed(2));
+                $editor.find('.bbab-li-total-hours').text(hours.toFixed(2));
+
+                var $notice = $editor.find('.bbab-li-mismatch');
+                var diff = source ? Math.round((amount - source.amount) * 100) / 100 : 0;
+
+                if (diff === 0) {
+                    $notice.prop('hidden', true);
+                    return;
+                }
+
+                $notice.prop('hidden', false).find('p').text(
+                    'Line items total ' + money(amount) + ', but ' + source.label + ' bills ' + money(source.amount) +
+                    ' (' + (diff > 0 ? '+' : '') + money(diff) + ').'
+                );
+            }
+
+            // Keep the Pods amount and subtotal fields in step with the saved
+            // total, or the next Update would write the old values back
+            function setInvoiceTotals(amount) {
+                $.each(['amount', 'subtotal'], function(i, field) {
+                    var $field = $('[name="pods_meta_' + field + '"]');
+
+                    if (!$field.length) {
+                        $field = $('#pods-form-ui-pods-meta-' + field);
+                    }
+
+                    $field.val(Number(amount).toFixed(2)).trigger('change');
+                });
+            }
+
+            // Give newly created rows their line item ID and edit link
+            function applyIds($rows, saved) {
+                $.each(saved, function(i, row) {
+                    var $row = $rows.eq(i);
+
+                    if (!parseInt($row.attr('data-id'), 10)) {
+                        $row.attr('data-id', row.id);
+                        $('<a class="bbab-li-edit" title="Open full editor"><span class="dashicons dashicons-edit"></span></a>')
+                            .attr('href', 'post.php?post=' + row.id + '&action=edit')
+                            .prependTo($row.find('.column-actions'));
+                    }
+                });
+            }
+
+            function markDirty() {
+                dirty = true;
+                $save.prop('disabled', false);
+                $status.text('');
+            }
+
+            // Amount follows Qty x Rate when both are filled in
+            $body.on('input', '.bbab-li-quantity, .bbab-li-rate', function() {
+                var $row = $(this).closest('tr');
+                var quantity = $row.find('.bbab-li-quantity').val();
+                var rate = $row.find('.bbab-li-rate').val();
+
+                if (quantity !== '' && rate !== '') {
+                    $row.find('.bbab-li-amount').val((num(quantity) * num(rate)).toFixed(2));
+                }
+            });
+
+            $body.on('input change', 'input, select', function() {
+                markDirty();
+                updateTotals();
+            });
+
+            // Enter would submit the post form
+            $body.on('keydown', 'input', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                }
+            });
+
+            $body.on('click', '.bbab-li-remove', function() {
+                $(this).closest('tr').remove();
+                markDirty();
+                updateTotals();
+            });
+
+            $editor.on('click', '.bbab-li-add', function() {
+                var $row = $($editor.find('.bbab-li-row-template').html().trim());
+
+                $body.append($row);
+                $row.find('.bbab-li-type').trigger('focus');
+                markDirty();
+            });
+
+            if ($.fn.sortable) {
+                $body.sortable({
+                    handle: '.bbab-li-handle',
+                    axis: 'y',
+                    placeholder: 'bbab-li-placeholder',
+                    start: function(e, ui) {
+                        // Keep cell widths while the row is lifted out of the table
+                        ui.item.children().each(function() {
+                            $(this).width($(this).width());
+                        });
+                        ui.placeholder.height(ui.item.height());
+                    },
+                    stop: function(e, ui) {
+                        ui.item.children().css('width', '');
+                    },
+                    update: markDirty
+                });
+            }
+
+            $save.on('click', function() {
+                var $rows = $body.find('.bbab-li-row');
+                var rows = $rows.map(function() {
+                    var $row = $(this);
+                    return {
+                        id: parseInt($row.attr('data-id'), 10) || 0,
+                        line_type: $row.find('.bbab-li-type').val(),
+                        description: $row.find('.bbab-li-description').val(),
+                        quantity: $row.find('.bbab-li-quantity').val(),
+                        rate: $row.find('.bbab-li-rate').val(),
+                        amount: $row.find('.bbab-li-amount').val()
+                    };
+                }).get();
+
+                $save.prop('disabled', true);
+                $status.text('Saving...');
+
+                BBABAdminAjax.request('invoice_line_items_save', {
+                    invoice_id: $editor.data('invoice-id'),
+                    rows: rows
+                }, function(data) {
+                    applyIds($rows, data.rows);
+                    setInvoiceTotals(data.amount);
+                    source = data.source;
+                    dirty = false;
+                    updateTotals();
+                    $status.text('Saved. Invoice amount is now ' + money(data.amount) + '.');
+                }, function(error) {
+                    // Rows created before a failure keep their new IDs
+                    if (error.rows) {
+                        applyIds($rows, error.rows);
+                        setInvoiceTotals(error.amount);
+                    }
+                    $save.prop('disabled', false);
+                    $status.text('Error: ' + error.message);
+                });
+            });
+
+            $(window).on('beforeunload', function() {
+                if (dirty) {
+                    return 'You have unsaved line item changes.';
+                }
+            });
+
+            updateTotals();
+        });
+        </script>
+        <?php
+    }
+
     /**
      * Render the related items metabox.
      *
@@ -507,6 +1005,48 @@ class InvoiceMetabox {
                 background: #f5f5f5;
             }
 
+            /* Line Item Editor */
+            .bbab-li-table .column-handle { width: 24px; }
+            .bbab-li-table .column-type { width: 170px; }
+            .bbab-li-table .column-qty { width: 80px; text-align: right; }
+            .bbab-li-table .column-rate,
+            .bbab-li-table .column-amount { width: 100px; text-align: right; }
+            .bbab-li-table .column-actions { width: 60px; text-align: right; }
+            .bbab-li-table td {
+                vertical-align: middle;
+            }
+            .bbab-li-table input,
+            .bbab-li-table select {
+                width: 100%;
+                max-width: none;
+            }
+            .bbab-li-table input[type="number"] {
+                text-align: right;
+            }
+            .bbab-li-handle {
+                color: #8c8f94;
+                cursor: move;
+            }
+            .bbab-li-placeholder {
+                background: #f0f6fc;
+                outline: 1px dashed #72aee6;
+            }
+            .bbab-li-edit,
+            .bbab-li-remove {
+                color: #8c8f94;
+                text-decoration: none;
+            }
+            .bbab-li-remove:hover {
+                color: #d63638;
+            }
+            .bbab-li-status {
+                margin-left: 10px;
+                color: #50575e;
+            }
+            .bbab-li-mismatch[hidden] {
+                display: none;
+            }
+
             /* Related Items */
             .related-row {
                 padding: 8px 0;
@@ -3,8 +3,11 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Metaboxes;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Modules\Projects\ProjectService;
 use BBAB\ServiceCenter\Modules\Projects\MilestoneService;
+use BBAB\ServiceCenter\Modules\Projects\ProgressCalculator;
 use BBAB\ServiceCenter\Modules\Billing\InvoiceService;
 use BBAB\ServiceCenter\Utils\Logger;
 
@@ -12,13 +15,14 @@ use BBAB\ServiceCenter\Utils\Logger;
  * Project editor metaboxes.
  *
  * Displays on project edit screens:
- * - Milestones table (normal position)
+ * - Milestones board with drag-to-reorder and progress bars (normal position)
  * - Time Entries grouped by project/milestone (sidebar)
  * - Attachments aggregated from time entries (sidebar)
  *
  * Also handles:
  * - project_link parameter for new milestone pre-population
  * - AJAX handler for next milestone order
+ * - AJAX handlers for milestone reordering and work status
  *
  * Migrated from: WPCode Snippet #2740 (Project sections)
  */
@@ -30,6 +34,8 @@ class ProjectMetabox {
     public static function register(): void {
         add_action('add_meta_boxes', [self::class, 'registerMetaboxes']);
         add_action('admin_head', [self::class, 'renderStyles']);
+        add_action('admin_enqueue_scripts', [self::class, 'enqueueScripts']);
+        add_action('admin_footer', [self::class, 'renderMilestoneBoardScript']);
         add_filter('post_row_actions', [self::class, 'addRowActions'], 10, 2);
 
         // Handle project_link parameter for new milestones
@@ -39,6 +45,9 @@ class ProjectMetabox {
         // AJAX handler for next milestone order
         add_action('wp_ajax_bbab_get_next_milestone_order', [self::class, 'ajaxGetNextMilestoneOrder']);
 
+        // Milestone board handlers
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerAjaxHandlers']);
+
         Logger::debug('ProjectMetabox', 'Registered project metabox hooks');
     }
 
@@ -56,7 +65,7 @@ class ProjectMetabox {
             'high'
         );
 
-        // Milestones table (main content area)
+        // Milestones board (main content area)
         add_meta_box(
             'bbab_project_milestones',
             'Project Milestones',
@@ -88,7 +97,11 @@ class ProjectMetabox {
     }
 
     /**
-     * Render the milestones table metabox.
+     * Render the milestones board metabox.
+     *
+     * Milestones show as cards in milestone_order. Dragging a card renumbers
+     * every milestone in one request, and the work status can be changed on
+     * the card; the progress bars above follow both.
      *
      * @param \WP_Post $post The post object.
      */
@@ -106,18 +119,34 @@ class ProjectMetabox {
         $total_amount = 0;
         $total_invoiced = 0;
         $total_paid = 0;
+        $cards = [];
 
         foreach ($milestones as $ms) {
-            $amount = MilestoneService::getAmount($ms->ID);
+            $ms_id = $ms->ID;
+            $amount = MilestoneService::getAmount($ms_id);
             $total_amount += $amount;
 
-            $billing_status = get_post_meta($ms->ID, 'billing_status', true);
+            $billing_status = get_post_meta($ms_id, 'billing_status', true);
             if (in_array($billing_status, ['Invoiced', 'Invoiced as Deposit', 'Paid'])) {
                 $total_invoiced += $amount;
             }
             if ($billing_status === 'Paid') {
                 $total_paid += $amount;
             }
+
+            $cards[] = [
+                'id' => $ms_id,
+                'order' => get_post_meta($ms_id, 'milestone_order', true) ?: '—',
+                'name' => get_post_meta($ms_id, 'milestone_name', true) ?: '(Unnamed)',
+                'ref' => get_post_meta($ms_id, 'reference_number', true),
+                'amount' => $amount,
+                'work_status' => MilestoneService::getWorkStatus($ms_id),
+                'payment_status' => MilestoneService::getPaymentStatus($ms_id),
+                'due_date' => MilestoneService::getDueDate($ms_id),
+                'hours' => MilestoneService::getTotalHours($ms_id),
+                'is_deposit' => MilestoneService::isDeposit($ms_id),
+                'edit_link' => get_edit_post_link($ms_id),
+            ];
         }
 
         // Summary bar
@@ -128,74 +157,335 @@ class ProjectMetabox {
         echo ' &nbsp;&bull;&nbsp; Paid: $' . number_format($total_paid, 2);
         echo '</div>';
 
-        // Milestones table
-        echo '<table class="widefat striped" style="margin-bottom: 12px;">';
-        echo '<thead><tr>';
-        echo '<th style="width: 50px;">#</th>';
-        echo '<th>Milestone</th>';
-        echo '<th style="width: 100px;">Amount</th>';
-        echo '<th style="width: 120px;">Work Status</th>';
-        echo '<th style="width: 120px;">Billing</th>';
-        echo '<th style="width: 80px;">Actions</th>';
-        echo '</tr></thead>';
-        echo '<tbody>';
+        // Progress bars (one segment per milestone, in board order)
+        $work_progress = ProgressCalculator::getMilestoneProgress($project_id);
+        $payment_progress = ProgressCalculator::getMilestonePaymentProgress($project_id);
 
-        foreach ($milestones as $ms) {
-            $ms_id = $ms->ID;
-            $order = get_post_meta($ms_id, 'milestone_order', true) ?: '—';
-            $name = get_post_meta($ms_id, 'milestone_name', true) ?: '(Unnamed)';
-            $ref = get_post_meta($ms_id, 'reference_number', true);
-            $amount = MilestoneService::getAmount($ms_id);
-            $work_status = MilestoneService::getWorkStatus($ms_id);
-            $billing_status = get_post_meta($ms_id, 'billing_status', true) ?: 'Pending';
-            $is_deposit = MilestoneService::isDeposit($ms_id);
-            $edit_link = get_edit_post_link($ms_id);
-
-            echo '<tr>';
-            echo '<td style="text-align: center; font-weight: 600;">' . esc_html($order) . '</td>';
-            echo '<td>';
-            echo '<a href="' . esc_url($edit_link) . '" style="font-weight: 500; text-decoration: none;">' . esc_html($name) . '</a>';
-            if ($ref) {
-                echo ' <span style="color: #999; font-size: 12px;">(' . esc_html($ref) . ')</span>';
-            }
-            if ($is_deposit) {
+        echo '<div class="bbab-ms-progress">';
+        echo '<div class="bbab-ms-progress-row">';
+        echo '<span class="bbab-ms-progress-label">Work</span>';
+        echo '<div class="bbab-ms-bar bbab-ms-bar-work">';
+        foreach ($cards as $card) {
+            echo '<span class="bbab-ms-seg ' . esc_attr(self::getWorkSegmentClass($card['work_status'])) . '" title="' . esc_attr($card['name'] . ': ' . $card['work_status']) . '"></span>';
+        }
+        echo '</div>';
+        echo '<span class="bbab-ms-progress-text bbab-ms-work-text">' . $work_progress['completed'] . ' / ' . $work_progress['total'] . ' complete (' . $work_progress['percent'] . '%)</span>';
+        echo '</div>';
+
+        echo '<div class="bbab-ms-progress-row">';
+        echo '<span class="bbab-ms-progress-label">Payment</span>';
+        echo '<div class="bbab-ms-bar bbab-ms-bar-payment">';
+        foreach ($cards as $card) {
+            echo '<span class="bbab-ms-seg is-' . esc_attr(strtolower($card['payment_status'])) . '" title="' . esc_attr($card['name'] . ': ' . $card['payment_status']) . '"></span>';
+        }
+        echo '</div>';
+        echo '<span class="bbab-ms-progress-text bbab-ms-payment-text">' . $payment_progress['paid'] . ' paid &bull; ' . $payment_progress['invoiced'] . ' invoiced &bull; ' . $payment_progress['pending'] . ' pending</span>';
+        echo '</div>';
+        echo '</div>';
+
+        // Milestone cards
+        $today = current_time('Y-m-d');
+
+        echo '<ul class="bbab-ms-board" data-project-id="' . esc_attr((string) $project_id) . '">';
+
+        foreach ($cards as $card) {
+            $is_overdue = $card['due_date'] && $card['due_date'] < $today && $card['work_status'] !== MilestoneService::WORK_COMPLETED;
+
+            echo '<li class="bbab-ms-card' . ($is_overdue ? ' is-overdue' : '') . '"';
+            echo ' data-id="' . esc_attr((string) $card['id']) . '"';
+            echo ' data-name="' . esc_attr($card['name']) . '"';
+            echo ' data-status="' . esc_attr($card['work_status']) . '"';
+            echo ' data-payment="' . esc_attr($card['payment_status']) . '"';
+            echo ' data-due="' . esc_attr($card['due_date']) . '">';
+
+            echo '<span class="bbab-ms-handle dashicons dashicons-menu" title="Drag to reorder"></span>';
+            echo '<span class="bbab-ms-order">' . esc_html((string) $card['order']) . '</span>';
+
+            echo '<div class="bbab-ms-main">';
+            echo '<a href="' . esc_url($card['edit_link']) . '" class="bbab-ms-name">' . esc_html($card['name']) . '</a>';
+            if ($card['ref']) {
+                echo ' <span class="bbab-ms-ref">(' . esc_html($card['ref']) . ')</span>';
+            }
+            if ($card['is_deposit']) {
                 echo ' <span style="background: #7c3aed; color: white; padding: 1px 6px; border-radius: 3px; font-size: 10px; margin-left: 4px;">DEPOSIT</span>';
             }
-            echo '</td>';
-            echo '<td>$' . number_format($amount, 2) . '</td>';
-            echo '<td>' . MilestoneService::getWorkStatusBadgeHtml($work_status) . '</td>';
-            echo '<td>' . self::getBillingStatusBadge($billing_status) . '</td>';
-            echo '<td><a href="' . esc_url($edit_link) . '" class="button button-small">Edit</a></td>';
-            echo '</tr>';
+            echo '<div class="bbab-ms-meta">';
+            echo '$' . number_format($card['amount'], 2);
+            echo ' &bull; <span class="bbab-ms-due">' . ($card['due_date'] ? 'Due ' . esc_html(date('M j, Y', strtotime($card['due_date']))) : 'No due date') . '</span>';
+            echo ' &bull; ' . number_format($card['hours'], 2) . ' hrs';
+            echo '</div>';
+            echo '</div>';
+
+            echo '<select class="bbab-ms-status" aria-label="Work status">';
+            $statuses = MilestoneService::WORK_STATUSES;
+            if (!in_array($card['work_status'], $statuses, true)) {
+                array_unshift($statuses, $card['work_status']);
+            }
+            foreach ($statuses as $status) {
+                echo '<option value="' . esc_attr($status) . '"' . selected($card['work_status'], $status, false) . '>' . esc_html($status) . '</option>';
+            }
+            echo '</select>';
+
+            echo '<span class="bbab-ms-payment">' . MilestoneService::getPaymentStatusBadgeHtml($card['payment_status'], $card['id']) . '</span>';
+            echo '<a href="' . esc_url($card['edit_link']) . '" class="button button-small">Edit</a>';
+            echo '</li>';
         }
 
-        echo '</tbody></table>';
+        echo '</ul>';
 
-        // Add new milestone button
+        echo '<p class="bbab-ms-board-footer">';
         echo '<a href="' . admin_url('post-new.php?post_type=milestone&project_link=' . $project_id) . '" class="button button-primary">+ Add Milestone</a>';
+        echo ' <span class="bbab-ms-board-status" aria-live="polite"></span>';
+        echo '</p>';
     }
 
     /**
-     * Get billing status badge HTML.
+     * Get the progress bar segment class for a work status.
      *
-     * @param string $status Billing status.
-     * @return string HTML badge.
+     * @param string $status Work status.
+     * @return string CSS class.
      */
-    private static function getBillingStatusBadge(string $status): string {
-        $colors = [
-            'Pending' => 'background: #f5f5f5; color: #666;',
-            'Invoiced' => 'background: #e3f2fd; color: #1976d2;',
-            'Invoiced as Deposit' => 'background: #ede9fe; color: #7c3aed;',
-            'Paid' => 'background: #d5f5e3; color: #1e8449;',
-        ];
+    private static function getWorkSegmentClass(string $status): string {
+        if ($status === MilestoneService::WORK_COMPLETED) {
+            return 'is-completed';
+        }
 
-        $style = $colors[$status] ?? 'background: #f5f5f5; color: #666;';
+        return $status === MilestoneService::WORK_IN_PROGRESS ? 'is-in-progress' : 'is-open';
+    }
 
-        return sprintf(
-            '<span style="%s padding: 3px 8px; border-radius: 10px; font-size: 11px; font-weight: 500;">%s</span>',
-            $style,
-            esc_html($status)
-        );
+    /**
+     * Register AJAX handlers with the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('project_milestones_reorder', [self::class, 'handleReorderMilestonesAjax'], false, false, 'manage_options');
+        $router->addHandler('project_milestone_status', [self::class, 'handleMilestoneStatusAjax'], false, false, 'manage_options');
+    }
+
+    /**
+     * AJAX: Save the milestone board order.
+     *
+     * @param array $data Request data with 'project_id' and 'milestone_ids' (in board order).
+     * @return array { orders: [{ id, order }] }.
+     * @throws AjaxException On an invalid project or a stale milestone list.
+     */
+    public static function handleReorderMilestonesAjax(array $data): array {
+        $project_id = absint($data['project_id'] ?? 0);
+
+        if (!$project_id || get_post_type($project_id) !== 'project') {
+            throw new AjaxException('Invalid project.', 400, 'invalid_request');
+        }
+
+        $orders = MilestoneService::reorder($project_id, (array) ($data['milestone_ids'] ?? []));
+
+        if (is_wp_error($orders)) {
+            throw new AjaxException($orders->get_error_message(), 409, $orders->get_error_code());
+        }
+
+        $result = [];
+        foreach ($orders as $milestone_id => $order) {
+            $result[] = ['id' => $milestone_id, 'order' => $order];
+        }
+
+        return ['orders' => $result];
+    }
+
+    /**
+     * AJAX: Change a milestone's work status from the board.
+     *
+     * @param array $data Request data with 'milestone_id' and 'status'.
+     * @return array { status }.
+     * @throws AjaxException On an invalid milestone or status.
+     */
+    public static function handleMilestoneStatusAjax(array $data): array {
+        $milestone_id = absint($data['milestone_id'] ?? 0);
+        $status = sanitize_text_field($data['status'] ?? '');
+
+        if (!$milestone_id || get_post_type($milestone_id) !== 'milestone') {
+            throw new AjaxException('Invalid milestone.', 400, 'invalid_request');
+        }
+
+        if (!MilestoneService::setWorkStatus($milestone_id, $status)) {
+            throw new AjaxException('Unknown work status.', 400, 'invalid_status');
+        }
+
+        return ['status' => $status];
+    }
+
+    /**
+     * Enqueue the AJAX helper and jQuery UI Sortable on project edit screens.
+     */
+    public static function enqueueScripts(): void {
+        $screen = get_current_screen();
+        if (!$screen || $screen->post_type !== 'project' || $screen->base !== 'post') {
+            return;
+        }
+
+        wp_enqueue_script(AjaxRouter::ADMIN_SCRIPT);
+        wp_enqueue_script('jquery-ui-sortable');
+    }
+
+    /**
+     * Render the milestone board script on project edit screens.
+     */
+    public static function renderMilestoneBoardScript(): void {
+        $screen = get_current_screen();
+        if (!$screen || $screen->post_type !== 'project' || $screen->base !== 'post') {
+            return;
+        }
+
+        ?>
+        <script>
+        jQuery(document).ready(function($) {
+            var $board = $('.bbab-ms-board');
+
+            if (!$board.length) {
+                return;
+            }
+
+            var $status = $('.bbab-ms-board-status');
+            var projectId = $board.data('project-id');
+            var today = '<?php echo esc_js(current_time('Y-m-d')); ?>';
+            var previousOrder = [];
+
+            function cardIds() {
+                return $board.find('.bbab-ms-card').map(function() {
+                    return $(this).data('id');
+                }).get();
+            }
+
+            function workClass(status) {
+                if (status === 'Completed') {
+                    return 'is-completed';
+                }
+                return status === 'In Progress' ? 'is-in-progress' : 'is-open';
+            }
+
+            // Cards in board order; mid-drag, the dragged card counts where its placeholder is
+            function orderedCards(ui) {
+                if (!ui) {
+                    return $board.find('.bbab-ms-card');
+                }
+
+                return $($board.children().not(ui.item).map(function() {
+                    if ($(this).hasClass('bbab-ms-placeholder')) {
+                        return ui.item[0];
+                    }
+                    return $(this).hasClass('bbab-ms-card') ? this : null;
+                }).get());
+            }
+
+            // Redraw both bars from the cards
+            function renderProgress(ui) {
+                var $work = $('.bbab-ms-bar-work').empty();
+                var $payment = $('.bbab-ms-bar-payment').empty();
+                var counts = { completed: 0, paid: 0, invoiced: 0, pending: 0 };
+                var $cards = orderedCards(ui);
+                var total = $cards.length;
+
+                $cards.each(function() {
+                    var $card = $(this);
+                    var name = $card.data('name');
+                    var status = String($card.attr('data-status'));
+                    var payment = String($card.data('payment'));
+
+                    if (status === 'Completed') {
+                        counts.completed++;
+                    }
+                    if (payment === 'Paid') {
+                        counts.paid++;
+                    } else if (payment === 'Invoiced') {
+                        counts.invoiced++;
+                    } else {
+                        counts.pending++;
+                    }
+
+                    $('<span class="bbab-ms-seg">').addClass(workClass(status)).attr('title', name + ': ' + status).appendTo($work);
+                    $('<span class="bbab-ms-seg">').addClass('is-' + payment.toLowerCase()).attr('title', name + ': ' + payment).appendTo($payment);
+                });
+
+                var percent = total ? Math.round(counts.completed / total * 1000) / 10 : 0;
+
+                $('.bbab-ms-work-text').text(counts.completed + ' / ' + total + ' complete (' + percent + '%)');
+                $('.bbab-ms-payment-text').text(counts.paid + ' paid \u2022 ' + counts.invoiced + ' invoiced \u2022 ' + counts.pending + ' pending');
+            }
+
+            function restoreOrder(ids) {
+                $.each(ids, function(i, id) {
+                    $board.append($board.find('.bbab-ms-card[data-id="' + id + '"]'));
+                });
+            }
+
+            function saveOrder() {
+                var ids = cardIds();
+                var restore = previousOrder;
+
+                $board.sortable('disable').addClass('is-saving');
+                $status.text('Saving order...');
+
+                BBABAdminAjax.request('project_milestones_reorder', {
+                    project_id: projectId,
+                    milestone_ids: ids
+                }, function(data) {
+                    $.each(data.orders, function(i, row) {
+                        $board.find('.bbab-ms-card[data-id="' + row.id + '"] .bbab-ms-order').text(row.order);
+                    });
+                    $board.sortable('enable').removeClass('is-saving');
+                    $status.text('Order saved.');
+                }, function(error) {
+                    restoreOrder(restore);
+                    renderProgress();
+                    $board.sortable('enable').removeClass('is-saving');
+                    $status.text('Error: ' + error.message);
+                });
+            }
+
+            $board.sortable({
+                handle: '.bbab-ms-handle',
+                axis: 'y',
+                placeholder: 'bbab-ms-placeholder',
+                start: function(e, ui) {
+                    previousOrder = cardIds();
+                    ui.placeholder.height(ui.item.outerHeight());
+                },
+                change: function(e, ui) {
+                    renderProgress(ui);
+                },
+                update: saveOrder,
+                stop: function() {
+                    renderProgress();
+                }
+            });
+
+            $board.on('change', '.bbab-ms-status', function() {
+                var $select = $(this);
+                var $card = $select.closest('.bbab-ms-card');
+                var previous = $card.attr('data-status');
+                var status = $select.val();
+                var due = String($card.data('due') || '');
+
+                $select.prop('disabled', true);
+                $card.attr('data-status', status);
+                renderProgress();
+
+                BBABAdminAjax.request('project_milestone_status', {
+                    milestone_id: $card.data('id'),
+                    status: status
+                }, function() {
+                    $select.prop('disabled', false);
+                    $card.toggleClass('is-overdue', due !== '' && due < today && status !== 'Completed');
+                    $status.text($card.data('name') + ' is now ' + status + '.');
+                }, function(error) {
+                    $select.val(previous).prop('disabled', false);
+                    $card.attr('data-status', previous);
+                    renderProgress();
+                    $status.text('Error: ' + error.message);
+                });
+            });
+        });
+        </script>
+        <?php
     }
 
     /**
@@ -857,12 +1147,49 @@ class ProjectMetabox {
         }
 
         echo '<style>
-            /* Milestones Table */
+            /* Milestones Board */
             #bbab_project_milestones .inside { margin: 0; padding: 12px; }
-            #bbab_project_milestones table { border: 1px solid #ddd; }
-            #bbab_project_milestones th { background: #f9f9f9; font-weight: 600; }
-            #bbab_project_milestones td,
-            #bbab_project_milestones th { padding: 10px 12px; vertical-align: middle; }
+            .bbab-ms-progress { margin-bottom: 16px; }
+            .bbab-ms-progress-row { display: flex; align-items: center; gap: 10px; margin-bottom: 6px; }
+            .bbab-ms-progress-label { width: 60px; font-weight: 600; font-size: 12px; }
+            .bbab-ms-progress-text { min-width: 200px; font-size: 12px; color: #666; }
+            .bbab-ms-bar {
+                flex: 1; display: flex; gap: 2px; height: 10px;
+                background: #e0e0e0; border-radius: 4px; overflow: hidden;
+            }
+            .bbab-ms-seg { flex: 1; background: #e0e0e0; transition: background 0.3s; }
+            .bbab-ms-seg.is-in-progress { background: #90caf9; }
+            .bbab-ms-seg.is-completed,
+            .bbab-ms-seg.is-paid { background: #1e8449; }
+            .bbab-ms-seg.is-invoiced { background: #1976d2; }
+
+            .bbab-ms-board { margin: 0; }
+            .bbab-ms-card {
+                display: flex; align-items: center; gap: 10px;
+                margin: 0 0 6px; padding: 10px 12px;
+                background: white; border: 1px solid #ddd; border-radius: 4px;
+            }
+            .bbab-ms-card.is-overdue { border-left: 4px solid #dc2626; }
+            .bbab-ms-card.ui-sortable-helper { box-shadow: 0 4px 12px rgba(0,0,0,0.15); }
+            .bbab-ms-board.is-saving .bbab-ms-card { opacity: 0.7; }
+            .bbab-ms-placeholder {
+                margin: 0 0 6px; border: 2px dashed #2271b1; border-radius: 4px;
+                background: #f0f6fc; visibility: visible !important;
+            }
+            .bbab-ms-handle { color: #999; cursor: move; }
+            .bbab-ms-order {
+                min-width: 28px; text-align: center; font-weight: 600;
+                background: #f0f0f1; border-radius: 10px; padding: 2px 6px;
+            }
+            .bbab-ms-main { flex: 1; min-width: 0; }
+            .bbab-ms-name { font-weight: 500; text-decoration: none; }
+            .bbab-ms-ref { color: #999; font-size: 12px; }
+            .bbab-ms-meta { margin-top: 3px; font-size: 12px; color: #666; }
+            .bbab-ms-card.is-overdue .bbab-ms-due { color: #dc2626; font-weight: 600; }
+            .bbab-ms-status { min-width: 140px; }
+            .bbab-ms-payment { min-width: 90px; font-size: 12px; }
+            .bbab-ms-board-footer { margin: 12px 0 0; }
+            .bbab-ms-board-status { margin-left: 8px; color: #666; font-size: 12px; }
 
             /* Sidebar Metaboxes */
             #bbab_project_time_entries .inside,
@@ -10,6 +10,7 @@ use BBAB\ServiceCenter\Utils\Logger;
  *
  * Displays on roadmap_item edit screens:
  * - ADR Document (sidebar) - Shows attached ADR PDF with download link
+ * - Client Comments (sidebar) - Notes clients sent with roadmap votes
  *
  * Phase 7 - Staging fixes
  */
@@ -92,6 +93,59 @@ class RoadmapMetabox {
             'side',
             'default'
         );
+
+        // Client Comments (sidebar)
+        add_meta_box(
+            'bbab_roadmap_client_comments',
+            'Client Comments',
+            [self::class, 'renderCommentsMetabox'],
+            'roadmap_item',
+            'side',
+            'default'
+        );
+    }
+
+    /**
+     * Render client comments metabox.
+     *
+     * Lists the notes clients added when voting from the dashboard roadmap.
+     *
+     * @param \WP_Post $post The post object.
+     */
+    public static function renderCommentsMetabox(\WP_Post $post): void {
+        $comments = get_post_meta($post->ID, 'client_comments', true);
+
+        if (!is_array($comments) || empty($comments)) {
+            echo '<p class="description">No client comments yet.</p>';
+            return;
+        }
+
+        $vote_labels = [
+            'interested' => 'Interested',
+            'decline' => 'Declined',
+            'approve' => 'Approved',
+        ];
+
+        echo '<ul class="bbab-roadmap-comments">';
+        foreach (array_reverse($comments) as $comment) {
+            $user = get_userdata((int) ($comment['user_id'] ?? 0));
+            $vote = $vote_labels[$comment['vote'] ?? ''] ?? '';
+            $date = !empty($comment['date']) ? date('M j, Y g:i A', strtotime($comment['date'])) : '';
+
+            echo '<li>';
+            echo '<p class="bbab-roadmap-comment-meta">';
+            echo '<strong>' . esc_html($user ? $user->display_name : 'Unknown') . '</strong>';
+            if ($vote) {
+                echo ' &middot; ' . esc_html($vote);
+            }
+            if ($date) {
+                echo '<br><span>' . esc_html($date) . '</span>';
+            }
+            echo '</p>';
+            echo '<p>' . nl2br(esc_html($comment['comment'] ?? '')) . '</p>';
+            echo '</li>';
+        }
+        echo '</ul>';
     }
 
     /**
@@ -200,6 +254,16 @@ class RoadmapMetabox {
             /* ADR Container */
             #bbab_roadmap_adr_document .inside { margin: 0; padding: 12px; }
 
+            /* Client Comments */
+            .bbab-roadmap-comments { margin: 0; }
+            .bbab-roadmap-comments li {
+                padding: 8px 0;
+                border-bottom: 1px solid #e5e7eb;
+            }
+            .bbab-roadmap-comments li:last-child { border-bottom: none; }
+            .bbab-roadmap-comments p { margin: 0 0 4px; }
+            .bbab-roadmap-comment-meta span { color: #666; font-size: 12px; }
+
             .bbab-adr-container {
                 background: #f9fafb;
                 border: 1px solid #e5e7eb;
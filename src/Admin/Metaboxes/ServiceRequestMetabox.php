@@ -3,6 +3,7 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Metaboxes;
 
+use BBAB\ServiceCenter\Modules\ServiceRequests\ReplyService;
 use BBAB\ServiceCenter\Modules\TimeTracking\TimeEntryService;
 use BBAB\ServiceCenter\Utils\Logger;
 
@@ -12,6 +13,7 @@ use BBAB\ServiceCenter\Utils\Logger;
  * Includes:
  * - Linked Time Entries metabox (shows all TEs for this SR)
  * - Aggregated Attachments metabox (shows files from all linked TEs)
+ * - Conversation metabox (client/staff reply thread from the portal)
  *
  * Migrated from: WPCode Snippet #1906
  */
@@ -48,6 +50,60 @@ class ServiceRequestMetabox {
             'side',
             'default'
         );
+
+        add_meta_box(
+            'bbab_sr_replies',
+            '&#128172; Conversation',
+            [self::class, 'renderRepliesMetabox'],
+            'service_request',
+            'normal',
+            'default'
+        );
+    }
+
+    /**
+     * Render the Conversation metabox.
+     *
+     * Read-only view of the portal reply thread; staff reply from the
+     * request's portal page.
+     *
+     * @param \WP_Post $post Current post object.
+     */
+    public static function renderRepliesMetabox(\WP_Post $post): void {
+        $replies = ReplyService::getReplies($post->ID);
+        $portal_link = '<a href="' . esc_url(get_permalink($post->ID) . '#sr-replies') . '" class="button" target="_blank">Reply in Portal</a>';
+
+        if (empty($replies)) {
+            echo '<p style="color: #666; font-style: italic;">No replies yet.</p>';
+            echo '<p>' . $portal_link . '</p>';
+            return;
+        }
+
+        echo '<div class="bbab-replies-list">';
+
+        foreach ($replies as $reply) {
+            echo '<div class="bbab-reply-row' . ($reply['is_staff'] ? ' is-staff' : '') . '">';
+            echo '<div class="reply-meta"><strong>' . esc_html($reply['author']) . '</strong>';
+            if ($reply['is_staff']) {
+                echo ' <span class="reply-staff-badge">Staff</span>';
+            }
+            echo ' &bull; ' . esc_html($reply['date']) . '</div>';
+
+            if ($reply['message'] !== '') {
+                echo '<div class="reply-message">' . nl2br(esc_html($reply['message'])) . '</div>';
+            }
+
+            foreach ($reply['attachments'] as $file) {
+                echo '<div class="bbab-attachment-row"><a href="' . esc_url($file['url']) . '" target="_blank">';
+                echo '&#128206; <span class="attachment-filename">' . esc_html($file['name']) . '</span>';
+                echo '</a></div>';
+            }
+
+            echo '</div>';
+        }
+
+        echo '</div>';
+        echo '<p>' . $portal_link . '</p>';
     }
 
     /**
@@ -355,6 +411,42 @@ class ServiceRequestMetabox {
                 text-decoration: underline;
             }
 
+            /* Conversation Metabox */
+            .bbab-replies-list {
+                max-height: 480px;
+                overflow-y: auto;
+            }
+
+            .bbab-reply-row {
+                padding: 12px;
+                margin-bottom: 8px;
+                background: #fafafa;
+                border-left: 4px solid #c3c4c7;
+                border-radius: 4px;
+            }
+
+            .bbab-reply-row.is-staff {
+                border-left-color: #0073aa;
+            }
+
+            .reply-meta {
+                font-size: 12px;
+                color: #666;
+                margin-bottom: 6px;
+            }
+
+            .reply-staff-badge {
+                background: #f0f6fc;
+                color: #0073aa;
+                padding: 1px 6px;
+                border-radius: 3px;
+                font-size: 11px;
+            }
+
+            .reply-message {
+                color: #23282d;
+            }
+
             .attachment-filename {
                 overflow: hidden;
                 text-overflow: ellipsis;
@@ -3,6 +3,7 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Metaboxes;
 
+use BBAB\ServiceCenter\Modules\TimeTracking\ReassignmentService;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
@@ -386,19 +387,13 @@ class TimeEntryReassignMetabox {
             return;
         }
 
-        // Clear all three relationship fields
-        delete_post_meta($post_id, 'related_service_request');
-        delete_post_meta($post_id, 'related_project');
-        delete_post_meta($post_id, 'related_milestone');
-
-        // Set the new relationship
-        $meta_key_map = [
-            'service_request' => 'related_service_request',
-            'project' => 'related_project',
-            'milestone' => 'related_milestone',
-        ];
-
-        update_post_meta($post_id, $meta_key_map[$item_type], $item_id);
+        // Same path as the Workbench reassignment board: blocks billed time and logs the move for undo
+        $move = ReassignmentService::move([$post_id], $item_type, $item_id);
+        if (is_wp_error($move)) {
+            $blocked = $move->get_error_data()['blocked'] ?? [];
+            wp_send_json_error(['message' => $blocked ? $blocked[0]['reason'] : $move->get_error_message()]);
+            return;
+        }
 
         Logger::debug('TimeEntryReassignMetabox', "Reassigned TE {$post_id} to {$item_type} {$item_id}");
 
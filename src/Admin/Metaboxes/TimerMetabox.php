@@ -9,7 +9,7 @@ use BBAB\ServiceCenter\Utils\Logger;
 /**
  * Timer UI metabox for Time Entry edit screen.
  *
- * Provides start/stop timer buttons with live elapsed time display.
+ * Provides start/pause/resume/stop timer buttons with live elapsed time display.
  * AJAX handlers are in TimerService.
  *
  * Migrated from: WPCode Snippet #2327
@@ -50,9 +50,6 @@ class TimerMetabox {
         $time_start = get_post_meta($post->ID, 'time_start', true);
         $time_end = get_post_meta($post->ID, 'time_end', true);
 
-        // Output nonce for AJAX
-        wp_nonce_field('bbab_timer_action', 'bbab_timer_nonce');
-
         echo '<div id="bbab-timer-container" data-post-id="' . esc_attr((string) $post->ID) . '">';
 
         // Check if this is an unsaved post (auto-draft)
@@ -62,15 +59,38 @@ class TimerMetabox {
             return;
         }
 
+        $accumulated = TimerService::getAccumulatedSeconds($post->ID);
+
         if ($timer_status === 'running' && $start_timestamp) {
-            // Timer is running - show stop button with elapsed time
-            $elapsed = time() - intval($start_timestamp);
+            // Timer is running - show pause/stop buttons with elapsed time
+            $elapsed = $accumulated + (time() - intval($start_timestamp));
             echo '<p style="font-size: 24px; font-weight: bold; text-align: center; margin: 10px 0;" id="bbab-timer-display">';
             echo esc_html(gmdate('H:i:s', $elapsed));
             echo '</p>';
-            echo '<button type="button" id="bbab-stop-timer" class="button button-primary" style="width: 100%; height: 40px; font-size: 14px;">';
+            echo '<div class="bbab-timer-buttons">';
+            echo '<button type="button" id="bbab-pause-timer" class="button" style="height: 40px; font-size: 14px;">';
+            echo '&#9208; Pause</button>';
+            echo '<button type="button" id="bbab-stop-timer" class="button button-primary" style="height: 40px; font-size: 14px;">';
             echo '&#9209; Stop Timer</button>';
+            echo '</div>';
             echo '<input type="hidden" id="bbab-start-timestamp" value="' . esc_attr((string) $start_timestamp) . '">';
+            echo '<input type="hidden" id="bbab-accumulated-seconds" value="' . esc_attr((string) $accumulated) . '">';
+            self::renderSegments($post->ID);
+
+        } elseif ($timer_status === 'paused') {
+            // Timer is paused - show frozen elapsed time with resume/stop buttons
+            echo '<p class="bbab-timer-paused-label">Paused</p>';
+            echo '<p style="font-size: 24px; font-weight: bold; text-align: center; margin: 10px 0;" id="bbab-timer-display">';
+            echo esc_html(gmdate('H:i:s', $accumulated));
+            echo '</p>';
+            echo '<div class="bbab-timer-buttons">';
+            echo '<button type="button" id="bbab-resume-timer" class="button button-primary" style="height: 40px; font-size: 14px;">';
+            echo '&#9654; Resume</button>';
+            echo '<button type="button" id="bbab-stop-timer" class="button" style="height: 40px; font-size: 14px;">';
+            echo '&#9209; Stop Timer</button>';
+            echo '</div>';
+            echo '<input type="hidden" id="bbab-accumulated-seconds" value="' . esc_attr((string) $accumulated) . '">';
+            self::renderSegments($post->ID);
 
         } elseif (!empty($time_start) && !empty($time_end)) {
             // Times already filled in - show reset option
@@ -78,6 +98,7 @@ class TimerMetabox {
             echo '<button type="button" id="bbab-start-timer" class="button" style="width: 100%; height: 40px; font-size: 14px;">';
             echo '&#9654; Start New Timer</button>';
             echo '<p style="font-size: 11px; color: #999; text-align: center; margin-top: 8px;">This will clear existing times</p>';
+            self::renderSegments($post->ID);
 
         } else {
             // No timer, no times - show start button
@@ -87,4 +108,20 @@ class TimerMetabox {
 
         echo '</div>';
     }
+
+    /**
+     * Render the list of closed timer segments.
+     *
+     * @param int $post_id Time entry post ID.
+     */
+    private static function renderSegments(int $post_id): void {
+        $segments = TimerService::getFormattedSegments($post_id);
+
+        echo '<ul class="bbab-timer-segments">';
+        foreach ($segments as $segment) {
+            echo '<li>' . esc_html($segment['time_start'] . ' - ' . $segment['time_end']);
+            echo ' <span>' . esc_html(gmdate('H:i:s', $segment['seconds'])) . '</span></li>';
+        }
+        echo '</ul>';
+    }
 }
@@ -3,6 +3,8 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Pages;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Utils\Cache;
 use BBAB\ServiceCenter\Utils\Logger;
 use BBAB\ServiceCenter\Modules\Analytics\GA4Service;
@@ -22,12 +24,46 @@ use BBAB\ServiceCenter\Cron\CronLoader;
  */
 class ClientHealthDashboard {
 
+    /**
+     * Orgs refreshed in parallel by the batch refresh queue.
+     */
+    private const REFRESH_CONCURRENCY = 2;
+
+    /**
+     * Attempts per org before the batch refresh queue gives up on it.
+     */
+    private const REFRESH_MAX_ATTEMPTS = 3;
+
     /**
      * Register the admin page.
      */
     public function register(): void {
         add_action('admin_menu', [$this, 'addMenuPage']);
         add_action('wp_ajax_bbab_sc_fetch_single_analytics', [$this, 'handleSingleAnalyticsFetch']);
+        add_action('admin_enqueue_scripts', [$this, 'enqueueScripts']);
+        add_action(AjaxRouter::REGISTER_HOOK, [$this, 'registerAjaxHandlers']);
+    }
+
+    /**
+     * Add the batch refresh handler to the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('health_refresh_org', [$this, 'handleOrgRefresh'], true, false);
+    }
+
+    /**
+     * Enqueue the AJAX helper used by the batch refresh queue.
+     *
+     * @param string $hook Current admin page hook.
+     */
+    public function enqueueScripts(string $hook): void {
+        if ($hook !== 'tools_page_client-health-dashboard') {
+            return;
+        }
+
+        wp_enqueue_script(AjaxRouter::ADMIN_SCRIPT);
     }
 
     /**
@@ -76,11 +112,6 @@ class ClientHealthDashboard {
             echo '<div class="notice notice-success"><p>Analytics cache cleared!</p></div>';
         }
 
-        // Handle refresh analytics now
-        if (isset($_POST['refresh_analytics_now']) && check_admin_referer('bbab_refresh_analytics')) {
-            $this->runAnalyticsRefresh();
-        }
-
         $orgs = get_posts([
             'post_type' => 'client_organization',
             'posts_per_page' => -1,
@@ -101,6 +132,9 @@ class ClientHealthDashboard {
         <div class="wrap bbab-dashboard-wrap">
             <h1>Client Health Dashboard</h1>
 
+            <!-- BATCH REFRESH QUEUE -->
+            <?php $this->renderRefreshQueueBar(); ?>
+
             <!-- SECTION 1: HOSTING HEALTH -->
             <?php $this->renderHostingHealthSection($orgs, $next_health_run); ?>
 
@@ -121,6 +155,256 @@ class ClientHealthDashboard {
             </div>
         </div>
         <?php
+        $this->renderRefreshQueueScript();
+    }
+
+    /**
+     * Render the batch refresh controls.
+     *
+     * The queue itself runs client-side (see renderRefreshQueueScript()) so that
+     * each org is a separate request and a full refresh never hits a page timeout.
+     */
+    private function renderRefreshQueueBar(): void {
+        ?>
+        <div class="bbab-refresh-queue">
+            <div class="bbab-refresh-queue-actions">
+                <strong>Batch Refresh:</strong>
+                <button type="button" class="button button-primary bbab-refresh-all">Refresh All</button>
+                <button type="button" class="button bbab-refresh-selected" disabled>Refresh Selected (<span class="bbab-refresh-selected-count">0</span>)</button>
+                <button type="button" class="button bbab-refresh-stop" hidden>Stop</button>
+                <span class="bbab-subtext">Analytics (GA4 + PageSpeed) and hosting health (uptime, SSL, backups), <?php echo (int) self::REFRESH_CONCURRENCY; ?> clients at a time.</span>
+            </div>
+            <div class="bbab-refresh-queue-progress" hidden>
+                <progress class="bbab-refresh-progress-bar" value="0" max="1"></progress>
+                <span class="bbab-refresh-progress-text"></span>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the batch refresh queue script.
+     *
+     * Refreshes one org per request, REFRESH_CONCURRENCY at a time. Failed orgs
+     * are retried with a growing delay up to REFRESH_MAX_ATTEMPTS, after which
+     * the row offers a manual Retry. Finished rows get their health and fetch
+     * age cells replaced with the HTML returned by handleOrgRefresh().
+     */
+    private function renderRefreshQueueScript(): void {
+        ?>
+        <script>
+        jQuery(document).ready(function($) {
+            var $bar = $('.bbab-refresh-queue');
+            if (!$bar.length) return;
+
+            var RefreshQueue = {
+                concurrency: <?php echo (int) self::REFRESH_CONCURRENCY; ?>,
+                maxAttempts: <?php echo (int) self::REFRESH_MAX_ATTEMPTS; ?>,
+                pending: [],
+                jobs: {},
+                running: 0,
+                waiting: 0,
+
+                isIdle: function() {
+                    return this.running === 0 && this.waiting === 0 && this.pending.length === 0;
+                },
+
+                /**
+                 * Queue orgs that aren't already queued or running.
+                 * Starting from idle begins a new batch.
+                 */
+                add: function(orgIds) {
+                    var self = this;
+
+                    if (this.isIdle()) {
+                        this.jobs = {};
+                    }
+
+                    $.each(orgIds, function(i, orgId) {
+                        orgId = parseInt(orgId, 10);
+                        var job = self.jobs[orgId];
+                        if (job && (job.state === 'queued' || job.state === 'running' || job.state === 'retrying')) {
+                            return;
+                        }
+                        self.jobs[orgId] = { attempts: 0, state: 'queued', timer: null };
+                        self.pending.push(orgId);
+                        self.setState(orgId, 'queued', 'Queued');
+                    });
+
+                    this.next();
+                },
+
+                next: function() {
+                    while (this.running < this.concurrency && this.pending.length) {
+                        this.run(this.pending.shift());
+                    }
+                    this.updateProgress();
+                },
+
+                run: function(orgId) {
+                    var self = this;
+                    var job = this.jobs[orgId];
+
+                    job.attempts++;
+                    job.state = 'running';
+                    this.running++;
+                    this.setState(orgId, 'running', job.attempts > 1 ? 'Attempt ' + job.attempts + ' of ' + this.maxAttempts : 'Refreshing');
+
+                    BBABAdminAjax.request('health_refresh_org', { org_id: orgId }, function(data) {
+                        self.updateCells(orgId, data.cells);
+                        if (data.failed.length) {
+                            self.finish(orgId, false, 'Failed: ' + data.failed.join(', '), true);
+                        } else {
+                            self.finish(orgId, true, 'Done', false);
+                        }
+                    }, function(error) {
+                        // Only transport and server failures are worth retrying; a rejection
+                        // (nonce, permission, bad org) would fail the same way again
+                        var retryable = error.code === 'error' || error.code === 'server_error';
+                        self.finish(orgId, false, retryable ? 'Request failed' : error.message, retryable);
+                    });
+                },
+
+                finish: function(orgId, ok, message, retryable) {
+                    var self = this;
+                    var job = this.jobs[orgId];
+
+                    this.running--;
+
+                    if (ok) {
+                        job.state = 'done';
+                        this.setState(orgId, 'done', message);
+                    } else if (retryable && job.attempts < this.maxAttempts) {
+                        job.state = 'retrying';
+                        this.waiting++;
+                        this.setState(orgId, 'retrying', message + ' \u2014 retrying');
+                        job.timer = setTimeout(function() {
+                            job.timer = null;
+                            job.state = 'queued';
+                            self.waiting--;
+                            self.pending.push(orgId);
+                            self.next();
+                        }, 2000 * job.attempts);
+                    } else {
+                        job.state = 'failed';
+                        this.setState(orgId, 'failed', message);
+                    }
+
+                    this.next();
+                },
+
+                /**
+                 * Drop everything not yet running. Running requests finish normally.
+                 */
+                stop: function() {
+                    var self = this;
+
+                    $.each(this.jobs, function(orgId, job) {
+                        if (job.state !== 'queued' && job.state !== 'retrying') {
+                            return;
+                        }
+                        if (job.timer) {
+                            clearTimeout(job.timer);
+                            self.waiting--;
+                        }
+                        delete self.jobs[orgId];
+                        self.setState(orgId, 'stopped', 'Not run');
+                    });
+
+                    this.pending = [];
+                    this.updateProgress();
+                },
+
+                setState: function(orgId, state, text) {
+                    var classes = { queued: 'na', running: 'warning', retrying: 'warning', done: 'good', failed: 'critical', stopped: 'na' };
+                    var $cell = $('tr[data-org-id="' + orgId + '"] .bbab-refresh-state').empty();
+
+                    if (state === 'running') {
+                        $cell.append('<span class="spinner is-active"></span>');
+                    }
+                    $cell.append($('<span>').addClass('bbab-status-' + classes[state]).text(text));
+                    if (state === 'failed' || state === 'stopped') {
+                        $cell.append(' ', $('<button type="button" class="button-link bbab-refresh-retry">Retry</button>').attr('data-org-id', orgId));
+                    }
+                },
+
+                updateCells: function(orgId, cells) {
+                    var $rows = $('tr[data-org-id="' + orgId + '"]');
+                    $.each(cells, function(name, html) {
+                        $rows.find('[data-cell="' + name + '"]').html(html);
+                    });
+                },
+
+                updateProgress: function() {
+                    var total = 0, done = 0, failed = 0;
+                    var idle = this.isIdle();
+                    var text;
+
+                    $.each(this.jobs, function(orgId, job) {
+                        total++;
+                        if (job.state === 'done') done++;
+                        if (job.state === 'failed') failed++;
+                    });
+
+                    if (idle) {
+                        text = 'Finished: ' + done + ' of ' + total + ' refreshed';
+                    } else {
+                        text = (done + failed) + ' of ' + total + ' complete, ' + this.running + ' running';
+                    }
+                    if (failed) {
+                        text += ', ' + failed + ' failed';
+                    }
+
+                    $bar.find('.bbab-refresh-queue-progress').prop('hidden', total === 0);
+                    $bar.find('.bbab-refresh-progress-bar').attr({ max: total || 1, value: done + failed });
+                    $bar.find('.bbab-refresh-progress-text').text(text);
+                    $bar.find('.bbab-refresh-stop').prop('hidden', idle);
+                }
+            };
+
+            function selectedOrgIds() {
+                return $('.bbab-refresh-select:checked').map(function() {
+                    return this.value;
+                }).get();
+            }
+
+            function updateSelection() {
+                var count = selectedOrgIds().length;
+                $bar.find('.bbab-refresh-selected-count').text(count);
+                $bar.find('.bbab-refresh-selected').prop('disabled', count === 0);
+                $('.bbab-refresh-select-all').prop('checked', count > 0 && count === $('.bbab-refresh-select').length);
+            }
+
+            $('.bbab-refresh-select-all').on('change', function() {
+                $('.bbab-refresh-select').prop('checked', this.checked);
+                updateSelection();
+            });
+            $('.bbab-refresh-select').on('change', updateSelection);
+
+            $bar.on('click', '.bbab-refresh-all', function() {
+                RefreshQueue.add($('.bbab-refresh-select').map(function() {
+                    return this.value;
+                }).get());
+            });
+            $bar.on('click', '.bbab-refresh-selected', function() {
+                RefreshQueue.add(selectedOrgIds());
+            });
+            $bar.on('click', '.bbab-refresh-stop', function() {
+                RefreshQueue.stop();
+            });
+            $(document).on('click', '.bbab-refresh-retry', function() {
+                RefreshQueue.add([$(this).attr('data-org-id')]);
+            });
+
+            // Leaving the page abandons whatever hasn't run yet
+            $(window).on('beforeunload', function() {
+                if (!RefreshQueue.isIdle()) {
+                    return 'A batch refresh is still running.';
+                }
+            });
+        });
+        </script>
+        <?php
     }
 
     /**
@@ -163,11 +447,13 @@ class ClientHealthDashboard {
                 <table class="bbab-health-table" style="margin-top: 20px;">
                     <thead>
                         <tr>
+                            <th class="bbab-refresh-check"><input type="checkbox" class="bbab-refresh-select-all" title="Select all" /></th>
                             <th>Organization</th>
                             <th>Uptime (30d)</th>
                             <th>SSL Expiry</th>
                             <th>Last Backup</th>
                             <th>Cache Generated</th>
+                            <th>Refresh</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -175,14 +461,18 @@ class ClientHealthDashboard {
                             $health = Cache::get('health_data_' . $org->ID);
                             $detail_url = admin_url('tools.php?page=client-health-dashboard&org=' . $org->ID);
                         ?>
-                        <tr class="bbab-clickable-row" data-href="<?php echo esc_url($detail_url); ?>">
+                        <tr class="bbab-clickable-row" data-href="<?php echo esc_url($detail_url); ?>" data-org-id="<?php echo esc_attr($org->ID); ?>" data-org-name="<?php echo esc_attr($org->post_title); ?>">
+                            <td class="bbab-refresh-check">
+                                <input type="checkbox" class="bbab-refresh-select" value="<?php echo esc_attr($org->ID); ?>" />
+                            </td>
                             <td class="bbab-org-name">
                                 <a href="<?php echo esc_url($detail_url); ?>"><?php echo esc_html($org->post_title); ?></a>
                             </td>
-                            <td><?php echo $this->renderUptimeCell($health); ?></td>
-                            <td><?php echo $this->renderSSLCell($health); ?></td>
-                            <td><?php echo $this->renderBackupCell($health); ?></td>
-                            <td><?php echo $this->renderCacheTimeCell($health); ?></td>
+                            <td data-cell="uptime"><?php echo $this->renderUptimeCell($health); ?></td>
+                            <td data-cell="ssl"><?php echo $this->renderSSLCell($health); ?></td>
+                            <td data-cell="backup"><?php echo $this->renderBackupCell($health); ?></td>
+                            <td data-cell="generated"><?php echo $this->renderCacheTimeCell($health); ?></td>
+                            <td class="bbab-refresh-state"><span class="bbab-status-na">&mdash;</span></td>
                         </tr>
                         <?php endforeach; ?>
                     </tbody>
@@ -216,12 +506,6 @@ class ClientHealthDashboard {
                             <span style="color: #666; font-size: 12px; margin-left: 10px;">(GA4 + PageSpeed data refreshed nightly)</span>
                         </div>
                         <div style="display: flex; gap: 10px; align-items: center;">
-                            <form method="post" style="display: inline-block;">
-                                <?php wp_nonce_field('bbab_refresh_analytics'); ?>
-                                <button type="submit" name="refresh_analytics_now" class="button button-primary" onclick="return confirm('This will fetch fresh data from GA4 and PageSpeed APIs for all clients. This may take a minute. Continue?');">
-                                    Refresh All
-                                </button>
-                            </form>
                             <form method="post" style="display: inline-block;">
                                 <?php wp_nonce_field('bbab_clear_analytics_cache'); ?>
                                 <button type="submit" name="clear_analytics_cache" class="button" onclick="return confirm('Clear all cached analytics data?');">
@@ -372,12 +656,8 @@ class ClientHealthDashboard {
         ]);
         $has_report = !empty($report_check);
 
-        // Analytics cache status - use our Cache utility keys
-        $ga4_cache = !empty($ga4_id) ? Cache::get('ga4_data_' . $ga4_id) : null;
-        $ga4_last_fetch = ($ga4_cache && isset($ga4_cache['fetched_at'])) ? $ga4_cache['fetched_at'] : false;
-
-        $psi_cache = !empty($site_url) ? Cache::get('cwv_' . md5($site_url)) : null;
-        $psi_last_fetch = ($psi_cache && isset($psi_cache['fetched_at'])) ? $psi_cache['fetched_at'] : false;
+        // Analytics cache status
+        [$ga4_last_fetch, $psi_last_fetch] = $this->getAnalyticsFetchTimes($ga4_id, $site_url);
 
         // Users Assigned
         $assigned_users = get_users([
@@ -391,7 +671,7 @@ class ClientHealthDashboard {
 
         ob_start();
         ?>
-        <tr class="bbab-clickable-row" data-href="<?php echo esc_url($detail_url); ?>">
+        <tr class="bbab-clickable-row" data-href="<?php echo esc_url($detail_url); ?>" data-org-id="<?php echo esc_attr($org_id); ?>">
             <td class="bbab-org-name">
                 <a href="<?php echo esc_url($detail_url); ?>"><?php echo esc_html($org->post_title); ?></a>
             </td>
@@ -433,8 +713,8 @@ class ClientHealthDashboard {
                     <span class="bbab-subtext"><?php echo esc_html(date('M')); ?></span>
                 <?php endif; ?>
             </td>
-            <td><?php echo $this->renderFetchAge($ga4_id, $ga4_last_fetch); ?></td>
-            <td><?php echo $this->renderFetchAge($site_url, $psi_last_fetch); ?></td>
+            <td data-cell="ga4_fetch"><?php echo $this->renderFetchAge($ga4_id, $ga4_last_fetch); ?></td>
+            <td data-cell="psi_fetch"><?php echo $this->renderFetchAge($site_url, $psi_last_fetch); ?></td>
             <td>
                 <?php if ($user_count > 0): ?>
                     <span class="bbab-status-good"><?php echo esc_html($user_count); ?></span>
@@ -447,6 +727,23 @@ class ClientHealthDashboard {
         return ob_get_clean();
     }
 
+    /**
+     * Get the last GA4 and PageSpeed fetch times from the analytics cache.
+     *
+     * @param mixed $ga4_id   GA4 property ID meta value.
+     * @param mixed $site_url Site URL meta value.
+     * @return array{0: int|false, 1: int|false} GA4 and PSI fetch timestamps, false if never fetched.
+     */
+    private function getAnalyticsFetchTimes($ga4_id, $site_url): array {
+        $ga4_cache = !empty($ga4_id) ? Cache::get('ga4_data_' . $ga4_id) : null;
+        $ga4_last_fetch = ($ga4_cache && isset($ga4_cache['fetched_at'])) ? $ga4_cache['fetched_at'] : false;
+
+        $psi_cache = !empty($site_url) ? Cache::get('cwv_' . md5($site_url)) : null;
+        $psi_last_fetch = ($psi_cache && isset($psi_cache['fetched_at'])) ? $psi_cache['fetched_at'] : false;
+
+        return [$ga4_last_fetch, $psi_last_fetch];
+    }
+
     /**
      * Render check/x icon for config fields.
      */
@@ -569,64 +866,6 @@ class ClientHealthDashboard {
         return '<span class="bbab-status-na">&mdash;</span>';
     }
 
-    /**
-     * Run analytics refresh for all organizations.
-     */
-    private function runAnalyticsRefresh(): void {
-        $start = microtime(true);
-        $results = [
-            'ga4_success' => 0,
-            'ga4_failed' => 0,
-            'psi_success' => 0,
-            'psi_failed' => 0,
-        ];
-
-        $orgs = get_posts([
-            'post_type' => 'client_organization',
-            'posts_per_page' => -1,
-            'post_status' => 'publish'
-        ]);
-
-        foreach ($orgs as $org) {
-            $org_id = $org->ID;
-
-            // GA4 Data
-            $ga4_property = get_post_meta($org_id, 'ga4_property_id', true);
-            if (!empty($ga4_property)) {
-                $ga4_data = GA4Service::fetchData($org_id);
-                if ($ga4_data) {
-                    GA4Service::fetchTopPages($org_id);
-                    GA4Service::fetchTrafficSources($org_id);
-                    GA4Service::fetchDevices($org_id);
-                    $results['ga4_success']++;
-                } else {
-                    $results['ga4_failed']++;
-                }
-            }
-
-            // PageSpeed Data
-            $site_url = get_post_meta($org_id, 'site_url', true);
-            if (!empty($site_url)) {
-                $psi_data = PageSpeedService::fetchData($org_id);
-                if ($psi_data) {
-                    $results['psi_success']++;
-                } else {
-                    $results['psi_failed']++;
-                }
-            }
-        }
-
-        $elapsed = round(microtime(true) - $start, 2);
-
-        echo '<div class="notice notice-success"><p>';
-        echo '<strong>Analytics refresh completed in ' . esc_html($elapsed) . ' seconds.</strong><br>';
-        echo 'GA4: ' . esc_html($results['ga4_success']) . ' success, ' . esc_html($results['ga4_failed']) . ' failed<br>';
-        echo 'PageSpeed: ' . esc_html($results['psi_success']) . ' success, ' . esc_html($results['psi_failed']) . ' failed';
-        echo '</p></div>';
-
-        Logger::debug('ClientHealthDashboard', 'Manual analytics refresh completed', $results);
-    }
-
     /**
      * Render page styles.
      */
@@ -723,6 +962,49 @@ class ClientHealthDashboard {
                 display: inline-block;
                 margin-right: 20px;
             }
+            /* Batch refresh queue */
+            .bbab-refresh-queue {
+                background: #fff;
+                border: 1px solid #ccd0d4;
+                border-radius: 4px;
+                margin: 15px 0 20px;
+                padding: 12px 15px;
+            }
+            .bbab-refresh-queue-actions {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                flex-wrap: wrap;
+            }
+            .bbab-refresh-queue-actions .bbab-subtext {
+                display: inline;
+                margin-top: 0;
+            }
+            .bbab-refresh-queue-progress {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                margin-top: 10px;
+                font-size: 13px;
+            }
+            .bbab-refresh-queue [hidden] {
+                display: none;
+            }
+            .bbab-refresh-progress-bar {
+                width: 240px;
+            }
+            .bbab-health-table .bbab-refresh-check {
+                width: 24px;
+                cursor: default;
+            }
+            .bbab-refresh-state {
+                white-space: nowrap;
+                cursor: default;
+            }
+            .bbab-refresh-state .spinner {
+                float: none;
+                margin: 0 4px 0 0;
+            }
             /* Clickable rows */
             .bbab-clickable-row {
                 cursor: pointer;
@@ -788,8 +1070,8 @@ class ClientHealthDashboard {
         jQuery(document).ready(function($) {
             // Make entire row clickable
             $('.bbab-clickable-row').on('click', function(e) {
-                // Don't navigate if clicking on a link
-                if ($(e.target).is('a')) return;
+                // Don't navigate if clicking on a link or a control
+                if ($(e.target).closest('a, input, button, label, .bbab-refresh-check, .bbab-refresh-state').length) return;
                 window.location.href = $(this).data('href');
             });
         });
@@ -871,6 +1153,15 @@ class ClientHealthDashboard {
             } catch (\Exception $e) {
                 $results['ga4_devices'] = 'error';
             }
+
+            usleep(500000);
+
+            try {
+                $result = GA4Service::fetchDailySeries($org_id);
+                $results['ga4_daily'] = $result ? 'ok' : 'failed';
+            } catch (\Exception $e) {
+                $results['ga4_daily'] = 'error';
+            }
         } else {
             $results['ga4'] = 'skipped (no property ID)';
         }
@@ -910,6 +1201,72 @@ class ClientHealthDashboard {
         ]);
     }
 
+    /**
+     * Handle AJAX request from the batch refresh queue for a single organization.
+     *
+     * Runs the same per-org workers as the nightly crons, then returns the
+     * re-rendered health and fetch age cells so the queue can update the row.
+     *
+     * @param array $data Request data with 'org_id'.
+     * @return array { results, failed: string[], cells: array<string, string> }
+     * @throws AjaxException On an unknown organization.
+     */
+    public function handleOrgRefresh(array $data): array {
+        $org_id = absint($data['org_id'] ?? 0);
+        $org = $org_id ? get_post($org_id) : null;
+        if (!$org || $org->post_type !== 'client_organization') {
+            throw new AjaxException('Invalid organization', 400, 'invalid_org');
+        }
+
+        // Increase time limit for API calls
+        set_time_limit(120);
+
+        $cron_loader = new CronLoader();
+        $results = array_merge(
+            $cron_loader->processOrgHostingHealth($org_id),
+            $cron_loader->processOrgAnalytics($org_id)
+        );
+        unset($results['org']);
+
+        $failed = array_keys(array_filter($results, fn($v) => $v === 'error'));
+
+        Logger::debug('ClientHealthDashboard', 'Batch refresh completed for org', [
+            'org_id' => $org_id,
+            'org_name' => $org->post_title,
+            'results' => $results,
+        ]);
+
+        return [
+            'results' => $results,
+            'failed' => $failed,
+            'cells' => $this->getRefreshCells($org_id),
+        ];
+    }
+
+    /**
+     * Render the cells the batch refresh queue updates in place.
+     *
+     * Keys match the data-cell attributes on the dashboard rows.
+     *
+     * @param int $org_id Organization post ID.
+     * @return array<string, string> Cell HTML keyed by cell name.
+     */
+    private function getRefreshCells(int $org_id): array {
+        $health = Cache::get('health_data_' . $org_id);
+        $ga4_id = get_post_meta($org_id, 'ga4_property_id', true);
+        $site_url = get_post_meta($org_id, 'site_url', true);
+        [$ga4_last_fetch, $psi_last_fetch] = $this->getAnalyticsFetchTimes($ga4_id, $site_url);
+
+        return [
+            'uptime' => $this->renderUptimeCell($health),
+            'ssl' => $this->renderSSLCell($health),
+            'backup' => $this->renderBackupCell($health),
+            'generated' => $this->renderCacheTimeCell($health),
+            'ga4_fetch' => $this->renderFetchAge($ga4_id, $ga4_last_fetch),
+            'psi_fetch' => $this->renderFetchAge($site_url, $psi_last_fetch),
+        ];
+    }
+
     /**
      * Render detail page for a single organization.
      *
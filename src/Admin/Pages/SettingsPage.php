@@ -151,6 +151,14 @@ class SettingsPage {
             $existing['sr_notification_body'] = wp_kses_post($input['sr_notification_body']);
         }
 
+        if (isset($input['sr_reply_notification_subject'])) {
+            $existing['sr_reply_notification_subject'] = sanitize_text_field($input['sr_reply_notification_subject']);
+        }
+
+        if (isset($input['sr_reply_notification_body'])) {
+            $existing['sr_reply_notification_body'] = wp_kses_post($input['sr_reply_notification_body']);
+        }
+
         // Sanitize Time Tracking settings
         if (isset($input['forgotten_timer_email'])) {
             $existing['forgotten_timer_email'] = sanitize_email($input['forgotten_timer_email']);
@@ -162,6 +170,11 @@ class SettingsPage {
             $existing['forgotten_timer_threshold'] = max(1, min(24, $threshold));
         }
 
+        if (isset($input['timer_idle_minutes'])) {
+            // Clamp between 0 (off) and 4 hours
+            $existing['timer_idle_minutes'] = min(240, absint($input['timer_idle_minutes']));
+        }
+
         // Sanitize Billing settings
         if (isset($input['zelle_email'])) {
             $existing['zelle_email'] = sanitize_email($input['zelle_email']);
@@ -554,6 +567,53 @@ class SettingsPage {
                         </p>
                     </td>
                 </tr>
+
+                <tr>
+                    <th scope="row">
+                        <label for="sr_reply_notification_subject"><?php esc_html_e('Reply Email Subject', 'bbab-service-center'); ?></label>
+                    </th>
+                    <td>
+                        <input type="text"
+                               id="sr_reply_notification_subject"
+                               name="<?php echo esc_attr(self::OPTION_NAME); ?>[sr_reply_notification_subject]"
+                               value="<?php echo esc_attr($settings['sr_reply_notification_subject'] ?? ''); ?>"
+                               class="large-text">
+                        <p class="description">
+                            <?php esc_html_e('Sent for each reply on a request: client replies go to the notification address, staff replies to the client who submitted it.', 'bbab-service-center'); ?>
+                        </p>
+                    </td>
+                </tr>
+
+                <tr>
+                    <th scope="row">
+                        <label for="sr_reply_notification_body"><?php esc_html_e('Reply Email Body', 'bbab-service-center'); ?></label>
+                    </th>
+                    <td>
+                        <?php
+                        wp_editor(
+                            $settings['sr_reply_notification_body'] ?? '',
+                            'sr_reply_notification_body',
+                            [
+                                'textarea_name' => self::OPTION_NAME . '[sr_reply_notification_body]',
+                                'textarea_rows' => 10,
+                                'media_buttons' => false,
+                                'teeny' => false,
+                                'quicktags' => true,
+                            ]
+                        );
+                        ?>
+                        <p class="description" style="margin-top: 10px;">
+                            <?php esc_html_e('Placeholders you can use:', 'bbab-service-center'); ?><br>
+                            <code>{ref}</code> - Reference number<br>
+                            <code>{org_name}</code> - Client organization name<br>
+                            <code>{user_name}</code> - Reply author's display name<br>
+                            <code>{subject}</code> - Request subject line<br>
+                            <code>{message}</code> - The reply<br>
+                            <code>{link}</code> - Link to the request (admin for staff, portal for clients)<br>
+                            <code>{attachments_note}</code> - Number of files attached, if any
+                        </p>
+                    </td>
+                </tr>
             </table>
 
             <h2><?php esc_html_e('Test Email', 'bbab-service-center'); ?></h2>
@@ -661,6 +721,26 @@ class SettingsPage {
                         </p>
                     </td>
                 </tr>
+
+                <tr>
+                    <th scope="row">
+                        <label for="timer_idle_minutes"><?php esc_html_e('Idle Prompt (Minutes)', 'bbab-service-center'); ?></label>
+                    </th>
+                    <td>
+                        <input type="number"
+                               id="timer_idle_minutes"
+                               name="<?php echo esc_attr(self::OPTION_NAME); ?>[timer_idle_minutes]"
+                               value="<?php echo esc_attr($settings['timer_idle_minutes'] ?? 15); ?>"
+                               class="small-text"
+                               min="0"
+                               max="240"
+                               step="1">
+                        <span><?php esc_html_e('minutes', 'bbab-service-center'); ?></span>
+                        <p class="description">
+                            <?php esc_html_e('While a timer runs, ask whether to keep, discard or stop at idle time after this long without input in any admin tab. 0 turns it off. Default: 15 minutes.', 'bbab-service-center'); ?>
+                        </p>
+                    </td>
+                </tr>
             </table>
 
             <?php submit_button(__('Save Settings', 'bbab-service-center')); ?>
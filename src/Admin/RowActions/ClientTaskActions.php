@@ -3,6 +3,7 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\RowActions;
 
+use BBAB\ServiceCenter\Utils\Cache;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
@@ -92,17 +93,30 @@ class ClientTaskActions {
             wp_die('Invalid client task');
         }
 
-        // Update status and completed date
-        update_post_meta($task_id, 'task_status', 'Completed');
-        update_post_meta($task_id, 'completed_date', current_time('m/d/Y'));
-
-        Logger::debug('ClientTaskActions', 'Task marked complete', ['task_id' => $task_id]);
+        self::markComplete($task_id);
 
         // Redirect back to list
         wp_redirect(admin_url('edit.php?post_type=client_task&task_completed=1'));
         exit;
     }
 
+    /**
+     * Mark a task complete and stamp its completed date.
+     *
+     * Shared by the row action and the Workbench Client Tasks box.
+     *
+     * @param int $task_id Client task ID (already permission-checked).
+     */
+    public static function markComplete(int $task_id): void {
+        update_post_meta($task_id, 'task_status', 'Completed');
+        update_post_meta($task_id, 'completed_date', current_time('m/d/Y'));
+
+        // Meta updates skip save_post, so clear the Workbench task lists here
+        Cache::invalidateClientTaskCache($task_id);
+
+        Logger::debug('ClientTaskActions', 'Task marked complete', ['task_id' => $task_id]);
+    }
+
     /**
      * Handle the "Reopen" action for completed tasks.
      */
@@ -129,6 +143,7 @@ class ClientTaskActions {
         // Update status back to Pending and clear completed date
         update_post_meta($task_id, 'task_status', 'Pending');
         delete_post_meta($task_id, 'completed_date');
+        Cache::invalidateClientTaskCache($task_id);
 
         Logger::debug('ClientTaskActions', 'Task reopened', ['task_id' => $task_id]);
 
@@ -6,11 +6,12 @@ namespace BBAB\ServiceCenter\Admin\RowActions;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
- * Adds "Log Time" row action to Service Requests, Projects, and Milestones.
+ * Adds "Log Time" and "Start Timer" row actions to Service Requests, Projects, and Milestones.
  *
  * Creates a convenient link to log time entries directly from
  * admin post lists. The time entry is automatically linked
- * via transient (handled by TimeEntryLinker).
+ * via transient (handled by TimeEntryLinker). "Start Timer" creates
+ * the linked entry and starts its timer in one click (admin-timer-sync.js).
  *
  * Migrated from: WPCode Snippet #1884
  */
@@ -49,6 +50,7 @@ class LogTimeAction {
                 esc_url($create_url),
                 '⏱️'
             );
+            $actions['start_timer'] = self::getStartTimerLink($post->ID, $post->post_type);
         }
 
         // Project
@@ -63,6 +65,7 @@ class LogTimeAction {
                 esc_url($create_url),
                 '⏱️'
             );
+            $actions['start_timer'] = self::getStartTimerLink($post->ID, $post->post_type);
         }
 
         // Milestone
@@ -77,11 +80,32 @@ class LogTimeAction {
                 esc_url($create_url),
                 '⏱️'
             );
+            $actions['start_timer'] = self::getStartTimerLink($post->ID, $post->post_type);
         }
 
         return $actions;
     }
 
+    /**
+     * Build a one-click "Start Timer" link for an SR, project or milestone.
+     *
+     * Handled by admin-timer-sync.js, which is loaded on every admin screen.
+     *
+     * @param int    $post_id   Target post ID.
+     * @param string $post_type 'service_request', 'project' or 'milestone'.
+     * @param string $label     Link text.
+     * @return string Link HTML.
+     */
+    public static function getStartTimerLink(int $post_id, string $post_type, string $label = '&#9654; Start Timer'): string {
+        return sprintf(
+            '<a href="#" class="bbab-start-timer-for" data-target-type="%s" data-target-id="%d" title="%s">%s</a>',
+            esc_attr($post_type),
+            $post_id,
+            esc_attr__('Create a time entry and start its timer', 'bbab-service-center'),
+            $label
+        );
+    }
+
     /**
      * Show admin notice when creating a time entry from an SR link.
      */
@@ -0,0 +1,203 @@
+<?php
+/**
+ * Brad's Workbench - Command Palette search.
+ *
+ * Backs the Ctrl/Cmd+K palette in admin-workbench.js: finds service
+ * requests, projects, milestones, invoices, time entries and organizations
+ * by reference number or title, and lists the actions each result supports.
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ */
+
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Admin\Workbench;
+
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Utils\Logger;
+
+class CommandPalette {
+
+    /**
+     * Searchable post types.
+     *
+     * - label:      Shown next to each result
+     * - ref_field:  Meta field holding the reference number
+     * - name_field: Meta field holding the display name ('' to use the title)
+     * - timer:      Supports Log Time / Start Timer (TimeEntryLinker and timer_start_for)
+     */
+    private const TYPES = [
+        'service_request' => ['label' => 'Service Request', 'ref_field' => 'reference_number', 'name_field' => 'subject', 'timer' => true],
+        'project' => ['label' => 'Project', 'ref_field' => 'reference_number', 'name_field' => 'project_name', 'timer' => true],
+        'milestone' => ['label' => 'Milestone', 'ref_field' => 'reference_number', 'name_field' => 'milestone_name', 'timer' => true],
+        'invoice' => ['label' => 'Invoice', 'ref_field' => 'invoice_number', 'name_field' => '', 'timer' => false],
+        'time_entry' => ['label' => 'Time Entry', 'ref_field' => 'reference_number', 'name_field' => '', 'timer' => false],
+        'client_organization' => ['label' => 'Organization', 'ref_field' => 'organization_shortcode', 'name_field' => 'organization_name', 'timer' => false],
+    ];
+
+    /**
+     * Results per post type.
+     */
+    private const PER_TYPE = 6;
+
+    /**
+     * Shortest query worth searching.
+     */
+    private const MIN_QUERY_LENGTH = 2;
+
+    /**
+     * Register hooks.
+     */
+    public static function register(): void {
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerAjaxHandlers']);
+
+        Logger::debug('CommandPalette', 'Registered command palette hooks');
+    }
+
+    /**
+     * Add the palette search handler to the router (admins only, no org context).
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('palette_search', [self::class, 'handleSearch'], true, false);
+    }
+
+    /**
+     * AJAX: Search every type by reference number and title.
+     *
+     * Ranking is left to the palette, which fuzzy-scores the combined list.
+     *
+     * @param array $data Request data with 'query'.
+     * @return array { results: list of { type, type_label, id, ref, title, actions } }.
+     */
+    public static function handleSearch(array $data): array {
+        $query = trim(sanitize_text_field($data['query'] ?? ''));
+
+        if (mb_strlen($query) < self::MIN_QUERY_LENGTH) {
+            return ['results' => []];
+        }
+
+        $results = [];
+        foreach (self::TYPES as $post_type => $config) {
+            foreach (self::findPosts($post_type, $config, $query) as $post) {
+                $results[] = self::buildResult($post, $config);
+            }
+        }
+
+        return ['results' => $results];
+    }
+
+    /**
+     * Find posts of one type whose reference, name or title matches.
+     *
+     * "sr12" and "SR-12" both match SR-0012, so references can be typed
+     * without the dash or the zero padding.
+     *
+     * @param string $post_type Post type.
+     * @param array  $config    Entry from TYPES.
+     * @param string $query     Search text.
+     * @return \WP_Post[]
+     */
+    private static function findPosts(string $post_type, array $config, string $query): array {
+        $meta_query = [
+            'relation' => 'OR',
+            ['key' => $config['ref_field'], 'value' => $query, 'compare' => 'LIKE'],
+        ];
+
+        if (preg_match('/^([a-z]+)-?0*(\d+)$/i', $query, $matches)) {
+            $meta_query[] = [
+                'key' => $config['ref_field'],
+                'value' => '^' . strtoupper($matches[1]) . '-0*' . $matches[2],
+                'compare' => 'REGEXP',
+            ];
+        }
+
+        if ($config['name_field']) {
+            $meta_query[] = ['key' => $config['name_field'], 'value' => $query, 'compare' => 'LIKE'];
+        }
+
+        $by_meta = get_posts([
+            'post_type' => $post_type,
+            'post_status' => 'publish',
+            'posts_per_page' => self::PER_TYPE,
+            'orderby' => 'date',
+            'order' => 'DESC',
+            'meta_query' => $meta_query,
+        ]);
+
+        // Titles can't be OR'd into a meta query, so search them separately
+        $by_title = get_posts([
+            'post_type' => $post_type,
+            'post_status' => 'publish',
+            'posts_per_page' => self::PER_TYPE,
+            'orderby' => 'date',
+            'order' => 'DESC',
+            's' => $query,
+            'search_columns' => ['post_title'],
+        ]);
+
+        $posts = [];
+        foreach (array_merge($by_meta, $by_title) as $post) {
+            $posts[$post->ID] = $post;
+        }
+
+        return array_slice(array_values($posts), 0, self::PER_TYPE);
+    }
+
+    /**
+     * Build a palette result with its actions.
+     *
+     * Actions carry what the JS needs to run them: a URL to open, or the
+     * data for a Start Timer link / AjaxRouter call.
+     *
+     * @param \WP_Post $post   Matching post.
+     * @param array    $config Entry from TYPES.
+     * @return array
+     */
+    private static function buildResult(\WP_Post $post, array $config): array {
+        $ref = (string) get_post_meta($post->ID, $config['ref_field'], true);
+        $title = $config['name_field'] ? get_post_meta($post->ID, $config['name_field'], true) : '';
+
+        $actions = [
+            ['id' => 'open', 'label' => 'Open', 'url' => get_edit_post_link($post->ID, 'raw') ?: ''],
+        ];
+
+        if ($config['timer']) {
+            $actions[] = [
+                'id' => 'log_time',
+                'label' => 'Log Time',
+                'url' => add_query_arg([
+                    'post_type' => 'time_entry',
+                    'related_' . $post->post_type => $post->ID,
+                ], admin_url('post-new.php')),
+            ];
+            $actions[] = ['id' => 'start_timer', 'label' => 'Start Timer', 'target_type' => $post->post_type];
+        }
+
+        if ($post->post_type === 'invoice') {
+            $actions[] = ['id' => 'generate_pdf', 'label' => 'Generate Invoice PDF'];
+        }
+
+        if ($post->post_type === 'client_organization') {
+            $actions[] = [
+                'id' => 'simulate',
+                'label' => 'Start Simulation as Org',
+                'url' => wp_nonce_url(
+                    add_query_arg('bbab_sc_simulate_org', $post->ID, admin_url('admin.php?page=bbab-workbench')),
+                    'bbab_sc_simulation'
+                ),
+            ];
+        }
+
+        return [
+            'type' => $post->post_type,
+            'type_label' => $config['label'],
+            'id' => $post->ID,
+            'ref' => $ref,
+            'title' => $title ?: $post->post_title,
+            'actions' => $actions,
+        ];
+    }
+}
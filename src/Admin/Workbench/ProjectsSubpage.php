@@ -12,6 +12,7 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Workbench;
 
+use BBAB\ServiceCenter\Admin\RowActions\LogTimeAction;
 use BBAB\ServiceCenter\Utils\Cache;
 
 // Load WP_List_Table if not already loaded.
@@ -526,6 +527,7 @@ class ProjectsListTable extends \WP_List_Table {
                 ], admin_url('post-new.php'))),
                 __('Add Time Entry', 'bbab-service-center')
             ),
+            'start_timer' => LogTimeAction::getStartTimerLink($item->ID, 'project', esc_html__('Start Timer', 'bbab-service-center')),
             'time_entries' => sprintf(
                 '<a href="%s">%s</a>',
                 esc_url(add_query_arg([
@@ -0,0 +1,371 @@
+<?php
+/**
+ * Brad's Workbench - Time Entry Reassignment Board Sub-Page.
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ */
+
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Admin\Workbench;
+
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Modules\Projects\ProjectService;
+use BBAB\ServiceCenter\Modules\TimeTracking\ReassignmentService;
+
+/**
+ * Class ReassignSubpage
+ *
+ * Board for refiling a client's time entries in bulk: the month's entries on
+ * one side, the client's service requests, projects and milestones on the
+ * other. Entries are dragged (or selected) onto a target, previewed, and
+ * moved through ReassignmentService, which blocks billed time and logs each
+ * move for undo.
+ */
+class ReassignSubpage {
+
+    /**
+     * Recent moves shown under the board.
+     */
+    private const LOG_LIMIT = 15;
+
+    /**
+     * Render the reassignment board.
+     */
+    public function render(): void {
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have sufficient permissions to access this page.', 'bbab-service-center'));
+        }
+
+        $current_org = isset($_GET['organization']) ? absint($_GET['organization']) : 0;
+        $month = isset($_GET['month']) ? sanitize_text_field($_GET['month']) : '';
+
+        if (!preg_match('/^\d{4}-\d{2}$/', $month) || !strtotime($month . '-01')) {
+            $month = current_time('Y-m');
+        }
+
+        $entries = $current_org ? $this->getEntries($current_org, $month) : [];
+        $targets = $current_org ? $this->getTargets($current_org, $month, $entries) : [];
+        $moves = array_map([$this, 'formatMove'], ReassignmentService::getLog(self::LOG_LIMIT));
+        $organizations = $this->getOrganizations();
+
+        // Load template.
+        include BBAB_SC_PATH . 'templates/admin/workbench-reassign.php';
+    }
+
+    /**
+     * AJAX: Move time entries to a target.
+     *
+     * @param array $data Request data with 'entry_ids', 'type' and 'target_id'.
+     * @return array { move, entries: [{ id, target }] }.
+     * @throws AjaxException On invalid input or billed entries (code 'billed' with 'blocked').
+     */
+    public function handleMove(array $data): array {
+        $entry_ids = array_map('absint', (array) ($data['entry_ids'] ?? []));
+        $type = sanitize_key($data['type'] ?? '');
+        $target_id = absint($data['target_id'] ?? 0);
+
+        $move = ReassignmentService::move($entry_ids, $type, $target_id);
+
+        if (is_wp_error($move)) {
+            $this->throwError($move);
+        }
+
+        return [
+            'move' => $this->formatMove($move),
+            'entries' => $this->formatEntryTargets(wp_list_pluck($move['entries'], 'id')),
+        ];
+    }
+
+    /**
+     * AJAX: Undo a logged move.
+     *
+     * @param array $data Request data with 'move_id'.
+     * @return array { move, entries: [{ id, target }], skipped }.
+     * @throws AjaxException When the move can't be undone.
+     */
+    public function handleUndo(array $data): array {
+        $result = ReassignmentService::undo(sanitize_text_field($data['move_id'] ?? ''));
+
+        if (is_wp_error($result)) {
+            $this->throwError($result);
+        }
+
+        return [
+            'move' => $this->formatMove($result['move']),
+            'entries' => $this->formatEntryTargets($result['restored']),
+            'skipped' => count($result['skipped']),
+        ];
+    }
+
+    /**
+     * Turn a service error into the AJAX error, keeping blocked entries.
+     *
+     * @throws AjaxException Always.
+     */
+    private function throwError(\WP_Error $error): void {
+        $code = $error->get_error_code();
+        $data = $error->get_error_data();
+        $status = in_array($code, ['billed', 'already_undone'], true) ? 409 : ($code === 'not_found' ? 404 : 400);
+
+        throw new AjaxException($error->get_error_message(), $status, (string) $code, is_array($data) ? $data : []);
+    }
+
+    /**
+     * Get the client's published time entries in a month.
+     *
+     * @param int    $org_id Organization ID.
+     * @param string $month  Month (Y-m).
+     * @return array Entries: { id, ref, date, description, hours, target, lock, edit_url }, oldest first.
+     */
+    private function getEntries(int $org_id, string $month): array {
+        $posts = get_posts([
+            'post_type' => 'time_entry',
+            'posts_per_page' => -1,
+            'post_status' => 'publish',
+            'meta_query' => [[
+                'key' => 'entry_date',
+                'value' => [$month . '-01', date('Y-m-t', strtotime($month . '-01'))],
+                'compare' => 'BETWEEN',
+                'type' => 'DATE',
+            ]],
+            'orderby' => 'meta_value',
+            'meta_key' => 'entry_date',
+            'order' => 'ASC',
+        ]);
+
+        $entries = [];
+        foreach ($posts as $post) {
+            $target = ReassignmentService::getEntryTarget($post->ID);
+
+            if (!$target || ReassignmentService::getTargetOrgId($target[0], $target[1]) !== $org_id) {
+                continue;
+            }
+
+            $entries[] = [
+                'id' => $post->ID,
+                'ref' => get_post_meta($post->ID, 'reference_number', true) ?: '#' . $post->ID,
+                'date' => get_post_meta($post->ID, 'entry_date', true),
+                'description' => get_post_meta($post->ID, 'description', true) ?: $post->post_title,
+                'hours' => (float) get_post_meta($post->ID, 'hours', true),
+                'target' => $target[0] . ':' . $target[1],
+                'lock' => ReassignmentService::getEntryLock($post->ID),
+                'edit_url' => get_edit_post_link($post->ID, 'raw') ?: '',
+            ];
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Get the client's open targets plus any target the month's entries sit on.
+     *
+     * @param int    $org_id  Organization ID.
+     * @param string $month   Month (Y-m).
+     * @param array  $entries Entries from getEntries().
+     * @return array Targets grouped by type, each keyed by "type:id":
+     *               { key, type, id, label, closed, lock, hours, edit_url }.
+     */
+    private function getTargets(int $org_id, string $month, array $entries): array {
+        $org_query = [
+            'key' => 'organization',
+            'value' => $org_id,
+            'compare' => '=',
+        ];
+
+        $open = [
+            'service_request' => get_posts([
+                'post_type' => 'service_request',
+                'posts_per_page' => -1,
+                'post_status' => 'publish',
+                'fields' => 'ids',
+                'meta_query' => [
+                    'relation' => 'AND',
+                    $org_query,
+                    [
+                        'key' => 'request_status',
+                        'value' => ['Completed', 'Cancelled'],
+                        'compare' => 'NOT IN',
+                    ],
+                ],
+            ]),
+            'project' => get_posts([
+                'post_type' => 'project',
+                'posts_per_page' => -1,
+                'post_status' => 'publish',
+                'fields' => 'ids',
+                'meta_query' => [
+                    'relation' => 'AND',
+                    $org_query,
+                    [
+                        'key' => 'project_status',
+                        'value' => [ProjectService::STATUS_COMPLETED, ProjectService::STATUS_CANCELLED],
+                        'compare' => 'NOT IN',
+                    ],
+                ],
+            ]),
+        ];
+
+        $open['milestone'] = $open['project'] ? get_posts([
+            'post_type' => 'milestone',
+            'posts_per_page' => -1,
+            'post_status' => 'publish',
+            'fields' => 'ids',
+            'meta_query' => [
+                'relation' => 'AND',
+                [
+                    'key' => 'related_project',
+                    'value' => $open['project'],
+                    'compare' => 'IN',
+                ],
+                [
+                    'key' => 'milestone_status',
+                    'value' => 'Completed',
+                    'compare' => '!=',
+                ],
+            ],
+        ]) : [];
+
+        $targets = array_fill_keys(array_keys(ReassignmentService::TARGET_META), []);
+        $open_keys = [];
+
+        foreach ($open as $type => $ids) {
+            foreach ($ids as $id) {
+                $open_keys[$type . ':' . $id] = true;
+                $targets[$type][$type . ':' . $id] = null;
+            }
+        }
+
+        foreach ($entries as $entry) {
+            [$type] = explode(':', $entry['target']);
+            $targets[$type][$entry['target']] ??= null;
+        }
+
+        // SR locks depend on the month, so check against its first day
+        $month_start = $month . '-01';
+
+        foreach ($targets as $type => $keys) {
+            foreach (array_keys($keys) as $key) {
+                $id = (int) explode(':', $key)[1];
+                $targets[$type][$key] = [
+                    'key' => $key,
+                    'type' => $type,
+                    'id' => $id,
+                    'label' => $this->getTargetLabel($type, $id),
+                    'closed' => !isset($open_keys[$key]),
+                    'lock' => ReassignmentService::getTargetLock($type, $id, $month_start),
+                    'hours' => 0.0,
+                    'edit_url' => get_edit_post_link($id, 'raw') ?: '',
+                ];
+            }
+
+            uasort($targets[$type], function (array $a, array $b): int {
+                return [$a['closed'], $a['label']] <=> [$b['closed'], $b['label']];
+            });
+        }
+
+        foreach ($entries as $entry) {
+            [$type] = explode(':', $entry['target']);
+            $targets[$type][$entry['target']]['hours'] += $entry['hours'];
+        }
+
+        return $targets;
+    }
+
+    /**
+     * Get a target's display label.
+     */
+    private function getTargetLabel(string $type, int $id): string {
+        if ($type === 'service_request') {
+            $ref = get_post_meta($id, 'reference_number', true);
+            $subject = get_post_meta($id, 'subject', true) ?: get_the_title($id);
+            return $ref ? $ref . ' - ' . $subject : $subject;
+        }
+
+        if ($type === 'milestone') {
+            $name = get_post_meta($id, 'milestone_name', true) ?: get_the_title($id);
+            $project_id = get_post_meta($id, 'related_project', true);
+            if (is_array($project_id)) {
+                $project_id = reset($project_id);
+            }
+            $project_name = $project_id ? (get_post_meta((int) $project_id, 'project_name', true) ?: get_the_title((int) $project_id)) : '';
+            return $project_name ? $name . ' (' . $project_name . ')' : $name;
+        }
+
+        return get_post_meta($id, 'project_name', true) ?: get_the_title($id);
+    }
+
+    /**
+     * Get the current target key of each entry.
+     *
+     * @param array $entry_ids Time entry IDs.
+     * @return array [{ id, target }]
+     */
+    private function formatEntryTargets(array $entry_ids): array {
+        $result = [];
+
+        foreach ($entry_ids as $entry_id) {
+            $target = ReassignmentService::getEntryTarget((int) $entry_id);
+            $result[] = [
+                'id' => (int) $entry_id,
+                'target' => $target ? $target[0] . ':' . $target[1] : '',
+            ];
+        }
+
+        return $result;
+    }
+
+    /**
+     * Format a logged move for the Recent Moves list.
+     *
+     * @param array $move Move from ReassignmentService.
+     * @return array { id, summary, user, when, undone }
+     */
+    private function formatMove(array $move): array {
+        $count = count($move['entries']);
+        $user = get_userdata((int) $move['user_id']);
+
+        return [
+            'id' => $move['id'],
+            'summary' => sprintf(
+                /* translators: 1: number of time entries, 2: target name */
+                _n('%1$d entry to %2$s', '%1$d entries to %2$s', $count, 'bbab-service-center'),
+                $count,
+                $this->getTargetLabel($move['type'], (int) $move['target_id'])
+            ),
+            'user' => $user ? $user->display_name : '',
+            'when' => sprintf(
+                /* translators: %s: human-readable time difference */
+                __('%s ago', 'bbab-service-center'),
+                human_time_diff((int) $move['time'])
+            ),
+            'undone' => !empty($move['undone_at']),
+        ];
+    }
+
+    /**
+     * Get all organizations for filter dropdown.
+     */
+    private function getOrganizations(): array {
+        $orgs = get_posts([
+            'post_type' => 'client_organization',
+            'post_status' => 'publish',
+            'posts_per_page' => -1,
+            'orderby' => 'title',
+            'order' => 'ASC',
+        ]);
+
+        $result = [];
+        foreach ($orgs as $org) {
+            $shortcode = get_post_meta($org->ID, 'organization_shortcode', true);
+            $result[] = [
+                'id' => $org->ID,
+                'name' => $org->post_title,
+                'shortcode' => $shortcode,
+            ];
+        }
+
+        return $result;
+    }
+}
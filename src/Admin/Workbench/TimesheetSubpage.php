@@ -0,0 +1,460 @@
+<?php
+/**
+ * Brad's Workbench - Weekly Timesheet Sub-Page.
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ */
+
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Admin\Workbench;
+
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Modules\Billing\MonthlyReportService;
+use BBAB\ServiceCenter\Modules\Projects\ProjectService;
+use BBAB\ServiceCenter\Modules\TimeTracking\ReassignmentService;
+use BBAB\ServiceCenter\Modules\TimeTracking\TimeEntryService;
+use BBAB\ServiceCenter\Modules\TimeTracking\TimerService;
+use BBAB\ServiceCenter\Utils\Logger;
+
+/**
+ * Class TimesheetSubpage
+ *
+ * Weekly grid of hours: rows are service requests and projects, columns are
+ * the days of the week. Editing a cell creates or updates the day's time
+ * entry through TimeEntryService (so TEReferenceGenerator numbers new ones).
+ * A day with several entries is shown but must be edited entry by entry.
+ * Time already billed on a sent invoice (see ReassignmentService) and entries
+ * with a running or paused timer are locked.
+ *
+ * Milestone entries are shown on their project's row.
+ */
+class TimesheetSubpage {
+
+    /**
+     * Most hours accepted in one cell.
+     */
+    private const MAX_CELL_HOURS = 24;
+
+    /**
+     * Render the timesheet page.
+     */
+    public function render(): void {
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have sufficient permissions to access this page.', 'bbab-service-center'));
+        }
+
+        $week_start = $this->getWeekStart(isset($_GET['week']) ? sanitize_text_field($_GET['week']) : '');
+        $current_org = isset($_GET['organization']) ? absint($_GET['organization']) : 0;
+
+        $days = $this->getWeekDays($week_start);
+        $rows = $this->getRows($days, $current_org);
+        $addable_rows = $this->getAddableRows($current_org, array_keys($rows));
+        $usage = $this->getUsage($days, array_merge($rows, $addable_rows));
+        $organizations = $this->getOrganizations();
+
+        $prev_week = date('Y-m-d', strtotime($week_start . ' -7 days'));
+        $next_week = date('Y-m-d', strtotime($week_start . ' +7 days'));
+        $this_week = $this->getWeekStart('');
+
+        // Load template.
+        include BBAB_SC_PATH . 'templates/admin/workbench-timesheet.php';
+    }
+
+    /**
+     * AJAX: Set the hours for one row and day.
+     *
+     * @param array $data Request data with 'type' (service_request or project), 'id', 'date' (Y-m-d) and 'hours'.
+     * @return array { cell: { hours, entry_id, billable }, usage: { key, month, used, limit } | null }.
+     * @throws AjaxException On invalid input, a day with several entries, a live timer
+     *                       (code 'timer_active') or billed time (code 'billed').
+     */
+    public function handleSaveCell(array $data): array {
+        $type = sanitize_key($data['type'] ?? '');
+        $id = absint($data['id'] ?? 0);
+        $date = sanitize_text_field($data['date'] ?? '');
+        $hours = (float) ($data['hours'] ?? 0);
+
+        if (!in_array($type, ['service_request', 'project'], true) || get_post_type($id) !== $type) {
+            throw new AjaxException('Invalid service request or project.', 400, 'invalid_request');
+        }
+
+        if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !strtotime($date)) {
+            throw new AjaxException('Invalid date.', 400, 'invalid_date');
+        }
+
+        if ($hours < 0 || $hours > self::MAX_CELL_HOURS) {
+            throw new AjaxException('Hours must be between 0 and ' . self::MAX_CELL_HOURS . '.', 400, 'invalid_hours');
+        }
+
+        $key = $type . ':' . $id;
+        $entry_ids = array_map(function (\WP_Post $entry): int {
+            return $entry->ID;
+        }, array_filter($this->getEntries($date, $date), function (\WP_Post $entry) use ($key): bool {
+            return $this->getRowKey($entry->ID) === $key;
+        }));
+        $entry_ids = array_values($entry_ids);
+
+        if (count($entry_ids) > 1) {
+            throw new AjaxException('This day has several time entries. Edit them individually.', 409, 'multiple_entries');
+        }
+
+        $entry_id = $entry_ids[0] ?? 0;
+
+        // The timer would keep writing to an entry changed here
+        $timer_lock = $entry_id ? $this->getTimerLock($entry_id) : null;
+        if ($timer_lock) {
+            throw new AjaxException($timer_lock . '. Stop it before changing this time.', 409, 'timer_active', ['lock' => $timer_lock]);
+        }
+
+        // Changing billed time would make the invoice disagree with its entries
+        $lock = $entry_id
+            ? ReassignmentService::getEntryLock($entry_id)
+            : ReassignmentService::getTargetLock($type, $id, $date);
+
+        if ($lock) {
+            throw new AjaxException($lock . '. This time can no longer be changed here.', 409, 'billed', ['lock' => $lock]);
+        }
+
+        if ($hours > 0 && !$entry_id) {
+            $result = TimeEntryService::createLinked($type, $id, [
+                'entry_date' => $date,
+                'hours' => MonthlyReportService::roundToQuarterHour($hours),
+            ]);
+
+            if (is_wp_error($result)) {
+                throw new AjaxException($result->get_error_message(), 400, 'create_failed');
+            }
+
+            $entry_id = $result;
+        } elseif ($hours > 0) {
+            if (!TimeEntryService::setHours($entry_id, $hours)) {
+                throw new AjaxException('Failed to update the time entry.', 400, 'update_failed');
+            }
+        } elseif ($entry_id) {
+            // Clearing a cell trashes its entry (recoverable from the Trash)
+            wp_trash_post($entry_id);
+            $entry_id = 0;
+        }
+
+        Logger::debug('TimesheetSubpage', "Set {$key} on {$date} to {$hours} hours");
+
+        $usage = null;
+        if ($type === 'service_request') {
+            $org_id = (int) get_post_meta($id, 'organization', true);
+            if ($org_id) {
+                $usage = ['key' => $this->getUsageKey($org_id, $date)] + MonthlyReportService::getOrgMonthUsage($org_id, $date);
+            }
+        }
+
+        return [
+            'cell' => [
+                'hours' => $entry_id ? MonthlyReportService::roundToQuarterHour((float) get_post_meta($entry_id, 'hours', true)) : 0,
+                'entry_id' => $entry_id,
+                'billable' => !$entry_id || get_post_meta($entry_id, 'billable', true) !== '0',
+            ],
+            'usage' => $usage,
+        ];
+    }
+
+    /**
+     * Why an entry's timer keeps it off the grid, if it does.
+     *
+     * @param int $entry_id Time entry ID.
+     * @return string|null Reason, or null when no timer is running or paused.
+     */
+    private function getTimerLock(int $entry_id): ?string {
+        if (TimerService::isRunning($entry_id)) {
+            return 'Timer is running';
+        }
+
+        return TimerService::isPaused($entry_id) ? 'Timer is paused' : null;
+    }
+
+    /**
+     * Get the Monday of the week containing a date (this week when empty or invalid).
+     *
+     * @param string $date Date (Y-m-d).
+     * @return string Monday (Y-m-d).
+     */
+    private function getWeekStart(string $date): string {
+        $timestamp = $date ? strtotime($date) : false;
+
+        if (!$timestamp) {
+            $timestamp = strtotime(current_time('Y-m-d'));
+        }
+
+        return date('Y-m-d', strtotime('monday this week', $timestamp));
+    }
+
+    /**
+     * Get the seven days of a week.
+     *
+     * @param string $week_start Monday (Y-m-d).
+     * @return array Days as Y-m-d.
+     */
+    private function getWeekDays(string $week_start): array {
+        $days = [];
+        for ($i = 0; $i < 7; $i++) {
+            $days[] = date('Y-m-d', strtotime($week_start . " +{$i} days"));
+        }
+        return $days;
+    }
+
+    /**
+     * Get published time entries dated within a range.
+     *
+     * @param string $start First day (Y-m-d).
+     * @param string $end   Last day (Y-m-d).
+     * @return array Time entry post objects.
+     */
+    private function getEntries(string $start, string $end): array {
+        return get_posts([
+            'post_type' => 'time_entry',
+            'posts_per_page' => -1,
+            'post_status' => 'publish',
+            'meta_query' => [[
+                'key' => 'entry_date',
+                'value' => [$start, $end],
+                'compare' => 'BETWEEN',
+                'type' => 'DATE',
+            ]],
+        ]);
+    }
+
+    /**
+     * Get the grid row a time entry belongs to.
+     *
+     * The service request wins when an entry has both; milestone entries
+     * belong to the milestone's project.
+     *
+     * @param int $entry_id Time entry ID.
+     * @return string 'service_request:ID', 'project:ID', or '' when unlinked.
+     */
+    private function getRowKey(int $entry_id): string {
+        $sr_id = (int) get_post_meta($entry_id, 'related_service_request', true);
+        if ($sr_id) {
+            return 'service_request:' . $sr_id;
+        }
+
+        $project_id = (int) get_post_meta($entry_id, 'related_project', true);
+        if (!$project_id) {
+            $milestone_id = (int) get_post_meta($entry_id, 'related_milestone', true);
+            $milestone_project = $milestone_id ? get_post_meta($milestone_id, 'related_project', true) : 0;
+            if (is_array($milestone_project)) {
+                $milestone_project = reset($milestone_project);
+            }
+            $project_id = absint($milestone_project);
+        }
+
+        return $project_id ? 'project:' . $project_id : '';
+    }
+
+    /**
+     * Build the rows that have time this week.
+     *
+     * @param array $days   Week days (Y-m-d).
+     * @param int   $org_id Organization filter (0 for all).
+     * @return array Rows keyed by row key, sorted by client then label.
+     */
+    private function getRows(array $days, int $org_id): array {
+        $rows = [];
+
+        foreach ($this->getEntries($days[0], $days[6]) as $entry) {
+            $key = $this->getRowKey($entry->ID);
+            $date = get_post_meta($entry->ID, 'entry_date', true);
+
+            if (!$key || !in_array($date, $days, true)) {
+                continue;
+            }
+
+            if (!isset($rows[$key])) {
+                [$type, $id] = explode(':', $key);
+                $row = $this->buildRow($type, (int) $id);
+
+                if ($org_id && $row['org_id'] !== $org_id) {
+                    continue;
+                }
+
+                $rows[$key] = $row;
+            }
+
+            $rows[$key]['cells'][$date] ??= ['hours' => 0.0, 'entries' => []];
+            $rows[$key]['cells'][$date]['hours'] += MonthlyReportService::roundToQuarterHour((float) get_post_meta($entry->ID, 'hours', true));
+            $rows[$key]['cells'][$date]['entries'][] = [
+                'id' => $entry->ID,
+                'ref' => get_post_meta($entry->ID, 'reference_number', true) ?: '#' . $entry->ID,
+                'billable' => get_post_meta($entry->ID, 'billable', true) !== '0',
+                'lock' => $this->getTimerLock($entry->ID) ?? ReassignmentService::getEntryLock($entry->ID),
+            ];
+        }
+
+        uasort($rows, [$this, 'compareRows']);
+
+        return $rows;
+    }
+
+    /**
+     * Get open service requests and active projects that can be added as rows.
+     *
+     * @param int   $org_id   Organization filter (0 for all).
+     * @param array $existing Row keys already on the grid.
+     * @return array Rows keyed by row key, without cells.
+     */
+    private function getAddableRows(int $org_id, array $existing): array {
+        $org_query = $org_id ? [[
+            'key' => 'organization',
+            'value' => $org_id,
+            'compare' => '=',
+        ]] : [];
+
+        $srs = get_posts([
+            'post_type' => 'service_request',
+            'posts_per_page' => -1,
+            'post_status' => 'publish',
+            'fields' => 'ids',
+            'meta_query' => array_merge([
+                'relation' => 'AND',
+                [
+                    'key' => 'request_status',
+                    'value' => ['Completed', 'Cancelled'],
+                    'compare' => 'NOT IN',
+                ],
+            ], $org_query),
+        ]);
+
+        $projects = get_posts([
+            'post_type' => 'project',
+            'posts_per_page' => -1,
+            'post_status' => 'publish',
+            'fields' => 'ids',
+            'meta_query' => array_merge([
+                'relation' => 'AND',
+                [
+                    'key' => 'project_status',
+                    'value' => [ProjectService::STATUS_COMPLETED, ProjectService::STATUS_CANCELLED],
+                    'compare' => 'NOT IN',
+                ],
+            ], $org_query),
+        ]);
+
+        $rows = [];
+        foreach (['service_request' => $srs, 'project' => $projects] as $type => $ids) {
+            foreach ($ids as $id) {
+                $key = $type . ':' . $id;
+                if (!in_array($key, $existing, true)) {
+                    $rows[$key] = $this->buildRow($type, (int) $id);
+                }
+            }
+        }
+
+        uasort($rows, [$this, 'compareRows']);
+
+        return $rows;
+    }
+
+    /**
+     * Build an empty row for a service request or project.
+     *
+     * @param string $type 'service_request' or 'project'.
+     * @param int    $id   Post ID.
+     * @return array { key, type, id, label, org_id, org_name, edit_url, cells }
+     */
+    private function buildRow(string $type, int $id): array {
+        $org_id = (int) get_post_meta($id, 'organization', true);
+
+        if ($type === 'service_request') {
+            $ref = get_post_meta($id, 'reference_number', true);
+            $subject = get_post_meta($id, 'subject', true) ?: get_the_title($id);
+            $label = $ref ? $ref . ' - ' . $subject : $subject;
+        } else {
+            $label = get_post_meta($id, 'project_name', true) ?: get_the_title($id);
+        }
+
+        return [
+            'key' => $type . ':' . $id,
+            'type' => $type,
+            'id' => $id,
+            'label' => $label,
+            'org_id' => $org_id,
+            'org_name' => $org_id ? get_the_title($org_id) : '',
+            'edit_url' => get_edit_post_link($id, 'raw') ?: '',
+            'cells' => [],
+        ];
+    }
+
+    /**
+     * Sort rows by client, then service requests before projects, then label.
+     */
+    private function compareRows(array $a, array $b): int {
+        return [$a['org_name'], $a['type'] !== 'service_request', $a['label']]
+            <=> [$b['org_name'], $b['type'] !== 'service_request', $b['label']];
+    }
+
+    /**
+     * Get free hours usage for every client and month the grid can touch.
+     *
+     * Only service request time counts toward free hours.
+     *
+     * @param array $days Week days (Y-m-d).
+     * @param array $rows Grid and addable rows.
+     * @return array Usage keyed by getUsageKey(): { month, used, limit }.
+     */
+    private function getUsage(array $days, array $rows): array {
+        $org_ids = [];
+        foreach ($rows as $row) {
+            if ($row['type'] === 'service_request' && $row['org_id']) {
+                $org_ids[$row['org_id']] = true;
+            }
+        }
+
+        // A week can span two months
+        $months = array_unique([substr($days[0], 0, 7) . '-01', substr($days[6], 0, 7) . '-01']);
+
+        $usage = [];
+        foreach (array_keys($org_ids) as $org_id) {
+            foreach ($months as $date) {
+                $usage[$this->getUsageKey($org_id, $date)] = MonthlyReportService::getOrgMonthUsage($org_id, $date);
+            }
+        }
+
+        return $usage;
+    }
+
+    /**
+     * Key for one client's usage in one month.
+     *
+     * @param int    $org_id Organization ID.
+     * @param string $date   Any date in the month (Y-m-d).
+     * @return string e.g. "12:2025-11".
+     */
+    public function getUsageKey(int $org_id, string $date): string {
+        return $org_id . ':' . substr($date, 0, 7);
+    }
+
+    /**
+     * Get all organizations for filter dropdown.
+     */
+    private function getOrganizations(): array {
+        $orgs = get_posts([
+            'post_type' => 'client_organization',
+            'post_status' => 'publish',
+            'posts_per_page' => -1,
+            'orderby' => 'title',
+            'order' => 'ASC',
+        ]);
+
+        $result = [];
+        foreach ($orgs as $org) {
+            $shortcode = get_post_meta($org->ID, 'organization_shortcode', true);
+            $result[] = [
+                'id' => $org->ID,
+                'name' => $org->post_title,
+                'shortcode' => $shortcode,
+            ];
+        }
+
+        return $result;
+    }
+}
@@ -12,12 +12,43 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Admin\Workbench;
 
+use BBAB\ServiceCenter\Admin\RowActions\ClientTaskActions;
+use BBAB\ServiceCenter\Admin\RowActions\LogTimeAction;
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Modules\ServiceRequests\ServiceRequestService;
 use BBAB\ServiceCenter\Utils\Cache;
 use BBAB\ServiceCenter\Utils\Logger;
 use BBAB\ServiceCenter\Core\SimulationBootstrap;
 
 class WorkbenchPage {
 
+    /**
+     * Seconds between automatic box refreshes on the main page.
+     */
+    public const REFRESH_INTERVAL = 60;
+
+    /**
+     * Rows shown per box on the main page.
+     */
+    private const BOX_LIMIT = 10;
+
+    /**
+     * User meta holding the last organization filter.
+     */
+    private const ORG_FILTER_META = 'bbab_workbench_org_filter';
+
+    /**
+     * Main page boxes: partial template slug and the item/count getters.
+     */
+    private const BOXES = [
+        'service_requests' => ['template' => 'service-requests', 'items' => 'getOpenServiceRequests', 'count' => 'getOpenServiceRequestCount'],
+        'projects' => ['template' => 'projects', 'items' => 'getActiveProjects', 'count' => 'getActiveProjectCount'],
+        'invoices' => ['template' => 'invoices', 'items' => 'getPendingInvoices', 'count' => 'getPendingInvoiceCount'],
+        'roadmap_items' => ['template' => 'roadmap-items', 'items' => 'getActiveRoadmapItems', 'count' => 'getActiveRoadmapItemCount'],
+        'client_tasks' => ['template' => 'client-tasks', 'items' => 'getPendingClientTasks', 'count' => 'getPendingClientTaskCount'],
+    ];
+
     /**
      * Status sort order for Service Requests.
      */
@@ -55,6 +86,114 @@ class WorkbenchPage {
         add_action('admin_menu', [$this, 'registerMenuPages']);
         add_action('admin_init', [$this, 'handleSimulationActions']);
         add_action('pre_get_posts', [$this, 'handleAdminListFilters']);
+        add_action(AjaxRouter::REGISTER_HOOK, [$this, 'registerAjaxHandlers']);
+    }
+
+    /**
+     * Add the main page handlers to the router (admins only, no org context).
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('workbench_refresh', [$this, 'handleRefresh'], true, false);
+        $router->addHandler('workbench_complete_task', [$this, 'handleCompleteTask'], true, false);
+        $router->addHandler('timesheet_save_cell', [new TimesheetSubpage(), 'handleSaveCell'], true, false);
+
+        $reassign = new ReassignSubpage();
+        $router->addHandler('reassign_move', [$reassign, 'handleMove'], true, false);
+        $router->addHandler('reassign_undo', [$reassign, 'handleUndo'], true, false);
+    }
+
+    /**
+     * AJAX: Re-render every box for an organization filter.
+     *
+     * The filter is remembered per user so the next page load matches.
+     *
+     * @param array $data Request data with optional 'org_id' (0 for all).
+     * @return array { boxes: { key: { count, html } } }.
+     */
+    public function handleRefresh(array $data): array {
+        $org_id = absint($data['org_id'] ?? 0);
+
+        if ($org_id && get_post_type($org_id) !== 'client_organization') {
+            throw new AjaxException('Invalid organization.', 400, 'invalid_request');
+        }
+
+        update_user_meta(get_current_user_id(), self::ORG_FILTER_META, $org_id);
+
+        $boxes = [];
+        foreach (self::BOXES as $box => $config) {
+            $boxes[$box] = [
+                'count' => $this->{$config['count']}($org_id),
+                'html' => $this->renderBoxContent($box, $this->{$config['items']}(self::BOX_LIMIT, $org_id)),
+            ];
+        }
+
+        return ['boxes' => $boxes];
+    }
+
+    /**
+     * AJAX: Mark a client task complete from the Client Tasks box.
+     *
+     * @param array $data Request data with 'task_id'.
+     * @return array { task_id }.
+     */
+    public function handleCompleteTask(array $data): array {
+        $task_id = absint($data['task_id'] ?? 0);
+
+        if (!$task_id || get_post_type($task_id) !== 'client_task') {
+            throw new AjaxException('Invalid client task.', 400, 'invalid_request');
+        }
+
+        if (!current_user_can('edit_post', $task_id)) {
+            throw new AjaxException('Permission denied.', 403, 'forbidden');
+        }
+
+        ClientTaskActions::markComplete($task_id);
+
+        return ['task_id' => $task_id];
+    }
+
+    /**
+     * Render the rows of a main page box.
+     *
+     * @param string $box   Key in BOXES.
+     * @param array  $items Posts to list.
+     * @return string Box content HTML.
+     */
+    public function renderBoxContent(string $box, array $items): string {
+        if (!isset(self::BOXES[$box])) {
+            return '';
+        }
+
+        ob_start();
+        include BBAB_SC_PATH . 'templates/admin/partials/workbench-box-' . self::BOXES[$box]['template'] . '.php';
+        return ob_get_clean();
+    }
+
+    /**
+     * Render the inline status select for a Service Requests box row.
+     *
+     * Changes are saved through the sr_change_status handler.
+     */
+    public function renderSrStatusSelect(int $sr_id, string $status): string {
+        $options = '';
+        foreach (ServiceRequestService::STATUSES as $option) {
+            $options .= sprintf(
+                '<option value="%s"%s>%s</option>',
+                esc_attr($option),
+                selected($status, $option, false),
+                esc_html($option)
+            );
+        }
+
+        return sprintf(
+            '<select class="bbab-sr-status-select status-%s" data-post-id="%d" aria-label="%s">%s</select>',
+            esc_attr(sanitize_title($status)),
+            $sr_id,
+            esc_attr__('Change status', 'bbab-service-center'),
+            $options
+        );
     }
 
     /**
@@ -248,6 +387,24 @@ class WorkbenchPage {
             'bbab-roadmap',
             [$this, 'renderRoadmapPage']
         );
+
+        add_submenu_page(
+            'bbab-workbench',
+            __('Timesheet', 'bbab-service-center'),
+            __('Timesheet', 'bbab-service-center'),
+            'manage_options',
+            'bbab-timesheet',
+            [$this, 'renderTimesheetPage']
+        );
+
+        add_submenu_page(
+            'bbab-workbench',
+            __('Reassign Time', 'bbab-service-center'),
+            __('Reassign Time', 'bbab-service-center'),
+            'manage_options',
+            'bbab-reassign',
+            [$this, 'renderReassignPage']
+        );
     }
 
     /**
@@ -292,19 +449,22 @@ class WorkbenchPage {
             wp_die(esc_html__('You do not have sufficient permissions.', 'bbab-service-center'));
         }
 
+        // Last organization filter used on this page (0 for all)
+        $filter_org_id = (int) get_user_meta(get_current_user_id(), self::ORG_FILTER_META, true);
+
         // Get data for boxes
-        $service_requests = $this->getOpenServiceRequests(10);
-        $projects = $this->getActiveProjects(10);
-        $invoices = $this->getPendingInvoices(10);
-        $client_tasks = $this->getPendingClientTasks(10);
-        $roadmap_items = $this->getActiveRoadmapItems(10);
+        $service_requests = $this->getOpenServiceRequests(self::BOX_LIMIT, $filter_org_id);
+        $projects = $this->getActiveProjects(self::BOX_LIMIT, $filter_org_id);
+        $invoices = $this->getPendingInvoices(self::BOX_LIMIT, $filter_org_id);
+        $client_tasks = $this->getPendingClientTasks(self::BOX_LIMIT, $filter_org_id);
+        $roadmap_items = $this->getActiveRoadmapItems(self::BOX_LIMIT, $filter_org_id);
 
         // Get counts
-        $sr_total_count = $this->getOpenServiceRequestCount();
-        $project_total_count = $this->getActiveProjectCount();
-        $invoice_total_count = $this->getPendingInvoiceCount();
-        $task_total_count = $this->getPendingClientTaskCount();
-        $roadmap_total_count = $this->getActiveRoadmapItemCount();
+        $sr_total_count = $this->getOpenServiceRequestCount($filter_org_id);
+        $project_total_count = $this->getActiveProjectCount($filter_org_id);
+        $invoice_total_count = $this->getPendingInvoiceCount($filter_org_id);
+        $task_total_count = $this->getPendingClientTaskCount($filter_org_id);
+        $roadmap_total_count = $this->getActiveRoadmapItemCount($filter_org_id);
 
         // Get organizations for simulation
         $organizations = $this->getAllOrganizations();
@@ -357,6 +517,22 @@ class WorkbenchPage {
         $subpage->render();
     }
 
+    /**
+     * Render the weekly Timesheet sub-page.
+     */
+    public function renderTimesheetPage(): void {
+        $subpage = new TimesheetSubpage();
+        $subpage->render();
+    }
+
+    /**
+     * Render the time entry reassignment board.
+     */
+    public function renderReassignPage(): void {
+        $subpage = new ReassignSubpage();
+        $subpage->render();
+    }
+
     /**
      * Get all organizations for simulation dropdown.
      */
@@ -386,21 +562,21 @@ class WorkbenchPage {
     /**
      * Get open service requests.
      */
-    public function getOpenServiceRequests(int $limit = 10): array {
-        $cache_key = 'workbench_open_srs_' . $limit;
+    public function getOpenServiceRequests(int $limit = 10, int $org_id = 0): array {
+        $cache_key = 'workbench_open_srs_' . $limit . '_' . $org_id;
 
-        return Cache::remember($cache_key, function() use ($limit) {
+        return Cache::remember($cache_key, function() use ($limit, $org_id) {
             $results = get_posts([
                 'post_type' => 'service_request',
                 'post_status' => 'publish',
                 'posts_per_page' => -1,
-                'meta_query' => [
+                'meta_query' => array_merge([
                     [
                         'key' => 'request_status',
                         'value' => ['Completed', 'Cancelled'],
                         'compare' => 'NOT IN',
                     ],
-                ],
+                ], $this->getOrgMetaQuery($org_id)),
             ]);
 
             usort($results, function($a, $b) {
@@ -421,22 +597,22 @@ class WorkbenchPage {
         }, HOUR_IN_SECONDS);
     }
 
-    public function getOpenServiceRequestCount(): int {
-        $cache_key = 'workbench_open_srs_count';
+    public function getOpenServiceRequestCount(int $org_id = 0): int {
+        $cache_key = 'workbench_open_srs_count_' . $org_id;
 
-        return Cache::remember($cache_key, function() {
+        return Cache::remember($cache_key, function() use ($org_id) {
             $results = get_posts([
                 'post_type' => 'service_request',
                 'post_status' => 'publish',
                 'posts_per_page' => -1,
                 'fields' => 'ids',
-                'meta_query' => [
+                'meta_query' => array_merge([
                     [
                         'key' => 'request_status',
                         'value' => ['Completed', 'Cancelled'],
                         'compare' => 'NOT IN',
                     ],
-                ],
+                ], $this->getOrgMetaQuery($org_id)),
             ]);
 
             return count($results);
@@ -446,21 +622,21 @@ class WorkbenchPage {
     /**
      * Get active projects.
      */
-    public function getActiveProjects(int $limit = 10): array {
-        $cache_key = 'workbench_active_projects_' . $limit;
+    public function getActiveProjects(int $limit = 10, int $org_id = 0): array {
+        $cache_key = 'workbench_active_projects_' . $limit . '_' . $org_id;
 
-        return Cache::remember($cache_key, function() use ($limit) {
+        return Cache::remember($cache_key, function() use ($limit, $org_id) {
             $results = get_posts([
                 'post_type' => 'project',
                 'post_status' => 'publish',
                 'posts_per_page' => -1,
-                'meta_query' => [
+                'meta_query' => array_merge([
                     [
                         'key' => 'project_status',
                         'value' => ['Active', 'Waiting on Client', 'On Hold'],
                         'compare' => 'IN',
                     ],
-                ],
+                ], $this->getOrgMetaQuery($org_id)),
             ]);
 
             usort($results, function($a, $b) {
@@ -481,22 +657,22 @@ class WorkbenchPage {
         }, HOUR_IN_SECONDS);
     }
 
-    public function getActiveProjectCount(): int {
-        $cache_key = 'workbench_active_projects_count';
+    public function getActiveProjectCount(int $org_id = 0): int {
+        $cache_key = 'workbench_active_projects_count_' . $org_id;
 
-        return Cache::remember($cache_key, function() {
+        return Cache::remember($cache_key, function() use ($org_id) {
             $results = get_posts([
                 'post_type' => 'project',
                 'post_status' => 'publish',
                 'posts_per_page' => -1,
                 'fields' => 'ids',
-                'meta_query' => [
+                'meta_query' => array_merge([
                     [
                         'key' => 'project_status',
                         'value' => ['Active', 'Waiting on Client', 'On Hold'],
                         'compare' => 'IN',
                     ],
-                ],
+                ], $this->getOrgMetaQuery($org_id)),
             ]);
 
             return count($results);
@@ -506,21 +682,21 @@ class WorkbenchPage {
     /**
      * Get pending invoices.
      */
-    public function getPendingInvoices(int $limit = 10): array {
-        $cache_key = 'workbench_pending_invoices_' . $limit;
+    public function getPendingInvoices(int $limit = 10, int $org_id = 0): array {
+        $cache_key = 'workbench_pending_invoices_' . $limit . '_' . $org_id;
 
-        return Cache::remember($cache_key, function() use ($limit) {
+        return Cache::remember($cache_key, function() use ($limit, $org_id) {
             $results = get_posts([
                 'post_type' => 'invoice',
                 'post_status' => 'publish',
                 'posts_per_page' => -1,
-                'meta_query' => [
+                'meta_query' => array_merge([
                     [
                         'key' => 'invoice_status',
                         'value' => ['Paid', 'Cancelled'],
                         'compare' => 'NOT IN',
                     ],
-                ],
+                ], $this->getOrgMetaQuery($org_id)),
             ]);
 
             usort($results, function($a, $b) {
@@ -544,22 +720,22 @@ class WorkbenchPage {
         }, HOUR_IN_SECONDS);
     }
 
-    public function getPendingInvoiceCount(): int {
-        $cache_key = 'workbench_pending_invoices_count';
+    public function getPendingInvoiceCount(int $org_id = 0): int {
+        $cache_key = 'workbench_pending_invoices_count_' . $org_id;
 
-        return Cache::remember($cache_key, function() {
+        return Cache::remember($cache_key, function() use ($org_id) {
             $results = get_posts([
                 'post_type' => 'invoice',
                 'post_status' => 'publish',
                 'posts_per_page' => -1,
                 'fields' => 'ids',
-                'meta_query' => [
+                'meta_query' => array_merge([
                     [
                         'key' => 'invoice_status',
                         'value' => ['Paid', 'Cancelled'],
                         'compare' => 'NOT IN',
                     ],
-                ],
+                ], $this->getOrgMetaQuery($org_id)),
             ]);
 
             return count($results);
@@ -569,10 +745,10 @@ class WorkbenchPage {
     /**
      * Get pending client tasks.
      */
-    public function getPendingClientTasks(int $limit = 10): array {
-        $cache_key = 'workbench_pending_tasks_' . $limit;
+    public function getPendingClientTasks(int $limit = 10, int $org_id = 0): array {
+        $cache_key = 'workbench_pending_tasks_' . $limit . '_' . $org_id;
 
-        return Cache::remember($cache_key, function() use ($limit) {
+        return Cache::remember($cache_key, function() use ($limit, $org_id) {
             $results = get_posts([
                 'post_type' => 'client_task',
                 'post_status' => 'publish',
@@ -586,6 +762,10 @@ class WorkbenchPage {
                 ],
             ]);
 
+            if ($org_id) {
+                $results = $this->filterTasksByOrg($results, $org_id);
+            }
+
             usort($results, function($a, $b) {
                 $due_a = get_post_meta($a->ID, 'due_date', true);
                 $due_b = get_post_meta($b->ID, 'due_date', true);
@@ -604,10 +784,10 @@ class WorkbenchPage {
         }, HOUR_IN_SECONDS);
     }
 
-    public function getPendingClientTaskCount(): int {
-        $cache_key = 'workbench_pending_tasks_count';
+    public function getPendingClientTaskCount(int $org_id = 0): int {
+        $cache_key = 'workbench_pending_tasks_count_' . $org_id;
 
-        return Cache::remember($cache_key, function() {
+        return Cache::remember($cache_key, function() use ($org_id) {
             $results = get_posts([
                 'post_type' => 'client_task',
                 'post_status' => 'publish',
@@ -622,6 +802,10 @@ class WorkbenchPage {
                 ],
             ]);
 
+            if ($org_id) {
+                $results = array_filter($results, fn($task_id) => $this->getTaskOrgId((int) $task_id) === $org_id);
+            }
+
             return count($results);
         }, HOUR_IN_SECONDS);
     }
@@ -629,8 +813,8 @@ class WorkbenchPage {
     /**
      * Get active roadmap items.
      */
-    public function getActiveRoadmapItems(int $limit = 10): array {
-        $cache_key = 'workbench_active_roadmap_' . $limit;
+    public function getActiveRoadmapItems(int $limit = 10, int $org_id = 0): array {
+        $cache_key = 'workbench_active_roadmap_' . $limit . '_' . $org_id;
 
         $priority_order = [
             'High' => 1,
@@ -644,18 +828,18 @@ class WorkbenchPage {
             'Idea' => 3,
         ];
 
-        return Cache::remember($cache_key, function() use ($limit, $priority_order, $status_order) {
+        return Cache::remember($cache_key, function() use ($limit, $org_id, $priority_order, $status_order) {
             $results = get_posts([
                 'post_type' => 'roadmap_item',
                 'post_status' => 'publish',
                 'posts_per_page' => -1,
-                'meta_query' => [
+                'meta_query' => array_merge([
                     [
                         'key' => 'roadmap_status',
                         'value' => ['Idea', 'ADR In Progress', 'Proposed'],
                         'compare' => 'IN',
                     ],
-                ],
+                ], $this->getOrgMetaQuery($org_id)),
             ]);
 
             usort($results, function($a, $b) use ($status_order, $priority_order) {
@@ -686,28 +870,56 @@ class WorkbenchPage {
         }, HOUR_IN_SECONDS);
     }
 
-    public function getActiveRoadmapItemCount(): int {
-        $cache_key = 'workbench_active_roadmap_count';
+    public function getActiveRoadmapItemCount(int $org_id = 0): int {
+        $cache_key = 'workbench_active_roadmap_count_' . $org_id;
 
-        return Cache::remember($cache_key, function() {
+        return Cache::remember($cache_key, function() use ($org_id) {
             $results = get_posts([
                 'post_type' => 'roadmap_item',
                 'post_status' => 'publish',
                 'posts_per_page' => -1,
                 'fields' => 'ids',
-                'meta_query' => [
+                'meta_query' => array_merge([
                     [
                         'key' => 'roadmap_status',
                         'value' => ['Idea', 'ADR In Progress', 'Proposed'],
                         'compare' => 'IN',
                     ],
-                ],
+                ], $this->getOrgMetaQuery($org_id)),
             ]);
 
             return count($results);
         }, HOUR_IN_SECONDS);
     }
 
+    /**
+     * Meta query clause limiting a box to one organization (none for 0).
+     */
+    private function getOrgMetaQuery(int $org_id): array {
+        if (!$org_id) {
+            return [];
+        }
+
+        return [
+            [
+                'key' => 'organization',
+                'value' => $org_id,
+                'compare' => '=',
+            ],
+        ];
+    }
+
+    /**
+     * Keep only the client tasks that belong to an organization.
+     *
+     * @param \WP_Post[] $tasks  Client tasks.
+     * @param int        $org_id Organization ID.
+     * @return \WP_Post[]
+     */
+    private function filterTasksByOrg(array $tasks, int $org_id): array {
+        return array_values(array_filter($tasks, fn($task) => $this->getTaskOrgId($task->ID) === $org_id));
+    }
+
     /**
      * Get organization shortcode for a post.
      */
@@ -732,13 +944,7 @@ class WorkbenchPage {
      * Get task organization shortcode (uses wp_podsrel for Advanced Relationship).
      */
     public function getTaskOrgShortcode(int $task_id): string {
-        global $wpdb;
-
-        $org_id = $wpdb->get_var($wpdb->prepare(
-            "SELECT related_item_id FROM {$wpdb->prefix}podsrel
-             WHERE item_id = %d AND field_id = 1320",
-            $task_id
-        ));
+        $org_id = $this->getTaskOrgId($task_id);
 
         if (empty($org_id)) {
             return '';
@@ -750,6 +956,19 @@ class WorkbenchPage {
         return $shortcode ?: '';
     }
 
+    /**
+     * Get task organization ID (uses wp_podsrel for Advanced Relationship).
+     */
+    public function getTaskOrgId(int $task_id): int {
+        global $wpdb;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT related_item_id FROM {$wpdb->prefix}podsrel
+             WHERE item_id = %d AND field_id = 1320",
+            $task_id
+        ));
+    }
+
     /**
      * Get time entry count for a service request.
      */
@@ -868,6 +1087,13 @@ class WorkbenchPage {
         );
     }
 
+    /**
+     * Render a compact one-click "Start Timer" button for a table row.
+     */
+    public function renderStartTimerButton(int $post_id, string $post_type): string {
+        return LogTimeAction::getStartTimerLink($post_id, $post_type, '&#9654;');
+    }
+
     /**
      * Format currency.
      */
@@ -81,6 +81,11 @@ class Activator {
             wp_schedule_event(time(), 'weekly', 'bbab_sc_cleanup_cron');
         }
 
+        // Reply attachment cleanup - runs daily
+        if (!wp_next_scheduled('bbab_sc_reply_attachment_cleanup')) {
+            wp_schedule_event(time(), 'daily', 'bbab_sc_reply_attachment_cleanup');
+        }
+
         // Forgotten timer check - runs every 30 minutes
         // First, clean up old snippet events if they exist
         $old_events = [
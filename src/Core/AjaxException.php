@@ -0,0 +1,63 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Core;
+
+/**
+ * Error thrown by AjaxRouter handlers.
+ *
+ * The router turns it into the standard error response:
+ * { success: false, data: { message, code, ...extra } } with the given HTTP status.
+ * Any other exception becomes a generic 500.
+ */
+class AjaxException extends \RuntimeException {
+
+    /**
+     * Machine-readable error code for JS callers (e.g. 'timer_running').
+     */
+    private string $error_code;
+
+    /**
+     * HTTP status to send.
+     */
+    private int $status;
+
+    /**
+     * Extra data merged into the error payload.
+     */
+    private array $data;
+
+    /**
+     * @param string $message    User-facing error message
+     * @param int    $status     HTTP status code
+     * @param string $error_code Machine-readable error code
+     * @param array  $data       Extra payload for the JS caller
+     */
+    public function __construct(string $message, int $status = 400, string $error_code = '', array $data = []) {
+        parent::__construct($message);
+        $this->status = $status;
+        $this->error_code = $error_code;
+        $this->data = $data;
+    }
+
+    /**
+     * Get the HTTP status code.
+     */
+    public function getStatus(): int {
+        return $this->status;
+    }
+
+    /**
+     * Get the machine-readable error code.
+     */
+    public function getErrorCode(): string {
+        return $this->error_code;
+    }
+
+    /**
+     * Get the extra payload.
+     */
+    public function getData(): array {
+        return $this->data;
+    }
+}
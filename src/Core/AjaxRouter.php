@@ -18,19 +18,39 @@ use BBAB\ServiceCenter\Utils\UserContext;
  * This avoids scattering wp_ajax hooks across modules and ensures
  * consistent security checks.
  *
+ * Modules add their handlers on the 'bbab_sc_register_ajax_handlers' action,
+ * which fires once, on the first routed request.
+ *
  * JS sends: { action: 'bbab_sc_ajax', handler: 'timer_stop', data: {...} }
+ * Errors always come back as: { success: false, data: { message, code, ... } }
+ * Frontend JS uses BBAB.ajax(), admin JS uses BBABAdminAjax.request().
  */
 class AjaxRouter {
 
     private const NONCE_ACTION = 'bbab_sc_ajax_nonce';
 
+    /**
+     * Action modules hook to register their handlers.
+     */
+    public const REGISTER_HOOK = 'bbab_sc_register_ajax_handlers';
+
+    /**
+     * Script handle for the shared admin AJAX helper.
+     */
+    public const ADMIN_SCRIPT = 'bbab-sc-admin-ajax';
+
     /**
      * Registered handlers.
      *
-     * @var array<string, array{callback: callable, require_admin: bool, require_org: bool}>
+     * @var array<string, array{callback: callable, require_admin: bool, require_org: bool, capability: string}>
      */
     private array $handlers = [];
 
+    /**
+     * Whether REGISTER_HOOK has fired.
+     */
+    private bool $handlers_loaded = false;
+
     /**
      * Register the AJAX hooks.
      */
@@ -40,7 +60,9 @@ class AjaxRouter {
 
         // Register the script with nonce
         add_action('wp_enqueue_scripts', [$this, 'enqueueScripts']);
-        add_action('admin_enqueue_scripts', [$this, 'enqueueScripts']);
+
+        // Early priority so admin scripts enqueued at the default priority can depend on it
+        add_action('admin_enqueue_scripts', [$this, 'registerAdminScript'], 5);
     }
 
     /**
@@ -50,27 +72,52 @@ class AjaxRouter {
      * @param callable $callback      Function to call
      * @param bool     $require_admin Whether handler requires admin privileges
      * @param bool     $require_org   Whether handler requires org context
+     * @param string   $capability    Capability the user must have (empty for none)
      */
     public function addHandler(
         string $name,
         callable $callback,
         bool $require_admin = false,
-        bool $require_org = true
+        bool $require_org = true,
+        string $capability = ''
     ): void {
         $this->handlers[$name] = [
             'callback' => $callback,
             'require_admin' => $require_admin,
             'require_org' => $require_org,
+            'capability' => $capability,
         ];
     }
 
+    /**
+     * Check whether a handler is registered.
+     */
+    public function hasHandler(string $name): bool {
+        $this->loadHandlers();
+        return isset($this->handlers[$name]);
+    }
+
+    /**
+     * Let modules register their handlers (once per request).
+     */
+    private function loadHandlers(): void {
+        if ($this->handlers_loaded) {
+            return;
+        }
+
+        $this->handlers_loaded = true;
+        do_action(self::REGISTER_HOOK, $this);
+
+        Logger::debug('AjaxRouter', 'Loaded ' . count($this->handlers) . ' AJAX handlers');
+    }
+
     /**
      * Handle authenticated AJAX requests.
      */
     public function handleRequest(): void {
         // Verify nonce
         if (!$this->verifyNonce()) {
-            $this->sendError('Invalid security token. Please refresh and try again.', 403);
+            $this->sendError('Invalid security token. Please refresh and try again.', 403, 'invalid_nonce');
             return;
         }
 
@@ -78,14 +125,16 @@ class AjaxRouter {
         $handler_name = isset($_POST['handler']) ? sanitize_text_field(wp_unslash($_POST['handler'])) : '';
 
         if (empty($handler_name)) {
-            $this->sendError('No handler specified.', 400);
+            $this->sendError('No handler specified.', 400, 'no_handler');
             return;
         }
 
+        $this->loadHandlers();
+
         // Check if handler exists
         if (!isset($this->handlers[$handler_name])) {
             Logger::warning('AjaxRouter', 'Unknown handler requested: ' . $handler_name);
-            $this->sendError('Unknown action.', 400);
+            $this->sendError('Unknown action.', 400, 'unknown_handler');
             return;
         }
 
@@ -93,13 +142,19 @@ class AjaxRouter {
 
         // Check admin requirement
         if ($handler['require_admin'] && !UserContext::isAdmin()) {
-            $this->sendError('Administrator access required.', 403);
+            $this->sendError('Administrator access required.', 403, 'forbidden');
+            return;
+        }
+
+        // Check capability requirement
+        if ($handler['capability'] !== '' && !current_user_can($handler['capability'])) {
+            $this->sendError('Permission denied.', 403, 'forbidden');
             return;
         }
 
         // Check org requirement
         if ($handler['require_org'] && !UserContext::getCurrentOrgId()) {
-            $this->sendError('No organization context available.', 403);
+            $this->sendError('No organization context available.', 403, 'no_org');
             return;
         }
 
@@ -108,17 +163,22 @@ class AjaxRouter {
         if (is_string($data)) {
             $data = json_decode(stripslashes($data), true) ?: [];
         }
+        if (!is_array($data)) {
+            $data = [];
+        }
 
         // Dispatch to handler
         try {
             $result = call_user_func($handler['callback'], $data);
             $this->sendSuccess($result);
+        } catch (AjaxException $e) {
+            $this->sendError($e->getMessage(), $e->getStatus(), $e->getErrorCode() ?: 'error', $e->getData());
         } catch (\Exception $e) {
             Logger::error('AjaxRouter', 'Handler exception: ' . $handler_name, [
                 'error' => $e->getMessage(),
                 'trace' => $e->getTraceAsString()
             ]);
-            $this->sendError('An error occurred. Please try again.', 500);
+            $this->sendError('An error occurred. Please try again.', 500, 'server_error');
         }
     }
 
@@ -126,7 +186,33 @@ class AjaxRouter {
      * Handle unauthenticated AJAX requests.
      */
     public function handleUnauthenticated(): void {
-        $this->sendError('Please log in to perform this action.', 401);
+        $this->sendError('Please log in to perform this action.', 401, 'not_logged_in');
+    }
+
+    /**
+     * Require that a post belongs to the current user's organization.
+     *
+     * Uses the simulation-aware org, so admins act as the simulated client.
+     *
+     * @param int $post_id Post with an 'organization' meta field
+     * @throws AjaxException When the post is missing or belongs to another org
+     */
+    public static function requirePostInCurrentOrg(int $post_id): void {
+        if (!$post_id || !get_post($post_id)) {
+            throw new AjaxException('Item not found.', 404, 'not_found');
+        }
+
+        $user_org = UserContext::getCurrentOrgId();
+        $post_org = (int) get_post_meta($post_id, 'organization', true);
+
+        if (!$user_org || $user_org !== $post_org) {
+            Logger::warning('AjaxRouter', 'Org mismatch on AJAX request', [
+                'post_id' => $post_id,
+                'user_org' => $user_org,
+                'post_org' => $post_org,
+            ]);
+            throw new AjaxException('Permission denied.', 403, 'forbidden');
+        }
     }
 
     /**
@@ -136,6 +222,27 @@ class AjaxRouter {
         // Only localize if a script is registered that needs it
         // Individual modules register their own scripts and can use this data
         wp_localize_script('bbab-sc-frontend', 'bbabScAjax', [
+            'url' => SimulationBootstrap::getAjaxUrl(),
+            'nonce' => wp_create_nonce(self::NONCE_ACTION),
+            'action' => 'bbab_sc_ajax',
+        ]);
+    }
+
+    /**
+     * Register the shared admin AJAX helper with its configuration.
+     *
+     * Admin scripts that call the router list ADMIN_SCRIPT as a dependency.
+     */
+    public function registerAdminScript(): void {
+        wp_register_script(
+            self::ADMIN_SCRIPT,
+            BBAB_SC_URL . 'assets/js/admin-ajax.js',
+            ['jquery'],
+            BBAB_SC_VERSION,
+            true
+        );
+
+        wp_localize_script(self::ADMIN_SCRIPT, 'bbabScAdmin', [
             'url' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce(self::NONCE_ACTION),
             'action' => 'bbab_sc_ajax',
@@ -167,9 +274,17 @@ class AjaxRouter {
 
     /**
      * Send error response.
+     *
+     * @param string $message    User-facing message
+     * @param int    $status     HTTP status code
+     * @param string $error_code Machine-readable error code
+     * @param array  $extra      Extra data for the caller
      */
-    private function sendError(string $message, int $code = 400): void {
-        wp_send_json_error(['message' => $message], $code);
+    private function sendError(string $message, int $status = 400, string $error_code = 'error', array $extra = []): void {
+        wp_send_json_error(array_merge($extra, [
+            'message' => $message,
+            'code' => $error_code,
+        ]), $status);
     }
 
     /**
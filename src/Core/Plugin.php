@@ -8,6 +8,7 @@ use BBAB\ServiceCenter\Cron\CronLoader;
 use BBAB\ServiceCenter\Frontend\FrontendLoader;
 use BBAB\ServiceCenter\Modules\Billing\StripeService;
 use BBAB\ServiceCenter\Modules\Billing\StripeWebhook;
+use BBAB\ServiceCenter\Modules\Notifications\NotificationService;
 use BBAB\ServiceCenter\Utils\Cache;
 use BBAB\ServiceCenter\Utils\Logger;
 use BBAB\ServiceCenter\Core\PortalAccessControl;
@@ -53,6 +54,9 @@ class Plugin {
         // Register cache invalidation hooks (runs for both admin and frontend)
         Cache::registerInvalidationHooks();
 
+        // Register notification events (admin edits, AJAX and cron all raise them)
+        NotificationService::register();
+
         // Handle simulation start/exit requests on init
         add_action('init', [SimulationBootstrap::class, 'handleExitRequest']);
         add_action('init', [SimulationBootstrap::class, 'handleStartRequest']);
@@ -17,11 +17,35 @@ use BBAB\ServiceCenter\Utils\Settings;
  * 2. On next page load, this class reads cookie on plugins_loaded (priority 1)
  * 3. If valid cookie + admin user, defines BBAB_SC_SIMULATED_ORG_ID constant
  * 4. All subsequent code (including Pods queries) sees the simulated org
+ *
+ * A signed PREVIEW_PARAM query arg overrides the cookie for a single request.
+ * The simulation bar's compare view uses it to load the same page as two
+ * different orgs side by side.
  */
 class SimulationBootstrap {
 
     private const COOKIE_NAME = 'bbab_sc_sim_org';
 
+    /**
+     * Query arg carrying a request-scoped simulated org ("org_id|hash").
+     */
+    public const PREVIEW_PARAM = 'bbab_sc_sim_preview';
+
+    /**
+     * User meta holding the most recently simulated org IDs (newest first).
+     */
+    private const RECENT_META = 'bbab_sc_recent_sim_orgs';
+
+    /**
+     * Number of recent orgs to remember.
+     */
+    private const RECENT_LIMIT = 5;
+
+    /**
+     * Whether this request is simulating through PREVIEW_PARAM.
+     */
+    private static bool $is_preview = false;
+
     /**
      * Initialize simulation check.
      * Call this on plugins_loaded with priority 1.
@@ -33,9 +57,11 @@ class SimulationBootstrap {
             return;
         }
 
-        $org_id = self::getSimulatedOrgFromCookie();
+        $preview_org_id = self::getSimulatedOrgFromPreview();
+        $org_id = $preview_org_id ?? self::getSimulatedOrgFromCookie();
 
         if ($org_id && self::isCurrentUserAdmin()) {
+            self::$is_preview = $preview_org_id !== null;
             define('BBAB_SC_SIMULATED_ORG_ID', $org_id);
         } else {
             // Define as 0 so the constant exists (avoids repeated defined() checks)
@@ -87,6 +113,33 @@ class SimulationBootstrap {
         return $org_id;
     }
 
+    /**
+     * Get org ID from the preview query arg if valid.
+     *
+     * Unlike the cookie, an invalid value is simply ignored.
+     */
+    private static function getSimulatedOrgFromPreview(): ?int {
+        if (!isset($_GET[self::PREVIEW_PARAM])) {
+            return null;
+        }
+
+        $parts = explode('|', sanitize_text_field(wp_unslash($_GET[self::PREVIEW_PARAM])));
+        if (count($parts) !== 2) {
+            return null;
+        }
+
+        $org_id = (int) $parts[0];
+        if (!hash_equals(self::generateHash($org_id), $parts[1])) {
+            return null;
+        }
+
+        if (!get_post($org_id) || get_post_type($org_id) !== 'client_organization') {
+            return null;
+        }
+
+        return $org_id;
+    }
+
     /**
      * Check if current user is admin.
      * Note: We can't use current_user_can() this early reliably,
@@ -113,6 +166,8 @@ class SimulationBootstrap {
         $value = $org_id . '|' . $hash;
         $expiry = time() + (int) Settings::get('simulation_cookie_expiry', 3600);
 
+        self::rememberRecentOrg($org_id);
+
         // Set cookie for frontend
         setcookie(
             self::COOKIE_NAME,
@@ -149,6 +204,56 @@ class SimulationBootstrap {
         unset($_COOKIE[self::COOKIE_NAME]);
     }
 
+    /**
+     * Move an org to the front of the current user's recent list.
+     */
+    private static function rememberRecentOrg(int $org_id): void {
+        $user_id = get_current_user_id();
+        $recent = array_diff(self::getRecentOrgIds(), [$org_id]);
+        array_unshift($recent, $org_id);
+
+        update_user_meta($user_id, self::RECENT_META, array_slice($recent, 0, self::RECENT_LIMIT));
+    }
+
+    /**
+     * Get the current user's recently simulated org IDs, newest first.
+     *
+     * @return int[]
+     */
+    public static function getRecentOrgIds(): array {
+        $recent = get_user_meta(get_current_user_id(), self::RECENT_META, true);
+
+        return is_array($recent) ? array_values(array_map('intval', $recent)) : [];
+    }
+
+    /**
+     * Whether this request is a side-by-side compare preview.
+     */
+    public static function isPreviewRequest(): bool {
+        return self::$is_preview;
+    }
+
+    /**
+     * Get the admin-ajax URL for frontend requests.
+     *
+     * Inside a compare pane this carries the pane's preview arg, so AJAX
+     * handlers run as the org the pane shows rather than the cookie's org.
+     */
+    public static function getAjaxUrl(): string {
+        $url = admin_url('admin-ajax.php');
+
+        return self::$is_preview ? self::getPreviewUrl($url, (int) BBAB_SC_SIMULATED_ORG_ID) : $url;
+    }
+
+    /**
+     * Build a URL that loads as the given org for that request only.
+     *
+     * Only admins are honored, same as the cookie.
+     */
+    public static function getPreviewUrl(string $url, int $org_id): string {
+        return add_query_arg(self::PREVIEW_PARAM, $org_id . '|' . self::generateHash($org_id), $url);
+    }
+
     /**
      * Generate secure hash for cookie validation.
      */
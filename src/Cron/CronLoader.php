@@ -8,6 +8,7 @@ use BBAB\ServiceCenter\Modules\Analytics\PageSpeedService;
 use BBAB\ServiceCenter\Modules\Hosting\UptimeService;
 use BBAB\ServiceCenter\Modules\Hosting\SSLService;
 use BBAB\ServiceCenter\Modules\Hosting\BackupService;
+use BBAB\ServiceCenter\Modules\ServiceRequests\ReplyService;
 use BBAB\ServiceCenter\Cron\ForgottenTimerHandler;
 use BBAB\ServiceCenter\Cron\BillingCronHandler;
 use BBAB\ServiceCenter\Cron\DebugAutoDisable;
@@ -44,6 +45,9 @@ class CronLoader {
         // Forgotten timer check - runs every 30 minutes
         add_action('bbab_sc_forgotten_timer_check', [ForgottenTimerHandler::class, 'check']);
 
+        // Reply attachment cleanup - runs daily, deletes uploads never posted with a reply
+        add_action('bbab_sc_reply_attachment_cleanup', [ReplyService::class, 'cleanupPendingAttachments']);
+
         // Daily billing cron - marks overdue, applies late fees
         $billing_cron = new BillingCronHandler();
         $billing_cron->register();
@@ -132,16 +136,18 @@ class CronLoader {
     /**
      * Process analytics for a single organization.
      *
-     * Called by Action Scheduler (one org at a time) or inline fallback.
+     * Called by Action Scheduler (one org at a time), inline fallback, or the
+     * Client Health Dashboard refresh queue.
      *
      * @param int $org_id Organization post ID
+     * @return array Per-source results ('ok', 'error' or 'skip'), empty if the org is missing
      */
-    public function processOrgAnalytics(int $org_id): void {
+    public function processOrgAnalytics(int $org_id): array {
         $org = get_post($org_id);
 
         if (!$org) {
             Logger::error('CronLoader', "Analytics worker: Org ID $org_id not found");
-            return;
+            return [];
         }
 
         $org_name = $org->post_title;
@@ -153,6 +159,7 @@ class CronLoader {
             'ga4_pages' => 'skip',
             'ga4_sources' => 'skip',
             'ga4_devices' => 'skip',
+            'ga4_daily' => 'skip',
             'pagespeed' => 'skip',
         ];
 
@@ -201,6 +208,16 @@ class CronLoader {
                 $results['ga4_devices'] = 'error';
                 Logger::error('CronLoader', "GA4 devices fetch failed for $org_name: " . $e->getMessage());
             }
+
+            usleep(500000);
+
+            try {
+                $result = GA4Service::fetchDailySeries($org_id);
+                $results['ga4_daily'] = $result ? 'ok' : 'error';
+            } catch (\Exception $e) {
+                $results['ga4_daily'] = 'error';
+                Logger::error('CronLoader', "GA4 daily series fetch failed for $org_name: " . $e->getMessage());
+            }
         }
 
         // ---- PAGESPEED DATA ----
@@ -220,6 +237,8 @@ class CronLoader {
         }
 
         Logger::debug('CronLoader', "Analytics worker: Completed $org_name - " . wp_json_encode($results));
+
+        return $results;
     }
 
     /**
@@ -258,17 +277,19 @@ class CronLoader {
     /**
      * Process hosting health for a single organization.
      *
-     * Called by Action Scheduler (one org at a time) or inline fallback.
+     * Called by Action Scheduler (one org at a time), inline fallback, or the
+     * Client Health Dashboard refresh queue.
      * Fetches uptime, SSL, and backup data, then stores combined result.
      *
      * @param int $org_id Organization post ID
+     * @return array Per-check results ('ok', 'error' or 'skip'), empty if the org is missing
      */
-    public function processOrgHostingHealth(int $org_id): void {
+    public function processOrgHostingHealth(int $org_id): array {
         $org = get_post($org_id);
 
         if (!$org) {
             Logger::error('CronLoader', "Hosting health worker: Org ID $org_id not found");
-            return;
+            return [];
         }
 
         $org_name = $org->post_title;
@@ -345,6 +366,8 @@ class CronLoader {
         Cache::set('health_data_' . $org_id, $health_data, 36 * HOUR_IN_SECONDS);
 
         Logger::debug('CronLoader', "Hosting health worker: Completed $org_name - " . wp_json_encode($results));
+
+        return $results;
     }
 
     /**
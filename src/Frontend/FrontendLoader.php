@@ -14,12 +14,14 @@ use BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard\Roadmap;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard\HoursProgressBar;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard\UserInfo;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard\SupportButton;
+use BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard\Notifications;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Analytics\ClientAnalytics;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Hosting\HostingHealth;
 use BBAB\ServiceCenter\Frontend\Shortcodes\ServiceRequests\Archive as SRArchive;
 use BBAB\ServiceCenter\Frontend\Shortcodes\ServiceRequests\Detail as SRDetail;
 use BBAB\ServiceCenter\Frontend\Shortcodes\ServiceRequests\Attachments as SRAttachments;
 use BBAB\ServiceCenter\Frontend\Shortcodes\ServiceRequests\TimeEntries as SRTimeEntries;
+use BBAB\ServiceCenter\Frontend\Shortcodes\ServiceRequests\Replies as SRReplies;
 use BBAB\ServiceCenter\Frontend\Shortcodes\ServiceRequests\AccessControl as SRAccessControl;
 use BBAB\ServiceCenter\Frontend\Shortcodes\TimeTracking\EntriesDisplay as TEEntriesDisplay;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Projects\StatusBadge as ProjectStatusBadge;
@@ -31,6 +33,7 @@ use BBAB\ServiceCenter\Frontend\Shortcodes\Milestones\WorkBadge as MilestoneWork
 use BBAB\ServiceCenter\Frontend\Shortcodes\Milestones\BackToProject;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Milestones\DueDate as MilestoneDueDate;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard\ProjectsLink;
+use BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard\ProjectList;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Billing\LinkedInvoices;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Billing\MonthlyReportShortcodes;
 use BBAB\ServiceCenter\Frontend\Shortcodes\Billing\MonthlyReportEntries;
@@ -44,6 +47,8 @@ use BBAB\ServiceCenter\Frontend\Shortcodes\KnowledgeBase\KBArchive;
 use BBAB\ServiceCenter\Modules\KnowledgeBase\TaxonomyHandler;
 use BBAB\ServiceCenter\Modules\Roadmap\AjaxHandler as RoadmapAjaxHandler;
 use BBAB\ServiceCenter\Modules\Roadmap\FormProcessor as RoadmapFormProcessor;
+use BBAB\ServiceCenter\Modules\ServiceRequests\ReplyService as SRReplyService;
+use BBAB\ServiceCenter\Core\SimulationBootstrap;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
@@ -88,6 +93,9 @@ class FrontendLoader {
         // Register Roadmap AJAX handlers (Phase 7.5)
         RoadmapAjaxHandler::register();
 
+        // Register SR reply thread AJAX handlers
+        SRReplyService::register();
+
         // Register Roadmap form processor (Phase 7.5)
         RoadmapFormProcessor::register();
 
@@ -117,6 +125,7 @@ class FrontendLoader {
             HoursProgressBar::class,
             UserInfo::class,
             SupportButton::class,
+            Notifications::class,
             // Analytics shortcodes
             ClientAnalytics::class,
             // Hosting shortcodes
@@ -126,6 +135,7 @@ class FrontendLoader {
             SRDetail::class,
             SRAttachments::class,
             SRTimeEntries::class,
+            SRReplies::class,
             // Time Tracking shortcodes
             TEEntriesDisplay::class,
             // Project shortcodes (Phase 5.2)
@@ -133,6 +143,7 @@ class FrontendLoader {
             MilestoneProgress::class,
             ProjectSortControls::class,
             ProjectsLink::class,
+            ProjectList::class,
             // Milestone shortcodes (Phase 5.2)
             MilestoneWorkBadge::class,
             BackToProject::class,
@@ -189,7 +200,7 @@ class FrontendLoader {
 
         // Localize script with AJAX data
         wp_localize_script('bbab-sc-frontend', 'bbabScAjax', [
-            'url' => admin_url('admin-ajax.php'),
+            'url' => SimulationBootstrap::getAjaxUrl(),
             'nonce' => wp_create_nonce('bbab_sc_ajax_nonce'),
             'action' => 'bbab_sc_ajax',
         ]);
@@ -3,9 +3,12 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Frontend\Shortcodes\Analytics;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Frontend\Shortcodes\BaseShortcode;
 use BBAB\ServiceCenter\Modules\Analytics\GA4Service;
 use BBAB\ServiceCenter\Modules\Analytics\PageSpeedService;
+use BBAB\ServiceCenter\Utils\UserContext;
 
 /**
  * Client Analytics Shortcode.
@@ -24,11 +27,75 @@ use BBAB\ServiceCenter\Modules\Analytics\PageSpeedService;
  *   updated_timestamp - Just the "Updated X" text
  *   traffic_section  - Full traffic section with sources & devices
  *   performance_section - Desktop + mobile CWV comparison
+ *   traffic_chart    - Sessions/users over time (falls back to traffic_card)
+ *   cwv_chart        - LCP/CLS/INP history (falls back to cwv_card)
+ *
+ * Charts are drawn by initAnalyticsCharts() in frontend-dashboard.js and
+ * re-read through the analytics_chart_data handler when the range or
+ * comparison changes. Their data is the cached GA4 daily series and the
+ * recorded PageSpeed history, so they only appear once cron has filled them.
  */
 class ClientAnalytics extends BaseShortcode {
 
     protected string $tag = 'client_analytics';
 
+    /**
+     * Chart ranges in days offered by the period switch.
+     */
+    public const CHART_RANGES = [7, 30, 90];
+
+    /**
+     * Default chart range in days.
+     */
+    private const DEFAULT_RANGE = 30;
+
+    /**
+     * Register the shortcode and its chart data handler.
+     */
+    public function register(): void {
+        parent::register();
+
+        add_action(AjaxRouter::REGISTER_HOOK, [$this, 'registerAjaxHandlers']);
+    }
+
+    /**
+     * Add the chart data handler to the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('analytics_chart_data', [$this, 'handleChartData']);
+    }
+
+    /**
+     * AJAX: Chart data for the current organization.
+     *
+     * Reads cache only, like the rest of this shortcode.
+     *
+     * @param array $data Request data with 'chart' (traffic or cwv), 'range', 'compare' and, for cwv, 'strategy'.
+     * @return array Chart payload (see getTrafficChartData()), or { available: false }.
+     * @throws AjaxException For an unknown chart.
+     */
+    public function handleChartData(array $data): array {
+        $org_id = (int) UserContext::getCurrentOrgId();
+        $range = in_array((int) ($data['range'] ?? 0), self::CHART_RANGES, true) ? (int) $data['range'] : self::DEFAULT_RANGE;
+        $compare = !empty($data['compare']);
+
+        switch ($data['chart'] ?? '') {
+            case 'traffic':
+                $payload = $this->getTrafficChartData($org_id, $range, $compare);
+                break;
+            case 'cwv':
+                $strategy = ($data['strategy'] ?? '') === 'mobile' ? 'mobile' : 'desktop';
+                $payload = $this->getCwvChartData($org_id, $range, $compare, $strategy);
+                break;
+            default:
+                throw new AjaxException('Unknown chart.', 400, 'invalid_chart');
+        }
+
+        return $payload ?? ['available' => false];
+    }
+
     /**
      * Render the shortcode output.
      *
@@ -46,7 +113,7 @@ class ClientAnalytics extends BaseShortcode {
         $limit = intval($atts['limit']);
 
         // Check if org has GA4 configured (except for CWV-only modes)
-        if (!in_array($mode, ['cwv_card', 'performance_section'])) {
+        if (!in_array($mode, ['cwv_card', 'cwv_chart', 'performance_section'])) {
             $property_id = get_post_meta($org_id, 'ga4_property_id', true);
             if (empty($property_id)) {
                 if ($this->isSimulating() || current_user_can('manage_options')) {
@@ -71,6 +138,10 @@ class ClientAnalytics extends BaseShortcode {
                 return $this->renderTrafficSection($org_id);
             case 'performance_section':
                 return $this->renderPerformanceSection($org_id);
+            case 'traffic_chart':
+                return $this->renderTrafficChart($org_id);
+            case 'cwv_chart':
+                return $this->renderCwvChart($org_id);
             default:
                 return $this->errorCard('Invalid analytics mode.');
         }
@@ -280,6 +351,8 @@ class ClientAnalytics extends BaseShortcode {
 
             <?php if ($ga_data): ?>
                 <?php echo $this->renderTrafficCard($org_id); ?>
+                <?php $chart = $this->getTrafficChartData($org_id, self::DEFAULT_RANGE, false); ?>
+                <?php echo $chart ? $this->renderChartCard('Traffic Over Time', $chart) : ''; ?>
             <?php else: ?>
                 <?php echo $this->errorCard('Traffic data not yet available.'); ?>
             <?php endif; ?>
@@ -403,6 +476,9 @@ class ClientAnalytics extends BaseShortcode {
                 <?php endforeach; ?>
             </div>
 
+            <?php $chart = $this->getCwvChartData($org_id, self::DEFAULT_RANGE, false, 'desktop'); ?>
+            <?php echo $chart ? $this->renderChartCard('Core Web Vitals History', $chart) : ''; ?>
+
             <?php if ($data): ?>
                 <div class="bbab-stats-updated">Updated <?php echo esc_html(wp_date('n/j/y @ g:ia', $data['fetched_at'])); ?></div>
             <?php endif; ?>
@@ -411,6 +487,245 @@ class ClientAnalytics extends BaseShortcode {
         return ob_get_clean();
     }
 
+    /**
+     * Traffic Chart - sessions/users over time.
+     *
+     * Falls back to the traffic card until the daily series is cached.
+     */
+    private function renderTrafficChart(int $org_id): string {
+        $chart = $this->getTrafficChartData($org_id, self::DEFAULT_RANGE, false);
+
+        if (!$chart) {
+            return $this->renderTrafficCard($org_id);
+        }
+
+        return $this->renderChartCard('Traffic Over Time', $chart);
+    }
+
+    /**
+     * CWV Chart - LCP/CLS/INP history.
+     *
+     * Falls back to the CWV card until history has been recorded.
+     */
+    private function renderCwvChart(int $org_id): string {
+        $site_url = get_post_meta($org_id, 'site_url', true);
+
+        if (empty($site_url)) {
+            return $this->renderCwvCard($org_id);
+        }
+
+        $chart = $this->getCwvChartData($org_id, self::DEFAULT_RANGE, false, 'desktop');
+
+        if (!$chart) {
+            return $this->renderCwvCard($org_id);
+        }
+
+        return $this->renderChartCard('Core Web Vitals History', $chart);
+    }
+
+    /**
+     * Chart card shell; initAnalyticsCharts() draws the chart from data-chart.
+     *
+     * @param string $title Card title
+     * @param array  $chart Initial chart payload
+     */
+    private function renderChartCard(string $title, array $chart): string {
+        ob_start();
+        ?>
+        <div class="bbab-analytics-card bbab-chart-card" data-chart="<?php echo esc_attr(wp_json_encode($chart)); ?>">
+            <div class="bbab-chart-header">
+                <div class="bbab-card-title"><?php echo esc_html($title); ?></div>
+                <div class="bbab-chart-controls">
+                    <?php if ($chart['chart'] === 'cwv'): ?>
+                        <select class="bbab-chart-strategy" aria-label="Device">
+                            <option value="desktop">Desktop</option>
+                            <option value="mobile">Mobile</option>
+                        </select>
+                    <?php endif; ?>
+                    <div class="bbab-chart-ranges" role="group" aria-label="Date range">
+                        <?php foreach (self::CHART_RANGES as $range): ?>
+                            <button type="button" data-range="<?php echo esc_attr($range); ?>" class="<?php echo $range === $chart['range'] ? 'is-active' : ''; ?>" aria-pressed="<?php echo $range === $chart['range'] ? 'true' : 'false'; ?>"><?php echo esc_html($range); ?> days</button>
+                        <?php endforeach; ?>
+                    </div>
+                    <label class="bbab-chart-compare">
+                        <input type="checkbox"> Compare to previous period
+                    </label>
+                </div>
+            </div>
+            <div class="bbab-chart-summary"></div>
+            <div class="bbab-chart-canvas" aria-hidden="true"></div>
+            <p class="bbab-no-data bbab-chart-empty" hidden>No data for this period yet.</p>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Build the traffic chart payload from the cached daily series.
+     *
+     * @param int  $org_id  Organization ID
+     * @param int  $range   Days to show
+     * @param bool $compare Include the preceding period of the same length
+     * @return array|null Payload { available, chart, range, compare, labels, series: [{ key, label, color,
+     *                    decimals, unit, values, previous, summary, change, lower_is_better }] }, or null if not cached
+     */
+    private function getTrafficChartData(int $org_id, int $range, bool $compare): ?array {
+        $series = GA4Service::getDailySeries($org_id);
+
+        if (!$series || empty($series['days'])) {
+            return null;
+        }
+
+        $current = array_slice($series['days'], -$range);
+        $previous = $compare ? array_slice($series['days'], -2 * $range, $range) : [];
+
+        $metrics = [
+            'sessions' => ['label' => 'Sessions', 'summary' => 'total', 'color' => '#467FF7'],
+            'users' => ['label' => 'Avg. Daily Users', 'summary' => 'average', 'color' => '#1C244B'],
+        ];
+
+        $chart_series = [];
+        foreach ($metrics as $key => $metric) {
+            $values = array_map('intval', array_column($current, $key));
+            $previous_values = array_map('intval', array_column($previous, $key));
+
+            $summary = $metric['summary'] === 'total' ? array_sum($values) : $this->average($values);
+            $previous_summary = $metric['summary'] === 'total' ? array_sum($previous_values) : $this->average($previous_values);
+
+            $chart_series[] = [
+                'key' => $key,
+                'label' => $metric['label'],
+                'color' => $metric['color'],
+                'decimals' => 0,
+                'unit' => '',
+                'values' => $values,
+                'previous' => $compare ? $previous_values : null,
+                'summary' => number_format((float) $summary),
+                'change' => $compare ? $this->percentChange((float) $summary, (float) $previous_summary) : null,
+                'lower_is_better' => false,
+            ];
+        }
+
+        return [
+            'available' => true,
+            'chart' => 'traffic',
+            'range' => $range,
+            'compare' => $compare,
+            'labels' => array_map(function (array $day): string {
+                return date('M j', strtotime($day['date']));
+            }, $current),
+            'series' => $chart_series,
+            'single' => false,
+        ];
+    }
+
+    /**
+     * Build the CWV chart payload from the recorded PageSpeed history.
+     *
+     * Days without a check are null so the chart shows a gap.
+     *
+     * @param int    $org_id   Organization ID
+     * @param int    $range    Days to show
+     * @param bool   $compare  Include the preceding period of the same length
+     * @param string $strategy 'desktop' or 'mobile'
+     * @return array|null Payload like getTrafficChartData(), or null if nothing recorded
+     */
+    private function getCwvChartData(int $org_id, int $range, bool $compare, string $strategy): ?array {
+        $history = [];
+        foreach (PageSpeedService::getHistory($org_id) as $entry) {
+            $history[$entry['date']] = $entry[$strategy] ?? null;
+        }
+
+        if (empty(array_filter($history))) {
+            return null;
+        }
+
+        // Day keys for a period ending $offset days ago
+        $period = function (int $offset) use ($range): array {
+            $days = [];
+            for ($i = $offset + $range - 1; $i >= $offset; $i--) {
+                $days[] = wp_date('Y-m-d', strtotime("-{$i} days"));
+            }
+            return $days;
+        };
+
+        $current_days = $period(0);
+        $previous_days = $compare ? $period($range) : [];
+
+        $metrics = [
+            'lcp' => ['label' => 'LCP', 'unit' => 's', 'decimals' => 1, 'color' => '#467FF7'],
+            'cls' => ['label' => 'CLS', 'unit' => '', 'decimals' => 3, 'color' => '#f57c00'],
+            'inp' => ['label' => 'INP', 'unit' => 'ms', 'decimals' => 0, 'color' => '#388e3c'],
+        ];
+
+        $values_for = function (array $days, string $key) use ($history): array {
+            return array_map(function (string $day) use ($history, $key) {
+                $value = $history[$day][$key] ?? null;
+                return $value !== null ? (float) $value : null;
+            }, $days);
+        };
+
+        $chart_series = [];
+        $has_values = false;
+
+        foreach ($metrics as $key => $metric) {
+            $values = $values_for($current_days, $key);
+            $previous_values = $values_for($previous_days, $key);
+            $average = $this->average(array_filter($values, 'is_numeric'));
+            $previous_average = $this->average(array_filter($previous_values, 'is_numeric'));
+
+            $has_values = $has_values || $average !== null;
+
+            $chart_series[] = [
+                'key' => $key,
+                'label' => $metric['label'],
+                'color' => $metric['color'],
+                'decimals' => $metric['decimals'],
+                'unit' => $metric['unit'],
+                'values' => $values,
+                'previous' => $compare ? $previous_values : null,
+                'summary' => $average !== null ? number_format($average, $metric['decimals']) . $metric['unit'] : 'N/A',
+                'change' => $compare && $average !== null && $previous_average !== null ? $this->percentChange($average, $previous_average) : null,
+                'lower_is_better' => true,
+            ];
+        }
+
+        if (!$has_values) {
+            return null;
+        }
+
+        return [
+            'available' => true,
+            'chart' => 'cwv',
+            'range' => $range,
+            'compare' => $compare,
+            'strategy' => $strategy,
+            'labels' => array_map(function (string $day): string {
+                return date('M j', strtotime($day));
+            }, $current_days),
+            'series' => $chart_series,
+            'single' => true,
+        ];
+    }
+
+    /**
+     * Average of a list of numbers, or null when empty.
+     */
+    private function average(array $values): ?float {
+        return empty($values) ? null : array_sum($values) / count($values);
+    }
+
+    /**
+     * Percent change from a previous value, like GA4Service's trends.
+     */
+    private function percentChange(float $current, ?float $previous): float {
+        if (!$previous) {
+            return $current > 0 ? 100.0 : 0.0;
+        }
+
+        return round((($current - $previous) / $previous) * 100, 1);
+    }
+
     /**
      * Render an error card.
      */
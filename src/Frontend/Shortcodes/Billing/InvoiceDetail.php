@@ -161,7 +161,7 @@ class InvoiceDetail extends BaseShortcode {
             <div class="bbab-invoice-view-header">
                 <div class="bbab-invoice-view-title">
                     <h1>Invoice <?php echo esc_html($data['invoice_number']); ?></h1>
-                    <span class="bbab-status-badge <?php echo esc_attr($status_class); ?>"><?php echo esc_html($data['status']); ?></span>
+                    <span id="invoice-status-badge" class="bbab-status-badge <?php echo esc_attr($status_class); ?>"><?php echo esc_html($data['status']); ?></span>
                 </div>
                 <div class="bbab-invoice-view-actions">
                     <?php if ($data['pdf_url']): ?>
@@ -260,13 +260,11 @@ class InvoiceDetail extends BaseShortcode {
                         <span class="totals-label">Invoice Total</span>
                         <span class="totals-value">$<?php echo number_format($data['amount'], 2); ?></span>
                     </div>
-                    <?php if ($data['amount_paid'] > 0): ?>
-                    <div class="totals-row paid-row">
+                    <div id="invoice-paid-row" class="totals-row paid-row"<?php echo $data['amount_paid'] > 0 ? '' : ' style="display: none;"'; ?>>
                         <span class="totals-label">Paid</span>
                         <span class="totals-value">-$<?php echo number_format($data['amount_paid'], 2); ?></span>
                     </div>
-                    <?php endif; ?>
-                    <div class="totals-row balance-row <?php echo $data['balance'] <= 0 ? 'paid-full' : ''; ?>">
+                    <div id="invoice-balance-row" class="totals-row balance-row <?php echo $data['balance'] <= 0 ? 'paid-full' : ''; ?>">
                         <span class="totals-label"><?php echo $data['balance'] <= 0 ? 'Balance' : 'Balance Due'; ?></span>
                         <span class="totals-value">$<?php echo number_format(max(0, $data['balance']), 2); ?></span>
                     </div>
@@ -334,82 +332,165 @@ class InvoiceDetail extends BaseShortcode {
                     </div>
                 </div>
 
-                <div id="payment-message" class="bbab-payment-message" style="display: none;"></div>
-
-                <script>
-                jQuery(document).ready(function($) {
-                    var invoiceId = <?php echo $data['invoice_id']; ?>;
-                    var nonce = '<?php echo wp_create_nonce('bbab_payment_nonce'); ?>';
-
-                    // Toggle payment details
-                    $('input[name="payment_method"]').on('change', function() {
-                        $('.payment-option-details').slideUp(200);
-                        var method = $(this).val();
-                        $('#' + method + '-details').slideDown(200);
-                    });
-
-                    // Stripe checkout buttons (AJAX handlers will be wired in Phase 6.3)
-                    $('.bbab-pay-btn').on('click', function() {
-                        var btn = $(this);
-                        var method = btn.data('method');
-                        btn.prop('disabled', true).text('Processing...');
+                <?php endif; ?>
+            </div>
 
-                        $.post('<?php echo admin_url('admin-ajax.php'); ?>', {
-                            action: 'bbab_create_checkout',
+            <div id="payment-message" class="bbab-payment-message" style="display: none;"></div>
+
+            <script>
+            jQuery(document).ready(function($) {
+                var invoiceId = <?php echo (int) $data['invoice_id']; ?>;
+                var $message = $('#payment-message');
+
+                /**
+                 * Show a payment message.
+                 *
+                 * @param {string} text - Message text
+                 * @param {string} type - 'success', 'error' or 'info'
+                 */
+                function showMessage(text, type) {
+                    $message.removeClass('success error info').addClass(type).text(text).show();
+                }
+
+                /**
+                 * Format an amount like number_format($amount, 2).
+                 *
+                 * @param {number} amount - Dollar amount
+                 * @return {string}
+                 */
+                function formatMoney(amount) {
+                    return Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+                }
+
+                /**
+                 * Update the status badge and totals in place.
+                 *
+                 * @param {object} data - billing_invoice_status response
+                 */
+                function applyStatus(data) {
+                    var balance = Math.max(0, Number(data.balance));
+
+                    $('#invoice-status-badge')
+                        .attr('class', 'bbab-status-badge status-' + String(data.status).toLowerCase())
+                        .text(data.status);
+
+                    $('#invoice-paid-row').toggle(Number(data.amount_paid) > 0)
+                        .find('.totals-value').text('-$' + formatMoney(data.amount_paid));
+
+                    $('#invoice-balance-row').toggleClass('paid-full', balance <= 0)
+                        .find('.totals-label').text(balance <= 0 ? 'Balance' : 'Balance Due')
+                        .end()
+                        .find('.totals-value').text('$' + formatMoney(balance));
+                }
+
+                /**
+                 * Poll billing_invoice_status until the webhook has marked the
+                 * invoice paid, backing off between attempts.
+                 *
+                 * Payment options stay hidden while polling so nobody pays twice.
+                 *
+                 * @param {string} sessionId - Stripe Checkout Session ID
+                 */
+                function pollPaymentStatus(sessionId) {
+                    var delay = 2000;
+                    var maxDelay = 15000;
+                    var giveUpAt = Date.now() + 120000;
+
+                    $('.bbab-payment-section').hide();
+                    showMessage('Payment processing. Confirming with Stripe...', 'info');
+
+                    function check() {
+                        BBAB.ajax('billing_invoice_status', {
                             invoice_id: invoiceId,
-                            payment_method: method,
-                            nonce: nonce
-                        }, function(response) {
-                            if (response.success) {
-                                window.location.href = response.data.checkout_url;
+                            session_id: sessionId
+                        }, function(data) {
+                            applyStatus(data);
+
+                            if (data.state === 'paid') {
+                                $('.bbab-payment-section').remove();
+                                showMessage(data.message, 'success');
+                                window.history.replaceState(null, '', window.location.pathname);
+                            } else if (data.state === 'bank_pending') {
+                                showMessage(data.message, 'info');
+                            } else if (data.state === 'failed') {
+                                $('.bbab-payment-section').show();
+                                showMessage(data.message, 'error');
                             } else {
-                                btn.prop('disabled', false).text('Try Again');
-                                $('#payment-message').text(response.data.message || 'Payment system not yet configured.').addClass('error').show();
+                                next();
                             }
-                        }).fail(function() {
-                            btn.prop('disabled', false).text('Try Again');
-                            $('#payment-message').text('Connection error. Please try again.').addClass('error').show();
+                        }, function(error) {
+                            // Access and session errors won't fix themselves; anything else is retried
+                            if (error.code === 'invalid_session' || error.code === 'forbidden' || error.code === 'not_found') {
+                                showMessage(error.message, 'error');
+                                return;
+                            }
+
+                            next();
                         });
-                    });
+                    }
 
-                    // Zelle notification
-                    $('#zelle-notify-btn').on('click', function() {
-                        var btn = $(this);
-                        btn.prop('disabled', true).text('Sending...');
+                    function next() {
+                        if (Date.now() + delay > giveUpAt) {
+                            showMessage('We haven\'t received confirmation from Stripe yet. Your payment may still be processing, so please don\'t pay again. Refresh this page in a few minutes, or contact us if it still shows unpaid.', 'error');
+                            return;
+                        }
 
-                        $.post('<?php echo admin_url('admin-ajax.php'); ?>', {
-                            action: 'bbab_zelle_paid_notification',
-                            invoice_id: invoiceId,
-                            nonce: nonce
-                        }, function(response) {
-                            if (response.success) {
-                                btn.text('Notification Sent');
-                                $('#payment-message').text('Thank you! We\'ve been notified and will verify your payment shortly.').addClass('success').show();
-                            } else {
-                                btn.prop('disabled', false).text('Try Again');
-                                $('#payment-message').text(response.data.message || 'Could not send notification.').addClass('error').show();
-                            }
-                        });
+                        setTimeout(check, delay);
+                        delay = Math.min(maxDelay, Math.round(delay * 1.5));
+                    }
+
+                    check();
+                }
+
+                // Toggle payment details
+                $('input[name="payment_method"]').on('change', function() {
+                    $('.payment-option-details').slideUp(200);
+                    var method = $(this).val();
+                    $('#' + method + '-details').slideDown(200);
+                });
+
+                // Stripe checkout buttons
+                $('.bbab-pay-btn').on('click', function() {
+                    var btn = $(this);
+                    var method = btn.data('method');
+                    btn.prop('disabled', true).text('Processing...');
+
+                    BBAB.ajax('billing_create_checkout', {
+                        invoice_id: invoiceId,
+                        payment_method: method
+                    }, function(data) {
+                        window.location.href = data.checkout_url;
+                    }, function(error) {
+                        btn.prop('disabled', false).text('Try Again');
+                        showMessage(error.message || 'Payment system not yet configured.', 'error');
                     });
+                });
 
-                    // Check for payment status in URL
-                    var urlParams = new URLSearchParams(window.location.search);
-                    if (urlParams.get('payment') === 'success') {
-                        $('#payment-message').html('Payment successful! Thank you.<br><small>Refreshing to update status...</small>').addClass('success').show();
-                        // Hide payment options since payment was just made
-                        $('.bbab-payment-section').hide();
-                        // Refresh after 3 seconds to allow webhook to process
-                        setTimeout(function() {
-                            // Remove query param and refresh
-                            window.location.href = window.location.pathname;
-                        }, 3000);
-                    } else if (urlParams.get('payment') === 'cancelled') {
-                        $('#payment-message').text('Payment was cancelled.').addClass('error').show();
-                    }
+                // Zelle notification
+                $('#zelle-notify-btn').on('click', function() {
+                    var btn = $(this);
+                    btn.prop('disabled', true).text('Sending...');
+
+                    BBAB.ajax('billing_zelle_notify', {
+                        invoice_id: invoiceId
+                    }, function() {
+                        btn.text('Notification Sent');
+                        showMessage('Thank you! We\'ve been notified and will verify your payment shortly.', 'success');
+                    }, function(error) {
+                        btn.prop('disabled', false).text('Try Again');
+                        showMessage(error.message || 'Could not send notification.', 'error');
+                    });
                 });
-                </script>
-                <?php endif; ?>
-            </div>
+
+                // Check for payment status in URL
+                var urlParams = new URLSearchParams(window.location.search);
+                if (urlParams.get('payment') === 'success') {
+                    pollPaymentStatus(urlParams.get('session_id') || '');
+                } else if (urlParams.get('payment') === 'cancelled') {
+                    showMessage('Payment was cancelled and you have not been charged. You can choose a payment method below to try again.', 'error');
+                }
+            });
+            </script>
         </div>
 
         <?php echo $this->getStyles(); ?>
@@ -749,6 +830,10 @@ class InvoiceDetail extends BaseShortcode {
             background: #fee2e2;
             color: #b91c1c;
         }
+        .bbab-payment-message.info {
+            background: #e8f4fd;
+            color: #1e40af;
+        }
 
         /* Responsive */
         @media (max-width: 600px) {
@@ -99,7 +99,7 @@ class ActionItems extends BaseShortcode {
                             }
                         }
                         ?>
-                        <div class="task-card <?php echo esc_attr($urgency_class); ?>">
+                        <div class="task-card <?php echo esc_attr($urgency_class); ?>" data-task-id="<?php echo esc_attr($task_id); ?>">
                             <div class="task-indicator"></div>
                             <div class="task-content">
                                 <div class="task-description"><?php echo esc_html($description); ?></div>
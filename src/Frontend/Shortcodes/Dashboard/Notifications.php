@@ -0,0 +1,45 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard;
+
+use BBAB\ServiceCenter\Frontend\Shortcodes\BaseShortcode;
+use BBAB\ServiceCenter\Modules\Notifications\NotificationService;
+
+/**
+ * Dashboard Notifications shortcode.
+ *
+ * Notification bell with an unread badge and a dropdown list. The list is
+ * loaded and polled by initNotifications() in frontend-dashboard.js through
+ * the notifications_* AjaxRouter handlers in NotificationService.
+ *
+ * Shortcode: [dashboard_notifications]
+ */
+class Notifications extends BaseShortcode {
+
+    protected string $tag = 'dashboard_notifications';
+
+    /**
+     * Render the bell.
+     */
+    protected function output(array $atts, int $org_id): string {
+        ob_start();
+        ?>
+        <div class="bbab-notifications" data-poll-interval="<?php echo (int) NotificationService::POLL_INTERVAL; ?>">
+            <button type="button" class="bbab-notifications-bell" aria-haspopup="true" aria-expanded="false" aria-label="Notifications">
+                &#128276;
+                <span class="bbab-notifications-badge" hidden>0</span>
+            </button>
+            <div class="bbab-notifications-panel" hidden>
+                <div class="bbab-notifications-header">
+                    <strong>Notifications</strong>
+                    <button type="button" class="bbab-notifications-mark-all" disabled>Mark all read</button>
+                </div>
+                <ul class="bbab-notifications-list"></ul>
+                <p class="bbab-notifications-empty">You're all caught up.</p>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+}
@@ -0,0 +1,224 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard;
+
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Frontend\Shortcodes\BaseShortcode;
+use BBAB\ServiceCenter\Modules\Projects\ProgressCalculator;
+use BBAB\ServiceCenter\Modules\Projects\ProjectService;
+use BBAB\ServiceCenter\Utils\UserContext;
+
+/**
+ * Dashboard Project List shortcode.
+ *
+ * Interactive list of the organization's projects. The projects are loaded
+ * once through the project_list handler; status filters, sorting and the
+ * list/card toggle then run in the browser (initProjectList() in
+ * frontend-dashboard.js). The chosen view is saved per user.
+ *
+ * Unlike the project archive (ArchiveFilter + SortControls), nothing here
+ * reloads the page.
+ *
+ * Shortcode: [dashboard_project_list]
+ */
+class ProjectList extends BaseShortcode {
+
+    protected string $tag = 'dashboard_project_list';
+
+    /**
+     * User meta holding the chosen view.
+     */
+    private const VIEW_META = 'bbab_sc_project_list_view';
+
+    /**
+     * Available views (the first is the default).
+     */
+    private const VIEWS = ['list', 'cards'];
+
+    /**
+     * Sort options: key => label.
+     */
+    private const SORTS = [
+        'start' => 'Start Date',
+        'due' => 'Due Date',
+        'progress' => 'Progress',
+        'outstanding' => 'Outstanding Balance',
+    ];
+
+    /**
+     * Register the shortcode and its AJAX handlers.
+     */
+    public function register(): void {
+        parent::register();
+
+        add_action(AjaxRouter::REGISTER_HOOK, [$this, 'registerAjaxHandlers']);
+    }
+
+    /**
+     * Add the list and view handlers to the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('project_list', [$this, 'handleList']);
+        $router->addHandler('project_list_view', [$this, 'handleSaveView']);
+    }
+
+    /**
+     * Render the list shell (filled in by initProjectList()).
+     */
+    protected function output(array $atts, int $org_id): string {
+        $view = $this->getView();
+
+        ob_start();
+        ?>
+        <div class="bbab-project-list is-loading view-<?php echo esc_attr($view); ?>" data-view="<?php echo esc_attr($view); ?>">
+            <div class="bbab-project-list-toolbar">
+                <div class="bbab-project-list-filters" role="group" aria-label="Filter by status"></div>
+
+                <div class="bbab-project-list-controls">
+                    <label>
+                        <span class="bbab-project-list-label">Sort by</span>
+                        <select class="bbab-project-list-sort">
+                            <?php foreach (self::SORTS as $key => $label): ?>
+                                <option value="<?php echo esc_attr($key); ?>"><?php echo esc_html($label); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <button type="button" class="bbab-project-list-direction" aria-label="Reverse sort order" title="Reverse sort order">&#8595;</button>
+
+                    <div class="bbab-project-list-views" role="group" aria-label="View">
+                        <button type="button" data-view="list" aria-pressed="false">List</button>
+                        <button type="button" data-view="cards" aria-pressed="false">Cards</button>
+                    </div>
+                </div>
+            </div>
+
+            <p class="bbab-project-list-status">Loading projects...</p>
+            <div class="bbab-project-list-items"></div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * AJAX: Get the current organization's projects.
+     *
+     * @param array $data Request data (unused).
+     * @return array { projects: [{ id, name, ref, status, status_badge, url,
+     *               start, start_display, due, due_display, progress, milestones,
+     *               budget, paid, outstanding, outstanding_display, open }], statuses }
+     */
+    public function handleList(array $data): array {
+        $org_id = (int) UserContext::getCurrentOrgId();
+        $projects = [];
+
+        foreach (ProjectService::getForOrg($org_id) as $project) {
+            $projects[] = $this->formatProject($project);
+        }
+
+        $statuses = array_values(array_intersect(
+            [
+                ProjectService::STATUS_ACTIVE,
+                ProjectService::STATUS_WAITING,
+                ProjectService::STATUS_HOLD,
+                ProjectService::STATUS_COMPLETED,
+                ProjectService::STATUS_CANCELLED,
+            ],
+            array_column($projects, 'status')
+        ));
+
+        return [
+            'projects' => $projects,
+            'statuses' => $statuses,
+        ];
+    }
+
+    /**
+     * AJAX: Remember the current user's view.
+     *
+     * @param array $data Request data with 'view'.
+     * @return array { view }
+     * @throws AjaxException On an unknown view.
+     */
+    public function handleSaveView(array $data): array {
+        $view = sanitize_key($data['view'] ?? '');
+
+        if (!in_array($view, self::VIEWS, true)) {
+            throw new AjaxException('Invalid view.', 400, 'invalid_view');
+        }
+
+        update_user_meta(get_current_user_id(), self::VIEW_META, $view);
+
+        return ['view' => $view];
+    }
+
+    /**
+     * Get the current user's view.
+     */
+    private function getView(): string {
+        $view = get_user_meta(get_current_user_id(), self::VIEW_META, true);
+
+        return in_array($view, self::VIEWS, true) ? $view : self::VIEWS[0];
+    }
+
+    /**
+     * Format a project for the list.
+     *
+     * Progress is milestone completion; projects without milestones fall
+     * back to how much of the budget is paid. Outstanding is invoiced but
+     * not yet paid. The start date falls back to the post date when the
+     * project has none.
+     *
+     * @param \WP_Post $project Project post.
+     * @return array Project row (see handleList()).
+     */
+    private function formatProject(\WP_Post $project): array {
+        $summary = ProgressCalculator::getProjectSummary($project->ID);
+        $status = (string) get_post_meta($project->ID, 'project_status', true);
+        $start_time = $this->getDateTime((string) get_post_meta($project->ID, 'start_date', true))
+            ?: (int) get_post_time('U', false, $project);
+        $due_time = $this->getDateTime((string) get_post_meta($project->ID, 'target_completion', true));
+        $outstanding = max(0.0, $summary['invoiced']['invoiced'] - $summary['payment']['paid']);
+
+        $progress = $summary['milestones']['total'] > 0
+            ? (float) $summary['milestones']['percent']
+            : (float) $summary['payment']['percent'];
+
+        return [
+            'id' => $project->ID,
+            'name' => get_post_meta($project->ID, 'project_name', true) ?: $project->post_title,
+            'ref' => (string) get_post_meta($project->ID, 'reference_number', true),
+            'status' => $status,
+            'status_badge' => ProjectService::getStatusBadgeHtml($status),
+            'url' => get_permalink($project->ID) ?: '',
+            'start' => date('Y-m-d', $start_time),
+            'start_display' => date('M j, Y', $start_time),
+            'due' => $due_time ? date('Y-m-d', $due_time) : '',
+            'due_display' => $due_time ? date('M j, Y', $due_time) : '',
+            'progress' => min(100, $progress),
+            'milestones' => $summary['milestones']['total'] > 0
+                ? $summary['milestones']['completed'] . ' of ' . $summary['milestones']['total'] . ' milestones complete'
+                : '',
+            'budget' => '$' . number_format($summary['budget'], 2),
+            'paid' => '$' . number_format($summary['payment']['paid'], 2),
+            'outstanding' => $outstanding,
+            'outstanding_display' => '$' . number_format($outstanding, 2),
+            'open' => !in_array($status, [ProjectService::STATUS_COMPLETED, ProjectService::STATUS_CANCELLED], true),
+        ];
+    }
+
+    /**
+     * Parse a stored date, treating empty and zero dates as missing.
+     *
+     * @param string $date Stored date.
+     * @return int Timestamp, or 0 when there is no usable date.
+     */
+    private function getDateTime(string $date): int {
+        $timestamp = $date ? strtotime($date) : false;
+
+        return $timestamp !== false && $timestamp > 0 ? $timestamp : 0;
+    }
+}
@@ -4,12 +4,15 @@ declare(strict_types=1);
 namespace BBAB\ServiceCenter\Frontend\Shortcodes\Dashboard;
 
 use BBAB\ServiceCenter\Frontend\Shortcodes\BaseShortcode;
+use BBAB\ServiceCenter\Modules\Roadmap\RoadmapCard;
 
 /**
  * Dashboard Roadmap shortcode.
  *
  * Displays feature requests/suggestions for client's organization.
  * Shows Brad's ideas, client submissions, in-progress items, and past requests.
+ * Every section is always rendered (hidden when empty) so a card can move
+ * between sections after a vote without a reload; cards come from RoadmapCard.
  *
  * Shortcode: [dashboard_roadmap]
  * Migrated from: WPCode Snippet #1946
@@ -22,10 +25,6 @@ class Roadmap extends BaseShortcode {
      * Render the roadmap output.
      */
     protected function output(array $atts, int $org_id): string {
-        // Get admin user IDs (for distinguishing Brad's ideas from client submissions)
-        // Cast to int since get_users returns strings
-        $admin_users = array_map('intval', get_users(['role' => 'administrator', 'fields' => 'ID']));
-
         // First get ALL Idea status items, then filter in PHP
         // This avoids complex meta_query issues with Pods-stored vs standard meta
         $all_ideas = get_posts([
@@ -47,43 +46,13 @@ class Roadmap extends BaseShortcode {
         $client_ideas = [];
 
         foreach ($all_ideas as $item) {
-            // Get organization - try both Pods and raw meta
-            $item_org = null;
-            if (function_exists('pods')) {
-                $pod = pods('roadmap_item', $item->ID);
-                $org_field = $pod->field('organization');
-                if (is_array($org_field) && !empty($org_field['ID'])) {
-                    $item_org = (int) $org_field['ID'];
-                } elseif (is_numeric($org_field)) {
-                    $item_org = (int) $org_field;
-                }
-            }
-            if (!$item_org) {
-                $item_org = (int) get_post_meta($item->ID, 'organization', true);
-            }
-
             // Skip if not matching org
-            if ($item_org !== $org_id) {
+            if (RoadmapCard::getItemOrgId($item->ID) !== $org_id) {
                 continue;
             }
 
-            // Get submitted_by
-            $submitted_by = null;
-            if (function_exists('pods')) {
-                $pod = pods('roadmap_item', $item->ID);
-                $user_field = $pod->field('submitted_by');
-                if (is_array($user_field) && !empty($user_field['ID'])) {
-                    $submitted_by = (int) $user_field['ID'];
-                } elseif (is_numeric($user_field)) {
-                    $submitted_by = (int) $user_field;
-                }
-            }
-            if (!$submitted_by) {
-                $submitted_by = (int) get_post_meta($item->ID, 'submitted_by', true);
-            }
-
             // Categorize: Brad's ideas vs Client ideas
-            if (empty($submitted_by) || in_array($submitted_by, $admin_users)) {
+            if (RoadmapCard::isAdminSubmitted($item->ID)) {
                 $brads_ideas[] = $item;
             } else {
                 $client_ideas[] = $item;
@@ -106,7 +75,7 @@ class Roadmap extends BaseShortcode {
 
         // Filter in_progress by org
         $in_progress = array_filter($all_in_progress, function($item) use ($org_id) {
-            return self::getItemOrgId($item->ID) === $org_id;
+            return RoadmapCard::getItemOrgId($item->ID) === $org_id;
         });
 
         // Query: Past requests (Approved or Declined)
@@ -128,7 +97,7 @@ class Roadmap extends BaseShortcode {
 
         // Filter past_requests by org
         $past_requests = array_filter($all_past, function($item) use ($org_id) {
-            return self::getItemOrgId($item->ID) === $org_id;
+            return RoadmapCard::getItemOrgId($item->ID) === $org_id;
         });
 
         ob_start();
@@ -140,87 +109,35 @@ class Roadmap extends BaseShortcode {
                 <a href="/feature-request/" class="new-feature-btn">+ Submit Idea</a>
             </div>
 
-            <?php if (!empty($brads_ideas)): ?>
-            <div class="roadmap-section brads-ideas">
+            <div class="roadmap-section brads-ideas"<?php echo empty($brads_ideas) ? ' style="display: none;"' : ''; ?>>
                 <h3>&#128161; Ideas for Your Review</h3>
                 <p class="section-desc">Brad has some suggestions for improving your site. Let us know what interests you!</p>
                 <div class="roadmap-cards">
-                    <?php foreach ($brads_ideas as $item):
-                        $pod = pods('roadmap_item', $item->ID);
-                        $description = $pod->field('description');
-                        $truncated = wp_trim_words(wp_strip_all_tags($description), 30, '...');
-                    ?>
-                    <div class="roadmap-card idea-card" data-item-id="<?php echo esc_attr($item->ID); ?>">
-                        <h4><?php echo esc_html($item->post_title); ?></h4>
-                        <p class="card-description"><?php echo esc_html($truncated); ?></p>
-                        <div class="card-actions">
-                            <button type="button" class="btn-interested" data-item-id="<?php echo esc_attr($item->ID); ?>" data-nonce="<?php echo esc_attr(wp_create_nonce('roadmap_interest_' . $item->ID)); ?>">&#128077; I'm Interested</button>
-                            <button type="button" class="btn-not-now" data-item-id="<?php echo esc_attr($item->ID); ?>" data-nonce="<?php echo esc_attr(wp_create_nonce('roadmap_decline_' . $item->ID)); ?>">Not Right Now</button>
-                        </div>
-                    </div>
+                    <?php foreach ($brads_ideas as $item): ?>
+                        <?php echo RoadmapCard::render($item->ID); ?>
                     <?php endforeach; ?>
                 </div>
             </div>
-            <?php endif; ?>
 
-            <?php if (!empty($client_ideas)): ?>
-            <div class="roadmap-section client-ideas">
+            <div class="roadmap-section client-ideas"<?php echo empty($client_ideas) ? ' style="display: none;"' : ''; ?>>
                 <h3>&#128172; Your Submitted Ideas</h3>
                 <div class="roadmap-cards">
-                    <?php foreach ($client_ideas as $item):
-                        $pod = pods('roadmap_item', $item->ID);
-                        $description = $pod->field('description');
-                        $truncated = wp_trim_words(wp_strip_all_tags($description), 30, '...');
-                    ?>
-                    <div class="roadmap-card submitted-card">
-                        <h4><?php echo esc_html($item->post_title); ?></h4>
-                        <p class="card-description"><?php echo esc_html($truncated); ?></p>
-                        <span class="status-badge pending">&#9203; Pending Review</span>
-                    </div>
+                    <?php foreach ($client_ideas as $item): ?>
+                        <?php echo RoadmapCard::render($item->ID); ?>
                     <?php endforeach; ?>
                 </div>
             </div>
-            <?php endif; ?>
 
-            <?php if (!empty($in_progress)): ?>
-            <div class="roadmap-section in-progress">
+            <div class="roadmap-section in-progress"<?php echo empty($in_progress) ? ' style="display: none;"' : ''; ?>>
                 <h3>&#128736; In Progress</h3>
                 <div class="roadmap-cards">
-                    <?php foreach ($in_progress as $item):
-                        $pod = pods('roadmap_item', $item->ID);
-                        $status = $pod->field('roadmap_status');
-                        $description = $pod->field('description');
-                        $truncated = wp_trim_words(wp_strip_all_tags($description), 30, '...');
-                        $estimated_hours = $pod->field('estimated_hours');
-                        $adr_pdf = $pod->field('adr_pdf');
-                    ?>
-                    <div class="roadmap-card progress-card" data-item-id="<?php echo esc_attr($item->ID); ?>">
-                        <h4><?php echo esc_html($item->post_title); ?></h4>
-                        <p class="card-description"><?php echo esc_html($truncated); ?></p>
-
-                        <?php if ($status === 'ADR In Progress'): ?>
-                            <span class="status-badge adr-progress">&#128221; Brad is preparing a proposal</span>
-                        <?php elseif ($status === 'Proposed'): ?>
-                            <span class="status-badge proposed">&#128230; Ready for your review</span>
-                            <?php if ($estimated_hours): ?>
-                                <p class="estimated-hours">Estimated: <?php echo esc_html($estimated_hours); ?> hours</p>
-                            <?php endif; ?>
-                            <?php if ($adr_pdf && !empty($adr_pdf['guid'])): ?>
-                                <a href="<?php echo esc_url($adr_pdf['guid']); ?>" target="_blank" class="btn-view-proposal">&#128196; View Proposal</a>
-                            <?php endif; ?>
-                            <div class="card-actions proposal-actions">
-                                <button type="button" class="btn-approve" data-item-id="<?php echo esc_attr($item->ID); ?>" data-nonce="<?php echo esc_attr(wp_create_nonce('roadmap_approve_' . $item->ID)); ?>">&#9989; Approve</button>
-                                <button type="button" class="btn-decline" data-item-id="<?php echo esc_attr($item->ID); ?>" data-nonce="<?php echo esc_attr(wp_create_nonce('roadmap_decline_' . $item->ID)); ?>">&#10060; Decline</button>
-                            </div>
-                        <?php endif; ?>
-                    </div>
+                    <?php foreach ($in_progress as $item): ?>
+                        <?php echo RoadmapCard::render($item->ID); ?>
                     <?php endforeach; ?>
                 </div>
             </div>
-            <?php endif; ?>
 
-            <?php if (!empty($past_requests)): ?>
-            <div class="roadmap-section past-requests">
+            <div class="roadmap-section past-requests"<?php echo empty($past_requests) ? ' style="display: none;"' : ''; ?>>
                 <h3 class="collapsible-header" onclick="this.parentElement.classList.toggle('expanded')">
                     &#128218; Past Requests <span class="toggle-icon">&#9654;</span>
                 </h3>
@@ -235,44 +152,17 @@ class Roadmap extends BaseShortcode {
                             </tr>
                         </thead>
                         <tbody>
-                            <?php foreach ($past_requests as $item):
-                                $pod = pods('roadmap_item', $item->ID);
-                                $status = $pod->field('roadmap_status');
-                                $approved_date = $pod->field('approved_date');
-                                $declined_date = $pod->field('declined_date');
-                                $related_project = $pod->field('related_project');
-                                $date = ($status === 'Approved') ? $approved_date : $declined_date;
-                            ?>
-                            <tr>
-                                <td><?php echo esc_html($item->post_title); ?></td>
-                                <td>
-                                    <?php if ($status === 'Approved'): ?>
-                                        <span class="status-badge approved">&#9989; Approved</span>
-                                    <?php else: ?>
-                                        <span class="status-badge declined">&#10060; Declined</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td><?php echo $date ? esc_html(date('M j, Y', strtotime($date))) : '—'; ?></td>
-                                <td>
-                                    <?php if ($related_project): ?>
-                                        <a href="<?php echo esc_url(get_permalink($related_project['ID'])); ?>">View Project</a>
-                                    <?php else: ?>
-                                        —
-                                    <?php endif; ?>
-                                </td>
-                            </tr>
+                            <?php foreach ($past_requests as $item): ?>
+                                <?php echo RoadmapCard::render($item->ID); ?>
                             <?php endforeach; ?>
                         </tbody>
                     </table>
                 </div>
             </div>
-            <?php endif; ?>
 
-            <?php if (empty($brads_ideas) && empty($client_ideas) && empty($in_progress) && empty($past_requests)): ?>
-            <div class="roadmap-empty">
+            <div class="roadmap-empty"<?php echo (empty($brads_ideas) && empty($client_ideas) && empty($in_progress) && empty($past_requests)) ? '' : ' style="display: none;"'; ?>>
                 <p>No roadmap items yet. Have an idea for improving your site? <a href="/feature-request/">Submit a suggestion!</a></p>
             </div>
-            <?php endif; ?>
 
         </div>
 
@@ -480,39 +370,58 @@ class Roadmap extends BaseShortcode {
             border-radius: 8px;
             text-align: center;
         }
-        </style>
 
-        <?php
-        return ob_get_clean();
-    }
+        /* Optional note sent with a vote */
+        .card-comment {
+            margin-bottom: 12px;
+        }
 
-    /**
-     * Get organization ID for a roadmap item.
-     *
-     * Handles both Pods-stored and standard meta values.
-     *
-     * @param int $item_id Roadmap item ID.
-     * @return int Organization ID or 0 if not found.
-     */
-    private static function getItemOrgId(int $item_id): int {
-        $org_id = null;
-
-        // Try Pods first
-        if (function_exists('pods')) {
-            $pod = pods('roadmap_item', $item_id);
-            $org_field = $pod->field('organization');
-            if (is_array($org_field) && !empty($org_field['ID'])) {
-                $org_id = (int) $org_field['ID'];
-            } elseif (is_numeric($org_field)) {
-                $org_id = (int) $org_field;
-            }
+        .roadmap-comment-toggle {
+            font-size: 13px;
+            color: #467FF7;
+        }
+
+        .roadmap-comment {
+            display: block;
+            width: 100%;
+            margin-top: 6px;
+            padding: 8px;
+            border: 1px solid #d1d5db;
+            border-radius: 5px;
+            font-size: 14px;
+            box-sizing: border-box;
         }
 
-        // Fallback to raw meta
-        if (!$org_id) {
-            $org_id = (int) get_post_meta($item_id, 'organization', true);
+        /* Undo notice left where a card was voted on */
+        .roadmap-card.roadmap-undo {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 10px;
+            background: #f9fafb;
         }
 
-        return $org_id ?: 0;
+        .roadmap-undo .undo-message {
+            margin: 0;
+        }
+
+        .roadmap-undo .btn-undo {
+            padding: 6px 14px;
+            border: 1px solid #d1d5db;
+            border-radius: 5px;
+            background: #fff;
+            cursor: pointer;
+            font-size: 14px;
+            white-space: nowrap;
+        }
+
+        .roadmap-undo .btn-undo:disabled {
+            opacity: 0.6;
+            cursor: default;
+        }
+        </style>
+
+        <?php
+        return ob_get_clean();
     }
 }
@@ -3,7 +3,9 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Frontend\Shortcodes\KnowledgeBase;
 
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Frontend\Shortcodes\BaseShortcode;
+use BBAB\ServiceCenter\Modules\KnowledgeBase\SearchService;
 use BBAB\ServiceCenter\Utils\UserContext;
 use BBAB\ServiceCenter\Utils\Logger;
 
@@ -19,7 +21,9 @@ use BBAB\ServiceCenter\Utils\Logger;
  * Features:
  * - Org-specific categories: Only shows client's own org category + public categories
  * - Category filtering via ?kb_cat=
- * - Search via ?kb_search=
+ * - Search via ?kb_search=, with type-ahead results from the kb_search
+ *   AjaxRouter handler; searches that find nothing are logged for the
+ *   KB Articles screen
  * - Pagination via ?kb_page=
  *
  * Phase 7.4 - Migrated from snippet #1491
@@ -35,6 +39,92 @@ class KBArchive extends BaseShortcode {
      */
     private const POSTS_PER_PAGE = 20;
 
+    /**
+     * Number of type-ahead results.
+     */
+    private const SUGGEST_LIMIT = 8;
+
+    /**
+     * Register the shortcode and its AJAX handler.
+     */
+    public function register(): void {
+        parent::register();
+
+        add_action(AjaxRouter::REGISTER_HOOK, [$this, 'registerAjaxHandlers']);
+    }
+
+    /**
+     * Add the type-ahead search handler to the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('kb_search', [$this, 'handleSearch']);
+    }
+
+    /**
+     * AJAX: Type-ahead search over the articles the current organization can see.
+     *
+     * Titles and snippets come back with the matches highlighted. With 'log'
+     * set (the client sends it once typing settles), a search that finds
+     * nothing is recorded.
+     *
+     * @param array $data Request data with 'kb_search', optional 'kb_cat' and 'log'.
+     * @return array { query, total, results: [{ id, title, snippet, categories, url }], all_url }
+     */
+    public function handleSearch(array $data): array {
+        $search = sanitize_text_field((string) ($data['kb_search'] ?? ''));
+        $category_filter = absint($data['kb_cat'] ?? 0);
+
+        // Results should link to the KB page, not admin-ajax.php
+        $base_url = strtok((string) wp_get_referer(), '?') ?: home_url('/client-dashboard/knowledge-base/');
+
+        if (mb_strlen($search) < 2) {
+            return ['query' => $search, 'total' => 0, 'results' => [], 'all_url' => $base_url];
+        }
+
+        $org_id = (int) UserContext::getCurrentOrgId();
+        $category_data = $this->getCategoryData($this->getOrgCode($org_id));
+
+        $args = $this->getArticleQueryArgs($category_data['other_client_ids'], $search, $category_filter);
+        $args['posts_per_page'] = self::SUGGEST_LIMIT;
+
+        $query = new \WP_Query($args);
+        $results = [];
+
+        foreach ($query->posts as $article) {
+            $article_cats = get_the_terms($article->ID, 'kb_category');
+            $article_url = add_query_arg('article', $article->ID, $base_url);
+            if ($category_filter) {
+                $article_url = add_query_arg('kb_cat', $category_filter, $article_url);
+            }
+
+            $results[] = [
+                'id' => $article->ID,
+                'title' => SearchService::highlight($article->post_title, $search),
+                'snippet' => SearchService::highlight(SearchService::getSnippet($article->post_content, $search, 120), $search),
+                'categories' => ($article_cats && !is_wp_error($article_cats)) ? wp_list_pluck($article_cats, 'name') : [],
+                'url' => $article_url,
+            ];
+        }
+
+        if (!$query->found_posts && !empty($data['log'])) {
+            SearchService::logMiss($search, $org_id);
+        }
+
+        $all_url = add_query_arg('kb_search', $search, $base_url);
+        if ($category_filter) {
+            $all_url = add_query_arg('kb_cat', $category_filter, $all_url);
+        }
+
+        return [
+            'query' => $search,
+            'total' => (int) $query->found_posts,
+            'results' => $results,
+            'all_url' => $all_url,
+        ];
+    }
+
     /**
      * Render the shortcode output.
      *
@@ -44,7 +134,7 @@ class KBArchive extends BaseShortcode {
      */
     protected function output(array $atts, int $org_id): string {
         // Get org shortcode for matching client-specific categories
-        $org_code = strtolower(get_post_meta($org_id, 'organization_shortcode', true) ?: '');
+        $org_code = $this->getOrgCode($org_id);
 
         // Get URL parameters
         $article_id = isset($_GET['article']) ? absint($_GET['article']) : 0;
@@ -79,10 +169,21 @@ class KBArchive extends BaseShortcode {
             $search,
             $category_filter,
             $paged,
-            $base_url
+            $base_url,
+            $org_id
         );
     }
 
+    /**
+     * Get an organization's shortcode (lowercase) for matching its client-specific category.
+     *
+     * @param int $org_id Organization ID.
+     * @return string Lowercase shortcode, or empty string.
+     */
+    private function getOrgCode(int $org_id): string {
+        return strtolower(get_post_meta($org_id, 'organization_shortcode', true) ?: '');
+    }
+
     /**
      * Get category visibility data.
      *
@@ -249,6 +350,7 @@ class KBArchive extends BaseShortcode {
         </div>
 
         <?php echo $this->renderStyles(); ?>
+        <?php echo $this->getSearchScript(); ?>
         <?php
         return ob_get_clean();
     }
@@ -262,6 +364,7 @@ class KBArchive extends BaseShortcode {
      * @param int    $category_filter    Current category filter.
      * @param int    $paged              Current page number.
      * @param string $base_url           Base URL for links.
+     * @param int    $org_id             Organization ID (for logging empty searches).
      * @return string HTML output.
      */
     private function renderArchive(
@@ -270,54 +373,20 @@ class KBArchive extends BaseShortcode {
         string $search,
         int $category_filter,
         int $paged,
-        string $base_url
+        string $base_url,
+        int $org_id
     ): string {
-        // Build query args
-        $args = [
-            'post_type' => 'kb_article',
-            'post_status' => 'publish',
-            'posts_per_page' => self::POSTS_PER_PAGE,
-            'paged' => $paged,
-            'orderby' => 'title',
-            'order' => 'ASC',
-        ];
-
-        if ($search) {
-            $args['s'] = $search;
-        }
-
-        // Category filter
-        $tax_query = [];
-
-        if ($category_filter > 0) {
-            $tax_query[] = [
-                'taxonomy' => 'kb_category',
-                'field' => 'term_id',
-                'terms' => $category_filter,
-                'include_children' => true,
-            ];
-        }
-
-        // Exclude other client categories
-        if (!empty($other_client_ids)) {
-            $tax_query[] = [
-                'taxonomy' => 'kb_category',
-                'field' => 'term_id',
-                'terms' => $other_client_ids,
-                'operator' => 'NOT IN',
-            ];
-        }
-
-        if (!empty($tax_query)) {
-            if (count($tax_query) > 1) {
-                $tax_query['relation'] = 'AND';
-            }
-            $args['tax_query'] = $tax_query;
-        }
+        $args = $this->getArticleQueryArgs($other_client_ids, $search, $category_filter);
+        $args['posts_per_page'] = self::POSTS_PER_PAGE;
+        $args['paged'] = $paged;
 
         $query = new \WP_Query($args);
         $total_pages = $query->max_num_pages;
 
+        if ($search && $paged === 1 && !$query->found_posts) {
+            SearchService::logMiss($search, $org_id);
+        }
+
         // Get child categories data
         $child_categories = [];
         foreach ($visible_categories as $parent_cat) {
@@ -365,14 +434,14 @@ class KBArchive extends BaseShortcode {
                             <article class="kb-article-card">
                                 <h2 class="article-title">
                                     <a href="<?php echo esc_url($article_url); ?>">
-                                        <?php the_title(); ?>
+                                        <?php echo $search ? SearchService::highlight(get_the_title(), $search) : esc_html(get_the_title()); ?>
                                     </a>
                                 </h2>
                                 <div class="article-meta">
                                     <?php echo esc_html(implode(' &rsaquo; ', $cat_names)); ?>
                                 </div>
                                 <div class="article-excerpt">
-                                    <?php echo esc_html($excerpt); ?>
+                                    <?php echo $search ? SearchService::highlight(SearchService::getSnippet(get_the_content(), $search), $search) : esc_html($excerpt); ?>
                                 </div>
                             </article>
                         <?php endwhile; ?>
@@ -388,10 +457,68 @@ class KBArchive extends BaseShortcode {
         </div>
 
         <?php echo $this->renderStyles(); ?>
+        <?php echo $this->getSearchScript(); ?>
         <?php
         return ob_get_clean();
     }
 
+    /**
+     * Build the article query for the list and the type-ahead.
+     *
+     * Articles in other clients' categories (and their subcategories) are
+     * excluded, matching the sidebar and getSingleArticle().
+     *
+     * @param array  $other_client_ids Category IDs belonging to other clients.
+     * @param string $search           Search query.
+     * @param int    $category_filter  Current category filter.
+     * @return array WP_Query args (without paging).
+     */
+    private function getArticleQueryArgs(array $other_client_ids, string $search, int $category_filter): array {
+        $args = [
+            'post_type' => 'kb_article',
+            'post_status' => 'publish',
+            'orderby' => 'title',
+            'order' => 'ASC',
+        ];
+
+        // Searches rank by relevance (title matches first), like WordPress search
+        if ($search) {
+            $args['s'] = $search;
+            $args['orderby'] = 'relevance';
+        }
+
+        // Category filter
+        $tax_query = [];
+
+        if ($category_filter > 0) {
+            $tax_query[] = [
+                'taxonomy' => 'kb_category',
+                'field' => 'term_id',
+                'terms' => $category_filter,
+                'include_children' => true,
+            ];
+        }
+
+        // Exclude other client categories
+        if (!empty($other_client_ids)) {
+            $tax_query[] = [
+                'taxonomy' => 'kb_category',
+                'field' => 'term_id',
+                'terms' => $other_client_ids,
+                'operator' => 'NOT IN',
+            ];
+        }
+
+        if (!empty($tax_query)) {
+            if (count($tax_query) > 1) {
+                $tax_query['relation'] = 'AND';
+            }
+            $args['tax_query'] = $tax_query;
+        }
+
+        return $args;
+    }
+
     /**
      * Render the header with title and search form.
      *
@@ -420,11 +547,19 @@ class KBArchive extends BaseShortcode {
                 <?php endif; ?>
             </h1>
             <form class="kb-search-form" method="get" action="<?php echo esc_url($base_url); ?>">
-                <input type="text"
-                       name="kb_search"
-                       placeholder="Search articles..."
-                       value="<?php echo esc_attr($search); ?>"
-                       class="kb-search-input">
+                <div class="kb-search-field">
+                    <input type="text"
+                           name="kb_search"
+                           placeholder="Search articles..."
+                           value="<?php echo esc_attr($search); ?>"
+                           class="kb-search-input"
+                           autocomplete="off"
+                           role="combobox"
+                           aria-autocomplete="list"
+                           aria-expanded="false"
+                           aria-controls="kb-search-suggest">
+                    <div class="kb-search-suggest" id="kb-search-suggest" role="listbox" hidden></div>
+                </div>
                 <?php if ($category_filter): ?>
                     <input type="hidden" name="kb_cat" value="<?php echo esc_attr($category_filter); ?>">
                 <?php endif; ?>
@@ -539,6 +674,180 @@ class KBArchive extends BaseShortcode {
         return ob_get_clean();
     }
 
+    /**
+     * Get the script that runs the type-ahead under the search box.
+     *
+     * Suggestions load through kb_search after a short pause in typing.
+     * Arrow keys move through them, Enter opens the highlighted article (or
+     * submits the full search), Escape closes the list. Once typing settles
+     * on a search that found nothing, it is sent again with 'log' so it
+     * lands in the missed searches list, once per page view.
+     */
+    private function getSearchScript(): string {
+        ob_start();
+        ?>
+        <script>
+        jQuery(document).ready(function($) {
+            var $form = $('.kb-search-form');
+            var $input = $form.find('.kb-search-input');
+            var $suggest = $form.find('.kb-search-suggest');
+            var category = $form.find('input[name="kb_cat"]').val() || 0;
+            var requestId = 0;
+            var searchTimer = null;
+            var logTimer = null;
+            var logged = {};
+            var active = -1;
+
+            if (!$input.length || typeof BBAB === 'undefined') {
+                return;
+            }
+
+            function close() {
+                active = -1;
+                $suggest.prop('hidden', true).empty();
+                $input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+            }
+
+            function setActive(index) {
+                var $items = $suggest.find('.kb-suggest-item');
+
+                if (!$items.length) {
+                    return;
+                }
+
+                active = (index + $items.length) % $items.length;
+                $items.removeClass('is-active').attr('aria-selected', 'false');
+                $items.eq(active).addClass('is-active').attr('aria-selected', 'true');
+                $input.attr('aria-activedescendant', $items.eq(active).attr('id'));
+            }
+
+            /**
+             * Show the suggestions for a response.
+             *
+             * Titles and snippets arrive as escaped HTML with <mark> around matches.
+             *
+             * @param {object} data - { query, total, results, all_url }
+             */
+            function render(data) {
+                active = -1;
+                $suggest.empty();
+
+                if (!data.results.length) {
+                    $suggest.append($('<div class="kb-suggest-empty"></div>').text('No articles match "' + data.query + '". Try different words, or open a service request.'));
+                }
+
+                $.each(data.results, function(i, result) {
+                    var $item = $('<a class="kb-suggest-item" role="option" aria-selected="false"></a>')
+                        .attr({ href: result.url, id: 'kb-suggest-' + result.id });
+
+                    $('<span class="kb-suggest-title"></span>').html(result.title).appendTo($item);
+                    if (result.categories.length) {
+                        $('<span class="kb-suggest-cats"></span>').text(result.categories.join(', ')).appendTo($item);
+                    }
+                    if (result.snippet) {
+                        $('<span class="kb-suggest-snippet"></span>').html(result.snippet).appendTo($item);
+                    }
+
+                    $suggest.append($item);
+                });
+
+                if (data.total > data.results.length) {
+                    $('<a class="kb-suggest-all"></a>').attr('href', data.all_url)
+                        .text('See all ' + data.total + ' results')
+                        .appendTo($suggest);
+                }
+
+                $suggest.prop('hidden', false);
+                $input.attr('aria-expanded', 'true');
+            }
+
+            /**
+             * Search for the current input.
+             *
+             * @param {boolean} log - Record the search if it finds nothing
+             */
+            function search(log) {
+                var query = $.trim($input.val());
+                var current = ++requestId;
+
+                if (query.length < 2) {
+                    close();
+                    return;
+                }
+
+                $suggest.addClass('is-loading');
+
+                BBAB.ajax('kb_search', { kb_search: query, kb_cat: category, log: log ? 1 : 0 }, function(data) {
+                    // Ignore responses overtaken by newer typing
+                    if (current !== requestId) {
+                        return;
+                    }
+
+                    $suggest.removeClass('is-loading');
+                    render(data);
+
+                    if (!data.total && !log && !logged[query.toLowerCase()]) {
+                        clearTimeout(logTimer);
+                        logTimer = setTimeout(function() {
+                            if ($.trim($input.val()) === query) {
+                                logged[query.toLowerCase()] = true;
+                                search(true);
+                            }
+                        }, 1500);
+                    }
+                }, function() {
+                    if (current === requestId) {
+                        $suggest.removeClass('is-loading');
+                        close();
+                    }
+                });
+            }
+
+            $input.on('input', function() {
+                clearTimeout(searchTimer);
+                clearTimeout(logTimer);
+                searchTimer = setTimeout(function() {
+                    search(false);
+                }, 250);
+            });
+
+            $input.on('keydown', function(e) {
+                if ($suggest.prop('hidden')) {
+                    return;
+                }
+
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+                } else if (e.key === 'Enter' && active >= 0) {
+                    e.preventDefault();
+                    window.location.href = $suggest.find('.kb-suggest-item').eq(active).attr('href');
+                } else if (e.key === 'Escape') {
+                    close();
+                }
+            });
+
+            $input.on('focus', function() {
+                if ($.trim($input.val()).length >= 2 && $suggest.prop('hidden')) {
+                    search(false);
+                }
+            });
+
+            $suggest.on('mouseenter', '.kb-suggest-item', function() {
+                setActive($(this).index());
+            });
+
+            $(document).on('click', function(e) {
+                if (!$(e.target).closest('.kb-search-field').length) {
+                    close();
+                }
+            });
+        });
+        </script>
+        <?php
+        return ob_get_clean();
+    }
+
     /**
      * Render the CSS styles.
      *
@@ -597,6 +906,79 @@ class KBArchive extends BaseShortcode {
             .kb-search-btn:hover {
                 background: #3366cc;
             }
+            .kb-search-field {
+                position: relative;
+            }
+            .kb-search-suggest {
+                position: absolute;
+                top: calc(100% + 4px);
+                left: 0;
+                width: 420px;
+                max-width: 90vw;
+                max-height: 420px;
+                overflow-y: auto;
+                background: white;
+                border: 1px solid #ddd;
+                border-radius: 8px;
+                box-shadow: 0 8px 24px rgba(28, 36, 75, 0.12);
+                z-index: 100;
+                font-family: "Poppins", sans-serif;
+            }
+            .kb-search-suggest[hidden] {
+                display: none;
+            }
+            .kb-search-suggest.is-loading {
+                opacity: 0.6;
+            }
+            .kb-suggest-item {
+                display: block;
+                padding: 10px 14px;
+                border-bottom: 1px solid #f0f0f0;
+                text-decoration: none;
+                color: #324A6D;
+            }
+            .kb-suggest-item.is-active {
+                background: #F3F5F8;
+            }
+            .kb-suggest-title {
+                display: block;
+                font-size: 14px;
+                font-weight: 600;
+                color: #1C244B;
+            }
+            .kb-suggest-cats {
+                display: block;
+                font-size: 11px;
+                color: #467FF7;
+            }
+            .kb-suggest-snippet {
+                display: block;
+                margin-top: 2px;
+                font-size: 12px;
+                line-height: 1.4;
+            }
+            .kb-suggest-empty {
+                padding: 12px 14px;
+                font-size: 13px;
+                color: #7f8c8d;
+            }
+            .kb-suggest-all {
+                display: block;
+                padding: 10px 14px;
+                font-size: 13px;
+                color: #467FF7;
+                text-align: center;
+                text-decoration: none;
+            }
+            .kb-suggest-all:hover {
+                background: #F3F5F8;
+            }
+            .kb-archive mark {
+                background: #FFF3B0;
+                color: inherit;
+                padding: 0 1px;
+                border-radius: 2px;
+            }
             .kb-layout {
                 display: flex;
                 gap: 40px;
@@ -825,6 +1207,9 @@ class KBArchive extends BaseShortcode {
                     width: 100%;
                     max-width: 250px;
                 }
+                .kb-search-suggest {
+                    width: 300px;
+                }
                 .kb-layout {
                     flex-direction: column;
                 }
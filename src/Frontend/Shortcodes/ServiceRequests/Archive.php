@@ -3,13 +3,18 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Frontend\Shortcodes\ServiceRequests;
 
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Frontend\Shortcodes\BaseShortcode;
 use BBAB\ServiceCenter\Modules\ServiceRequests\ServiceRequestService;
+use BBAB\ServiceCenter\Utils\UserContext;
 
 /**
  * Service Request Archive shortcode.
  *
- * Full listing page with filters, sorting, and pagination.
+ * Full listing page with filters, search, sorting, and pagination.
+ * The filter bar updates the results in place through the
+ * sr_archive_search AjaxRouter handler and keeps the filters in the URL;
+ * without JavaScript the form still submits as a plain GET.
  *
  * Shortcode: [service_request_archive]
  * Migrated from: WPCode Snippet #1813
@@ -19,99 +24,76 @@ class Archive extends BaseShortcode {
     protected string $tag = 'service_request_archive';
 
     /**
-     * Render the archive output.
+     * Results per page.
      */
-    protected function output(array $atts, int $org_id): string {
-        // Get filter parameters
-        $status_filter = isset($_GET['status']) ? sanitize_text_field($_GET['status']) : '';
-        $type_filter = isset($_GET['type']) ? sanitize_text_field($_GET['type']) : '';
-        $has_hours = isset($_GET['has_hours']) ? sanitize_text_field($_GET['has_hours']) : '';
-        $month_filter = isset($_GET['month']) ? sanitize_text_field($_GET['month']) : '';
-        $sort_by = isset($_GET['sort']) ? sanitize_text_field($_GET['sort']) : 'date_desc';
-        $page = isset($_GET['sr_page']) ? max(1, intval($_GET['sr_page'])) : 1;
-        $per_page = 20;
-
-        // Get all requests for this org using ServiceRequestService
-        $all_requests = ServiceRequestService::getForOrg($org_id);
+    private const PER_PAGE = 20;
 
-        // Process and filter requests
-        $filtered_requests = [];
-        foreach ($all_requests as $request) {
-            $sr_data = ServiceRequestService::getData($request->ID);
-            $status = $sr_data['request_status'];
-            $type = $sr_data['request_type'];
-            $submitted_date = $sr_data['submitted_date'];
-            $hours = $sr_data['hours'];
-
-            // Get submitter info
-            $submitter_name = 'Unknown';
-            if (!empty($sr_data['submitted_by'])) {
-                $submitter = get_userdata((int) $sr_data['submitted_by']);
-                $submitter_name = $submitter ? $submitter->display_name : 'Unknown';
-            }
+    /**
+     * Sort options (value => label). The first is the default.
+     */
+    private const SORTS = [
+        'date_desc' => 'Newest First',
+        'date_asc' => 'Oldest First',
+        'activity' => 'Recent Activity',
+        'ref_asc' => 'Ref # (Low to High)',
+        'ref_desc' => 'Ref # (High to Low)',
+        'hours_desc' => 'Most Hours',
+        'hours_asc' => 'Least Hours',
+    ];
 
-            // Apply filters
-            if (!empty($status_filter) && $status !== $status_filter) {
-                continue;
-            }
-            if (!empty($type_filter) && $type !== $type_filter) {
-                continue;
-            }
-            if ($has_hours === 'yes' && $hours <= 0) {
-                continue;
-            }
-            if ($has_hours === 'no' && $hours > 0) {
-                continue;
-            }
+    /**
+     * Register the shortcode and its AJAX handler.
+     */
+    public function register(): void {
+        parent::register();
 
-            // Month filter (format: YYYY-MM)
-            if (!empty($month_filter)) {
-                $request_month = date('Y-m', strtotime($submitted_date));
-                if ($request_month !== $month_filter) {
-                    continue;
-                }
-            }
+        add_action(AjaxRouter::REGISTER_HOOK, [$this, 'registerAjaxHandlers']);
+    }
 
-            $filtered_requests[] = [
-                'id' => $request->ID,
-                'ref' => $sr_data['reference_number'],
-                'subject' => $sr_data['subject'],
-                'status' => $status,
-                'type' => $type,
-                'submitted_date' => $submitted_date,
-                'post_date' => $sr_data['post_date'],
-                'modified_date' => $sr_data['post_modified'],
-                'submitter' => $submitter_name,
-                'hours' => $hours,
-            ];
-        }
+    /**
+     * Add the archive search handler to the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('sr_archive_search', [$this, 'handleSearch']);
+    }
 
-        // Sort results
-        usort($filtered_requests, function ($a, $b) use ($sort_by) {
-            switch ($sort_by) {
-                case 'ref_asc':
-                    return strcmp($a['ref'], $b['ref']);
-                case 'ref_desc':
-                    return strcmp($b['ref'], $a['ref']);
-                case 'date_asc':
-                    return strtotime($a['submitted_date']) - strtotime($b['submitted_date']);
-                case 'activity':
-                    return strtotime($b['modified_date']) - strtotime($a['modified_date']);
-                case 'hours_desc':
-                    return $b['hours'] <=> $a['hours'];
-                case 'hours_asc':
-                    return $a['hours'] <=> $b['hours'];
-                case 'date_desc':
-                default:
-                    return strtotime($b['submitted_date']) - strtotime($a['submitted_date']);
-            }
-        });
+    /**
+     * AJAX: Filter, search and page the current organization's requests.
+     *
+     * @param array $data Request data with the filter form fields and 'sr_page'.
+     * @return array { html, total, page, total_pages }
+     */
+    public function handleSearch(array $data): array {
+        $filters = $this->getFilters($data);
+        $result = ServiceRequestService::search(
+            (int) UserContext::getCurrentOrgId(),
+            $filters,
+            max(1, (int) ($data['sr_page'] ?? 1)),
+            self::PER_PAGE
+        );
+
+        // Pagination links should point at the archive page, not admin-ajax.php
+        $base_url = strtok((string) wp_get_referer(), '?') ?: home_url('/');
+
+        return [
+            'html' => $this->renderResults($result, $filters, $base_url),
+            'total' => $result['total'],
+            'page' => $result['page'],
+            'total_pages' => $result['total_pages'],
+        ];
+    }
 
-        $total_filtered = count($filtered_requests);
-        $total_pages = (int) ceil($total_filtered / $per_page);
+    /**
+     * Render the archive output.
+     */
+    protected function output(array $atts, int $org_id): string {
+        $filters = $this->getFilters($_GET);
+        $page = isset($_GET['sr_page']) ? max(1, intval($_GET['sr_page'])) : 1;
+        $base_url = strtok($_SERVER['REQUEST_URI'], '?');
 
-        // Paginate filtered results
-        $paged_requests = array_slice($filtered_requests, ($page - 1) * $per_page, $per_page);
+        $result = ServiceRequestService::search($org_id, $filters, $page, self::PER_PAGE);
 
         // Generate month options for filter (last 12 months)
         $month_options = [];
@@ -132,12 +114,17 @@ class Archive extends BaseShortcode {
             <!-- Filters -->
             <div class="archive-filters">
                 <form method="get" class="filter-form">
+                    <div class="filter-group filter-search">
+                        <label for="sr-search">Search:</label>
+                        <input type="search" name="q" id="sr-search" value="<?php echo esc_attr($filters['search']); ?>" placeholder="Ref # or subject">
+                    </div>
+
                     <div class="filter-group">
                         <label for="status-filter">Status:</label>
                         <select name="status" id="status-filter">
                             <option value="">All Statuses</option>
                             <?php foreach (ServiceRequestService::STATUSES as $status): ?>
-                                <option value="<?php echo esc_attr($status); ?>" <?php selected($status_filter, $status); ?>><?php echo esc_html($status); ?></option>
+                                <option value="<?php echo esc_attr($status); ?>" <?php selected($filters['status'], $status); ?>><?php echo esc_html($status); ?></option>
                             <?php endforeach; ?>
                         </select>
                     </div>
@@ -147,7 +134,7 @@ class Archive extends BaseShortcode {
                         <select name="type" id="type-filter">
                             <option value="">All Types</option>
                             <?php foreach (ServiceRequestService::REQUEST_TYPES as $type_value => $type_label): ?>
-                                <option value="<?php echo esc_attr($type_value); ?>" <?php selected($type_filter, $type_value); ?>><?php echo esc_html($type_label); ?></option>
+                                <option value="<?php echo esc_attr($type_value); ?>" <?php selected($filters['type'], $type_value); ?>><?php echo esc_html($type_label); ?></option>
                             <?php endforeach; ?>
                         </select>
                     </div>
@@ -157,7 +144,7 @@ class Archive extends BaseShortcode {
                         <select name="month" id="month-filter">
                             <option value="">All Time</option>
                             <?php foreach ($month_options as $opt): ?>
-                                <option value="<?php echo esc_attr($opt['value']); ?>" <?php selected($month_filter, $opt['value']); ?>>
+                                <option value="<?php echo esc_attr($opt['value']); ?>" <?php selected($filters['month'], $opt['value']); ?>>
                                     <?php echo esc_html($opt['label']); ?>
                                 </option>
                             <?php endforeach; ?>
@@ -168,96 +155,188 @@ class Archive extends BaseShortcode {
                         <label for="hours-filter">Hours:</label>
                         <select name="has_hours" id="hours-filter">
                             <option value="">All Requests</option>
-                            <option value="yes" <?php selected($has_hours, 'yes'); ?>>With Hours</option>
-                            <option value="no" <?php selected($has_hours, 'no'); ?>>No Hours Yet</option>
+                            <option value="yes" <?php selected($filters['has_hours'], 'yes'); ?>>With Hours</option>
+                            <option value="no" <?php selected($filters['has_hours'], 'no'); ?>>No Hours Yet</option>
                         </select>
                     </div>
 
                     <div class="filter-group">
                         <label for="sort-select">Sort By:</label>
                         <select name="sort" id="sort-select">
-                            <option value="date_desc" <?php selected($sort_by, 'date_desc'); ?>>Newest First</option>
-                            <option value="date_asc" <?php selected($sort_by, 'date_asc'); ?>>Oldest First</option>
-                            <option value="activity" <?php selected($sort_by, 'activity'); ?>>Recent Activity</option>
-                            <option value="ref_asc" <?php selected($sort_by, 'ref_asc'); ?>>Ref # (Low to High)</option>
-                            <option value="ref_desc" <?php selected($sort_by, 'ref_desc'); ?>>Ref # (High to Low)</option>
-                            <option value="hours_desc" <?php selected($sort_by, 'hours_desc'); ?>>Most Hours</option>
-                            <option value="hours_asc" <?php selected($sort_by, 'hours_asc'); ?>>Least Hours</option>
+                            <?php foreach (self::SORTS as $sort_value => $sort_label): ?>
+                                <option value="<?php echo esc_attr($sort_value); ?>" <?php selected($filters['sort'], $sort_value); ?>><?php echo esc_html($sort_label); ?></option>
+                            <?php endforeach; ?>
                         </select>
                     </div>
 
                     <button type="submit" class="filter-btn">Apply</button>
-                    <?php if ($status_filter || $type_filter || $has_hours || $month_filter || $sort_by !== 'date_desc'): ?>
-                        <a href="<?php echo esc_url(strtok($_SERVER['REQUEST_URI'], '?')); ?>" class="clear-filters">Clear All</a>
-                    <?php endif; ?>
+                    <a href="<?php echo esc_url($base_url); ?>" class="clear-filters"<?php echo $this->getQueryArgs($filters) ? '' : ' style="display: none;"'; ?>>Clear All</a>
                 </form>
             </div>
 
-            <!-- Results count -->
-            <div class="results-info">
-                Showing <?php echo count($paged_requests); ?> of <?php echo $total_filtered; ?> requests
-                <?php if ($total_pages > 1): ?>
-                    (Page <?php echo $page; ?> of <?php echo $total_pages; ?>)
-                <?php endif; ?>
+            <div class="sr-archive-results" aria-live="polite">
+                <?php echo $this->renderResults($result, $filters, $base_url); ?>
             </div>
+        </div>
 
-            <!-- Request table -->
-            <?php if (!empty($paged_requests)): ?>
-                <div class="requests-table">
-                    <?php foreach ($paged_requests as $req): ?>
-                        <?php
-                        $status_class = strtolower(str_replace(' ', '-', $req['status']));
-                        $type_class = strtolower(str_replace(' ', '-', $req['type']));
-                        $sr_url = get_permalink($req['id']);
-                        $date = date('M j, Y', strtotime($req['submitted_date']));
-                        ?>
-                        <a href="<?php echo esc_url($sr_url); ?>" class="request-row">
-                            <div class="row-main">
-                                <span class="row-ref"><?php echo esc_html($req['ref']); ?></span>
-                                <span class="row-subject"><?php echo esc_html($req['subject']); ?></span>
-                            </div>
-                            <div class="row-meta">
-                                <span class="row-date"><?php echo esc_html($date); ?></span>
-                                <span class="row-submitter">by <?php echo esc_html($req['submitter']); ?></span>
-                                <span class="row-type type-<?php echo esc_attr($type_class); ?>"><?php echo esc_html($req['type']); ?></span>
-                                <span class="row-status status-<?php echo esc_attr($status_class); ?>"><?php echo esc_html($req['status']); ?></span>
-                                <?php if ($req['hours'] > 0): ?>
-                                    <span class="row-hours"><?php echo number_format($req['hours'], 2); ?> hrs</span>
-                                <?php endif; ?>
-                            </div>
-                        </a>
-                    <?php endforeach; ?>
-                </div>
-
-                <!-- Pagination -->
-                <?php if ($total_pages > 1): ?>
-                    <?php echo $this->renderPagination($page, $total_pages); ?>
-                <?php endif; ?>
+        <?php echo $this->getStyles(); ?>
+        <?php echo $this->getScript(); ?>
+        <?php
+        return ob_get_clean();
+    }
 
-            <?php else: ?>
-                <div class="no-results">
-                    <p>No service requests found matching your filters.</p>
-                    <?php if ($status_filter || $type_filter || $has_hours || $month_filter): ?>
-                        <a href="<?php echo esc_url(strtok($_SERVER['REQUEST_URI'], '?')); ?>" class="clear-btn">Clear Filters</a>
-                    <?php endif; ?>
-                </div>
+    /**
+     * Read and validate the filters from the query string or an AJAX request.
+     *
+     * Unknown values fall back to "all" rather than matching nothing.
+     *
+     * @param array $source $_GET or AJAX request data.
+     * @return array { status, type, has_hours, month, search, sort }
+     */
+    private function getFilters(array $source): array {
+        $value = function (string $key) use ($source): string {
+            return isset($source[$key]) ? sanitize_text_field((string) $source[$key]) : '';
+        };
+
+        $status = $value('status');
+        $type = $value('type');
+        $has_hours = $value('has_hours');
+        $month = $value('month');
+        $sort = $value('sort');
+
+        return [
+            'status' => in_array($status, ServiceRequestService::STATUSES, true) ? $status : '',
+            'type' => isset(ServiceRequestService::REQUEST_TYPES[$type]) ? $type : '',
+            'has_hours' => in_array($has_hours, ['yes', 'no'], true) ? $has_hours : '',
+            'month' => preg_match('/^\d{4}-\d{2}$/', $month) ? $month : '',
+            'search' => mb_substr(trim($value('q')), 0, 100),
+            'sort' => isset(self::SORTS[$sort]) ? $sort : array_key_first(self::SORTS),
+        ];
+    }
+
+    /**
+     * Query string arguments for the active (non-default) filters.
+     *
+     * @param array $filters Filters from getFilters().
+     * @return array
+     */
+    private function getQueryArgs(array $filters): array {
+        $args = [
+            'q' => $filters['search'],
+            'status' => $filters['status'],
+            'type' => $filters['type'],
+            'month' => $filters['month'],
+            'has_hours' => $filters['has_hours'],
+            'sort' => $filters['sort'] !== array_key_first(self::SORTS) ? $filters['sort'] : '',
+        ];
+
+        return array_filter($args, 'strlen');
+    }
+
+    /**
+     * Render the results count, request rows and pagination.
+     *
+     * @param array  $result   Result of ServiceRequestService::search().
+     * @param array  $filters  Filters from getFilters().
+     * @param string $base_url Archive page URL without a query string.
+     * @return string
+     */
+    private function renderResults(array $result, array $filters, string $base_url): string {
+        $page = $result['page'];
+        $total_pages = $result['total_pages'];
+
+        ob_start();
+        ?>
+        <!-- Results count -->
+        <div class="results-info">
+            Showing <?php echo count($result['ids']); ?> of <?php echo $result['total']; ?> requests
+            <?php if ($total_pages > 1): ?>
+                (Page <?php echo $page; ?> of <?php echo $total_pages; ?>)
             <?php endif; ?>
         </div>
 
-        <?php echo $this->getStyles(); ?>
+        <!-- Request table -->
+        <?php if (!empty($result['ids'])): ?>
+            <div class="requests-table">
+                <?php foreach ($result['ids'] as $sr_id): ?>
+                    <?php echo $this->renderRow($sr_id); ?>
+                <?php endforeach; ?>
+            </div>
+
+            <!-- Pagination -->
+            <?php if ($total_pages > 1): ?>
+                <?php echo $this->renderPagination($page, $total_pages, $filters, $base_url); ?>
+            <?php endif; ?>
+
+        <?php else: ?>
+            <div class="no-results">
+                <p>No service requests found matching your filters.</p>
+                <?php if ($this->getQueryArgs($filters)): ?>
+                    <a href="<?php echo esc_url($base_url); ?>" class="clear-btn">Clear Filters</a>
+                <?php endif; ?>
+            </div>
+        <?php endif; ?>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render one request row.
+     *
+     * @param int $sr_id Service request ID.
+     * @return string
+     */
+    private function renderRow(int $sr_id): string {
+        $req = ServiceRequestService::getData($sr_id);
+
+        $submitter_name = 'Unknown';
+        if (!empty($req['submitted_by'])) {
+            $submitter = get_userdata((int) $req['submitted_by']);
+            $submitter_name = $submitter ? $submitter->display_name : 'Unknown';
+        }
+
+        $status_class = strtolower(str_replace(' ', '-', $req['request_status']));
+        $type_class = strtolower(str_replace(' ', '-', $req['request_type']));
+        $date = date('M j, Y', strtotime($req['submitted_date']));
+
+        ob_start();
+        ?>
+        <a href="<?php echo esc_url(get_permalink($sr_id)); ?>" class="request-row">
+            <div class="row-main">
+                <span class="row-ref"><?php echo esc_html($req['reference_number']); ?></span>
+                <span class="row-subject"><?php echo esc_html($req['subject']); ?></span>
+            </div>
+            <div class="row-meta">
+                <span class="row-date"><?php echo esc_html($date); ?></span>
+                <span class="row-submitter">by <?php echo esc_html($submitter_name); ?></span>
+                <span class="row-type type-<?php echo esc_attr($type_class); ?>"><?php echo esc_html($req['request_type']); ?></span>
+                <span class="row-status status-<?php echo esc_attr($status_class); ?>"><?php echo esc_html($req['request_status']); ?></span>
+                <?php if ($req['hours'] > 0): ?>
+                    <span class="row-hours"><?php echo number_format($req['hours'], 2); ?> hrs</span>
+                <?php endif; ?>
+            </div>
+        </a>
         <?php
         return ob_get_clean();
     }
 
     /**
      * Render pagination HTML.
+     *
+     * Links carry the active filters so they work without JavaScript;
+     * data-page lets the script load the page in place.
      */
-    private function renderPagination(int $page, int $total_pages): string {
+    private function renderPagination(int $page, int $total_pages, array $filters, string $base_url): string {
+        $args = $this->getQueryArgs($filters);
+        $url = function (int $target) use ($args, $base_url): string {
+            return add_query_arg(array_merge($args, ['sr_page' => $target]), $base_url);
+        };
+
         ob_start();
         ?>
         <div class="archive-pagination">
             <?php if ($page > 1): ?>
-                <a href="<?php echo esc_url(add_query_arg('sr_page', $page - 1)); ?>" class="page-link">&larr; Previous</a>
+                <a href="<?php echo esc_url($url($page - 1)); ?>" class="page-link" data-page="<?php echo $page - 1; ?>">&larr; Previous</a>
             <?php endif; ?>
 
             <span class="page-numbers">
@@ -267,7 +346,7 @@ class Archive extends BaseShortcode {
                 $end = min($total_pages, $page + 3);
 
                 if ($start > 1): ?>
-                    <a href="<?php echo esc_url(add_query_arg('sr_page', 1)); ?>" class="page-number">1</a>
+                    <a href="<?php echo esc_url($url(1)); ?>" class="page-number" data-page="1">1</a>
                     <?php if ($start > 2): ?>
                         <span class="page-ellipsis">...</span>
                     <?php endif; ?>
@@ -277,7 +356,7 @@ class Archive extends BaseShortcode {
                     <?php if ($i === $page): ?>
                         <span class="current-page"><?php echo $i; ?></span>
                     <?php else: ?>
-                        <a href="<?php echo esc_url(add_query_arg('sr_page', $i)); ?>" class="page-number"><?php echo $i; ?></a>
+                        <a href="<?php echo esc_url($url($i)); ?>" class="page-number" data-page="<?php echo $i; ?>"><?php echo $i; ?></a>
                     <?php endif; ?>
                 <?php endfor; ?>
 
@@ -285,18 +364,207 @@ class Archive extends BaseShortcode {
                     <?php if ($end < $total_pages - 1): ?>
                         <span class="page-ellipsis">...</span>
                     <?php endif; ?>
-                    <a href="<?php echo esc_url(add_query_arg('sr_page', $total_pages)); ?>" class="page-number"><?php echo $total_pages; ?></a>
+                    <a href="<?php echo esc_url($url($total_pages)); ?>" class="page-number" data-page="<?php echo $total_pages; ?>"><?php echo $total_pages; ?></a>
                 <?php endif; ?>
             </span>
 
             <?php if ($page < $total_pages): ?>
-                <a href="<?php echo esc_url(add_query_arg('sr_page', $page + 1)); ?>" class="page-link">Next &rarr;</a>
+                <a href="<?php echo esc_url($url($page + 1)); ?>" class="page-link" data-page="<?php echo $page + 1; ?>">Next &rarr;</a>
             <?php endif; ?>
         </div>
         <?php
         return ob_get_clean();
     }
 
+    /**
+     * Get the script that runs the filter bar in place.
+     *
+     * Every change reloads the results through sr_archive_search and pushes
+     * the filters onto the history, so Back/Forward and shared links land on
+     * the same view. The search box waits for a pause in typing.
+     */
+    private function getScript(): string {
+        ob_start();
+        ?>
+        <script>
+        jQuery(document).ready(function($) {
+            var $archive = $('.sr-archive-page');
+            var $form = $archive.find('.filter-form');
+            var $results = $archive.find('.sr-archive-results');
+            var $clear = $form.find('.clear-filters');
+            var defaultSort = <?php echo wp_json_encode(array_key_first(self::SORTS)); ?>;
+            var requestId = 0;
+            var searchTimer = null;
+
+            if (!$form.length || typeof BBAB === 'undefined' || !window.history.pushState) {
+                return;
+            }
+
+            // Results follow the filters, so the Apply button is only needed without JS
+            $form.find('.filter-btn').hide();
+
+            /**
+             * Read the filter form.
+             *
+             * @return {object} Field name => value
+             */
+            function readFilters() {
+                var filters = {};
+
+                $.each($form.serializeArray(), function(i, field) {
+                    filters[field.name] = $.trim(field.value);
+                });
+
+                return filters;
+            }
+
+            /**
+             * Put filters back into the form (Back/Forward).
+             *
+             * @param {object} filters - Field name => value
+             */
+            function writeFilters(filters) {
+                $form.find('input, select').each(function() {
+                    var fallback = this.name === 'sort' ? defaultSort : '';
+                    $(this).val(filters[this.name] || fallback);
+                });
+            }
+
+            /**
+             * Build the archive URL for a set of filters, leaving out defaults.
+             *
+             * @param {object} filters - Field name => value
+             * @param {number} page    - 1-based page
+             * @return {string}
+             */
+            function buildUrl(filters, page) {
+                var params = new URLSearchParams();
+
+                $.each(filters, function(name, value) {
+                    if (value && !(name === 'sort' && value === defaultSort)) {
+                        params.set(name, value);
+                    }
+                });
+
+                if (page > 1) {
+                    params.set('sr_page', page);
+                }
+
+                var query = params.toString();
+                return window.location.pathname + (query ? '?' + query : '');
+            }
+
+            /**
+             * Whether any filter differs from its default.
+             *
+             * @param {object} filters - Field name => value
+             * @return {boolean}
+             */
+            function hasFilters(filters) {
+                return buildUrl(filters, 1) !== window.location.pathname;
+            }
+
+            /**
+             * Load a page of results for the current form.
+             *
+             * @param {number}  page - 1-based page
+             * @param {boolean} push - Add a history entry (false for Back/Forward)
+             */
+            function load(page, push) {
+                var filters = readFilters();
+                var current = ++requestId;
+
+                $results.addClass('is-loading');
+                $clear.toggle(hasFilters(filters));
+
+                if (push) {
+                    window.history.pushState({ srArchive: filters, page: page }, '', buildUrl(filters, page));
+                }
+
+                BBAB.ajax('sr_archive_search', $.extend({ sr_page: page }, filters), function(data) {
+                    // Ignore responses overtaken by a newer change
+                    if (current !== requestId) {
+                        return;
+                    }
+
+                    $results.removeClass('is-loading').html(data.html);
+
+                    // The server clamps out-of-range pages; keep the URL honest
+                    if (data.page !== page) {
+                        window.history.replaceState({ srArchive: filters, page: data.page }, '', buildUrl(filters, data.page));
+                    }
+                }, function(error) {
+                    if (current !== requestId) {
+                        return;
+                    }
+
+                    $results.removeClass('is-loading').empty().append(
+                        $('<div class="no-results"></div>').append($('<p></p>').text(error.message || 'Could not load service requests.'))
+                    );
+                });
+            }
+
+            $form.on('submit', function(e) {
+                e.preventDefault();
+                clearTimeout(searchTimer);
+                load(1, true);
+            });
+
+            $form.on('change', 'select', function() {
+                load(1, true);
+            });
+
+            $form.on('input', 'input[name="q"]', function() {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(function() {
+                    load(1, true);
+                }, 300);
+            });
+
+            // Native search inputs fire 'search' (not 'input') on some clears
+            $form.on('search', 'input[name="q"]', function() {
+                clearTimeout(searchTimer);
+                load(1, true);
+            });
+
+            $archive.on('click', '.clear-filters, .clear-btn', function(e) {
+                e.preventDefault();
+                writeFilters({});
+                load(1, true);
+            });
+
+            $results.on('click', '.archive-pagination a[data-page]', function(e) {
+                e.preventDefault();
+                load(parseInt($(this).data('page'), 10) || 1, true);
+                $('html, body').animate({ scrollTop: $archive.offset().top }, 200);
+            });
+
+            $(window).on('popstate', function(e) {
+                var state = e.originalEvent.state;
+                var filters = state && state.srArchive ? state.srArchive : {};
+                var params = new URLSearchParams(window.location.search);
+
+                // Entries from before the script ran have no state; read the URL
+                if (!state || !state.srArchive) {
+                    params.forEach(function(value, name) {
+                        filters[name] = value;
+                    });
+                }
+
+                writeFilters(filters);
+                load(state && state.page ? state.page : (parseInt(params.get('sr_page'), 10) || 1), false);
+            });
+
+            window.history.replaceState({
+                srArchive: readFilters(),
+                page: parseInt(new URLSearchParams(window.location.search).get('sr_page'), 10) || 1
+            }, '', window.location.href);
+        });
+        </script>
+        <?php
+        return ob_get_clean();
+    }
+
     /**
      * Get CSS styles for the archive page.
      */
@@ -359,7 +627,8 @@ class Archive extends BaseShortcode {
                 font-weight: 500;
                 color: #324A6D;
             }
-            .filter-group select {
+            .filter-group select,
+            .filter-group input[type="search"] {
                 font-family: "Poppins", sans-serif;
                 font-size: 14px;
                 padding: 8px 12px;
@@ -398,7 +667,19 @@ class Archive extends BaseShortcode {
                 text-decoration: underline;
             }
 
-            /* Results info */
+            .filter-search {
+                grid-column: span 2;
+            }
+
+            /* Results */
+            .sr-archive-results {
+                transition: opacity 0.2s;
+            }
+            .sr-archive-results.is-loading {
+                opacity: 0.5;
+                pointer-events: none;
+            }
+
             .results-info {
                 font-family: "Poppins", sans-serif;
                 font-size: 14px;
@@ -563,6 +844,9 @@ class Archive extends BaseShortcode {
                 .filter-form {
                     grid-template-columns: 1fr;
                 }
+                .filter-search {
+                    grid-column: auto;
+                }
                 .row-subject {
                     font-size: 16px;
                 }
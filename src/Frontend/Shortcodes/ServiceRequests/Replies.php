@@ -0,0 +1,560 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Frontend\Shortcodes\ServiceRequests;
+
+use BBAB\ServiceCenter\Frontend\Shortcodes\BaseShortcode;
+use BBAB\ServiceCenter\Modules\ServiceRequests\ReplyService;
+
+/**
+ * Service Request Replies shortcode.
+ *
+ * Conversation thread on single SR pages: clients and staff post replies,
+ * with files added by drag-and-drop (or the file picker) and uploaded
+ * with progress through BBAB.upload(). Posting goes through the
+ * sr_reply_upload / sr_reply_post AjaxRouter handlers in ReplyService.
+ *
+ * Shortcode: [service_request_replies]
+ */
+class Replies extends BaseShortcode {
+
+    protected string $tag = 'service_request_replies';
+
+    /**
+     * For detail page, org check is handled by AccessControl.
+     */
+    protected bool $requires_org = false;
+
+    /**
+     * Render the thread and reply form.
+     */
+    protected function output(array $atts, int $org_id): string {
+        // Only works on single service request pages
+        if (!is_singular('service_request')) {
+            return '';
+        }
+
+        global $post;
+        $sr_id = $post->ID;
+
+        $replies = ReplyService::getReplies($sr_id);
+        $accept = '.' . implode(',.', ReplyService::ALLOWED_EXTENSIONS);
+
+        ob_start();
+        ?>
+        <div class="sr-replies-card" id="sr-replies" data-sr-id="<?php echo esc_attr((string) $sr_id); ?>">
+            <h3>Conversation</h3>
+
+            <div class="sr-reply-list">
+                <?php foreach ($replies as $reply): ?>
+                    <?php echo $this->renderReply($reply); ?>
+                <?php endforeach; ?>
+                <p class="sr-replies-empty"<?php echo $replies ? ' style="display: none;"' : ''; ?>>No replies yet. Add details or ask a question below.</p>
+            </div>
+
+            <form class="sr-reply-form">
+                <label for="sr-reply-message" class="screen-reader-text">Your reply</label>
+                <textarea id="sr-reply-message" name="message" rows="4" maxlength="<?php echo ReplyService::MESSAGE_MAX_LENGTH; ?>" placeholder="Write a reply..."></textarea>
+
+                <div class="sr-reply-dropzone" tabindex="0" role="button">
+                    <input type="file" class="sr-reply-file-input" multiple accept="<?php echo esc_attr($accept); ?>" hidden>
+                    <span>Drag files here or <u>browse</u></span>
+                    <small>Up to <?php echo ReplyService::MAX_FILES; ?> files, <?php echo esc_html(size_format(ReplyService::MAX_UPLOAD_BYTES)); ?> each</small>
+                </div>
+                <ul class="sr-reply-files"></ul>
+
+                <div class="sr-reply-actions">
+                    <span class="sr-reply-error" role="alert"></span>
+                    <button type="submit" class="sr-reply-submit">Post Reply</button>
+                </div>
+            </form>
+        </div>
+
+        <?php echo $this->getStyles(); ?>
+        <?php echo $this->getScript(); ?>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render one reply.
+     *
+     * Keep in sync with renderReply() in the script below.
+     *
+     * @param array $reply Reply from ReplyService::getReplies().
+     * @return string
+     */
+    private function renderReply(array $reply): string {
+        ob_start();
+        ?>
+        <div class="sr-reply<?php echo $reply['is_staff'] ? ' is-staff' : ''; ?>">
+            <div class="sr-reply-meta">
+                <strong><?php echo esc_html($reply['author']); ?></strong>
+                <?php if ($reply['is_staff']): ?>
+                    <span class="sr-reply-badge">Staff</span>
+                <?php endif; ?>
+                <span class="sr-reply-date"><?php echo esc_html($reply['date']); ?></span>
+            </div>
+            <?php if ($reply['message'] !== ''): ?>
+                <div class="sr-reply-message"><?php echo nl2br(esc_html($reply['message'])); ?></div>
+            <?php endif; ?>
+            <?php if (!empty($reply['attachments'])): ?>
+                <div class="sr-reply-attachments">
+                    <?php foreach ($reply['attachments'] as $file): ?>
+                        <a href="<?php echo esc_url($file['url']); ?>" target="_blank" download>&#128206; <?php echo esc_html($file['name']); ?></a>
+                    <?php endforeach; ?>
+                </div>
+            <?php endif; ?>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Get the reply form script.
+     *
+     * Files upload as soon as they are dropped so the progress shows while
+     * the client writes; the reply is posted with the IDs of the finished
+     * uploads and is blocked while any are still running.
+     */
+    private function getScript(): string {
+        ob_start();
+        ?>
+        <script>
+        jQuery(document).ready(function($) {
+            var $card = $('#sr-replies');
+            var $form = $card.find('.sr-reply-form');
+            var $list = $card.find('.sr-reply-list');
+            var $dropzone = $form.find('.sr-reply-dropzone');
+            var $fileInput = $form.find('.sr-reply-file-input');
+            var $files = $form.find('.sr-reply-files');
+            var $error = $form.find('.sr-reply-error');
+            var $submit = $form.find('.sr-reply-submit');
+            var srId = parseInt($card.data('sr-id'), 10);
+            var maxFiles = <?php echo (int) ReplyService::MAX_FILES; ?>;
+            var maxBytes = <?php echo (int) ReplyService::MAX_UPLOAD_BYTES; ?>;
+            var allowed = <?php echo wp_json_encode(ReplyService::ALLOWED_EXTENSIONS); ?>;
+            var uploads = [];
+
+            if (!$card.length || typeof BBAB === 'undefined') {
+                return;
+            }
+
+            /**
+             * Show (or clear) the form error.
+             *
+             * @param {string} message - Error text, '' to clear
+             */
+            function showError(message) {
+                $error.text(message || '');
+            }
+
+            /**
+             * Whether any upload is still running.
+             *
+             * @return {boolean}
+             */
+            function uploading() {
+                return uploads.some(function(upload) {
+                    return upload.state === 'uploading';
+                });
+            }
+
+            /**
+             * Upload one file and track it in the list.
+             *
+             * @param {File} file - Dropped or picked file
+             */
+            function addFile(file) {
+                var ext = file.name.split('.').pop().toLowerCase();
+                var live = uploads.filter(function(upload) {
+                    return upload.state !== 'failed';
+                });
+
+                if (live.length >= maxFiles) {
+                    showError('You can attach up to ' + maxFiles + ' files.');
+                    return;
+                }
+                if (allowed.indexOf(ext) === -1) {
+                    showError(file.name + ': that file type is not allowed.');
+                    return;
+                }
+                if (file.size > maxBytes) {
+                    showError(file.name + ' is too large.');
+                    return;
+                }
+
+                var upload = { state: 'uploading', id: null };
+                var $bar = $('<span class="sr-reply-progress-bar"></span>');
+                var $remove = $('<button type="button" class="sr-reply-file-remove" aria-label="Remove file">&times;</button>');
+
+                upload.$item = $('<li class="is-uploading"></li>')
+                    .append($('<span class="sr-reply-file-name"></span>').text(file.name))
+                    .append($('<span class="sr-reply-progress"></span>').append($bar))
+                    .append($remove)
+                    .appendTo($files);
+
+                upload.xhr = BBAB.upload('sr_reply_upload', file, { sr_id: srId }, function(progress) {
+                    $bar.css('width', Math.round(progress * 100) + '%');
+                }, function(data) {
+                    upload.state = 'done';
+                    upload.id = data.id;
+                    upload.$item.removeClass('is-uploading').addClass('is-done');
+                }, function(error) {
+                    if (upload.state === 'removed') {
+                        return;
+                    }
+                    upload.state = 'failed';
+                    upload.$item.removeClass('is-uploading').addClass('is-failed')
+                        .find('.sr-reply-progress').replaceWith($('<span class="sr-reply-file-error"></span>').text(error.message));
+                });
+
+                $remove.on('click', function() {
+                    var wasUploading = upload.state === 'uploading';
+
+                    // Set first so the abort's error callback is ignored
+                    upload.state = 'removed';
+                    if (wasUploading) {
+                        upload.xhr.abort();
+                    }
+                    upload.$item.remove();
+                    uploads = uploads.filter(function(other) {
+                        return other !== upload;
+                    });
+                });
+
+                uploads.push(upload);
+            }
+
+            /**
+             * Add files from a drop or the file picker.
+             *
+             * @param {FileList} fileList - Files
+             */
+            function addFiles(fileList) {
+                showError('');
+                $.each(fileList, function(i, file) {
+                    addFile(file);
+                });
+            }
+
+            /**
+             * Build a reply element, matching renderReply() in PHP.
+             *
+             * @param {object} reply - { author, is_staff, date, message, attachments }
+             * @return {jQuery}
+             */
+            function renderReply(reply) {
+                var $meta = $('<div class="sr-reply-meta"></div>').append($('<strong></strong>').text(reply.author));
+                var $reply = $('<div class="sr-reply"></div>').toggleClass('is-staff', !!reply.is_staff).append($meta);
+
+                if (reply.is_staff) {
+                    $meta.append(' ', $('<span class="sr-reply-badge">Staff</span>'));
+                }
+                $meta.append(' ', $('<span class="sr-reply-date"></span>').text(reply.date));
+
+                if (reply.message) {
+                    var $message = $('<div class="sr-reply-message"></div>');
+                    $.each(reply.message.split('\n'), function(i, line) {
+                        if (i) $message.append('<br>');
+                        $message.append(document.createTextNode(line));
+                    });
+                    $reply.append($message);
+                }
+
+                if (reply.attachments && reply.attachments.length) {
+                    var $attachments = $('<div class="sr-reply-attachments"></div>');
+                    $.each(reply.attachments, function(i, file) {
+                        $('<a target="_blank" download></a>').attr('href', file.url).text('\uD83D\uDCCE ' + file.name).appendTo($attachments);
+                    });
+                    $reply.append($attachments);
+                }
+
+                return $reply;
+            }
+
+            $dropzone.on('click', function() {
+                $fileInput.trigger('click');
+            });
+
+            $dropzone.on('keydown', function(e) {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    $fileInput.trigger('click');
+                }
+            });
+
+            $fileInput.on('click', function(e) {
+                // Don't bubble back into the dropzone handler
+                e.stopPropagation();
+            });
+
+            $fileInput.on('change', function() {
+                addFiles(this.files);
+                this.value = '';
+            });
+
+            $dropzone.on('dragenter dragover', function(e) {
+                e.preventDefault();
+                $dropzone.addClass('is-dragover');
+            });
+
+            $dropzone.on('dragleave dragend drop', function(e) {
+                e.preventDefault();
+                $dropzone.removeClass('is-dragover');
+            });
+
+            $dropzone.on('drop', function(e) {
+                var transfer = e.originalEvent.dataTransfer;
+                if (transfer && transfer.files.length) {
+                    addFiles(transfer.files);
+                }
+            });
+
+            $form.on('submit', function(e) {
+                e.preventDefault();
+
+                var message = $.trim($form.find('textarea').val());
+                var attachments = uploads.filter(function(upload) {
+                    return upload.state === 'done';
+                }).map(function(upload) {
+                    return upload.id;
+                });
+
+                if (uploading()) {
+                    showError('Please wait for your files to finish uploading.');
+                    return;
+                }
+                if (!message && !attachments.length) {
+                    showError('Please write a reply or attach a file.');
+                    return;
+                }
+
+                showError('');
+                $submit.prop('disabled', true).text('Posting...');
+
+                BBAB.ajax('sr_reply_post', {
+                    sr_id: srId,
+                    message: message,
+                    attachments: attachments
+                }, function(data) {
+                    $list.find('.sr-replies-empty').hide();
+                    renderReply(data.reply).insertBefore($list.find('.sr-replies-empty'));
+                    $form.find('textarea').val('');
+                    $files.empty();
+                    uploads = [];
+                    $submit.prop('disabled', false).text('Post Reply');
+                }, function(error) {
+                    showError(error.message);
+                    $submit.prop('disabled', false).text('Post Reply');
+                });
+            });
+        });
+        </script>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Get CSS styles for the thread.
+     */
+    private function getStyles(): string {
+        return '
+        <style>
+            .sr-replies-card {
+                background: #F3F5F8;
+                border-radius: 12px;
+                padding: 24px;
+                margin-bottom: 32px;
+            }
+            .sr-replies-card h3 {
+                font-family: "Poppins", sans-serif;
+                font-size: 18px;
+                font-weight: 600;
+                color: #1C244B;
+                margin: 0 0 16px 0;
+            }
+            .sr-reply-list {
+                display: flex;
+                flex-direction: column;
+                gap: 12px;
+                margin-bottom: 20px;
+            }
+            .sr-reply {
+                background: white;
+                border-radius: 8px;
+                padding: 16px;
+                border-left: 4px solid #d0d7e2;
+            }
+            .sr-reply.is-staff {
+                border-left-color: #467FF7;
+            }
+            .sr-reply-meta {
+                font-family: "Poppins", sans-serif;
+                font-size: 13px;
+                color: #324A6D;
+                margin-bottom: 8px;
+            }
+            .sr-reply-badge {
+                background: #e3f2fd;
+                color: #1976d2;
+                padding: 2px 8px;
+                border-radius: 4px;
+                font-size: 11px;
+                font-weight: 500;
+            }
+            .sr-reply-date {
+                color: #7f8c8d;
+                margin-left: 6px;
+            }
+            .sr-reply-message {
+                font-family: "Poppins", sans-serif;
+                font-size: 15px;
+                color: #1C244B;
+                line-height: 1.6;
+            }
+            .sr-reply-attachments {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin-top: 10px;
+            }
+            .sr-reply-attachments a {
+                font-family: "Poppins", sans-serif;
+                font-size: 13px;
+                color: #467FF7;
+                background: #F3F5F8;
+                padding: 4px 10px;
+                border-radius: 4px;
+                text-decoration: none;
+            }
+            .sr-reply-attachments a:hover {
+                text-decoration: underline;
+            }
+            .sr-replies-empty {
+                font-family: "Poppins", sans-serif;
+                color: #7f8c8d;
+                font-style: italic;
+                margin: 0;
+            }
+            .sr-reply-form textarea {
+                width: 100%;
+                font-family: "Poppins", sans-serif;
+                font-size: 15px;
+                padding: 12px;
+                border: 1px solid #ddd;
+                border-radius: 6px;
+                box-sizing: border-box;
+                resize: vertical;
+            }
+            .sr-reply-dropzone {
+                margin-top: 12px;
+                padding: 18px;
+                border: 2px dashed #c5cfdd;
+                border-radius: 8px;
+                background: white;
+                text-align: center;
+                font-family: "Poppins", sans-serif;
+                font-size: 14px;
+                color: #324A6D;
+                cursor: pointer;
+                transition: border-color 0.2s, background 0.2s;
+            }
+            .sr-reply-dropzone small {
+                display: block;
+                margin-top: 4px;
+                color: #7f8c8d;
+            }
+            .sr-reply-dropzone:hover,
+            .sr-reply-dropzone:focus,
+            .sr-reply-dropzone.is-dragover {
+                border-color: #467FF7;
+                background: #f5f8ff;
+                outline: none;
+            }
+            .sr-reply-files {
+                list-style: none;
+                margin: 12px 0 0;
+                padding: 0;
+            }
+            .sr-reply-files li {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 8px 12px;
+                margin-bottom: 6px;
+                background: white;
+                border-radius: 6px;
+                font-family: "Poppins", sans-serif;
+                font-size: 13px;
+            }
+            .sr-reply-file-name {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                color: #1C244B;
+            }
+            .sr-reply-progress {
+                width: 120px;
+                height: 6px;
+                background: #e8ecf2;
+                border-radius: 3px;
+                overflow: hidden;
+            }
+            .sr-reply-progress-bar {
+                display: block;
+                width: 0;
+                height: 100%;
+                background: #467FF7;
+                transition: width 0.2s;
+            }
+            .sr-reply-files li.is-done .sr-reply-progress-bar {
+                background: #388e3c;
+            }
+            .sr-reply-file-error,
+            .sr-reply-error {
+                color: #c62828;
+                font-family: "Poppins", sans-serif;
+                font-size: 13px;
+            }
+            .sr-reply-file-remove {
+                border: 0;
+                background: none;
+                color: #7f8c8d;
+                font-size: 18px;
+                line-height: 1;
+                cursor: pointer;
+            }
+            .sr-reply-file-remove:hover {
+                color: #c62828;
+            }
+            .sr-reply-actions {
+                display: flex;
+                justify-content: flex-end;
+                align-items: center;
+                gap: 16px;
+                margin-top: 12px;
+            }
+            .sr-reply-submit {
+                background: #467FF7;
+                color: white;
+                padding: 10px 24px;
+                border: none;
+                border-radius: 6px;
+                font-family: "Poppins", sans-serif;
+                font-size: 15px;
+                font-weight: 500;
+                cursor: pointer;
+                transition: background 0.2s;
+            }
+            .sr-reply-submit:hover {
+                background: #3366cc;
+            }
+            .sr-reply-submit:disabled {
+                opacity: 0.6;
+                cursor: default;
+            }
+        </style>';
+    }
+}
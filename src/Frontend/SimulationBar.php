@@ -4,6 +4,9 @@ declare(strict_types=1);
 namespace BBAB\ServiceCenter\Frontend;
 
 use BBAB\ServiceCenter\Utils\UserContext;
+use BBAB\ServiceCenter\Utils\Logger;
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Core\SimulationBootstrap;
 
 /**
@@ -11,18 +14,36 @@ use BBAB\ServiceCenter\Core\SimulationBootstrap;
  *
  * Displays a sticky bar at the top of the page when an admin
  * is viewing the site as a simulated organization.
+ *
+ * The bar's org switcher (initSimulationSwitcher() in frontend-dashboard.js)
+ * changes the simulated org through simulation_switch_org and reloads the
+ * page. Its Compare links reload with COMPARE_PARAM, which renders the page
+ * as two orgs side by side using SimulationBootstrap preview URLs.
  */
 class SimulationBar {
 
+    /**
+     * Query arg holding the two org IDs to compare ("a,b").
+     */
+    private const COMPARE_PARAM = 'bbab_sc_compare';
+
     /**
      * Register hooks.
      */
     public function register(): void {
+        add_action(AjaxRouter::REGISTER_HOOK, [$this, 'registerAjaxHandlers']);
+
         // Only for admins in simulation mode
         if (!UserContext::isSimulationActive()) {
             return;
         }
 
+        // Compare panes get no bar, just a script keeping links in the pane's org
+        if (SimulationBootstrap::isPreviewRequest()) {
+            add_action('wp_footer', [$this, 'renderPreviewScript']);
+            return;
+        }
+
         // Add the bar to the page
         add_action('wp_footer', [$this, 'render']);
 
@@ -30,6 +51,45 @@ class SimulationBar {
         add_action('wp_head', [$this, 'inlineStyles']);
     }
 
+    /**
+     * Register AJAX handlers.
+     */
+    public function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('simulation_switch_org', [$this, 'handleSwitchOrg'], true, false, 'manage_options');
+    }
+
+    /**
+     * Switch the simulated organization.
+     *
+     * The new cookie applies from the next request, so the caller reloads.
+     *
+     * @param array $data Request data with org_id.
+     * @return array The new org ID and name.
+     * @throws AjaxException If the org doesn't exist or simulation can't be set.
+     */
+    public function handleSwitchOrg(array $data): array {
+        $org_id = absint($data['org_id'] ?? 0);
+        $org = $org_id ? get_post($org_id) : null;
+
+        if (!$org || $org->post_type !== 'client_organization') {
+            throw new AjaxException('Organization not found.', 404, 'not_found');
+        }
+
+        if (!SimulationBootstrap::setSimulation($org_id)) {
+            throw new AjaxException('Permission denied.', 403, 'forbidden');
+        }
+
+        Logger::debug('SimulationBar', 'Switched simulated organization', [
+            'org_id' => $org_id,
+            'org_name' => $org->post_title,
+        ]);
+
+        return [
+            'org_id' => $org_id,
+            'org_name' => $org->post_title,
+        ];
+    }
+
     /**
      * Render the simulation bar.
      */
@@ -40,8 +100,31 @@ class SimulationBar {
 
         $org = UserContext::getCurrentOrg();
         $org_name = $org ? $org->post_title : 'Unknown Organization';
-        $org_id = UserContext::getCurrentOrgId();
-        $shortcode = get_post_meta($org_id, 'shortcode', true) ?: get_post_meta($org_id, 'organization_shortcode', true);
+        $org_id = (int) UserContext::getCurrentOrgId();
+        $shortcode = $this->getShortcode($org_id);
+
+        // Current page without compare/preview args, the base for switcher links
+        $page_url = remove_query_arg([self::COMPARE_PARAM, SimulationBootstrap::PREVIEW_PARAM]);
+        $compare_ids = $this->getCompareOrgIds();
+
+        $orgs = get_posts([
+            'post_type' => 'client_organization',
+            'posts_per_page' => -1,
+            'post_status' => 'publish',
+            'orderby' => 'title',
+            'order' => 'ASC',
+        ]);
+        $orgs_by_id = [];
+        foreach ($orgs as $org_post) {
+            $orgs_by_id[$org_post->ID] = $org_post;
+        }
+
+        $recent = [];
+        foreach (SimulationBootstrap::getRecentOrgIds() as $recent_id) {
+            if (isset($orgs_by_id[$recent_id])) {
+                $recent[] = $orgs_by_id[$recent_id];
+            }
+        }
 
         // Build exit URL
         $exit_url = add_query_arg([
@@ -64,6 +147,37 @@ class SimulationBar {
                     <?php endif; ?>
                 </span>
                 <div class="bbab-sim-bar-actions">
+                    <div class="bbab-sim-switcher" data-reload-url="<?php echo esc_url($page_url); ?>">
+                        <button type="button" class="bbab-sim-bar-btn bbab-sim-bar-btn-secondary bbab-sim-switcher-toggle" aria-haspopup="true" aria-expanded="false">
+                            Switch Org &#9662;
+                        </button>
+                        <div class="bbab-sim-switcher-panel" hidden>
+                            <input type="search" class="bbab-sim-switcher-search" placeholder="Search organizations..." autocomplete="off" />
+                            <?php if ($recent): ?>
+                                <div class="bbab-sim-switcher-recent">
+                                    <div class="bbab-sim-switcher-heading">Recent</div>
+                                    <ul class="bbab-sim-switcher-list">
+                                        <?php foreach ($recent as $recent_org): ?>
+                                            <?php echo $this->renderSwitcherItem($recent_org, $org_id, $page_url); ?>
+                                        <?php endforeach; ?>
+                                    </ul>
+                                </div>
+                            <?php endif; ?>
+                            <div class="bbab-sim-switcher-heading">All Organizations</div>
+                            <ul class="bbab-sim-switcher-list bbab-sim-switcher-all">
+                                <?php foreach ($orgs as $org_post): ?>
+                                    <?php echo $this->renderSwitcherItem($org_post, $org_id, $page_url); ?>
+                                <?php endforeach; ?>
+                            </ul>
+                            <p class="bbab-sim-switcher-empty" hidden>No matching organizations.</p>
+                            <p class="bbab-sim-switcher-error" hidden></p>
+                        </div>
+                    </div>
+                    <?php if ($compare_ids): ?>
+                        <a href="<?php echo esc_url($page_url); ?>" class="bbab-sim-bar-btn bbab-sim-bar-btn-secondary">
+                            Close Compare
+                        </a>
+                    <?php endif; ?>
                     <a href="<?php echo esc_url($workbench_url); ?>" class="bbab-sim-bar-btn bbab-sim-bar-btn-secondary">
                         ← Workbench
                     </a>
@@ -74,6 +188,121 @@ class SimulationBar {
             </div>
         </div>
         <?php
+        if ($compare_ids) {
+            $this->renderCompare($compare_ids, $page_url);
+        }
+    }
+
+    /**
+     * Render one org in the switcher list.
+     *
+     * The current org can't be switched to or compared with itself.
+     */
+    private function renderSwitcherItem(\WP_Post $org, int $current_org_id, string $page_url): string {
+        $shortcode = $this->getShortcode($org->ID);
+        $label = $shortcode ? $shortcode . ' - ' . $org->post_title : $org->post_title;
+        $is_current = $org->ID === $current_org_id;
+        $compare_url = add_query_arg(self::COMPARE_PARAM, $current_org_id . ',' . $org->ID, $page_url);
+
+        ob_start();
+        ?>
+        <li class="bbab-sim-switcher-item<?php echo $is_current ? ' is-current' : ''; ?>" data-search="<?php echo esc_attr(strtolower($label)); ?>">
+            <button type="button" class="bbab-sim-switcher-org" data-org-id="<?php echo esc_attr($org->ID); ?>" <?php disabled($is_current); ?>>
+                <?php echo esc_html($label); ?>
+            </button>
+            <?php if ($is_current): ?>
+                <span class="bbab-sim-switcher-note">Current</span>
+            <?php else: ?>
+                <a href="<?php echo esc_url($compare_url); ?>" class="bbab-sim-switcher-compare" title="View this page as both organizations side by side">Compare</a>
+            <?php endif; ?>
+        </li>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Render the side-by-side compare view.
+     *
+     * Each pane loads the page through a preview URL, so the two orgs are
+     * scoped independently of the simulation cookie.
+     *
+     * @param int[]  $org_ids  The two org IDs to compare.
+     * @param string $page_url Page to load in both panes.
+     */
+    private function renderCompare(array $org_ids, string $page_url): void {
+        ?>
+        <div id="bbab-sim-compare">
+            <?php foreach ($org_ids as $compare_id):
+                $shortcode = $this->getShortcode($compare_id);
+            ?>
+                <div class="bbab-sim-compare-pane">
+                    <div class="bbab-sim-compare-header">
+                        <strong><?php echo esc_html(get_the_title($compare_id)); ?></strong>
+                        <?php if ($shortcode): ?>
+                            <span class="bbab-sim-bar-shortcode">(<?php echo esc_html($shortcode); ?>)</span>
+                        <?php endif; ?>
+                    </div>
+                    <iframe src="<?php echo esc_url(SimulationBootstrap::getPreviewUrl($page_url, $compare_id)); ?>" title="<?php echo esc_attr(get_the_title($compare_id)); ?>"></iframe>
+                </div>
+            <?php endforeach; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Keep same-site links inside a compare pane on the pane's org.
+     *
+     * Without this, following a link drops the preview arg and the pane
+     * falls back to the cookie's org. AJAX requests get the arg from
+     * SimulationBootstrap::getAjaxUrl().
+     */
+    public function renderPreviewScript(): void {
+        $preview = sanitize_text_field(wp_unslash($_GET[SimulationBootstrap::PREVIEW_PARAM] ?? ''));
+        ?>
+        <script>
+            document.addEventListener('click', function(e) {
+                var link = e.target.closest ? e.target.closest('a[href]') : null;
+                if (!link || link.origin !== window.location.origin || link.getAttribute('href').charAt(0) === '#') {
+                    return;
+                }
+
+                var url = new URL(link.href);
+                url.searchParams.set(<?php echo wp_json_encode(SimulationBootstrap::PREVIEW_PARAM); ?>, <?php echo wp_json_encode($preview); ?>);
+                link.href = url.toString();
+            });
+        </script>
+        <?php
+    }
+
+    /**
+     * Get the two org IDs requested for compare, or an empty array.
+     *
+     * @return int[]
+     */
+    private function getCompareOrgIds(): array {
+        if (empty($_GET[self::COMPARE_PARAM])) {
+            return [];
+        }
+
+        $ids = array_map('absint', explode(',', sanitize_text_field(wp_unslash($_GET[self::COMPARE_PARAM]))));
+        if (count($ids) !== 2 || $ids[0] === $ids[1]) {
+            return [];
+        }
+
+        foreach ($ids as $id) {
+            if (get_post_type($id) !== 'client_organization') {
+                return [];
+            }
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Get an org's shortcode.
+     */
+    private function getShortcode(int $org_id): string {
+        return (string) (get_post_meta($org_id, 'shortcode', true) ?: get_post_meta($org_id, 'organization_shortcode', true));
     }
 
     /**
@@ -173,6 +402,153 @@ class SimulationBar {
                 background: rgba(255,255,255,0.3);
             }
 
+            /* Org switcher */
+            .bbab-sim-switcher {
+                position: relative;
+            }
+
+            .bbab-sim-bar-btn.bbab-sim-switcher-toggle {
+                border: 0;
+                cursor: pointer;
+                font-family: inherit;
+            }
+
+            .bbab-sim-switcher-panel {
+                position: absolute;
+                top: calc(100% + 6px);
+                right: 0;
+                width: 320px;
+                max-height: 60vh;
+                overflow-y: auto;
+                background: #fff;
+                color: #1d2327;
+                border-radius: 6px;
+                box-shadow: 0 6px 24px rgba(0,0,0,0.25);
+                padding: 8px;
+                text-align: left;
+            }
+
+            .bbab-sim-switcher-panel[hidden],
+            .bbab-sim-switcher-panel [hidden] {
+                display: none;
+            }
+
+            .bbab-sim-switcher-search {
+                width: 100%;
+                box-sizing: border-box;
+                padding: 6px 8px;
+                border: 1px solid #ccd0d4;
+                border-radius: 4px;
+                font-size: 13px;
+                margin-bottom: 6px;
+            }
+
+            .bbab-sim-switcher-heading {
+                font-size: 11px;
+                font-weight: 600;
+                text-transform: uppercase;
+                color: #787c82;
+                padding: 6px 4px 2px;
+            }
+
+            .bbab-sim-switcher-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+
+            .bbab-sim-switcher-item {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin: 0;
+                border-radius: 4px;
+            }
+
+            .bbab-sim-switcher-item:hover {
+                background: #f0f0f1;
+            }
+
+            .bbab-sim-switcher-org {
+                flex: 1;
+                background: none;
+                border: 0;
+                padding: 6px 4px;
+                text-align: left;
+                font-size: 13px;
+                color: inherit;
+                cursor: pointer;
+                font-family: inherit;
+            }
+
+            .bbab-sim-switcher-org:disabled {
+                cursor: default;
+                font-weight: 600;
+            }
+
+            .bbab-sim-switcher-compare,
+            .bbab-sim-switcher-note {
+                font-size: 11px;
+                padding: 0 6px;
+                white-space: nowrap;
+            }
+
+            .bbab-sim-switcher-compare {
+                color: #764ba2;
+            }
+
+            .bbab-sim-switcher-note {
+                color: #787c82;
+            }
+
+            .bbab-sim-switcher-empty,
+            .bbab-sim-switcher-error {
+                margin: 6px 4px;
+                font-size: 13px;
+                color: #787c82;
+            }
+
+            .bbab-sim-switcher-error {
+                color: #d63638;
+            }
+
+            /* Compare view */
+            #bbab-sim-compare {
+                position: fixed;
+                top: 48px;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                z-index: 99998;
+                display: flex;
+                gap: 4px;
+                background: #1d2327;
+            }
+
+            body.admin-bar #bbab-sim-compare {
+                top: 80px;
+            }
+
+            .bbab-sim-compare-pane {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                min-width: 0;
+            }
+
+            .bbab-sim-compare-header {
+                padding: 6px 12px;
+                color: #fff;
+                font-size: 13px;
+            }
+
+            .bbab-sim-compare-pane iframe {
+                flex: 1;
+                width: 100%;
+                border: 0;
+                background: #fff;
+            }
+
             @media screen and (max-width: 600px) {
                 .bbab-sim-bar-content {
                     flex-direction: column;
@@ -23,6 +23,12 @@ class GA4Service {
     private const API_TIMEOUT = 30;
     private const GA4_SCOPE = 'https://www.googleapis.com/auth/analytics.readonly';
 
+    /**
+     * Days in the cached daily series: the longest chart range (90) plus
+     * the same span before it for period comparison.
+     */
+    public const DAILY_SERIES_DAYS = 180;
+
     // =========================================================================
     // Cache-Only Getters (for shortcodes - never trigger API calls)
     // =========================================================================
@@ -100,6 +106,22 @@ class GA4Service {
         return Cache::get('ga4_devices_' . $property_id);
     }
 
+    /**
+     * Get cached daily sessions/users. Returns null if not cached.
+     *
+     * @param int $org_id Organization post ID
+     * @return array|null { fetched_at, days: [{ date (Y-m-d), sessions, users }] } oldest first
+     */
+    public static function getDailySeries(int $org_id): ?array {
+        $property_id = get_post_meta($org_id, 'ga4_property_id', true);
+
+        if (empty($property_id)) {
+            return null;
+        }
+
+        return Cache::get('ga4_daily_' . $property_id);
+    }
+
     // =========================================================================
     // Fetch Methods (for cron - trigger API calls and cache results)
     // =========================================================================
@@ -199,6 +221,29 @@ class GA4Service {
         return $data;
     }
 
+    /**
+     * Fetch and cache daily sessions/users for the last DAILY_SERIES_DAYS days.
+     * USE ONLY IN CRON.
+     *
+     * @param int $org_id Organization post ID
+     * @return array|null Series data or null on failure
+     */
+    public static function fetchDailySeries(int $org_id): ?array {
+        $property_id = get_post_meta($org_id, 'ga4_property_id', true);
+
+        if (empty($property_id)) {
+            return null;
+        }
+
+        $data = self::fetchDailyData($property_id);
+
+        if ($data) {
+            Cache::set('ga4_daily_' . $property_id, $data, self::CACHE_SECONDS);
+        }
+
+        return $data;
+    }
+
     /**
      * Clear all GA4 cache for an organization.
      *
@@ -212,6 +257,7 @@ class GA4Service {
             Cache::flushPattern('ga4_pages_' . $property_id);
             Cache::flushPattern('ga4_sources_' . $property_id);
             Cache::delete('ga4_devices_' . $property_id);
+            Cache::delete('ga4_daily_' . $property_id);
             Logger::debug('GA4Service', 'Cache cleared for property ' . $property_id);
         }
     }
@@ -505,6 +551,66 @@ class GA4Service {
         ];
     }
 
+    /**
+     * Fetch daily series data.
+     *
+     * GA4 omits days without traffic, so every day in the range is filled in.
+     */
+    private static function fetchDailyData(string $property_id): ?array {
+        $token = GoogleAuthService::getAccessToken([self::GA4_SCOPE]);
+
+        if (!$token) {
+            return null;
+        }
+
+        $request_body = [
+            'dateRanges' => [
+                ['startDate' => (self::DAILY_SERIES_DAYS - 1) . 'daysAgo', 'endDate' => 'today']
+            ],
+            'dimensions' => [
+                ['name' => 'date']
+            ],
+            'metrics' => [
+                ['name' => 'sessions'],
+                ['name' => 'activeUsers']
+            ],
+            'orderBys' => [
+                ['dimension' => ['dimensionName' => 'date']]
+            ],
+            'limit' => self::DAILY_SERIES_DAYS
+        ];
+
+        $response = self::makeApiRequest($property_id, $request_body, $token);
+
+        if (!$response) {
+            return null;
+        }
+
+        $days = [];
+        for ($i = self::DAILY_SERIES_DAYS - 1; $i >= 0; $i--) {
+            $date = date('Y-m-d', strtotime("-{$i} days"));
+            $days[$date] = ['date' => $date, 'sessions' => 0, 'users' => 0];
+        }
+
+        foreach ($response['rows'] ?? [] as $row) {
+            // GA4 returns dates as Ymd
+            $day = \DateTime::createFromFormat('Ymd', $row['dimensionValues'][0]['value'] ?? '');
+            $key = $day ? $day->format('Y-m-d') : '';
+
+            if (!isset($days[$key])) {
+                continue;
+            }
+
+            $days[$key]['sessions'] = intval($row['metricValues'][0]['value'] ?? 0);
+            $days[$key]['users'] = intval($row['metricValues'][1]['value'] ?? 0);
+        }
+
+        return [
+            'fetched_at' => time(),
+            'days' => array_values($days)
+        ];
+    }
+
     /**
      * Make a request to the GA4 Data API.
      */
@@ -9,8 +9,9 @@ use BBAB\ServiceCenter\Utils\Logger;
 /**
  * Google PageSpeed Insights Service.
  *
- * Fetches Core Web Vitals (LCP, CLS) and performance scores.
- * Data is cached for 24 hours.
+ * Fetches Core Web Vitals (LCP, CLS, INP) and performance scores.
+ * Data is cached for 24 hours; each fetch is also kept as a daily
+ * history entry on the organization for the CWV charts.
  *
  * Migrated from: WPCode Snippets #2027, #2078
  *
@@ -25,6 +26,16 @@ class PageSpeedService {
     private const CACHE_SECONDS = DAY_IN_SECONDS;
     private const API_TIMEOUT = 60; // PageSpeed can be slow
 
+    /**
+     * Org meta holding daily CWV history.
+     */
+    private const HISTORY_META = 'cwv_history';
+
+    /**
+     * Days of history kept (the longest chart range plus the span before it).
+     */
+    public const HISTORY_DAYS = 180;
+
     // =========================================================================
     // Cache-Only Getters (for shortcodes - never trigger API calls)
     // =========================================================================
@@ -75,6 +86,19 @@ class PageSpeedService {
         return $data;
     }
 
+    /**
+     * Get recorded daily CWV history, oldest first.
+     *
+     * @param int $org_id Organization post ID
+     * @return array List of { date (Y-m-d), desktop, mobile } where each strategy
+     *               is { lcp, cls, inp, performance_score } or null
+     */
+    public static function getHistory(int $org_id): array {
+        $history = get_post_meta($org_id, self::HISTORY_META, true);
+
+        return is_array($history) ? array_values($history) : [];
+    }
+
     // =========================================================================
     // Fetch Methods (for cron - trigger API calls and cache results)
     // =========================================================================
@@ -98,6 +122,7 @@ class PageSpeedService {
 
         if ($data) {
             Cache::set('cwv_' . md5($site_url), $data, self::CACHE_SECONDS);
+            self::recordHistory($org_id, $data);
         }
 
         return $data;
@@ -122,6 +147,7 @@ class PageSpeedService {
 
         if ($data) {
             Cache::set('cwv_full_' . md5($site_url), $data, self::CACHE_SECONDS);
+            self::recordHistory($org_id, $data);
         }
 
         return $data;
@@ -147,6 +173,42 @@ class PageSpeedService {
     // Private Implementation Methods
     // =========================================================================
 
+    /**
+     * Store a fetch as today's history entry.
+     *
+     * A second fetch on the same day replaces that day's values for the
+     * strategies it has, so desktop-only and full fetches combine.
+     *
+     * @param int   $org_id Organization post ID
+     * @param array $data   Result of fetchForStrategies()
+     */
+    private static function recordHistory(int $org_id, array $data): void {
+        $date = wp_date('Y-m-d', $data['fetched_at']);
+        $history = [];
+
+        foreach (self::getHistory($org_id) as $entry) {
+            $history[$entry['date']] = $entry;
+        }
+
+        $entry = $history[$date] ?? ['date' => $date, 'desktop' => null, 'mobile' => null];
+
+        foreach (['desktop', 'mobile'] as $strategy) {
+            if (!empty($data[$strategy])) {
+                $entry[$strategy] = [
+                    'lcp' => $data[$strategy]['lcp'],
+                    'cls' => $data[$strategy]['cls'],
+                    'inp' => $data[$strategy]['inp'] ?? null,
+                    'performance_score' => $data[$strategy]['performance_score'],
+                ];
+            }
+        }
+
+        $history[$date] = $entry;
+        ksort($history);
+
+        update_post_meta($org_id, self::HISTORY_META, array_slice(array_values($history), -self::HISTORY_DAYS));
+    }
+
     /**
      * Fetch PageSpeed data for specified strategies.
      *
@@ -254,6 +316,13 @@ class PageSpeedService {
             $cls = round($audits['cumulative-layout-shift']['numericValue'], 3);
         }
 
+        // Extract INP (Interaction to Next Paint) - field data only, so
+        // low-traffic sites have none
+        $inp_ms = null;
+        if (isset($body['loadingExperience']['metrics']['INTERACTION_TO_NEXT_PAINT']['percentile'])) {
+            $inp_ms = (int) $body['loadingExperience']['metrics']['INTERACTION_TO_NEXT_PAINT']['percentile'];
+        }
+
         // Extract overall performance score
         $perf_score = null;
         if (isset($categories['performance']['score'])) {
@@ -267,11 +336,16 @@ class PageSpeedService {
         // CLS: Good < 0.1, Needs Improvement < 0.25, Poor >= 0.25
         $cls_rating = self::getRating($cls, 0.1, 0.25);
 
+        // INP: Good < 200ms, Needs Improvement < 500ms, Poor >= 500ms
+        $inp_rating = self::getRating($inp_ms !== null ? (float) $inp_ms : null, 200, 500);
+
         return [
             'lcp' => $lcp_seconds,
             'lcp_rating' => $lcp_rating,
             'cls' => $cls,
             'cls_rating' => $cls_rating,
+            'inp' => $inp_ms,
+            'inp_rating' => $inp_rating,
             'performance_score' => $perf_score
         ];
     }
@@ -68,31 +68,17 @@ class InvoiceGenerator {
             return new WP_Error('invoice_exists', 'An invoice already exists for this Monthly Report', ['invoice_id' => $existing->ID]);
         }
 
-        // Get organization billing settings
-        $free_hours_limit = (float) (get_post_meta($org_id, 'free_hours_limit', true) ?: 2);
-        $hourly_rate = (float) (get_post_meta($org_id, 'hourly_rate', true) ?: 30);
-        $hosting_fee = (float) (get_post_meta($org_id, 'monthly_hosting_fee', true) ?: 0);
         $payment_terms = (int) (get_post_meta($org_id, 'payment_terms_days', true) ?: 5);
 
-        // Get all billable SRs from the report
-        $service_requests = self::getBillableSRsFromReport($report_id);
-
-        // Calculate totals (consolidated, not per-SR)
-        $billable_hours = 0.0;
-        $non_billable_hours = 0.0;
-
-        foreach ($service_requests as $sr) {
-            $billable_hours += $sr['billable_hours'];
-            $non_billable_hours += $sr['non_billable_hours'];
-        }
-
-        // Calculate free vs overage hours
-        $free_hours_applied = min($billable_hours, $free_hours_limit);
-        $overage_hours = max(0, $billable_hours - $free_hours_limit);
-
-        // Calculate amounts
-        $overage_amount = $overage_hours * $hourly_rate;
-        $subtotal = $overage_amount + $hosting_fee;
+        $billing = self::calculateReportBilling($report_id);
+        $free_hours_limit = $billing['free_hours_limit'];
+        $hourly_rate = $billing['hourly_rate'];
+        $hosting_fee = $billing['hosting_fee'];
+        $billable_hours = $billing['billable_hours'];
+        $non_billable_hours = $billing['non_billable_hours'];
+        $free_hours_applied = $billing['free_hours_applied'];
+        $overage_hours = $billing['overage_hours'];
+        $subtotal = $billing['subtotal'];
 
         // Generate invoice number and dates
         $invoice_date = current_time('Y-m-d');
@@ -192,6 +178,49 @@ class InvoiceGenerator {
         return $invoice_id;
     }
 
+    /**
+     * Calculate what a Monthly Report bills.
+     *
+     * Hours are consolidated across SRs (not per-SR); free hours come off the
+     * billable hours and the overage is charged at the org's hourly rate.
+     *
+     * @param int $report_id Monthly Report post ID.
+     * @return array { free_hours_limit, hourly_rate, hosting_fee, billable_hours,
+     *               non_billable_hours, free_hours_applied, overage_hours, subtotal }
+     */
+    public static function calculateReportBilling(int $report_id): array {
+        $org_id = get_post_meta($report_id, 'organization', true);
+
+        // Get organization billing settings
+        $free_hours_limit = (float) (get_post_meta($org_id, 'free_hours_limit', true) ?: 2);
+        $hourly_rate = (float) (get_post_meta($org_id, 'hourly_rate', true) ?: 30);
+        $hosting_fee = (float) (get_post_meta($org_id, 'monthly_hosting_fee', true) ?: 0);
+
+        // Calculate totals (consolidated, not per-SR)
+        $billable_hours = 0.0;
+        $non_billable_hours = 0.0;
+
+        foreach (self::getBillableSRsFromReport($report_id) as $sr) {
+            $billable_hours += $sr['billable_hours'];
+            $non_billable_hours += $sr['non_billable_hours'];
+        }
+
+        // Calculate free vs overage hours
+        $free_hours_applied = min($billable_hours, $free_hours_limit);
+        $overage_hours = max(0, $billable_hours - $free_hours_limit);
+
+        return [
+            'free_hours_limit' => $free_hours_limit,
+            'hourly_rate' => $hourly_rate,
+            'hosting_fee' => $hosting_fee,
+            'billable_hours' => $billable_hours,
+            'non_billable_hours' => $non_billable_hours,
+            'free_hours_applied' => $free_hours_applied,
+            'overage_hours' => $overage_hours,
+            'subtotal' => $overage_hours * $hourly_rate + $hosting_fee,
+        ];
+    }
+
     /**
      * Get billable SR data from a Monthly Report's time entries.
      *
@@ -341,34 +370,15 @@ class InvoiceGenerator {
 
         if ($is_hourly) {
             // HOURLY: Calculate from Time Entries
-            $time_entries = get_posts([
-                'post_type' => 'time_entry',
-                'posts_per_page' => -1,
-                'post_status' => 'publish',
-                'meta_query' => [[
-                    'key' => 'related_milestone',
-                    'value' => $milestone_id,
-                    'compare' => '=',
-                ]],
-            ]);
+            $milestone_hours = self::calculateMilestoneHours($milestone_id);
 
-            if (empty($time_entries)) {
+            if ($milestone_hours['entries'] === 0) {
                 return new WP_Error('no_time_entries', 'No time entries found for this milestone. For hourly billing, add time entries first.');
             }
 
-            foreach ($time_entries as $te) {
-                $hours = (float) get_post_meta($te->ID, 'hours', true);
-                $billable = get_post_meta($te->ID, 'billable', true);
-
-                $hours = self::roundToQuarterHour($hours);
-                $total_hours += $hours;
-
-                if ($billable === '0' || $billable === 0 || $billable === false) {
-                    $non_billable_hours += $hours;
-                } else {
-                    $billable_hours += $hours;
-                }
-            }
+            $total_hours = $milestone_hours['billable_hours'] + $milestone_hours['non_billable_hours'];
+            $billable_hours = $milestone_hours['billable_hours'];
+            $non_billable_hours = $milestone_hours['non_billable_hours'];
 
             $invoice_amount = $billable_hours * $hourly_rate;
 
@@ -1013,6 +1023,91 @@ class InvoiceGenerator {
         return $rounded_minutes / 60;
     }
 
+    /**
+     * Sum a milestone's TE hours, each rounded to the quarter hour.
+     *
+     * @param int $milestone_id Milestone post ID.
+     * @return array { entries, billable_hours, non_billable_hours }
+     */
+    public static function calculateMilestoneHours(int $milestone_id): array {
+        $time_entries = get_posts([
+            'post_type' => 'time_entry',
+            'posts_per_page' => -1,
+            'post_status' => 'publish',
+            'meta_query' => [[
+                'key' => 'related_milestone',
+                'value' => $milestone_id,
+                'compare' => '=',
+            ]],
+        ]);
+
+        $billable_hours = 0.0;
+        $non_billable_hours = 0.0;
+
+        foreach ($time_entries as $te) {
+            $hours = self::roundToQuarterHour((float) get_post_meta($te->ID, 'hours', true));
+            $billable = get_post_meta($te->ID, 'billable', true);
+
+            if ($billable === '0' || $billable === 0 || $billable === false) {
+                $non_billable_hours += $hours;
+            } else {
+                $billable_hours += $hours;
+            }
+        }
+
+        return [
+            'entries' => count($time_entries),
+            'billable_hours' => $billable_hours,
+            'non_billable_hours' => $non_billable_hours,
+        ];
+    }
+
+    /**
+     * Get what an invoice's source bills, to check edited line items against.
+     *
+     * Monthly report invoices bill hosting plus overage (calculateReportBilling());
+     * milestone invoices bill the flat milestone amount, or billable hours at
+     * the org's rate when the milestone has no amount.
+     *
+     * @param int $invoice_id Invoice post ID.
+     * @return array|null { label, amount }, or null when the invoice has neither source.
+     */
+    public static function getSourceAmount(int $invoice_id): ?array {
+        $report_id = (int) get_post_meta($invoice_id, 'related_monthly_report', true);
+
+        if ($report_id && get_post_type($report_id) === 'monthly_report') {
+            return [
+                'label' => 'Monthly Report ' . get_post_meta($report_id, 'report_month', true),
+                'amount' => round(self::calculateReportBilling($report_id)['subtotal'], 2),
+            ];
+        }
+
+        $milestone_id = (int) get_post_meta($invoice_id, 'related_milestone', true);
+
+        if ($milestone_id && get_post_type($milestone_id) === 'milestone') {
+            $amount = (float) get_post_meta($milestone_id, 'milestone_amount', true);
+
+            if ($amount <= 0) {
+                $project_id = get_post_meta($milestone_id, 'related_project', true);
+                if (is_array($project_id)) {
+                    $project_id = reset($project_id);
+                }
+                $org_id = $project_id ? get_post_meta((int) $project_id, 'organization', true) : 0;
+                $hourly_rate = (float) (($org_id ? get_post_meta($org_id, 'hourly_rate', true) : 0) ?: 30);
+                $amount = self::calculateMilestoneHours($milestone_id)['billable_hours'] * $hourly_rate;
+            }
+
+            $name = get_post_meta($milestone_id, 'milestone_name', true) ?: get_the_title($milestone_id);
+
+            return [
+                'label' => 'Milestone ' . $name,
+                'amount' => round($amount, 2),
+            ];
+        }
+
+        return null;
+    }
+
     /**
      * Get total billable hours for a milestone from its TEs.
      *
@@ -12,11 +12,38 @@ use BBAB\ServiceCenter\Utils\Logger;
  * - Line item CRUD operations
  * - Auto-title generation (INV-XXX - Type - $Amount)
  * - Cascade delete/trash with parent invoice
+ * - Keeping the invoice amount in step with its line items
  *
  * Migrated from: WPCode Snippets #1991, #1996 (line item parts)
  */
 class LineItemService {
 
+    /**
+     * Line types offered when editing line items.
+     */
+    public const LINE_TYPES = [
+        'Hosting Fee',
+        'Support',
+        'Support (Non-Billable)',
+        'Free Hours Credit',
+        'Credit',
+        'Previous Payment',
+        'Project Milestone',
+        'Project Deposit',
+        'Project Work',
+        'Project (Non-Billable)',
+        'Feature',
+        'Discount',
+        'Tax',
+        'Late Fee',
+        'Other',
+    ];
+
+    /**
+     * Line types whose quantity counts as hours.
+     */
+    public const HOUR_LINE_TYPES = ['Support', 'Support (Non-Billable)'];
+
     /**
      * Flag to prevent infinite loop during title sync.
      */
@@ -123,7 +150,7 @@ class LineItemService {
         ]);
 
         foreach ($line_items as $item_id) {
-            wp_delete_post($item_id, true);
+            self::delete($item_id);
         }
 
         if (!empty($line_items)) {
@@ -222,7 +249,7 @@ class LineItemService {
         foreach ($items as $item) {
             $line_type = get_post_meta($item->ID, 'line_type', true);
             // Only count hours from Support-type line items
-            if (in_array($line_type, ['Support', 'Support (Non-Billable)'], true)) {
+            if (in_array($line_type, self::HOUR_LINE_TYPES, true)) {
                 $quantity = get_post_meta($item->ID, 'quantity', true);
                 $total += (float) $quantity;
             }
@@ -302,6 +329,80 @@ class LineItemService {
         return $line_item_id;
     }
 
+    /**
+     * Update a line item's fields.
+     *
+     * @param int   $line_item_id Line item post ID.
+     * @param array $data         Fields to change (line_type, description, quantity, rate, amount, display_order).
+     * @return bool True on success.
+     */
+    public static function update(int $line_item_id, array $data): bool {
+        if (get_post_type($line_item_id) !== 'invoice_line_item') {
+            return false;
+        }
+
+        $fields_to_save = array_intersect_key($data, array_flip([
+            'line_type',
+            'description',
+            'quantity',
+            'rate',
+            'amount',
+            'display_order',
+        ]));
+
+        if (function_exists('pods')) {
+            pods('invoice_line_item', $line_item_id)->save($fields_to_save);
+        } else {
+            foreach ($fields_to_save as $field => $value) {
+                update_post_meta($line_item_id, $field, $value);
+            }
+        }
+
+        // Trigger re-save to fire auto-title hook
+        wp_update_post(['ID' => $line_item_id]);
+
+        Logger::debug('LineItemService', 'Updated line item', [
+            'line_item_id' => $line_item_id,
+            'fields' => array_keys($fields_to_save),
+        ]);
+
+        return true;
+    }
+
+    /**
+     * Permanently delete a line item.
+     *
+     * @param int $line_item_id Line item post ID.
+     * @return bool True on success.
+     */
+    public static function delete(int $line_item_id): bool {
+        if (get_post_type($line_item_id) !== 'invoice_line_item') {
+            return false;
+        }
+
+        return (bool) wp_delete_post($line_item_id, true);
+    }
+
+    /**
+     * Set an invoice's amount and subtotal to the sum of its line items.
+     *
+     * @param int $invoice_id Invoice post ID.
+     * @return float The new amount.
+     */
+    public static function syncInvoiceAmount(int $invoice_id): float {
+        $total = round(self::getTotalAmount($invoice_id), 2);
+
+        update_post_meta($invoice_id, 'amount', $total);
+        update_post_meta($invoice_id, 'subtotal', $total);
+
+        Logger::debug('LineItemService', 'Synced invoice amount from line items', [
+            'invoice_id' => $invoice_id,
+            'amount' => $total,
+        ]);
+
+        return $total;
+    }
+
     /**
      * Get line item count for an invoice.
      *
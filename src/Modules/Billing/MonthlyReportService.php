@@ -66,6 +66,18 @@ class MonthlyReportService {
         $month_start = date('Y-m-d', $month_timestamp);
         $month_end = date('Y-m-t', $month_timestamp); // Last day of month
 
+        return self::getOrgTimeEntries((int) $org_id, $month_start, $month_end);
+    }
+
+    /**
+     * Get an organization's Service Request time entries within a date range.
+     *
+     * @param int    $org_id     Organization post ID.
+     * @param string $start_date First day (Y-m-d).
+     * @param string $end_date   Last day (Y-m-d).
+     * @return array Array of time entry post objects, oldest first.
+     */
+    public static function getOrgTimeEntries(int $org_id, string $start_date, string $end_date): array {
         // Get all Service Requests for this organization
         $srs = get_posts([
             'post_type' => 'service_request',
@@ -97,7 +109,7 @@ class MonthlyReportService {
                 ],
                 [
                     'key' => 'entry_date',
-                    'value' => [$month_start, $month_end],
+                    'value' => [$start_date, $end_date],
                     'compare' => 'BETWEEN',
                     'type' => 'DATE',
                 ],
@@ -185,6 +197,70 @@ class MonthlyReportService {
         return (float) Settings::get('default_free_hours', 2.0);
     }
 
+    /**
+     * Get an organization's billable hours and free hours limit for a month.
+     *
+     * Uses the month's report limit when a report exists, otherwise the
+     * org's free_hours, then the default setting (like getFreeHoursLimit()).
+     *
+     * @param int    $org_id Organization post ID.
+     * @param string $date   Any date in the month (Y-m-d).
+     * @return array Array with 'month' (e.g. "November 2025"), 'used' and 'limit' keys.
+     */
+    public static function getOrgMonthUsage(int $org_id, string $date): array {
+        $timestamp = strtotime($date);
+        $month = date('F Y', $timestamp);
+
+        $used = 0.0;
+        foreach (self::getOrgTimeEntries($org_id, date('Y-m-01', $timestamp), date('Y-m-t', $timestamp)) as $entry) {
+            // Skip non-billable entries
+            $billable = get_post_meta($entry->ID, 'billable', true);
+            if ($billable === '0' || $billable === 0 || $billable === false) {
+                continue;
+            }
+
+            $hours = get_post_meta($entry->ID, 'hours', true);
+            if (is_numeric($hours)) {
+                $used += self::roundToQuarterHour((float) $hours);
+            }
+        }
+
+        $reports = get_posts([
+            'post_type' => 'monthly_report',
+            'posts_per_page' => 1,
+            'post_status' => 'publish',
+            'fields' => 'ids',
+            'meta_query' => [
+                'relation' => 'AND',
+                [
+                    'key' => 'organization',
+                    'value' => $org_id,
+                    'compare' => '=',
+                ],
+                [
+                    'key' => 'report_month',
+                    'value' => $month,
+                    'compare' => '=',
+                ],
+            ],
+        ]);
+
+        if (!empty($reports)) {
+            $limit = self::getFreeHoursLimit((int) $reports[0]);
+        } else {
+            $org_limit = get_post_meta($org_id, 'free_hours', true);
+            $limit = (!empty($org_limit) && is_numeric($org_limit))
+                ? (float) $org_limit
+                : (float) Settings::get('default_free_hours', 2.0);
+        }
+
+        return [
+            'month' => $month,
+            'used' => round($used, 2),
+            'limit' => $limit,
+        ];
+    }
+
     /**
      * Get free hours progress data.
      *
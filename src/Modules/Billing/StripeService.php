@@ -3,6 +3,8 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Modules\Billing;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Utils\Settings;
 use BBAB\ServiceCenter\Utils\Logger;
 use WP_Error;
@@ -22,8 +24,20 @@ class StripeService {
      */
     public function register(): void {
         // AJAX handlers for frontend payment (logged-in users only)
-        add_action('wp_ajax_bbab_create_checkout', [$this, 'handleCreateCheckout']);
-        add_action('wp_ajax_bbab_zelle_paid_notification', [$this, 'handleZelleNotification']);
+        add_action(AjaxRouter::REGISTER_HOOK, [$this, 'registerAjaxHandlers']);
+    }
+
+    /**
+     * Add the payment handlers to the router.
+     *
+     * All require org context; the invoice must belong to that org.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('billing_create_checkout', [$this, 'handleCreateCheckout']);
+        $router->addHandler('billing_zelle_notify', [$this, 'handleZelleNotification']);
+        $router->addHandler('billing_invoice_status', [$this, 'handleInvoiceStatus']);
     }
 
     /**
@@ -98,7 +112,8 @@ class StripeService {
 
         // Build success/cancel URLs using actual permalink (handles slug variations)
         $invoice_permalink = get_permalink($invoice_id);
-        $success_url = add_query_arg('payment', 'success', $invoice_permalink);
+        // Stripe fills in {CHECKOUT_SESSION_ID}, letting the invoice page poll the session
+        $success_url = add_query_arg('payment', 'success', $invoice_permalink) . '&session_id={CHECKOUT_SESSION_ID}';
         $cancel_url = add_query_arg('payment', 'cancelled', $invoice_permalink);
 
         // Create Stripe Checkout Session via API
@@ -152,6 +167,40 @@ class StripeService {
         return $body;
     }
 
+    /**
+     * Retrieve a Checkout Session from Stripe.
+     *
+     * @param string $session_id Checkout Session ID (cs_...).
+     * @return array|WP_Error Session data or error.
+     */
+    public function getCheckoutSession(string $session_id) {
+        if (!Settings::isStripeConfigured()) {
+            return new WP_Error('stripe_not_configured', 'Stripe payment is not configured.');
+        }
+
+        $response = wp_remote_get('https://api.stripe.com/v1/checkout/sessions/' . rawurlencode($session_id), [
+            'headers' => [
+                'Authorization' => 'Bearer ' . Settings::getStripeSecretKey(),
+            ],
+            'timeout' => 15,
+        ]);
+
+        if (is_wp_error($response)) {
+            Logger::error('Stripe', 'Checkout session lookup failed', [
+                'error' => $response->get_error_message(),
+            ]);
+            return $response;
+        }
+
+        $body = json_decode(wp_remote_retrieve_body($response), true);
+
+        if (!is_array($body) || isset($body['error'])) {
+            return new WP_Error('stripe_error', $body['error']['message'] ?? 'Stripe error occurred.');
+        }
+
+        return $body;
+    }
+
     /**
      * Record a payment on an invoice.
      *
@@ -263,69 +312,37 @@ class StripeService {
 
     /**
      * AJAX handler: Create checkout session.
+     *
+     * @param array $data Request data with 'invoice_id' and 'payment_method'.
+     * @return array Checkout URL.
      */
-    public function handleCreateCheckout(): void {
-        // Verify nonce
-        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'bbab_payment_nonce')) {
-            wp_send_json_error(['message' => 'Security check failed.']);
-            return;
-        }
-
-        $invoice_id = absint($_POST['invoice_id'] ?? 0);
-        $payment_method = sanitize_text_field($_POST['payment_method'] ?? 'card');
-
-        if (!$invoice_id) {
-            wp_send_json_error(['message' => 'Invalid invoice.']);
-            return;
-        }
-
-        // Verify user has access to this invoice
-        $user_id = get_current_user_id();
-        $user_org = get_user_meta($user_id, 'organization', true);
-        $invoice_org = get_post_meta($invoice_id, 'organization', true);
+    public function handleCreateCheckout(array $data): array {
+        $invoice_id = $this->requireInvoice($data);
+        $payment_method = sanitize_text_field($data['payment_method'] ?? 'card');
 
-        if (!current_user_can('manage_options') && $user_org != $invoice_org) {
-            wp_send_json_error(['message' => 'Access denied.']);
-            return;
+        if (!in_array($payment_method, ['card', 'ach'], true)) {
+            throw new AjaxException('Invalid payment method.', 400, 'invalid_request');
         }
 
         $session = $this->createCheckoutSession($invoice_id, $payment_method);
 
         if (is_wp_error($session)) {
-            wp_send_json_error(['message' => $session->get_error_message()]);
-            return;
+            throw new AjaxException($session->get_error_message(), 400, (string) $session->get_error_code() ?: 'checkout_failed');
         }
 
-        wp_send_json_success(['checkout_url' => $session['url'] ?? '']);
+        return ['checkout_url' => $session['url'] ?? ''];
     }
 
     /**
      * AJAX handler: Zelle payment notification.
+     *
+     * @param array $data Request data with 'invoice_id'.
+     * @return array Confirmation message.
      */
-    public function handleZelleNotification(): void {
-        // Verify nonce
-        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'bbab_payment_nonce')) {
-            wp_send_json_error(['message' => 'Security check failed.']);
-            return;
-        }
-
-        $invoice_id = absint($_POST['invoice_id'] ?? 0);
-
-        if (!$invoice_id) {
-            wp_send_json_error(['message' => 'Invalid invoice.']);
-            return;
-        }
-
-        // Verify user has access to this invoice
-        $user_id = get_current_user_id();
-        $user_org = get_user_meta($user_id, 'organization', true);
+    public function handleZelleNotification(array $data): array {
+        $invoice_id = $this->requireInvoice($data);
         $invoice_org = get_post_meta($invoice_id, 'organization', true);
 
-        if (!current_user_can('manage_options') && $user_org != $invoice_org) {
-            wp_send_json_error(['message' => 'Access denied.']);
-            return;
-        }
-
         $invoice_number = get_post_meta($invoice_id, 'invoice_number', true);
         $org_name = $invoice_org ? get_the_title((int) $invoice_org) : 'Unknown';
 
@@ -344,9 +361,103 @@ class StripeService {
                 'invoice_id' => $invoice_id,
                 'org' => $org_name,
             ]);
-            wp_send_json_success(['message' => 'Notification sent.']);
-        } else {
-            wp_send_json_error(['message' => 'Failed to send notification.']);
+            return ['message' => 'Notification sent.'];
+        }
+
+        throw new AjaxException('Failed to send notification.', 500, 'mail_failed');
+    }
+
+    /**
+     * AJAX handler: Payment status after returning from Stripe Checkout.
+     *
+     * Only the webhook marks an invoice paid, so the invoice page polls this
+     * until it has. With a session_id the Checkout Session is checked too, to
+     * tell a payment still in flight from one that failed or was abandoned.
+     *
+     * States:
+     * - paid:         the payment is on the invoice
+     * - processing:   waiting on the webhook (keep polling)
+     * - bank_pending: ACH submitted; clears in a few business days
+     * - failed:       the session was not completed; nothing was charged
+     *
+     * @param array $data Request data with 'invoice_id' and optional 'session_id'.
+     * @return array { state, message, status, amount_paid, balance }.
+     */
+    public function handleInvoiceStatus(array $data): array {
+        $invoice_id = $this->requireInvoice($data);
+        $session_id = sanitize_text_field($data['session_id'] ?? '');
+
+        $status = InvoiceService::getStatus($invoice_id);
+        if ($status === 'Pending' && InvoiceService::isOverdue($invoice_id)) {
+            $status = 'Overdue';
+        }
+
+        $result = [
+            'state' => 'processing',
+            'message' => 'Payment processing. Confirming with Stripe...',
+            'status' => $status,
+            'amount_paid' => InvoiceService::getPaidAmount($invoice_id),
+            'balance' => InvoiceService::getBalance($invoice_id),
+        ];
+
+        if ($result['balance'] <= 0 || InvoiceService::isPaid($invoice_id)) {
+            return array_merge($result, ['state' => 'paid', 'message' => 'Payment received. Thank you!']);
         }
+
+        if ($session_id === '') {
+            return $result;
+        }
+
+        $session = $this->getCheckoutSession($session_id);
+
+        // Can't reach Stripe right now; keep polling on the invoice alone
+        if (is_wp_error($session)) {
+            return $result;
+        }
+
+        if ((int) ($session['metadata']['invoice_id'] ?? 0) !== $invoice_id) {
+            throw new AjaxException('This payment session does not belong to this invoice.', 400, 'invalid_session');
+        }
+
+        // Partial payments leave a balance; the recorded intent shows this one landed
+        $payment_intent = $session['payment_intent'] ?? '';
+        if ($payment_intent && get_post_meta($invoice_id, 'stripe_payment_intent', true) === $payment_intent) {
+            return array_merge($result, ['state' => 'paid', 'message' => 'Payment received. Thank you!']);
+        }
+
+        if (($session['status'] ?? '') !== 'complete') {
+            return array_merge($result, [
+                'state' => 'failed',
+                'message' => 'Your payment was not completed and you have not been charged. You can try again below.',
+            ]);
+        }
+
+        if (($session['payment_status'] ?? '') === 'unpaid') {
+            return array_merge($result, [
+                'state' => 'bank_pending',
+                'message' => 'Your bank transfer has been submitted. ACH payments take 3-5 business days to clear, and this invoice will update when it does. Please do not pay again.',
+            ]);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Read the invoice ID from a request and check it belongs to the current org.
+     *
+     * @param array $data Request data with 'invoice_id'.
+     * @return int Invoice post ID.
+     * @throws AjaxException If missing or not accessible.
+     */
+    private function requireInvoice(array $data): int {
+        $invoice_id = absint($data['invoice_id'] ?? 0);
+
+        if (!$invoice_id || get_post_type($invoice_id) !== 'invoice') {
+            throw new AjaxException('Invalid invoice.', 400, 'invalid_request');
+        }
+
+        AjaxRouter::requirePostInCurrentOrg($invoice_id);
+
+        return $invoice_id;
     }
 }
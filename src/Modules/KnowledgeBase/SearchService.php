@@ -0,0 +1,191 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Modules\KnowledgeBase;
+
+use BBAB\ServiceCenter\Utils\Logger;
+
+/**
+ * Knowledge Base search helpers.
+ *
+ * Handles:
+ * - Splitting a search into terms and highlighting them in titles and snippets
+ * - Building a content snippet around the first match
+ * - Logging searches that found nothing, so we know which articles to write
+ *
+ * Visibility (which articles a client may see) stays with KBArchive, which
+ * owns the category rules.
+ */
+class SearchService {
+
+    /**
+     * Option holding searches without results, keyed by normalized query.
+     */
+    private const MISS_OPTION = 'bbab_sc_kb_search_misses';
+
+    /**
+     * Distinct missed searches kept (least recently searched drop off).
+     */
+    private const MISS_LIMIT = 200;
+
+    /**
+     * Shortest search worth logging.
+     */
+    private const MISS_MIN_LENGTH = 3;
+
+    /**
+     * Split a search into the terms to highlight.
+     *
+     * @param string $search Search query.
+     * @return array Unique terms, longest first (so overlapping terms highlight the longer one).
+     */
+    public static function getTerms(string $search): array {
+        $terms = preg_split('/\s+/u', trim(str_replace('"', ' ', $search))) ?: [];
+        $terms = array_unique(array_filter($terms, function (string $term): bool {
+            return mb_strlen($term) >= 2;
+        }));
+
+        usort($terms, function (string $a, string $b): int {
+            return mb_strlen($b) <=> mb_strlen($a);
+        });
+
+        return $terms;
+    }
+
+    /**
+     * Escape text for HTML and wrap each search term in <mark>.
+     *
+     * @param string $text   Plain text.
+     * @param string $search Search query.
+     * @return string Safe HTML.
+     */
+    public static function highlight(string $text, string $search): string {
+        $terms = self::getTerms($search);
+
+        if (empty($terms)) {
+            return esc_html($text);
+        }
+
+        $pattern = '/(' . implode('|', array_map(function (string $term): string {
+            return preg_quote($term, '/');
+        }, $terms)) . ')/iu';
+
+        $parts = preg_split($pattern, $text, -1, PREG_SPLIT_DELIM_CAPTURE) ?: [$text];
+        $html = '';
+
+        foreach ($parts as $index => $part) {
+            // Odd indexes are the captured matches
+            $html .= $index % 2 ? '<mark>' . esc_html($part) . '</mark>' : esc_html($part);
+        }
+
+        return $html;
+    }
+
+    /**
+     * Get a plain-text snippet of article content around the first match.
+     *
+     * @param string $content Article content (HTML).
+     * @param string $search  Search query.
+     * @param int    $length  Snippet length in characters.
+     * @return string Plain text, with ellipses where it was cut.
+     */
+    public static function getSnippet(string $content, string $search, int $length = 160): string {
+        $text = trim(preg_replace('/\s+/u', ' ', wp_strip_all_tags(strip_shortcodes($content))) ?? '');
+        $first = null;
+
+        foreach (self::getTerms($search) as $term) {
+            $position = mb_stripos($text, $term);
+            if ($position !== false) {
+                $first = $first === null ? $position : min($first, $position);
+            }
+        }
+
+        // Show a little context before the match
+        $start = max(0, (int) $first - (int) ($length / 4));
+        $snippet = mb_substr($text, $start, $length);
+
+        if ($start > 0) {
+            $snippet = '…' . ltrim($snippet);
+        }
+        if ($start + $length < mb_strlen($text)) {
+            $snippet = rtrim($snippet) . '…';
+        }
+
+        return $snippet;
+    }
+
+    /**
+     * Record a search that found no articles.
+     *
+     * @param string $search Search query.
+     * @param int    $org_id Organization that searched.
+     */
+    public static function logMiss(string $search, int $org_id): void {
+        $query = self::normalize($search);
+
+        if (mb_strlen($query) < self::MISS_MIN_LENGTH) {
+            return;
+        }
+
+        $misses = self::getMisses();
+        $now = time();
+        $miss = $misses[$query] ?? [
+            'query' => $query,
+            'count' => 0,
+            'first_seen' => $now,
+            'last_seen' => $now,
+            'org_ids' => [],
+        ];
+
+        $miss['count']++;
+        $miss['last_seen'] = $now;
+        if ($org_id && !in_array($org_id, $miss['org_ids'], true)) {
+            $miss['org_ids'][] = $org_id;
+        }
+
+        unset($misses[$query]);
+        $misses = [$query => $miss] + $misses;
+
+        update_option(self::MISS_OPTION, array_slice($misses, 0, self::MISS_LIMIT, true), false);
+
+        Logger::debug('KnowledgeBase', 'Search with no results', ['query' => $query, 'org_id' => $org_id]);
+    }
+
+    /**
+     * Get logged searches without results.
+     *
+     * @param bool $by_count Sort by how often they were searched (otherwise most recent first).
+     * @return array Misses keyed by query: { query, count, first_seen, last_seen, org_ids }.
+     */
+    public static function getMisses(bool $by_count = false): array {
+        $misses = get_option(self::MISS_OPTION, []);
+        $misses = is_array($misses) ? $misses : [];
+
+        if ($by_count) {
+            uasort($misses, function (array $a, array $b): int {
+                return [$b['count'], $b['last_seen']] <=> [$a['count'], $a['last_seen']];
+            });
+        }
+
+        return $misses;
+    }
+
+    /**
+     * Remove a search from the log (answered, or not worth an article).
+     *
+     * @param string $search Search query.
+     */
+    public static function dismissMiss(string $search): void {
+        $misses = self::getMisses();
+        unset($misses[self::normalize($search)]);
+
+        update_option(self::MISS_OPTION, $misses, false);
+    }
+
+    /**
+     * Normalize a search for logging: lowercase, single spaces.
+     */
+    private static function normalize(string $search): string {
+        return mb_strtolower(trim(preg_replace('/\s+/u', ' ', $search) ?? ''));
+    }
+}
@@ -0,0 +1,556 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Modules\Notifications;
+
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Modules\Roadmap\RoadmapCard;
+use BBAB\ServiceCenter\Utils\Logger;
+use BBAB\ServiceCenter\Utils\UserContext;
+
+/**
+ * In-portal notification center.
+ *
+ * Handles:
+ * - Raising events for an organization when Brad changes something the
+ *   client should see: SR status changes and staff replies, new invoices,
+ *   new roadmap ideas and proposals, new action items (client tasks)
+ * - Per-user read/dismissed state
+ * - The AjaxRouter handlers behind the dashboard bell
+ *
+ * Events are stored on the organization in '_bbab_notifications' (newest
+ * first, capped at MAX_EVENTS). Read and dismissed IDs are kept per user in
+ * STATE_META, keyed by org, so simulation and multi-user orgs work.
+ *
+ * Saves are checked once at shutdown, after Pods has written every field
+ * and relationship. Each post remembers what it was last notified for, so
+ * re-saving without a change raises nothing. Posts saved before that record
+ * existed have none; unless they were just published, their first check
+ * only records their state.
+ */
+class NotificationService {
+
+    /**
+     * Org meta holding the event list.
+     */
+    private const EVENTS_META = '_bbab_notifications';
+
+    /**
+     * User meta holding read/dismissed state per org.
+     */
+    private const STATE_META = 'bbab_sc_notification_state';
+
+    /**
+     * Post meta remembering the state a post was last notified for.
+     */
+    private const NOTIFIED_META = '_bbab_notified_state';
+
+    /**
+     * NOTIFIED_META value for a post checked while it had no notifiable state.
+     */
+    private const NO_STATE = 'none';
+
+    /**
+     * Events kept per organization.
+     */
+    private const MAX_EVENTS = 50;
+
+    /**
+     * Seconds between bell polls.
+     */
+    public const POLL_INTERVAL = 60;
+
+    /**
+     * Meta keys whose change should be checked, by post type.
+     */
+    private const WATCHED_META = [
+        'service_request' => 'request_status',
+        'invoice' => 'invoice_status',
+        'roadmap_item' => 'roadmap_status',
+        'client_task' => 'task_status',
+    ];
+
+    /**
+     * Posts saved during this request, checked at shutdown.
+     *
+     * @var array<int, true>
+     */
+    private static array $queue = [];
+
+    /**
+     * Posts published during this request.
+     *
+     * @var array<int, true>
+     */
+    private static array $published = [];
+
+    /**
+     * Register hooks.
+     */
+    public static function register(): void {
+        foreach (array_keys(self::WATCHED_META) as $post_type) {
+            add_action('save_post_' . $post_type, [self::class, 'queuePost']);
+        }
+
+        add_action('transition_post_status', [self::class, 'trackPublished'], 10, 3);
+
+        // Status updates made in code (e.g. ServiceRequestService::updateStatus) skip save_post
+        add_action('added_post_meta', [self::class, 'queueMetaChange'], 10, 3);
+        add_action('updated_post_meta', [self::class, 'queueMetaChange'], 10, 3);
+
+        add_action('bbab_sc_sr_reply_added', [self::class, 'onReplyAdded'], 10, 2);
+        add_action('shutdown', [self::class, 'processQueue']);
+
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerHandlers']);
+
+        Logger::debug('NotificationService', 'Registered notification hooks');
+    }
+
+    /**
+     * Add the bell handlers to the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerHandlers(AjaxRouter $router): void {
+        $router->addHandler('notifications_list', [self::class, 'handleList']);
+        $router->addHandler('notifications_mark_read', [self::class, 'handleMarkRead']);
+        $router->addHandler('notifications_dismiss', [self::class, 'handleDismiss']);
+    }
+
+    /**
+     * Queue a saved post for checking.
+     *
+     * @param int $post_id Post ID.
+     */
+    public static function queuePost(int $post_id): void {
+        if (wp_is_post_revision($post_id) || wp_is_post_autosave($post_id)) {
+            return;
+        }
+
+        self::$queue[$post_id] = true;
+    }
+
+    /**
+     * Remember posts published in this request, so their first check can notify.
+     *
+     * @param string   $new_status New post status.
+     * @param string   $old_status Old post status.
+     * @param \WP_Post $post       Post.
+     */
+    public static function trackPublished(string $new_status, string $old_status, \WP_Post $post): void {
+        if ($new_status === 'publish' && $old_status !== 'publish' && isset(self::WATCHED_META[$post->post_type])) {
+            self::$published[$post->ID] = true;
+        }
+    }
+
+    /**
+     * Queue a post when one of the watched status fields changes.
+     *
+     * @param int    $meta_id  Meta ID.
+     * @param int    $post_id  Post ID.
+     * @param string $meta_key Meta key.
+     */
+    public static function queueMetaChange($meta_id, $post_id, $meta_key): void {
+        $post_type = get_post_type((int) $post_id);
+
+        if ($post_type && (self::WATCHED_META[$post_type] ?? '') === $meta_key) {
+            self::$queue[(int) $post_id] = true;
+        }
+    }
+
+    /**
+     * Raise events for every queued post.
+     */
+    public static function processQueue(): void {
+        $queue = array_keys(self::$queue);
+        self::$queue = [];
+
+        foreach ($queue as $post_id) {
+            try {
+                self::checkPost($post_id);
+            } catch (\Throwable $e) {
+                Logger::error('NotificationService', 'Notification check failed', [
+                    'post_id' => $post_id,
+                    'error' => $e->getMessage(),
+                ]);
+            }
+        }
+    }
+
+    /**
+     * Notify the org when staff reply on a service request.
+     *
+     * @param int   $sr_id Service request ID.
+     * @param array $reply Stored reply (see ReplyService::addReply()).
+     */
+    public static function onReplyAdded(int $sr_id, array $reply): void {
+        if (empty($reply['is_staff'])) {
+            return;
+        }
+
+        $ref = get_post_meta($sr_id, 'reference_number', true);
+
+        self::add((int) get_post_meta($sr_id, 'organization', true), [
+            'type' => 'sr_reply',
+            'object_id' => $sr_id,
+            'title' => sprintf('New reply on %s', $ref),
+            'message' => wp_trim_words($reply['message'] ?: 'Brad attached a file.', 20),
+            'url' => get_permalink($sr_id) . '#sr-replies',
+        ]);
+    }
+
+    /**
+     * Raise an event for a post if it reached a state clients should hear about.
+     *
+     * @param int $post_id Post ID.
+     */
+    private static function checkPost(int $post_id): void {
+        $post = get_post($post_id);
+
+        if (!$post || $post->post_status !== 'publish') {
+            return;
+        }
+
+        $state = self::getNotifiableState($post);
+        $last = (string) get_post_meta($post_id, self::NOTIFIED_META, true);
+
+        if ($state === null) {
+            // Mark the post as checked, so a later state counts as a change
+            if ($last === '') {
+                update_post_meta($post_id, self::NOTIFIED_META, self::NO_STATE);
+            }
+            return;
+        }
+
+        if ($state === $last) {
+            return;
+        }
+
+        update_post_meta($post_id, self::NOTIFIED_META, $state);
+
+        // Nothing recorded on an older post: its current state isn't news
+        if ($last === '' && !isset(self::$published[$post_id])) {
+            return;
+        }
+
+        // A new request is created by the client, who doesn't need telling
+        if ($post->post_type === 'service_request' && $last === '' && $state === 'New') {
+            return;
+        }
+
+        $event = self::buildEvent($post, $state);
+        if ($event) {
+            self::add($event['org_id'], $event);
+        }
+    }
+
+    /**
+     * The state of a post that events are raised for, or null when it has none yet.
+     *
+     * @param \WP_Post $post Post.
+     * @return string|null
+     */
+    private static function getNotifiableState(\WP_Post $post): ?string {
+        $status = (string) get_post_meta($post->ID, self::WATCHED_META[$post->post_type], true);
+
+        switch ($post->post_type) {
+            case 'service_request':
+                return $status !== '' ? $status : null;
+
+            case 'invoice':
+                // Clients never see Draft or Cancelled invoices
+                return in_array($status, ['', 'Draft', 'Cancelled'], true) ? null : 'issued';
+
+            case 'roadmap_item':
+                if ($status === 'Idea' && RoadmapCard::isAdminSubmitted($post->ID)) {
+                    return 'Idea';
+                }
+                return $status === 'Proposed' ? 'Proposed' : null;
+
+            case 'client_task':
+                return $status === 'Pending' ? 'Pending' : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the event for a post's new state.
+     *
+     * @param \WP_Post $post  Post.
+     * @param string   $state State from getNotifiableState().
+     * @return array|null Event with 'org_id', or null without an org.
+     */
+    private static function buildEvent(\WP_Post $post, string $state): ?array {
+        $dashboard = home_url('/client-dashboard/');
+
+        switch ($post->post_type) {
+            case 'service_request':
+                $event = [
+                    'org_id' => (int) get_post_meta($post->ID, 'organization', true),
+                    'type' => 'sr_status',
+                    'title' => sprintf('%s is now %s', get_post_meta($post->ID, 'reference_number', true), $state),
+                    'message' => (string) get_post_meta($post->ID, 'subject', true),
+                    'url' => get_permalink($post->ID),
+                ];
+                break;
+
+            case 'invoice':
+                $event = [
+                    'org_id' => (int) get_post_meta($post->ID, 'organization', true),
+                    'type' => 'invoice',
+                    'title' => sprintf('New invoice %s', get_post_meta($post->ID, 'invoice_number', true)),
+                    'message' => sprintf('$%s due %s', number_format((float) get_post_meta($post->ID, 'amount', true), 2), self::formatDate((string) get_post_meta($post->ID, 'due_date', true))),
+                    'url' => get_permalink($post->ID),
+                ];
+                break;
+
+            case 'roadmap_item':
+                $event = [
+                    'org_id' => RoadmapCard::getItemOrgId($post->ID),
+                    'type' => 'roadmap',
+                    'title' => $state === 'Proposed' ? 'Proposal ready for your review' : 'New idea for your review',
+                    'message' => $post->post_title,
+                    'url' => $dashboard . '#roadmap-item-' . $post->ID,
+                ];
+                break;
+
+            case 'client_task':
+                $assigned = (int) get_post_meta($post->ID, 'assigned_user', true);
+                $event = [
+                    'org_id' => self::getTaskOrgId($post->ID),
+                    'type' => 'client_task',
+                    'title' => 'New action item from Brad',
+                    'message' => wp_trim_words((string) get_post_meta($post->ID, 'task_description', true), 20),
+                    'url' => $dashboard . '#client-task-' . $post->ID,
+                    // Same audience as the Action Items list: unassigned, or the assignee only
+                    'user_id' => $assigned ?: 0,
+                ];
+                break;
+
+            default:
+                return null;
+        }
+
+        $event['object_id'] = $post->ID;
+
+        return $event['org_id'] ? $event : null;
+    }
+
+    /**
+     * Add an event to an organization.
+     *
+     * @param int   $org_id Organization ID.
+     * @param array $event  { type, object_id, title, message, url, user_id? }.
+     */
+    public static function add(int $org_id, array $event): void {
+        if (!$org_id) {
+            return;
+        }
+
+        $events = self::getEvents($org_id);
+
+        array_unshift($events, [
+            'id' => wp_generate_uuid4(),
+            'type' => $event['type'],
+            'object_id' => (int) ($event['object_id'] ?? 0),
+            'title' => $event['title'],
+            'message' => $event['message'] ?? '',
+            'url' => $event['url'] ?? '',
+            'user_id' => (int) ($event['user_id'] ?? 0),
+            'date' => current_time('mysql'),
+        ]);
+
+        update_post_meta($org_id, self::EVENTS_META, array_slice($events, 0, self::MAX_EVENTS));
+
+        Logger::debug('NotificationService', "Notification '{$event['type']}' added for org {$org_id}");
+    }
+
+    /**
+     * AJAX: List the current user's notifications for the current org.
+     *
+     * @param array $data Unused.
+     * @return array { notifications: list of { id, type, title, message, url, date, read }, unread }
+     */
+    public static function handleList(array $data): array {
+        return self::buildList((int) UserContext::getCurrentOrgId(), get_current_user_id());
+    }
+
+    /**
+     * AJAX: Mark notifications read.
+     *
+     * @param array $data Request data with 'ids', or 'all' => true.
+     * @return array Updated list, as handleList().
+     */
+    public static function handleMarkRead(array $data): array {
+        $org_id = (int) UserContext::getCurrentOrgId();
+        $user_id = get_current_user_id();
+
+        $ids = !empty($data['all'])
+            ? array_column(self::getVisibleEvents($org_id, $user_id), 'id')
+            : array_map('sanitize_text_field', (array) ($data['ids'] ?? []));
+
+        self::updateState($org_id, $user_id, 'read', $ids);
+
+        return self::buildList($org_id, $user_id);
+    }
+
+    /**
+     * AJAX: Dismiss a notification.
+     *
+     * @param array $data Request data with 'id'.
+     * @return array Updated list, as handleList().
+     * @throws AjaxException When no ID is given.
+     */
+    public static function handleDismiss(array $data): array {
+        $id = sanitize_text_field($data['id'] ?? '');
+
+        if ($id === '') {
+            throw new AjaxException('Invalid request: No notification ID', 400, 'invalid_request');
+        }
+
+        $org_id = (int) UserContext::getCurrentOrgId();
+        $user_id = get_current_user_id();
+
+        self::updateState($org_id, $user_id, 'dismissed', [$id]);
+
+        return self::buildList($org_id, $user_id);
+    }
+
+    /**
+     * Build the bell payload for a user.
+     *
+     * @param int $org_id  Organization ID.
+     * @param int $user_id User ID.
+     * @return array { notifications, unread }
+     */
+    private static function buildList(int $org_id, int $user_id): array {
+        $state = self::getState($org_id, $user_id);
+        $notifications = [];
+        $unread = 0;
+
+        foreach (self::getVisibleEvents($org_id, $user_id) as $event) {
+            $read = in_array($event['id'], $state['read'], true);
+            $unread += $read ? 0 : 1;
+
+            $notifications[] = [
+                'id' => $event['id'],
+                'type' => $event['type'],
+                'title' => $event['title'],
+                'message' => $event['message'],
+                'url' => $event['url'],
+                'date' => human_time_diff(strtotime($event['date']), current_time('timestamp')) . ' ago',
+                'read' => $read,
+            ];
+        }
+
+        return [
+            'notifications' => $notifications,
+            'unread' => $unread,
+        ];
+    }
+
+    /**
+     * Events for an org that a user may see and has not dismissed.
+     *
+     * @param int $org_id  Organization ID.
+     * @param int $user_id User ID.
+     * @return array
+     */
+    private static function getVisibleEvents(int $org_id, int $user_id): array {
+        $dismissed = self::getState($org_id, $user_id)['dismissed'];
+
+        return array_values(array_filter(self::getEvents($org_id), function (array $event) use ($user_id, $dismissed): bool {
+            if (!empty($event['user_id']) && (int) $event['user_id'] !== $user_id) {
+                return false;
+            }
+
+            return !in_array($event['id'], $dismissed, true);
+        }));
+    }
+
+    /**
+     * Get an organization's stored events.
+     *
+     * @param int $org_id Organization ID.
+     * @return array
+     */
+    private static function getEvents(int $org_id): array {
+        $events = $org_id ? get_post_meta($org_id, self::EVENTS_META, true) : [];
+
+        return is_array($events) ? $events : [];
+    }
+
+    /**
+     * Get a user's read/dismissed IDs for an org.
+     *
+     * @param int $org_id  Organization ID.
+     * @param int $user_id User ID.
+     * @return array { read: string[], dismissed: string[] }
+     */
+    private static function getState(int $org_id, int $user_id): array {
+        $all = get_user_meta($user_id, self::STATE_META, true);
+        $state = is_array($all) && isset($all[$org_id]) ? $all[$org_id] : [];
+
+        return [
+            'read' => (array) ($state['read'] ?? []),
+            'dismissed' => (array) ($state['dismissed'] ?? []),
+        ];
+    }
+
+    /**
+     * Add IDs to a user's read or dismissed list.
+     *
+     * Both lists are trimmed to events that still exist, so they never
+     * outgrow the event list.
+     *
+     * @param int      $org_id  Organization ID.
+     * @param int      $user_id User ID.
+     * @param string   $list    'read' or 'dismissed'.
+     * @param string[] $ids     Event IDs.
+     */
+    private static function updateState(int $org_id, int $user_id, string $list, array $ids): void {
+        $all = get_user_meta($user_id, self::STATE_META, true);
+        if (!is_array($all)) {
+            $all = [];
+        }
+
+        $state = self::getState($org_id, $user_id);
+        $state[$list] = array_merge($state[$list], $ids);
+
+        $existing = array_column(self::getEvents($org_id), 'id');
+        foreach ($state as $key => $values) {
+            $state[$key] = array_values(array_intersect(array_unique($values), $existing));
+        }
+
+        $all[$org_id] = $state;
+        update_user_meta($user_id, self::STATE_META, $all);
+    }
+
+    /**
+     * Get the organization of a client task (Pods relationship).
+     *
+     * @param int $task_id Client task ID.
+     * @return int Organization ID or 0.
+     */
+    private static function getTaskOrgId(int $task_id): int {
+        global $wpdb;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT related_item_id FROM {$wpdb->prefix}podsrel
+             WHERE item_id = %d AND field_id = 1320",
+            $task_id
+        ));
+    }
+
+    /**
+     * Format a stored date for a notification message.
+     *
+     * @param string $date Date in any strtotime() format.
+     * @return string
+     */
+    private static function formatDate(string $date): string {
+        return $date !== '' && strtotime($date) ? date('M j, Y', strtotime($date)) : 'on receipt';
+    }
+}
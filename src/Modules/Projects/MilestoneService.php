@@ -3,6 +3,7 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Modules\Projects;
 
+use BBAB\ServiceCenter\Utils\Cache;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
@@ -29,6 +30,17 @@ class MilestoneService {
     public const WORK_WAITING = 'Waiting for Client';
     public const WORK_COMPLETED = 'Completed';
 
+    /**
+     * Work statuses in workflow order.
+     */
+    public const WORK_STATUSES = [
+        self::WORK_PLANNED,
+        self::WORK_IN_PROGRESS,
+        self::WORK_ON_HOLD,
+        self::WORK_WAITING,
+        self::WORK_COMPLETED,
+    ];
+
     /**
      * Payment status values (CALCULATED, never stored).
      */
@@ -112,6 +124,84 @@ class MilestoneService {
         return get_post_meta($milestone_id, 'milestone_status', true) ?: self::WORK_PLANNED;
     }
 
+    /**
+     * Set the work status for a milestone.
+     *
+     * @param int    $milestone_id Milestone post ID.
+     * @param string $status       One of WORK_STATUSES.
+     * @return bool False when the status is not a known work status.
+     */
+    public static function setWorkStatus(int $milestone_id, string $status): bool {
+        if (!in_array($status, self::WORK_STATUSES, true)) {
+            return false;
+        }
+
+        update_post_meta($milestone_id, 'milestone_status', $status);
+        Cache::invalidateMilestoneCache($milestone_id);
+
+        Logger::debug('MilestoneService', "Set milestone {$milestone_id} work status to {$status}");
+
+        return true;
+    }
+
+    /**
+     * Get milestone due date.
+     *
+     * @param int $milestone_id Milestone post ID.
+     * @return string Due date (Y-m-d) or empty string.
+     */
+    public static function getDueDate(int $milestone_id): string {
+        return (string) get_post_meta($milestone_id, 'due_date', true);
+    }
+
+    /**
+     * Reassign a project's existing order values in the given order.
+     *
+     * The list must hold every milestone of the project exactly once, so a
+     * stale board can't leave two milestones sharing an order. The values
+     * already in use are handed out again from lowest to highest (bumped only
+     * where two would tie), so the project's highest order never drops:
+     * the next milestone's order, and so its reference number, stays unused.
+     * Reference numbers are not regenerated.
+     *
+     * @param int   $project_id    Project post ID.
+     * @param array $milestone_ids Milestone IDs in their new order.
+     * @return array|\WP_Error New orders keyed by milestone ID, or an error.
+     */
+    public static function reorder(int $project_id, array $milestone_ids): array|\WP_Error {
+        $milestone_ids = array_map('absint', array_values($milestone_ids));
+        $current = array_map('intval', wp_list_pluck(self::getForProject($project_id), 'ID'));
+
+        if (count($milestone_ids) !== count(array_unique($milestone_ids))
+            || array_diff($milestone_ids, $current)
+            || array_diff($current, $milestone_ids)) {
+            return new \WP_Error('stale_order', 'The milestone list has changed. Reload the page and try again.');
+        }
+
+        $values = array_map(function (int $milestone_id): int {
+            return (int) get_post_meta($milestone_id, 'milestone_order', true);
+        }, $milestone_ids);
+        sort($values);
+
+        $orders = [];
+        $previous = 0;
+        foreach ($milestone_ids as $index => $milestone_id) {
+            $orders[$milestone_id] = $previous = max($values[$index], $previous + 1);
+
+            if ((string) get_post_meta($milestone_id, 'milestone_order', true) !== (string) $orders[$milestone_id]) {
+                update_post_meta($milestone_id, 'milestone_order', $orders[$milestone_id]);
+            }
+        }
+
+        if ($milestone_ids) {
+            Cache::invalidateMilestoneCache($milestone_ids[0]);
+        }
+
+        Logger::debug('MilestoneService', "Reordered milestones for project {$project_id}", ['order' => $milestone_ids]);
+
+        return $orders;
+    }
+
     /**
      * Get milestone amount.
      *
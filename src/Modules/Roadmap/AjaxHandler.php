@@ -3,6 +3,9 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Modules\Roadmap;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Utils\Cache;
 use BBAB\ServiceCenter\Utils\UserContext;
 use BBAB\ServiceCenter\Utils\Logger;
 
@@ -13,161 +16,362 @@ use BBAB\ServiceCenter\Utils\Logger;
  * - "I'm Interested" - Moves Idea to ADR In Progress
  * - "Decline" - Marks item as Declined
  * - "Approve" - Marks proposed item as Approved
+ * - "Undo" - Reverts the last vote within UNDO_WINDOW seconds
  *
- * All actions verify org membership before processing.
+ * Each vote can carry an optional client comment, stored on the item in
+ * 'client_comments'. Admin notification emails are deferred until the undo
+ * window has passed, and cancelled if the vote is undone.
+ *
+ * Runs through AjaxRouter (nonce + org context); each action also
+ * verifies the item belongs to the current org.
  *
  * Migrated from: WPCode Snippet #1953
  */
 class AjaxHandler {
 
+    /**
+     * Seconds a client has to undo a vote.
+     */
+    public const UNDO_WINDOW = 10;
+
+    /**
+     * Extra seconds the server allows for request latency.
+     */
+    private const UNDO_GRACE = 5;
+
+    /**
+     * Longest comment accepted with a vote.
+     */
+    public const COMMENT_MAX_LENGTH = 1000;
+
+    /**
+     * Meta key holding the undo snapshot for the last vote.
+     */
+    private const UNDO_META = '_roadmap_vote_undo';
+
+    /**
+     * Cron hook for deferred notification emails.
+     */
+    private const EMAIL_HOOK = 'bbab_sc_roadmap_vote_email';
+
+    /**
+     * Vote definitions: allowed starting statuses, new status, date field,
+     * client message and deferred email (if any).
+     */
+    private const VOTES = [
+        'interested' => [
+            'from' => ['Idea'],
+            'to' => 'ADR In Progress',
+            'date_field' => '',
+            'message' => 'Thanks! Brad will prepare a proposal.',
+            'email' => true,
+        ],
+        'decline' => [
+            'from' => ['Idea', 'Proposed'],
+            'to' => 'Declined',
+            'date_field' => 'declined_date',
+            'message' => 'Got it. Maybe another time!',
+            'email' => false,
+        ],
+        'approve' => [
+            'from' => ['Proposed'],
+            'to' => 'Approved',
+            'date_field' => 'approved_date',
+            'message' => 'Approved! Brad will be in touch about next steps.',
+            'email' => true,
+        ],
+    ];
+
     /**
      * Register AJAX hooks.
      */
     public static function register(): void {
-        // Register AJAX actions (logged-in users only)
-        add_action('wp_ajax_roadmap_interested', [self::class, 'handleInterested']);
-        add_action('wp_ajax_roadmap_decline', [self::class, 'handleDecline']);
-        add_action('wp_ajax_roadmap_approve', [self::class, 'handleApprove']);
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerHandlers']);
+        add_action(self::EMAIL_HOOK, [self::class, 'sendVoteEmail'], 10, 5);
 
         Logger::debug('RoadmapAjaxHandler', 'Registered AJAX handlers');
     }
 
+    /**
+     * Add the roadmap handlers to the router.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerHandlers(AjaxRouter $router): void {
+        $router->addHandler('roadmap_interested', [self::class, 'handleInterested']);
+        $router->addHandler('roadmap_decline', [self::class, 'handleDecline']);
+        $router->addHandler('roadmap_approve', [self::class, 'handleApprove']);
+        $router->addHandler('roadmap_revert', [self::class, 'handleRevert']);
+    }
+
     /**
      * Handle "I'm Interested" action.
      *
      * Moves item from Idea to ADR In Progress.
+     *
+     * @param array $data Request data with 'item_id' and optional 'comment'.
+     * @return array Response data.
      */
-    public static function handleInterested(): void {
-        $item_id = isset($_POST['item_id']) ? absint($_POST['item_id']) : 0;
+    public static function handleInterested(array $data): array {
+        return self::vote('interested', $data);
+    }
 
-        // Validate request
-        $validation = self::validateRequest($item_id, 'interest');
-        if (is_wp_error($validation)) {
-            wp_send_json_error(['message' => $validation->get_error_message()]);
-            return;
+    /**
+     * Handle "Decline" action.
+     *
+     * Works for both Idea and Proposed stages.
+     *
+     * @param array $data Request data with 'item_id' and optional 'comment'.
+     * @return array Response data.
+     */
+    public static function handleDecline(array $data): array {
+        return self::vote('decline', $data);
+    }
+
+    /**
+     * Handle "Approve" action.
+     *
+     * Moves item from Proposed to Approved.
+     *
+     * @param array $data Request data with 'item_id' and optional 'comment'.
+     * @return array Response data.
+     */
+    public static function handleApprove(array $data): array {
+        return self::vote('approve', $data);
+    }
+
+    /**
+     * Handle "Undo" for the last vote on an item.
+     *
+     * Restores the previous status and dates, removes the vote's comment
+     * and cancels its pending email.
+     *
+     * @param array $data Request data with 'item_id'.
+     * @return array Response data with the restored card.
+     */
+    public static function handleRevert(array $data): array {
+        $item_id = absint($data['item_id'] ?? 0);
+
+        self::validateRequest($item_id);
+
+        $undo = get_post_meta($item_id, self::UNDO_META, true);
+        $status = get_post_meta($item_id, 'roadmap_status', true);
+
+        if (!is_array($undo) || empty($undo['vote']) || !isset(self::VOTES[$undo['vote']])) {
+            throw new AjaxException('There is nothing to undo.', 409, 'nothing_to_undo');
         }
 
-        // Update status to ADR In Progress
-        update_post_meta($item_id, 'roadmap_status', 'ADR In Progress');
+        if ((int) $undo['user_id'] !== get_current_user_id()
+            || time() - (int) $undo['time'] > self::UNDO_WINDOW + self::UNDO_GRACE
+            || $status !== self::VOTES[$undo['vote']]['to']
+        ) {
+            throw new AjaxException('This change can no longer be undone.', 409, 'undo_expired');
+        }
+
+        update_post_meta($item_id, 'roadmap_status', $undo['previous_status']);
+
+        foreach ($undo['previous_dates'] as $field => $value) {
+            if ($value === '') {
+                delete_post_meta($item_id, $field);
+            } else {
+                update_post_meta($item_id, $field, $value);
+            }
+        }
+
+        if (!empty($undo['comment_added'])) {
+            $comments = get_post_meta($item_id, 'client_comments', true);
+            if (is_array($comments)) {
+                array_pop($comments);
+                update_post_meta($item_id, 'client_comments', $comments);
+            }
+        }
 
-        Logger::info('RoadmapAjax', 'Client expressed interest', [
+        if (!empty($undo['email_time'])) {
+            wp_unschedule_event((int) $undo['email_time'], self::EMAIL_HOOK, $undo['email_args']);
+        }
+
+        delete_post_meta($item_id, self::UNDO_META);
+
+        // Meta writes don't fire save_post, so flush the roadmap cache here.
+        Cache::invalidateRoadmapCache($item_id);
+
+        Logger::info('RoadmapAjax', 'Client undid vote', [
             'item_id' => $item_id,
+            'vote' => $undo['vote'],
             'user_id' => get_current_user_id(),
         ]);
 
-        // Send email notification
-        self::sendInterestEmail($item_id);
-
-        wp_send_json_success(['message' => 'Thanks! Brad will prepare a proposal.']);
+        return array_merge(self::cardState($item_id), [
+            'message' => 'Undone.',
+        ]);
     }
 
     /**
-     * Handle "Decline" action.
+     * Apply a vote to a roadmap item.
      *
-     * Works for both Idea and Proposed stages.
+     * @param string $vote Key in VOTES.
+     * @param array  $data Request data with 'item_id' and optional 'comment'.
+     * @return array Response data with the re-rendered card.
+     * @throws AjaxException If the item cannot take this vote.
      */
-    public static function handleDecline(): void {
-        $item_id = isset($_POST['item_id']) ? absint($_POST['item_id']) : 0;
+    private static function vote(string $vote, array $data): array {
+        $config = self::VOTES[$vote];
+        $item_id = absint($data['item_id'] ?? 0);
+        $comment = self::sanitizeComment($data['comment'] ?? '');
+
+        self::validateRequest($item_id);
 
-        // Validate request
-        $validation = self::validateRequest($item_id, 'decline');
-        if (is_wp_error($validation)) {
-            wp_send_json_error(['message' => $validation->get_error_message()]);
-            return;
+        $previous_status = get_post_meta($item_id, 'roadmap_status', true);
+
+        if (!in_array($previous_status, $config['from'], true)) {
+            throw new AjaxException('This item has already been updated. Please refresh the page.', 409, 'invalid_status');
         }
 
-        // Update status to Declined
-        update_post_meta($item_id, 'roadmap_status', 'Declined');
-        update_post_meta($item_id, 'declined_date', current_time('Y-m-d'));
+        $undo = [
+            'vote' => $vote,
+            'user_id' => get_current_user_id(),
+            'time' => time(),
+            'previous_status' => $previous_status,
+            'previous_dates' => [],
+            'comment_added' => $comment !== '',
+            'email_time' => 0,
+            'email_args' => [],
+        ];
+
+        update_post_meta($item_id, 'roadmap_status', $config['to']);
+
+        if ($config['date_field']) {
+            $undo['previous_dates'][$config['date_field']] = (string) get_post_meta($item_id, $config['date_field'], true);
+            update_post_meta($item_id, $config['date_field'], current_time('Y-m-d'));
+        }
+
+        if ($comment !== '') {
+            self::addComment($item_id, $vote, $comment);
+        }
 
-        Logger::info('RoadmapAjax', 'Client declined item', [
+        if ($config['email']) {
+            $undo['email_time'] = time() + self::UNDO_WINDOW + self::UNDO_GRACE;
+            $undo['email_args'] = [$item_id, $vote, get_current_user_id(), (int) UserContext::getCurrentOrgId(), $comment];
+            wp_schedule_single_event($undo['email_time'], self::EMAIL_HOOK, $undo['email_args']);
+        }
+
+        update_post_meta($item_id, self::UNDO_META, $undo);
+
+        // Meta writes (status, date, comment) don't fire save_post.
+        Cache::invalidateRoadmapCache($item_id);
+
+        Logger::info('RoadmapAjax', 'Client vote: ' . $vote, [
             'item_id' => $item_id,
             'user_id' => get_current_user_id(),
+            'has_comment' => $comment !== '',
         ]);
 
-        wp_send_json_success(['message' => 'Got it. Maybe another time!']);
+        return array_merge(self::cardState($item_id), [
+            'message' => $config['message'],
+            'undo_seconds' => self::UNDO_WINDOW,
+        ]);
     }
 
     /**
-     * Handle "Approve" action.
+     * Current status plus the card re-rendered for its section.
      *
-     * Moves item from Proposed to Approved.
+     * @param int $item_id Roadmap item ID.
+     * @return array status, section and card_html.
      */
-    public static function handleApprove(): void {
-        $item_id = isset($_POST['item_id']) ? absint($_POST['item_id']) : 0;
+    private static function cardState(int $item_id): array {
+        return [
+            'item_id' => $item_id,
+            'status' => get_post_meta($item_id, 'roadmap_status', true),
+            'section' => RoadmapCard::getSection($item_id),
+            'card_html' => RoadmapCard::render($item_id),
+        ];
+    }
 
-        // Validate request
-        $validation = self::validateRequest($item_id, 'approve');
-        if (is_wp_error($validation)) {
-            wp_send_json_error(['message' => $validation->get_error_message()]);
-            return;
+    /**
+     * Clean up a client comment.
+     *
+     * @param mixed $comment Raw comment.
+     * @return string Plain text, at most COMMENT_MAX_LENGTH characters.
+     */
+    private static function sanitizeComment($comment): string {
+        if (!is_string($comment)) {
+            return '';
         }
 
-        // Update status to Approved
-        update_post_meta($item_id, 'roadmap_status', 'Approved');
-        update_post_meta($item_id, 'approved_date', current_time('Y-m-d'));
+        $comment = trim(sanitize_textarea_field($comment));
 
-        Logger::info('RoadmapAjax', 'Client approved proposal', [
-            'item_id' => $item_id,
-            'user_id' => get_current_user_id(),
-        ]);
+        return mb_substr($comment, 0, self::COMMENT_MAX_LENGTH);
+    }
+
+    /**
+     * Append a client comment to the item.
+     *
+     * @param int    $item_id Roadmap item ID.
+     * @param string $vote    Vote the comment was sent with.
+     * @param string $comment Sanitized comment.
+     */
+    private static function addComment(int $item_id, string $vote, string $comment): void {
+        $comments = get_post_meta($item_id, 'client_comments', true);
+        if (!is_array($comments)) {
+            $comments = [];
+        }
 
-        // Send email notification
-        self::sendApprovalEmail($item_id);
+        $comments[] = [
+            'user_id' => get_current_user_id(),
+            'vote' => $vote,
+            'comment' => $comment,
+            'date' => current_time('mysql'),
+        ];
 
-        wp_send_json_success(['message' => 'Approved! Brad will be in touch about next steps.']);
+        update_post_meta($item_id, 'client_comments', $comments);
     }
 
     /**
      * Validate AJAX request.
      *
-     * @param int    $item_id   Roadmap item ID.
-     * @param string $action    Action type for nonce verification.
-     * @return true|\WP_Error True if valid, WP_Error if not.
+     * The router has already checked the nonce and org context.
+     *
+     * @param int $item_id Roadmap item ID.
+     * @throws AjaxException If the item is missing or belongs to another org.
      */
-    private static function validateRequest(int $item_id, string $action) {
-        if (!$item_id) {
-            return new \WP_Error('invalid_request', 'Invalid request: No item ID');
-        }
-
-        // Verify nonce
-        $nonce = isset($_POST['nonce']) ? sanitize_text_field($_POST['nonce']) : '';
-        if (!wp_verify_nonce($nonce, 'roadmap_' . $action . '_' . $item_id)) {
-            return new \WP_Error('invalid_nonce', 'Invalid request: Security check failed');
+    private static function validateRequest(int $item_id): void {
+        if (!$item_id || get_post_type($item_id) !== 'roadmap_item') {
+            throw new AjaxException('Invalid request: No item ID', 400, 'invalid_request');
         }
 
-        // Verify user is logged in
-        if (!is_user_logged_in()) {
-            return new \WP_Error('not_logged_in', 'You must be logged in');
-        }
+        AjaxRouter::requirePostInCurrentOrg($item_id);
+    }
 
-        // Verify user belongs to this item's org
-        $user_org = UserContext::getCurrentOrgId();
-        $item_org = get_post_meta($item_id, 'organization', true);
-
-        if (!$user_org || $user_org != $item_org) {
-            Logger::warning('RoadmapAjax', 'Org mismatch on AJAX request', [
-                'item_id' => $item_id,
-                'user_org' => $user_org,
-                'item_org' => $item_org,
-            ]);
-            return new \WP_Error('permission_denied', 'Permission denied');
+    /**
+     * Send the deferred notification email for a vote.
+     *
+     * Runs from cron once the undo window has passed.
+     *
+     * @param int    $item_id Roadmap item ID.
+     * @param string $vote    'interested' or 'approve'.
+     * @param int    $user_id User who voted.
+     * @param int    $org_id  Organization the vote was made for.
+     * @param string $comment Client comment (may be empty).
+     */
+    public static function sendVoteEmail(int $item_id, string $vote, int $user_id, int $org_id, string $comment = ''): void {
+        if ($vote === 'approve') {
+            self::sendApprovalEmail($item_id, $user_id, $org_id, $comment);
+        } elseif ($vote === 'interested') {
+            self::sendInterestEmail($item_id, $user_id, $org_id, $comment);
         }
-
-        return true;
     }
 
     /**
      * Send email notification when client expresses interest.
      *
-     * @param int $item_id Roadmap item ID.
+     * @param int    $item_id Roadmap item ID.
+     * @param int    $user_id User who voted.
+     * @param int    $org_id  Client organization ID.
+     * @param string $comment Client comment (may be empty).
      */
-    private static function sendInterestEmail(int $item_id): void {
-        $user_id = get_current_user_id();
-        $user_org = UserContext::getCurrentOrgId();
-
+    private static function sendInterestEmail(int $item_id, int $user_id, int $org_id, string $comment): void {
         $item_title = get_the_title($item_id);
-        $org_title = get_the_title($user_org);
+        $org_title = get_the_title($org_id);
         $user_info = get_userdata($user_id);
 
         $to = get_option('admin_email');
@@ -177,6 +381,9 @@ class AjaxHandler {
         $message .= "Feature: {$item_title}\n";
         $message .= "Client: {$org_title}\n";
         $message .= "Expressed by: " . ($user_info ? $user_info->display_name : 'Unknown') . "\n\n";
+        if ($comment !== '') {
+            $message .= "Their note:\n{$comment}\n\n";
+        }
         $message .= "The item has been moved to 'ADR In Progress'.\n\n";
         $message .= "View it here: " . admin_url('post.php?post=' . $item_id . '&action=edit');
 
@@ -186,14 +393,14 @@ class AjaxHandler {
     /**
      * Send email notification when client approves proposal.
      *
-     * @param int $item_id Roadmap item ID.
+     * @param int    $item_id Roadmap item ID.
+     * @param int    $user_id User who voted.
+     * @param int    $org_id  Client organization ID.
+     * @param string $comment Client comment (may be empty).
      */
-    private static function sendApprovalEmail(int $item_id): void {
-        $user_id = get_current_user_id();
-        $user_org = UserContext::getCurrentOrgId();
-
+    private static function sendApprovalEmail(int $item_id, int $user_id, int $org_id, string $comment): void {
         $item_title = get_the_title($item_id);
-        $org_title = get_the_title($user_org);
+        $org_title = get_the_title($org_id);
         $user_info = get_userdata($user_id);
 
         $to = get_option('admin_email');
@@ -203,6 +410,9 @@ class AjaxHandler {
         $message .= "Feature: {$item_title}\n";
         $message .= "Client: {$org_title}\n";
         $message .= "Approved by: " . ($user_info ? $user_info->display_name : 'Unknown') . "\n\n";
+        if ($comment !== '') {
+            $message .= "Their note:\n{$comment}\n\n";
+        }
         $message .= "You can now create a Project for this work.\n\n";
         $message .= "View it here: " . admin_url('post.php?post=' . $item_id . '&action=edit');
 
@@ -0,0 +1,264 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Modules\Roadmap;
+
+/**
+ * Renders a single roadmap item for the client dashboard.
+ *
+ * Shared by the [dashboard_roadmap] shortcode and the roadmap AJAX handlers,
+ * so a card can be re-rendered in its new state and section after a vote.
+ *
+ * Sections:
+ * - brads-ideas:   Idea submitted by an admin (vote buttons)
+ * - client-ideas:  Idea submitted by the client (pending review)
+ * - in-progress:   ADR In Progress / Proposed (approve/decline on Proposed)
+ * - past-requests: Approved / Declined (table row)
+ */
+class RoadmapCard {
+
+    /**
+     * Get the dashboard section for a roadmap item.
+     *
+     * @param int $item_id Roadmap item ID.
+     * @return string Section key, or '' when the item is not shown.
+     */
+    public static function getSection(int $item_id): string {
+        $status = get_post_meta($item_id, 'roadmap_status', true);
+
+        switch ($status) {
+            case 'Idea':
+                return self::isAdminSubmitted($item_id) ? 'brads-ideas' : 'client-ideas';
+            case 'ADR In Progress':
+            case 'Proposed':
+                return 'in-progress';
+            case 'Approved':
+            case 'Declined':
+                return 'past-requests';
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Render an item for its current section.
+     *
+     * @param int $item_id Roadmap item ID.
+     * @return string Card HTML (a table row for past requests).
+     */
+    public static function render(int $item_id): string {
+        $item = get_post($item_id);
+        if (!$item) {
+            return '';
+        }
+
+        switch (self::getSection($item_id)) {
+            case 'brads-ideas':
+                return self::renderIdeaCard($item);
+            case 'client-ideas':
+                return self::renderSubmittedCard($item);
+            case 'in-progress':
+                return self::renderProgressCard($item);
+            case 'past-requests':
+                return self::renderPastRow($item);
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Get organization ID for a roadmap item.
+     *
+     * Handles both Pods-stored and standard meta values.
+     *
+     * @param int $item_id Roadmap item ID.
+     * @return int Organization ID or 0 if not found.
+     */
+    public static function getItemOrgId(int $item_id): int {
+        return self::getRelatedId($item_id, 'organization');
+    }
+
+    /**
+     * Whether an item was submitted by an admin (or has no submitter).
+     *
+     * Admin submissions are Brad's ideas; everything else is a client idea.
+     *
+     * @param int $item_id Roadmap item ID.
+     */
+    public static function isAdminSubmitted(int $item_id): bool {
+        static $admin_users = null;
+
+        if ($admin_users === null) {
+            // Cast to int since get_users returns strings
+            $admin_users = array_map('intval', get_users(['role' => 'administrator', 'fields' => 'ID']));
+        }
+
+        $submitted_by = self::getRelatedId($item_id, 'submitted_by');
+
+        return empty($submitted_by) || in_array($submitted_by, $admin_users, true);
+    }
+
+    /**
+     * Read a relationship field, trying Pods first and raw meta second.
+     *
+     * @param int    $item_id Roadmap item ID.
+     * @param string $field   Field name.
+     * @return int Related ID or 0.
+     */
+    private static function getRelatedId(int $item_id, string $field): int {
+        $related_id = 0;
+
+        if (function_exists('pods')) {
+            $pod = pods('roadmap_item', $item_id);
+            $value = $pod->field($field);
+            if (is_array($value) && !empty($value['ID'])) {
+                $related_id = (int) $value['ID'];
+            } elseif (is_numeric($value)) {
+                $related_id = (int) $value;
+            }
+        }
+
+        if (!$related_id) {
+            $related_id = (int) get_post_meta($item_id, $field, true);
+        }
+
+        return $related_id;
+    }
+
+    /**
+     * Truncated plain-text description.
+     *
+     * @param int $item_id Roadmap item ID.
+     */
+    private static function getExcerpt(int $item_id): string {
+        $pod = pods('roadmap_item', $item_id);
+        $description = (string) $pod->field('description');
+
+        return wp_trim_words(wp_strip_all_tags($description), 30, '...');
+    }
+
+    /**
+     * Optional note field sent along with a vote.
+     */
+    private static function renderCommentField(): string {
+        ob_start();
+        ?>
+        <div class="card-comment">
+            <a href="#" class="roadmap-comment-toggle">Add a note</a>
+            <textarea class="roadmap-comment" rows="2" maxlength="<?php echo esc_attr((string) AjaxHandler::COMMENT_MAX_LENGTH); ?>" placeholder="Optional: tell Brad what you're thinking" style="display: none;"></textarea>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Idea card with Interested / Not Right Now buttons.
+     *
+     * @param \WP_Post $item Roadmap item.
+     */
+    private static function renderIdeaCard(\WP_Post $item): string {
+        ob_start();
+        ?>
+        <div class="roadmap-card idea-card" data-item-id="<?php echo esc_attr($item->ID); ?>">
+            <h4><?php echo esc_html($item->post_title); ?></h4>
+            <p class="card-description"><?php echo esc_html(self::getExcerpt($item->ID)); ?></p>
+            <?php echo self::renderCommentField(); ?>
+            <div class="card-actions">
+                <button type="button" class="btn-interested" data-item-id="<?php echo esc_attr($item->ID); ?>">&#128077; I'm Interested</button>
+                <button type="button" class="btn-not-now" data-item-id="<?php echo esc_attr($item->ID); ?>">Not Right Now</button>
+            </div>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Client-submitted idea awaiting review.
+     *
+     * @param \WP_Post $item Roadmap item.
+     */
+    private static function renderSubmittedCard(\WP_Post $item): string {
+        ob_start();
+        ?>
+        <div class="roadmap-card submitted-card" data-item-id="<?php echo esc_attr($item->ID); ?>">
+            <h4><?php echo esc_html($item->post_title); ?></h4>
+            <p class="card-description"><?php echo esc_html(self::getExcerpt($item->ID)); ?></p>
+            <span class="status-badge pending">&#9203; Pending Review</span>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * In-progress card; Proposed items get Approve / Decline buttons.
+     *
+     * @param \WP_Post $item Roadmap item.
+     */
+    private static function renderProgressCard(\WP_Post $item): string {
+        $pod = pods('roadmap_item', $item->ID);
+        $status = $pod->field('roadmap_status');
+        $estimated_hours = $pod->field('estimated_hours');
+        $adr_pdf = $pod->field('adr_pdf');
+
+        ob_start();
+        ?>
+        <div class="roadmap-card progress-card" data-item-id="<?php echo esc_attr($item->ID); ?>">
+            <h4><?php echo esc_html($item->post_title); ?></h4>
+            <p class="card-description"><?php echo esc_html(self::getExcerpt($item->ID)); ?></p>
+
+            <?php if ($status === 'ADR In Progress'): ?>
+                <span class="status-badge adr-progress">&#128221; Brad is preparing a proposal</span>
+            <?php elseif ($status === 'Proposed'): ?>
+                <span class="status-badge proposed">&#128230; Ready for your review</span>
+                <?php if ($estimated_hours): ?>
+                    <p class="estimated-hours">Estimated: <?php echo esc_html($estimated_hours); ?> hours</p>
+                <?php endif; ?>
+                <?php if ($adr_pdf && !empty($adr_pdf['guid'])): ?>
+                    <a href="<?php echo esc_url($adr_pdf['guid']); ?>" target="_blank" class="btn-view-proposal">&#128196; View Proposal</a>
+                <?php endif; ?>
+                <?php echo self::renderCommentField(); ?>
+                <div class="card-actions proposal-actions">
+                    <button type="button" class="btn-approve" data-item-id="<?php echo esc_attr($item->ID); ?>">&#9989; Approve</button>
+                    <button type="button" class="btn-decline" data-item-id="<?php echo esc_attr($item->ID); ?>">&#10060; Decline</button>
+                </div>
+            <?php endif; ?>
+        </div>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Past request table row.
+     *
+     * @param \WP_Post $item Roadmap item.
+     */
+    private static function renderPastRow(\WP_Post $item): string {
+        $pod = pods('roadmap_item', $item->ID);
+        $status = $pod->field('roadmap_status');
+        $related_project = $pod->field('related_project');
+        $date = ($status === 'Approved') ? $pod->field('approved_date') : $pod->field('declined_date');
+
+        ob_start();
+        ?>
+        <tr data-item-id="<?php echo esc_attr($item->ID); ?>">
+            <td><?php echo esc_html($item->post_title); ?></td>
+            <td>
+                <?php if ($status === 'Approved'): ?>
+                    <span class="status-badge approved">&#9989; Approved</span>
+                <?php else: ?>
+                    <span class="status-badge declined">&#10060; Declined</span>
+                <?php endif; ?>
+            </td>
+            <td><?php echo $date ? esc_html(date('M j, Y', strtotime($date))) : '—'; ?></td>
+            <td>
+                <?php if ($related_project): ?>
+                    <a href="<?php echo esc_url(get_permalink($related_project['ID'])); ?>">View Project</a>
+                <?php else: ?>
+                    —
+                <?php endif; ?>
+            </td>
+        </tr>
+        <?php
+        return ob_get_clean();
+    }
+}
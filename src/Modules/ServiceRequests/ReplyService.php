@@ -0,0 +1,386 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Modules\ServiceRequests;
+
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
+use BBAB\ServiceCenter\Utils\Logger;
+use BBAB\ServiceCenter\Utils\Settings;
+use BBAB\ServiceCenter\Utils\UserContext;
+
+/**
+ * Service Request reply thread.
+ *
+ * Handles:
+ * - Storing replies on the request in 'replies' (client and staff)
+ * - File uploads for replies (attached to the request, pending until posted)
+ * - Deleting pending uploads whose reply was never posted (daily cron)
+ * - Reply notification emails, built like FormProcessor::sendNotificationEmail()
+ *
+ * Clients reach these through AjaxRouter from the [service_request_replies]
+ * shortcode and may only reply on their own organization's requests.
+ * Admins can reply on any request.
+ */
+class ReplyService {
+
+    /**
+     * Longest reply accepted.
+     */
+    public const MESSAGE_MAX_LENGTH = 5000;
+
+    /**
+     * Largest upload accepted (bytes).
+     */
+    public const MAX_UPLOAD_BYTES = 10 * MB_IN_BYTES;
+
+    /**
+     * Most files on one reply.
+     */
+    public const MAX_FILES = 5;
+
+    /**
+     * File extensions clients may attach.
+     */
+    public const ALLOWED_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'pdf', 'doc', 'docx', 'xls', 'xlsx', 'csv', 'txt', 'zip'];
+
+    /**
+     * Attachment meta marking an upload not yet posted with a reply (holds the uploader's ID).
+     */
+    private const PENDING_META = '_bbab_sr_reply_pending';
+
+    /**
+     * Age after which an unposted upload is deleted (seconds).
+     */
+    private const PENDING_MAX_AGE = DAY_IN_SECONDS;
+
+    /**
+     * Register hooks.
+     */
+    public static function register(): void {
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerHandlers']);
+
+        Logger::debug('ReplyService', 'Registered SR reply hooks');
+    }
+
+    /**
+     * Add the reply handlers to the router.
+     *
+     * Org context is checked per request in requireReplyAccess(), so admins
+     * can reply without simulating the client.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerHandlers(AjaxRouter $router): void {
+        $router->addHandler('sr_reply_upload', [self::class, 'handleUpload'], false, false);
+        $router->addHandler('sr_reply_post', [self::class, 'handlePost'], false, false);
+    }
+
+    /**
+     * Get the replies on a request, oldest first, ready for display.
+     *
+     * @param int $sr_id Service request ID.
+     * @return array List of { id, author, is_staff, date, message, attachments: [{ id, name, url }] }.
+     */
+    public static function getReplies(int $sr_id): array {
+        $replies = get_post_meta($sr_id, 'replies', true);
+
+        if (!is_array($replies)) {
+            return [];
+        }
+
+        return array_map([self::class, 'formatReply'], array_values($replies));
+    }
+
+    /**
+     * AJAX: Upload one file for a reply.
+     *
+     * The file is attached to the request but stays pending until a reply
+     * that lists it is posted.
+     *
+     * @param array $data Request data with 'sr_id'; the file arrives as $_FILES['file'].
+     * @return array { id, name, url }
+     * @throws AjaxException On access or validation failure.
+     */
+    public static function handleUpload(array $data): array {
+        $sr_id = (int) ($data['sr_id'] ?? 0);
+        self::requireReplyAccess($sr_id);
+
+        $file = $_FILES['file'] ?? null;
+
+        if (!$file || !empty($file['error']) || empty($file['tmp_name'])) {
+            throw new AjaxException('The file did not upload. Please try again.', 400, 'upload_failed');
+        }
+
+        if ((int) $file['size'] > self::MAX_UPLOAD_BYTES) {
+            throw new AjaxException('Files can be at most ' . size_format(self::MAX_UPLOAD_BYTES) . '.', 400, 'file_too_large');
+        }
+
+        $ext = strtolower(pathinfo((string) $file['name'], PATHINFO_EXTENSION));
+        if (!in_array($ext, self::ALLOWED_EXTENSIONS, true)) {
+            throw new AjaxException('That file type is not allowed.', 400, 'file_type');
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/file.php';
+        require_once ABSPATH . 'wp-admin/includes/media.php';
+        require_once ABSPATH . 'wp-admin/includes/image.php';
+
+        $attachment_id = media_handle_upload('file', $sr_id);
+
+        if (is_wp_error($attachment_id)) {
+            Logger::warning('ReplyService', 'Reply upload failed', [
+                'sr_id' => $sr_id,
+                'error' => $attachment_id->get_error_message(),
+            ]);
+            throw new AjaxException($attachment_id->get_error_message(), 400, 'upload_failed');
+        }
+
+        update_post_meta($attachment_id, self::PENDING_META, get_current_user_id());
+
+        return self::formatAttachment($attachment_id) ?? ['id' => $attachment_id, 'name' => (string) $file['name'], 'url' => ''];
+    }
+
+    /**
+     * AJAX: Post a reply.
+     *
+     * @param array $data Request data with 'sr_id', 'message' and optional 'attachments' (IDs from sr_reply_upload).
+     * @return array { reply } formatted like getReplies().
+     * @throws AjaxException On access or validation failure.
+     */
+    public static function handlePost(array $data): array {
+        $sr_id = (int) ($data['sr_id'] ?? 0);
+        self::requireReplyAccess($sr_id);
+
+        $message = is_string($data['message'] ?? null) ? trim(sanitize_textarea_field($data['message'])) : '';
+        $message = mb_substr($message, 0, self::MESSAGE_MAX_LENGTH);
+
+        $attachment_ids = self::claimAttachments($sr_id, (array) ($data['attachments'] ?? []));
+
+        if ($message === '' && empty($attachment_ids)) {
+            throw new AjaxException('Please write a reply or attach a file.', 400, 'empty_reply');
+        }
+
+        $reply = self::addReply($sr_id, get_current_user_id(), $message, $attachment_ids);
+
+        self::sendNotificationEmail($sr_id, $reply);
+
+        Logger::info('ReplyService', 'Reply added to SR ' . $sr_id . ' by user ' . get_current_user_id());
+
+        return ['reply' => self::formatReply($reply)];
+    }
+
+    /**
+     * Append a reply to a request.
+     *
+     * @param int    $sr_id          Service request ID.
+     * @param int    $user_id        Author.
+     * @param string $message        Sanitized message.
+     * @param int[]  $attachment_ids Attachment IDs.
+     * @return array The stored reply.
+     */
+    public static function addReply(int $sr_id, int $user_id, string $message, array $attachment_ids = []): array {
+        $replies = get_post_meta($sr_id, 'replies', true);
+        if (!is_array($replies)) {
+            $replies = [];
+        }
+
+        $reply = [
+            'id' => wp_generate_uuid4(),
+            'user_id' => $user_id,
+            'is_staff' => user_can($user_id, 'manage_options'),
+            'message' => $message,
+            'attachments' => array_values($attachment_ids),
+            'date' => current_time('mysql'),
+        ];
+
+        $replies[] = $reply;
+        update_post_meta($sr_id, 'replies', $replies);
+
+        /**
+         * Fires after a reply is added to a service request.
+         *
+         * @param int   $sr_id Service request ID.
+         * @param array $reply The stored reply.
+         */
+        do_action('bbab_sc_sr_reply_added', $sr_id, $reply);
+
+        return $reply;
+    }
+
+    /**
+     * Check the current user may reply on a request.
+     *
+     * @param int $sr_id Service request ID.
+     * @throws AjaxException When the request is missing or belongs to another org.
+     */
+    private static function requireReplyAccess(int $sr_id): void {
+        if (!$sr_id || get_post_type($sr_id) !== 'service_request') {
+            throw new AjaxException('Service request not found.', 404, 'not_found');
+        }
+
+        if (UserContext::isAdmin()) {
+            return;
+        }
+
+        AjaxRouter::requirePostInCurrentOrg($sr_id);
+    }
+
+    /**
+     * Delete pending uploads older than PENDING_MAX_AGE.
+     *
+     * Runs daily on 'bbab_sc_reply_attachment_cleanup' (see CronLoader).
+     *
+     * @return int Number of attachments deleted.
+     */
+    public static function cleanupPendingAttachments(): int {
+        $attachment_ids = get_posts([
+            'post_type' => 'attachment',
+            'post_status' => 'inherit',
+            'posts_per_page' => -1,
+            'fields' => 'ids',
+            'meta_key' => self::PENDING_META,
+            'date_query' => [
+                [
+                    'column' => 'post_date_gmt',
+                    'before' => gmdate('Y-m-d H:i:s', time() - self::PENDING_MAX_AGE),
+                ],
+            ],
+        ]);
+
+        $deleted = 0;
+
+        foreach ($attachment_ids as $attachment_id) {
+            if (wp_delete_attachment((int) $attachment_id, true)) {
+                $deleted++;
+            }
+        }
+
+        if ($deleted) {
+            Logger::info('ReplyService', 'Deleted ' . $deleted . ' unposted reply attachments');
+        }
+
+        return $deleted;
+    }
+
+    /**
+     * Keep only the current user's pending uploads on this request and mark them posted.
+     *
+     * @param int   $sr_id Service request ID.
+     * @param array $ids   Attachment IDs sent with the reply.
+     * @return int[]
+     */
+    private static function claimAttachments(int $sr_id, array $ids): array {
+        $claimed = [];
+
+        foreach (array_slice(array_unique(array_map('intval', $ids)), 0, self::MAX_FILES) as $attachment_id) {
+            $pending_for = (int) get_post_meta($attachment_id, self::PENDING_META, true);
+
+            if ($pending_for !== get_current_user_id() || (int) wp_get_post_parent_id($attachment_id) !== $sr_id) {
+                continue;
+            }
+
+            delete_post_meta($attachment_id, self::PENDING_META);
+            $claimed[] = $attachment_id;
+        }
+
+        return $claimed;
+    }
+
+    /**
+     * Format a stored reply for display.
+     *
+     * @param array $reply Stored reply.
+     * @return array
+     */
+    private static function formatReply(array $reply): array {
+        $user = get_userdata((int) ($reply['user_id'] ?? 0));
+        $attachments = array_filter(array_map([self::class, 'formatAttachment'], array_map('intval', $reply['attachments'] ?? [])));
+
+        return [
+            'id' => $reply['id'] ?? '',
+            'author' => $user ? $user->display_name : 'Unknown',
+            'is_staff' => !empty($reply['is_staff']),
+            'date' => !empty($reply['date']) ? date('M j, Y g:i A', strtotime($reply['date'])) : '',
+            'message' => $reply['message'] ?? '',
+            'attachments' => array_values($attachments),
+        ];
+    }
+
+    /**
+     * Format an attachment for display.
+     *
+     * @param int $attachment_id Attachment ID.
+     * @return array|null { id, name, url }, or null when the file is gone.
+     */
+    private static function formatAttachment(int $attachment_id): ?array {
+        $url = wp_get_attachment_url($attachment_id);
+
+        if (!$url) {
+            return null;
+        }
+
+        return [
+            'id' => $attachment_id,
+            'name' => basename(get_attached_file($attachment_id) ?: $url),
+            'url' => $url,
+        ];
+    }
+
+    /**
+     * Send the reply notification email.
+     *
+     * Client replies go to the SR notification address; staff replies go to
+     * the client who submitted the request. Uses the reply templates from Settings.
+     *
+     * @param int   $sr_id Service request ID.
+     * @param array $reply Stored reply.
+     */
+    public static function sendNotificationEmail(int $sr_id, array $reply): void {
+        if (!empty($reply['is_staff'])) {
+            $submitter = get_userdata((int) get_post_meta($sr_id, 'submitted_by', true));
+            $to = $submitter ? $submitter->user_email : '';
+            $link = get_permalink($sr_id);
+        } else {
+            $to = Settings::get('sr_notification_email');
+            $link = admin_url("post.php?post={$sr_id}&action=edit");
+        }
+
+        $ref = get_post_meta($sr_id, 'reference_number', true);
+
+        if (empty($to)) {
+            Logger::warning('ReplyService', "No recipient for reply notification on {$ref}, skipping");
+            return;
+        }
+
+        $user = get_userdata((int) $reply['user_id']);
+
+        $attachments_note = !empty($reply['attachments'])
+            ? '<p><strong>Attachments:</strong> ' . count($reply['attachments']) . ' file(s)</p>'
+            : '';
+
+        // Placeholder replacements
+        $replacements = [
+            '{ref}' => $ref,
+            '{org_name}' => get_the_title((int) get_post_meta($sr_id, 'organization', true)),
+            '{user_name}' => $user ? $user->display_name : 'Unknown',
+            '{subject}' => get_post_meta($sr_id, 'subject', true),
+            '{message}' => nl2br(esc_html($reply['message'])),
+            '{link}' => $link,
+            '{attachments_note}' => $attachments_note,
+        ];
+
+        $email_subject = str_replace(array_keys($replacements), array_values($replacements), Settings::get('sr_reply_notification_subject'));
+        $email_body = str_replace(array_keys($replacements), array_values($replacements), Settings::get('sr_reply_notification_body'));
+
+        $headers = [
+            'Content-Type: text/html; charset=UTF-8',
+            'From: Brad\'s Bits and Bytes Portal <brad@bradsbitsandbytes.com>',
+        ];
+
+        if (wp_mail($to, $email_subject, $email_body, $headers)) {
+            Logger::debug('ReplyService', "Reply notification sent for {$ref}");
+        } else {
+            Logger::warning('ReplyService', "Failed to send reply notification for {$ref}");
+        }
+    }
+}
@@ -4,6 +4,7 @@ declare(strict_types=1);
 namespace BBAB\ServiceCenter\Modules\ServiceRequests;
 
 use BBAB\ServiceCenter\Modules\TimeTracking\TimeEntryService;
+use BBAB\ServiceCenter\Utils\Cache;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
@@ -152,6 +153,155 @@ class ServiceRequestService {
         ]);
     }
 
+    /**
+     * Search an organization's service requests, one page at a time.
+     *
+     * Status, type and the free-text search (reference number or subject)
+     * run in the post query. Month, hours and sorting need the submitted
+     * date and logged hours, which are loaded for all matches in a single
+     * query rather than through getData() per request.
+     *
+     * @param int   $org_id   Organization ID.
+     * @param array $filters  { status, type, has_hours ('yes'|'no'), month (YYYY-MM), search, sort }.
+     * @param int   $page     1-based page (clamped to the last page).
+     * @param int   $per_page Results per page.
+     * @return array { ids: int[] for the page, total: int, page: int, total_pages: int }
+     */
+    public static function search(int $org_id, array $filters, int $page, int $per_page): array {
+        $meta_query = [
+            'relation' => 'AND',
+            ['key' => 'organization', 'value' => $org_id, 'compare' => '='],
+        ];
+
+        if (!empty($filters['status'])) {
+            $meta_query[] = ['key' => 'request_status', 'value' => $filters['status'], 'compare' => '='];
+        }
+
+        if (!empty($filters['type'])) {
+            $meta_query[] = ['key' => 'request_type', 'value' => $filters['type'], 'compare' => '='];
+        }
+
+        if (!empty($filters['search'])) {
+            $meta_query[] = [
+                'relation' => 'OR',
+                ['key' => 'reference_number', 'value' => $filters['search'], 'compare' => 'LIKE'],
+                ['key' => 'subject', 'value' => $filters['search'], 'compare' => 'LIKE'],
+            ];
+        }
+
+        $ids = get_posts([
+            'post_type' => 'service_request',
+            'post_status' => 'publish',
+            'posts_per_page' => -1,
+            'fields' => 'ids',
+            'no_found_rows' => true,
+            'meta_query' => $meta_query,
+        ]);
+
+        $rows = self::getArchiveRows(array_map('intval', $ids));
+
+        $rows = array_filter($rows, function (array $row) use ($filters): bool {
+            $has_hours = $filters['has_hours'] ?? '';
+            if ($has_hours === 'yes' && $row['hours'] <= 0) {
+                return false;
+            }
+            if ($has_hours === 'no' && $row['hours'] > 0) {
+                return false;
+            }
+
+            return empty($filters['month']) || date('Y-m', $row['submitted']) === $filters['month'];
+        });
+
+        $sort = $filters['sort'] ?? 'date_desc';
+        usort($rows, function (array $a, array $b) use ($sort): int {
+            switch ($sort) {
+                case 'ref_asc':
+                    return strcmp($a['ref'], $b['ref']);
+                case 'ref_desc':
+                    return strcmp($b['ref'], $a['ref']);
+                case 'date_asc':
+                    return $a['submitted'] <=> $b['submitted'];
+                case 'activity':
+                    return $b['modified'] <=> $a['modified'];
+                case 'hours_desc':
+                    return $b['hours'] <=> $a['hours'];
+                case 'hours_asc':
+                    return $a['hours'] <=> $b['hours'];
+                case 'date_desc':
+                default:
+                    return $b['submitted'] <=> $a['submitted'];
+            }
+        });
+
+        $total = count($rows);
+        $total_pages = (int) ceil($total / $per_page);
+        $page = max(1, min($page, $total_pages));
+
+        return [
+            'ids' => array_column(array_slice($rows, ($page - 1) * $per_page, $per_page), 'id'),
+            'total' => $total,
+            'page' => $page,
+            'total_pages' => $total_pages,
+        ];
+    }
+
+    /**
+     * Load the fields the archive filters and sorts on for a set of requests.
+     *
+     * @param int[] $sr_ids Service request IDs.
+     * @return array List of { id, ref, submitted (timestamp), modified (timestamp), hours }.
+     */
+    private static function getArchiveRows(array $sr_ids): array {
+        global $wpdb;
+
+        if (empty($sr_ids)) {
+            return [];
+        }
+
+        $id_list = implode(',', $sr_ids);
+
+        $results = $wpdb->get_results("
+            SELECT p.ID, p.post_date, p.post_modified,
+                   MAX(pm_ref.meta_value) AS reference_number,
+                   MAX(pm_date.meta_value) AS submitted_date,
+                   COALESCE(MAX(te.hours), 0) AS hours
+            FROM {$wpdb->posts} p
+            LEFT JOIN {$wpdb->postmeta} pm_ref ON p.ID = pm_ref.post_id AND pm_ref.meta_key = 'reference_number'
+            LEFT JOIN {$wpdb->postmeta} pm_date ON p.ID = pm_date.post_id AND pm_date.meta_key = 'submitted_date'
+            LEFT JOIN (
+                SELECT pm_sr.meta_value AS sr_id, SUM(CAST(pm_hours.meta_value AS DECIMAL(10,2))) AS hours
+                FROM {$wpdb->posts} t
+                INNER JOIN {$wpdb->postmeta} pm_sr ON t.ID = pm_sr.post_id AND pm_sr.meta_key = 'related_service_request'
+                INNER JOIN {$wpdb->postmeta} pm_hours ON t.ID = pm_hours.post_id AND pm_hours.meta_key = 'hours'
+                WHERE t.post_type = 'time_entry'
+                AND t.post_status = 'publish'
+                AND pm_sr.meta_value IN ({$id_list})
+                GROUP BY pm_sr.meta_value
+            ) te ON te.sr_id = p.ID
+            WHERE p.ID IN ({$id_list})
+            GROUP BY p.ID
+        ");
+
+        $rows = [];
+        foreach ($results as $result) {
+            // submitted_date may be stored as an array, and is missing on older requests
+            $submitted = maybe_unserialize($result->submitted_date);
+            if (is_array($submitted)) {
+                $submitted = reset($submitted);
+            }
+
+            $rows[] = [
+                'id' => (int) $result->ID,
+                'ref' => (string) $result->reference_number,
+                'submitted' => (int) strtotime($submitted ?: $result->post_date),
+                'modified' => (int) strtotime($result->post_modified),
+                'hours' => (float) $result->hours,
+            ];
+        }
+
+        return $rows;
+    }
+
     /**
      * Get total hours logged for a service request.
      *
@@ -185,11 +335,76 @@ class ServiceRequestService {
             update_post_meta($sr_id, 'completed_date', wp_date('m/d/Y'));
         }
 
+        // Meta updates skip save_post, so clear SR lists (Workbench, summaries) here
+        Cache::invalidateServiceRequestCache($sr_id);
+
         Logger::debug('ServiceRequestService', "Updated SR {$sr_id} status to {$new_status}");
 
         return $result !== false;
     }
 
+    /**
+     * Update service request priority.
+     *
+     * @param int    $sr_id    Service request ID.
+     * @param string $priority Priority key (see PRIORITIES); client-submitted
+     *                         requests store the label, so either case is accepted.
+     * @return bool True on success.
+     */
+    public static function updatePriority(int $sr_id, string $priority): bool {
+        $priority = strtolower($priority);
+
+        if (!isset(self::PRIORITIES[$priority])) {
+            Logger::warning('ServiceRequestService', "Invalid priority: {$priority}");
+            return false;
+        }
+
+        $result = update_post_meta($sr_id, 'priority', $priority);
+
+        Cache::invalidateServiceRequestCache($sr_id);
+
+        Logger::debug('ServiceRequestService', "Updated SR {$sr_id} priority to {$priority}");
+
+        return $result !== false;
+    }
+
+    /**
+     * Assign a service request to a project, or clear the assignment.
+     *
+     * The project must belong to the same organization as the request.
+     *
+     * @param int $sr_id      Service request ID.
+     * @param int $project_id Project ID, or 0 to unassign.
+     * @return bool True on success.
+     */
+    public static function assignProject(int $sr_id, int $project_id): bool {
+        if ($project_id === 0) {
+            delete_post_meta($sr_id, 'related_project');
+            Cache::invalidateServiceRequestCache($sr_id);
+
+            Logger::debug('ServiceRequestService', "Cleared project on SR {$sr_id}");
+            return true;
+        }
+
+        if (get_post_type($project_id) !== 'project') {
+            Logger::warning('ServiceRequestService', "Invalid project: {$project_id}");
+            return false;
+        }
+
+        if ((int) get_post_meta($project_id, 'organization', true) !== (int) get_post_meta($sr_id, 'organization', true)) {
+            Logger::warning('ServiceRequestService', "Project {$project_id} belongs to another organization than SR {$sr_id}");
+            return false;
+        }
+
+        $result = update_post_meta($sr_id, 'related_project', $project_id);
+
+        Cache::invalidateServiceRequestCache($sr_id);
+
+        Logger::debug('ServiceRequestService', "Assigned SR {$sr_id} to project {$project_id}");
+
+        return $result !== false;
+    }
+
     /**
      * Get status badge HTML.
      *
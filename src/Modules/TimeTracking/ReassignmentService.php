@@ -0,0 +1,405 @@
+<?php
+declare(strict_types=1);
+
+namespace BBAB\ServiceCenter\Modules\TimeTracking;
+
+use BBAB\ServiceCenter\Modules\Billing\InvoiceService;
+use BBAB\ServiceCenter\Utils\Cache;
+use BBAB\ServiceCenter\Utils\Logger;
+
+/**
+ * Time entry reassignment service.
+ *
+ * Handles:
+ * - Moving time entries between service requests, projects and milestones
+ * - Blocking moves that would change time already billed on a finalized invoice
+ * - A log of recent moves that can be undone
+ *
+ * An entry is billed when its month's monthly report (service request time),
+ * its milestone, or its project's closeout has an invoice past Draft.
+ */
+class ReassignmentService {
+
+    /**
+     * Target types and the time entry meta that links them.
+     */
+    public const TARGET_META = [
+        'service_request' => 'related_service_request',
+        'project' => 'related_project',
+        'milestone' => 'related_milestone',
+    ];
+
+    /**
+     * Option holding recent moves, newest first.
+     */
+    private const LOG_OPTION = 'bbab_sc_te_reassign_log';
+
+    /**
+     * Moves kept in the log.
+     */
+    private const LOG_LIMIT = 100;
+
+    /**
+     * Invoice statuses that don't lock their time (not yet sent, or reversed).
+     */
+    private const UNBILLED_INVOICE_STATUSES = [
+        InvoiceService::STATUS_DRAFT,
+        InvoiceService::STATUS_VOID,
+        'Cancelled',
+    ];
+
+    /**
+     * Move time entries to a service request, project or milestone.
+     *
+     * All or nothing: if any entry belongs to another organization than the
+     * target, is billed at its source or would land in billed time at the
+     * target, nothing moves. Unlinked entries have no organization and can
+     * move anywhere.
+     *
+     * @param array  $entry_ids Time entry IDs.
+     * @param string $type      'service_request', 'project' or 'milestone'.
+     * @param int    $target_id Target post ID.
+     * @return array|\WP_Error The logged move, or an error (code 'billed' carries the blocked entries as data).
+     */
+    public static function move(array $entry_ids, string $type, int $target_id): array|\WP_Error {
+        $entry_ids = array_values(array_unique(array_filter(array_map('absint', $entry_ids))));
+
+        if (!isset(self::TARGET_META[$type]) || get_post_type($target_id) !== $type) {
+            return new \WP_Error('invalid_target', 'Invalid service request, project or milestone.');
+        }
+
+        if (empty($entry_ids)) {
+            return new \WP_Error('no_entries', 'No time entries selected.');
+        }
+
+        $target_org_id = self::getTargetOrgId($type, $target_id);
+        $blocked = [];
+        $entries = [];
+
+        foreach ($entry_ids as $entry_id) {
+            $entry = get_post($entry_id);
+            if (!$entry || $entry->post_type !== 'time_entry' || $entry->post_status === 'trash') {
+                return new \WP_Error('invalid_entry', 'Time entry ' . $entry_id . ' was not found.');
+            }
+
+            $current = self::getEntryTarget($entry_id);
+            $org_id = $current ? self::getTargetOrgId($current[0], $current[1]) : 0;
+            if ($org_id && $org_id !== $target_org_id) {
+                return new \WP_Error('org_mismatch', 'Time entry ' . self::getEntryRef($entry_id) . ' belongs to a different organization than the target.');
+            }
+
+            $date = (string) get_post_meta($entry_id, 'entry_date', true);
+            $reason = self::getEntryLock($entry_id) ?? self::getTargetLock($type, $target_id, $date);
+
+            if ($reason) {
+                $blocked[] = ['id' => $entry_id, 'ref' => self::getEntryRef($entry_id), 'reason' => $reason];
+                continue;
+            }
+
+            $entries[] = [
+                'id' => $entry_id,
+                'from' => self::getLinks($entry_id),
+            ];
+        }
+
+        if ($blocked) {
+            return new \WP_Error('billed', count($blocked) . ' of the selected entries are already billed.', ['blocked' => $blocked]);
+        }
+
+        foreach ($entries as $entry) {
+            self::setTarget($entry['id'], $type, $target_id);
+            Cache::invalidateTimeEntryCache($entry['id']);
+        }
+
+        $move = [
+            'id' => wp_generate_uuid4(),
+            'user_id' => get_current_user_id(),
+            'time' => time(),
+            'type' => $type,
+            'target_id' => $target_id,
+            'entries' => $entries,
+            'undone_at' => null,
+        ];
+
+        $log = self::getLog();
+        array_unshift($log, $move);
+        update_option(self::LOG_OPTION, array_slice($log, 0, self::LOG_LIMIT), false);
+
+        Logger::debug('ReassignmentService', 'Moved ' . count($entries) . " time entries to {$type} {$target_id}", [
+            'move_id' => $move['id'],
+            'entries' => wp_list_pluck($entries, 'id'),
+        ]);
+
+        return $move;
+    }
+
+    /**
+     * Undo a logged move, returning its entries to where they were.
+     *
+     * Entries that were moved again since are left alone. Billing locks
+     * apply the same way as for a move.
+     *
+     * @param string $move_id Move ID from the log.
+     * @return array|\WP_Error { move, restored: entry IDs, skipped: entry IDs } or an error.
+     */
+    public static function undo(string $move_id): array|\WP_Error {
+        $log = self::getLog();
+        $index = null;
+
+        foreach ($log as $i => $logged) {
+            if ($logged['id'] === $move_id) {
+                $index = $i;
+                break;
+            }
+        }
+
+        if ($index === null) {
+            return new \WP_Error('not_found', 'That move is no longer in the log.');
+        }
+
+        $move = $log[$index];
+
+        if (!empty($move['undone_at'])) {
+            return new \WP_Error('already_undone', 'That move was already undone.');
+        }
+
+        $restore = [];
+        $skipped = [];
+        $blocked = [];
+
+        foreach ($move['entries'] as $entry) {
+            $entry_id = (int) $entry['id'];
+
+            if (in_array(get_post_status($entry_id), [false, 'trash'], true) || (int) get_post_meta($entry_id, self::TARGET_META[$move['type']], true) !== (int) $move['target_id']) {
+                $skipped[] = $entry_id;
+                continue;
+            }
+
+            $date = (string) get_post_meta($entry_id, 'entry_date', true);
+            $reason = self::getEntryLock($entry_id);
+
+            foreach ($entry['from'] as $from_type => $from_id) {
+                $reason = $reason ?? ($from_id ? self::getTargetLock($from_type, (int) $from_id, $date) : null);
+            }
+
+            if ($reason) {
+                $blocked[] = ['id' => $entry_id, 'ref' => self::getEntryRef($entry_id), 'reason' => $reason];
+                continue;
+            }
+
+            $restore[] = $entry;
+        }
+
+        if ($blocked) {
+            return new \WP_Error('billed', count($blocked) . ' of the moved entries are now billed.', ['blocked' => $blocked]);
+        }
+
+        foreach ($restore as $entry) {
+            self::setLinks((int) $entry['id'], $entry['from']);
+            Cache::invalidateTimeEntryCache((int) $entry['id']);
+        }
+
+        $log[$index]['undone_at'] = time();
+        update_option(self::LOG_OPTION, $log, false);
+
+        Logger::debug('ReassignmentService', "Undid move {$move_id}", [
+            'restored' => wp_list_pluck($restore, 'id'),
+            'skipped' => $skipped,
+        ]);
+
+        return [
+            'move' => $log[$index],
+            'restored' => array_map('intval', wp_list_pluck($restore, 'id')),
+            'skipped' => $skipped,
+        ];
+    }
+
+    /**
+     * Get logged moves, newest first.
+     *
+     * @param int $limit Most moves to return (0 for all).
+     * @return array Moves: { id, user_id, time, type, target_id, entries: [{ id, from }], undone_at }.
+     */
+    public static function getLog(int $limit = 0): array {
+        $log = get_option(self::LOG_OPTION, []);
+        $log = is_array($log) ? $log : [];
+
+        return $limit ? array_slice($log, 0, $limit) : $log;
+    }
+
+    /**
+     * Why an entry's current time is locked, if it is.
+     *
+     * @param int $entry_id Time entry ID.
+     * @return string|null Reason, or null when the entry can move.
+     */
+    public static function getEntryLock(int $entry_id): ?string {
+        $date = (string) get_post_meta($entry_id, 'entry_date', true);
+
+        foreach (self::getLinks($entry_id) as $type => $target_id) {
+            $reason = $target_id ? self::getTargetLock($type, $target_id, $date) : null;
+            if ($reason) {
+                return $reason;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Why time on a date is locked for a target, if it is.
+     *
+     * Service request time is billed per client month through the monthly
+     * report; milestone and project time through their own invoices.
+     *
+     * @param string $type       'service_request', 'project' or 'milestone'.
+     * @param int    $target_id  Target post ID.
+     * @param string $entry_date Entry date (Y-m-d).
+     * @return string|null Reason, or null when time can be added or removed.
+     */
+    public static function getTargetLock(string $type, int $target_id, string $entry_date): ?string {
+        $invoices = [];
+
+        if ($type === 'service_request') {
+            $org_id = (int) get_post_meta($target_id, 'organization', true);
+            $timestamp = $entry_date ? strtotime($entry_date) : false;
+
+            if (!$org_id || !$timestamp) {
+                return null;
+            }
+
+            $reports = get_posts([
+                'post_type' => 'monthly_report',
+                'posts_per_page' => 1,
+                'post_status' => 'publish',
+                'fields' => 'ids',
+                'meta_query' => [
+                    'relation' => 'AND',
+                    ['key' => 'organization', 'value' => $org_id],
+                    ['key' => 'report_month', 'value' => date('F Y', $timestamp)],
+                ],
+            ]);
+
+            $invoice = $reports ? InvoiceService::getForMonthlyReport((int) $reports[0]) : null;
+            $invoices = $invoice ? [$invoice] : [];
+        } elseif ($type === 'milestone') {
+            $invoices = InvoiceService::getForMilestone($target_id);
+        } elseif ($type === 'project') {
+            $invoice = InvoiceService::getCloseoutForProject($target_id);
+            $invoices = $invoice ? [$invoice] : [];
+        }
+
+        foreach ($invoices as $invoice) {
+            $status = InvoiceService::getStatus($invoice->ID);
+            if (!in_array($status, self::UNBILLED_INVOICE_STATUSES, true)) {
+                $number = get_post_meta($invoice->ID, 'invoice_number', true) ?: '#' . $invoice->ID;
+                return "Billed on invoice {$number} ({$status})";
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the target an entry is filed under.
+     *
+     * A milestone wins over its project; a service request wins over a project.
+     *
+     * @param int $entry_id Time entry ID.
+     * @return array{0: string, 1: int}|null [type, ID] or null when unlinked.
+     */
+    public static function getEntryTarget(int $entry_id): ?array {
+        $links = self::getLinks($entry_id);
+
+        foreach (['milestone', 'service_request', 'project'] as $type) {
+            if ($links[$type]) {
+                return [$type, $links[$type]];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the organization a target belongs to (milestones through their project).
+     *
+     * @param string $type 'service_request', 'project' or 'milestone'.
+     * @param int    $id   Target post ID.
+     * @return int Organization ID, or 0 when it has none.
+     */
+    public static function getTargetOrgId(string $type, int $id): int {
+        if ($type === 'milestone') {
+            $id = get_post_meta($id, 'related_project', true);
+            if (is_array($id)) {
+                $id = reset($id);
+            }
+            $id = absint($id);
+        }
+
+        return $id ? (int) get_post_meta($id, 'organization', true) : 0;
+    }
+
+    /**
+     * Get an entry's three relationship IDs.
+     *
+     * @param int $entry_id Time entry ID.
+     * @return array<string, int> IDs keyed by target type (0 when unset).
+     */
+    private static function getLinks(int $entry_id): array {
+        $links = [];
+
+        foreach (self::TARGET_META as $type => $meta_key) {
+            $value = get_post_meta($entry_id, $meta_key, true);
+            if (is_array($value)) {
+                $value = reset($value);
+            }
+            $links[$type] = absint($value);
+        }
+
+        return $links;
+    }
+
+    /**
+     * Link an entry to one target, clearing the others.
+     *
+     * Milestone entries also carry the milestone's project, as
+     * TimeEntryService::createLinked() sets them.
+     */
+    private static function setTarget(int $entry_id, string $type, int $target_id): void {
+        $links = array_fill_keys(array_keys(self::TARGET_META), 0);
+        $links[$type] = $target_id;
+
+        if ($type === 'milestone') {
+            $project_id = get_post_meta($target_id, 'related_project', true);
+            if (is_array($project_id)) {
+                $project_id = reset($project_id);
+            }
+            $links['project'] = absint($project_id);
+        }
+
+        self::setLinks($entry_id, $links);
+    }
+
+    /**
+     * Write an entry's three relationship IDs (0 deletes).
+     *
+     * @param int   $entry_id Time entry ID.
+     * @param array $links    IDs keyed by target type.
+     */
+    private static function setLinks(int $entry_id, array $links): void {
+        foreach (self::TARGET_META as $type => $meta_key) {
+            delete_post_meta($entry_id, $meta_key);
+
+            if (!empty($links[$type])) {
+                update_post_meta($entry_id, $meta_key, (int) $links[$type]);
+            }
+        }
+    }
+
+    /**
+     * Get an entry's reference number for messages.
+     */
+    private static function getEntryRef(int $entry_id): string {
+        return get_post_meta($entry_id, 'reference_number', true) ?: '#' . $entry_id;
+    }
+}
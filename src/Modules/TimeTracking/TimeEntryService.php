@@ -3,6 +3,8 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Modules\TimeTracking;
 
+use BBAB\ServiceCenter\Modules\Billing\MonthlyReportService;
+use BBAB\ServiceCenter\Utils\Cache;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
@@ -12,6 +14,7 @@ use BBAB\ServiceCenter\Utils\Logger;
  * - Hours calculation with 15-minute rounding
  * - Orphan prevention (entries must link to SR, Project, or Milestone)
  * - Transient-based linking from "Log Time" row actions
+ * - Creating pre-linked entries for one-click "Start Timer" actions
  * - Query helpers for retrieving time entries
  *
  * Migrated from: WPCode Snippets #1863, #1886
@@ -92,7 +95,9 @@ class TimeEntryService {
         }
 
         if (!empty($time_start) && !empty($time_end)) {
-            $hours = self::calculateHours($time_start, $time_end);
+            // Paused/resumed timers bill the summed segments, not the full span
+            $hours = TimerService::getSegmentHours($id, $time_start, $time_end)
+                ?? self::calculateHours($time_start, $time_end);
 
             if ($hours !== null) {
                 update_post_meta($id, 'hours', $hours);
@@ -131,7 +136,9 @@ class TimeEntryService {
             return;
         }
 
-        $hours = self::calculateHours($time_start, $time_end);
+        // Paused/resumed timers bill the summed segments, not the full span
+        $hours = TimerService::getSegmentHours($post_id, $time_start, $time_end)
+            ?? self::calculateHours($time_start, $time_end);
 
         if ($hours !== null) {
             update_post_meta($post_id, 'hours', $hours);
@@ -407,6 +414,119 @@ class TimeEntryService {
         }
     }
 
+    /**
+     * Create a time entry pre-linked to a service request, project or milestone.
+     *
+     * Fills entry type and description the same way TimeEntryLinker pre-fills
+     * the new time entry form. Relationships are passed as meta_input so they
+     * exist before the orphan check on save_post_time_entry runs.
+     *
+     * @param string $target_type 'service_request', 'project' or 'milestone'.
+     * @param int    $target_id   Target post ID.
+     * @param array  $extra_meta  Meta to set as well or instead (e.g. 'entry_date', 'hours').
+     * @return int|\WP_Error Time entry post ID or error.
+     */
+    public static function createLinked(string $target_type, int $target_id, array $extra_meta = []): int|\WP_Error {
+        $target = get_post($target_id);
+
+        if (!$target || $target->post_type !== $target_type) {
+            return new \WP_Error('invalid_target', 'Invalid service request, project or milestone.');
+        }
+
+        $meta = [
+            'entry_date' => current_time('Y-m-d'),
+        ];
+
+        if ($target_type === 'service_request') {
+            $subject = get_post_meta($target_id, 'subject', true) ?: $target->post_title;
+            $meta['related_service_request'] = $target_id;
+            $meta['entry_type'] = 'Service Request';
+            $meta['description'] = 'SR ' . $subject;
+        } elseif ($target_type === 'project') {
+            $name = get_post_meta($target_id, 'project_name', true) ?: $target->post_title;
+            $meta['related_project'] = $target_id;
+            $meta['entry_type'] = 'Project';
+            $meta['description'] = 'Project ' . $name;
+        } elseif ($target_type === 'milestone') {
+            $name = get_post_meta($target_id, 'milestone_name', true) ?: $target->post_title;
+            $project_id = get_post_meta($target_id, 'related_project', true);
+            if (is_array($project_id)) {
+                $project_id = reset($project_id);
+            }
+            $meta['related_milestone'] = $target_id;
+            if ($project_id) {
+                $meta['related_project'] = absint($project_id);
+            }
+            $meta['entry_type'] = 'Project'; // Milestones use "Project" entry type
+            $meta['description'] = 'Milestone ' . $name;
+        } else {
+            return new \WP_Error('invalid_target', 'Invalid service request, project or milestone.');
+        }
+
+        $meta = array_merge($meta, $extra_meta);
+
+        $post_id = wp_insert_post([
+            'post_type' => 'time_entry',
+            'post_title' => $meta['description'],
+            'post_status' => 'publish',
+            'meta_input' => $meta,
+        ], true);
+
+        if (is_wp_error($post_id)) {
+            return $post_id;
+        }
+
+        // Use Pods API if available so relationship fields are registered properly
+        if (function_exists('pods')) {
+            $relationships = array_intersect_key($meta, array_flip([
+                'related_service_request',
+                'related_project',
+                'related_milestone',
+            ]));
+            pods('time_entry', $post_id)->save($relationships);
+        }
+
+        Logger::debug('TimeEntryService', "Created time entry {$post_id} for {$target_type} {$target_id}");
+
+        return $post_id;
+    }
+
+    /**
+     * Set a time entry's hours directly (timesheet entry).
+     *
+     * Hours are rounded up to the quarter hour like timed entries. Start and
+     * end times are cleared, since they would recalculate the hours on the
+     * next save of the entry. Entries with a running or paused timer are
+     * left alone, since the timer would overwrite them.
+     *
+     * @param int   $post_id Time entry ID.
+     * @param float $hours   Hours worked.
+     * @return bool True on success.
+     */
+    public static function setHours(int $post_id, float $hours): bool {
+        if (get_post_type($post_id) !== 'time_entry' || $hours <= 0) {
+            return false;
+        }
+
+        if (TimerService::isRunning($post_id) || TimerService::isPaused($post_id)) {
+            Logger::warning('TimeEntryService', "Not setting hours on TE {$post_id}: its timer is active");
+            return false;
+        }
+
+        $hours = MonthlyReportService::roundToQuarterHour($hours);
+
+        delete_post_meta($post_id, 'time_start');
+        delete_post_meta($post_id, 'time_end');
+        $result = update_post_meta($post_id, 'hours', $hours);
+
+        // Meta updates skip save_post, so clear TE-derived caches here
+        Cache::invalidateTimeEntryCache($post_id);
+
+        Logger::debug('TimeEntryService', "Set TE {$post_id} hours to {$hours}");
+
+        return $result !== false || (float) get_post_meta($post_id, 'hours', true) === $hours;
+    }
+
     /**
      * Get time entries for a service request.
      *
@@ -3,6 +3,8 @@ declare(strict_types=1);
 
 namespace BBAB\ServiceCenter\Modules\TimeTracking;
 
+use BBAB\ServiceCenter\Core\AjaxException;
+use BBAB\ServiceCenter\Core\AjaxRouter;
 use BBAB\ServiceCenter\Utils\Logger;
 
 /**
@@ -10,9 +12,11 @@ use BBAB\ServiceCenter\Utils\Logger;
  *
  * Handles:
  * - Timer start/stop operations
- * - Single timer enforcement (only one timer globally)
+ * - Pause/resume with multi-segment timing
+ * - Idle time: stopping at an explicit end, or discarding the idle gap
+ * - Single timer enforcement (only one running timer globally)
  * - Kill timer when entry is trashed
- * - AJAX handlers for timer UI
+ * - AjaxRouter handlers for timer UI
  *
  * Migrated from: WPCode Snippets #2331, #2363
  */
@@ -25,9 +29,8 @@ class TimerService {
         // Kill timer when time entry is trashed
         add_action('wp_trash_post', [self::class, 'handleTrash']);
 
-        // AJAX handlers for timer UI (using existing action names for backward compatibility)
-        add_action('wp_ajax_bbab_start_timer', [self::class, 'handleStartAjax']);
-        add_action('wp_ajax_bbab_stop_timer', [self::class, 'handleStopAjax']);
+        // AJAX handlers for timer UI
+        add_action(AjaxRouter::REGISTER_HOOK, [self::class, 'registerAjaxHandlers']);
 
         Logger::debug('TimerService', 'Registered timer hooks');
     }
@@ -47,6 +50,11 @@ class TimerService {
             ];
         }
 
+        // A paused entry picks up where it left off instead of starting over
+        if (self::isPaused($post_id)) {
+            return self::resume($post_id);
+        }
+
         // Check for existing running timer
         $existing = self::getRunningTimer();
         if ($existing && $existing['post_id'] !== $post_id) {
@@ -56,10 +64,11 @@ class TimerService {
             ];
         }
 
-        // Clear any existing times if starting fresh
+        // Clear any existing times and segments if starting fresh
         update_post_meta($post_id, 'time_start', '');
         update_post_meta($post_id, 'time_end', '');
         update_post_meta($post_id, 'hours', '');
+        update_post_meta($post_id, 'timer_segments', []);
 
         // Start the timer
         $now = time();
@@ -74,18 +83,94 @@ class TimerService {
             'success' => true,
             'data' => [
                 'start_timestamp' => $now,
+                'accumulated_seconds' => 0,
+                'status' => 'running',
                 'message' => 'Timer started',
             ],
         ];
     }
 
+    /**
+     * Create a time entry linked to an SR, project or milestone and start its timer.
+     *
+     * Respects the single running timer rule: unless $switch is true, a running
+     * timer on another entry blocks the start and is reported back so the UI
+     * can offer to stop it. With $switch, that timer is stopped first.
+     *
+     * @param string $target_type 'service_request', 'project' or 'milestone'.
+     * @param int    $target_id   Target post ID.
+     * @param bool   $switch      Stop any running timer before starting.
+     * @return array Result with 'success' boolean and 'message' or 'data'.
+     */
+    public static function startFor(string $target_type, int $target_id, bool $switch = false): array {
+        $stopped = null;
+        $existing = self::getRunningTimer();
+
+        if ($existing) {
+            if (!$switch) {
+                return [
+                    'success' => false,
+                    'code' => 'timer_running',
+                    'message' => 'Another timer is already running (TE #' . $existing['post_id'] . '). Stop it first.',
+                    'running' => [
+                        'post_id' => $existing['post_id'],
+                        'context' => self::getContextLabel($existing['post_id']),
+                    ],
+                ];
+            }
+
+            $stop_result = self::stop($existing['post_id']);
+            if (!$stop_result['success']) {
+                return $stop_result;
+            }
+
+            $stopped = array_merge($stop_result['data'], [
+                'post_id' => $existing['post_id'],
+                'status' => 'stopped',
+            ]);
+        }
+
+        $post_id = TimeEntryService::createLinked($target_type, $target_id);
+
+        if (is_wp_error($post_id)) {
+            return [
+                'success' => false,
+                'message' => $post_id->get_error_message(),
+            ];
+        }
+
+        $result = self::start($post_id);
+
+        if (!$result['success']) {
+            return $result;
+        }
+
+        return [
+            'success' => true,
+            'data' => array_merge($result['data'], [
+                'post_id' => $post_id,
+                'context' => self::getContextLabel($post_id),
+                'edit_url' => admin_url('post.php?post=' . $post_id . '&action=edit'),
+                'stopped' => $stopped,
+            ]),
+        ];
+    }
+
     /**
      * Stop the timer for a time entry.
      *
-     * @param int $post_id Time entry post ID.
+     * Works on running and paused timers. Hours are the summed segments,
+     * rounded up to the nearest quarter hour.
+     *
+     * An explicit end (e.g. when the user was idle) closes the open segment
+     * at that time instead of now. It is clamped between the segment's start
+     * and now; paused timers have no open segment, so it is ignored for them.
+     *
+     * @param int      $post_id       Time entry post ID.
+     * @param int|null $end_timestamp Unix timestamp to stop at, or null for now.
      * @return array Result with 'success' boolean and 'message' or 'data'.
      */
-    public static function stop(int $post_id): array {
+    public static function stop(int $post_id, ?int $end_timestamp = null): array {
         // Verify it's a time entry
         if (get_post_type($post_id) !== 'time_entry') {
             return [
@@ -95,29 +180,39 @@ class TimerService {
         }
 
         $start_timestamp = get_post_meta($post_id, 'start_timestamp', true);
+        $segments = self::getSegments($post_id);
+
+        if (!empty($start_timestamp)) {
+            $start = intval($start_timestamp);
+            $end = $end_timestamp === null ? time() : max($start, min(time(), $end_timestamp));
 
-        if (empty($start_timestamp)) {
+            // Close the open segment
+            $segments[] = [
+                'start' => $start,
+                'end' => $end,
+            ];
+        } elseif (!self::isPaused($post_id) || empty($segments)) {
             return [
                 'success' => false,
                 'message' => 'No start timestamp found',
             ];
         }
 
-        $now = time();
+        $first = reset($segments);
+        $last = end($segments);
 
         // Format times with timezone awareness (using WordPress's configured timezone)
-        $time_start = wp_date('g:i A', intval($start_timestamp));
-        $time_end = wp_date('g:i A', $now);
+        $time_start = wp_date('g:i A', $first['start']);
+        $time_end = wp_date('g:i A', $last['end']);
 
-        // Calculate elapsed hours, rounded UP to nearest quarter hour (0.25)
-        $elapsed_seconds = $now - intval($start_timestamp);
-        $raw_hours = $elapsed_seconds / 3600;
-        $hours = ceil($raw_hours * 4) / 4; // Round up to nearest 0.25
+        // Calculate elapsed hours over all segments, rounded UP to nearest quarter hour (0.25)
+        $hours = self::roundSecondsToQuarterHours(self::sumSegments($segments));
 
         // Update time fields
         update_post_meta($post_id, 'time_start', $time_start);
         update_post_meta($post_id, 'time_end', $time_end);
         update_post_meta($post_id, 'hours', $hours);
+        update_post_meta($post_id, 'timer_segments', $segments);
 
         // Stop the timer
         update_post_meta($post_id, 'timer_status', 'stopped');
@@ -127,6 +222,8 @@ class TimerService {
             'time_start' => $time_start,
             'time_end' => $time_end,
             'hours' => $hours,
+            'segments' => count($segments),
+            'explicit_end' => $end_timestamp !== null,
         ]);
 
         return [
@@ -135,11 +232,298 @@ class TimerService {
                 'time_start' => $time_start,
                 'time_end' => $time_end,
                 'hours' => $hours,
+                'segments' => self::formatSegments($segments),
                 'message' => 'Timer stopped',
             ],
         ];
     }
 
+    /**
+     * Pause a running timer.
+     *
+     * Closes the current segment; the entry keeps its accumulated time
+     * until it is resumed or stopped.
+     *
+     * @param int $post_id Time entry post ID.
+     * @return array Result with 'success' boolean and 'message' or 'data'.
+     */
+    public static function pause(int $post_id): array {
+        if (get_post_type($post_id) !== 'time_entry') {
+            return [
+                'success' => false,
+                'message' => 'Invalid post type',
+            ];
+        }
+
+        $start_timestamp = get_post_meta($post_id, 'start_timestamp', true);
+
+        if (!self::isRunning($post_id) || empty($start_timestamp)) {
+            return [
+                'success' => false,
+                'message' => 'Timer is not running',
+            ];
+        }
+
+        $segments = self::getSegments($post_id);
+        $segments[] = [
+            'start' => intval($start_timestamp),
+            'end' => time(),
+        ];
+
+        update_post_meta($post_id, 'timer_segments', $segments);
+        update_post_meta($post_id, 'timer_status', 'paused');
+        update_post_meta($post_id, 'start_timestamp', '');
+
+        $accumulated = self::sumSegments($segments);
+
+        Logger::debug('TimerService', "Paused timer for TE {$post_id}", [
+            'segments' => count($segments),
+            'accumulated_seconds' => $accumulated,
+        ]);
+
+        return [
+            'success' => true,
+            'data' => [
+                'accumulated_seconds' => $accumulated,
+                'segments' => self::formatSegments($segments),
+                'status' => 'paused',
+                'message' => 'Timer paused',
+            ],
+        ];
+    }
+
+    /**
+     * Resume a paused timer by opening a new segment.
+     *
+     * @param int $post_id Time entry post ID.
+     * @return array Result with 'success' boolean and 'message' or 'data'.
+     */
+    public static function resume(int $post_id): array {
+        if (get_post_type($post_id) !== 'time_entry') {
+            return [
+                'success' => false,
+                'message' => 'Invalid post type',
+            ];
+        }
+
+        if (!self::isPaused($post_id)) {
+            return [
+                'success' => false,
+                'message' => 'Timer is not paused',
+            ];
+        }
+
+        $existing = self::getRunningTimer();
+        if ($existing && $existing['post_id'] !== $post_id) {
+            return [
+                'success' => false,
+                'message' => 'Another timer is already running (TE #' . $existing['post_id'] . '). Stop it first.',
+            ];
+        }
+
+        $now = time();
+        update_post_meta($post_id, 'timer_status', 'running');
+        update_post_meta($post_id, 'start_timestamp', $now);
+
+        $accumulated = self::getAccumulatedSeconds($post_id);
+
+        Logger::debug('TimerService', "Resumed timer for TE {$post_id}", [
+            'timestamp' => $now,
+            'accumulated_seconds' => $accumulated,
+        ]);
+
+        return [
+            'success' => true,
+            'data' => [
+                'start_timestamp' => $now,
+                'accumulated_seconds' => $accumulated,
+                'status' => 'running',
+                'message' => 'Timer resumed',
+            ],
+        ];
+    }
+
+    /**
+     * Drop idle time from a running timer and keep it running.
+     *
+     * Closes the open segment when the user went idle and opens a new one
+     * now, so the idle gap is left out of the summed segments.
+     *
+     * @param int $post_id    Time entry post ID.
+     * @param int $idle_since Unix timestamp of the last activity.
+     * @return array Result with 'success' boolean and 'message' or 'data'.
+     */
+    public static function discardIdle(int $post_id, int $idle_since): array {
+        if (get_post_type($post_id) !== 'time_entry') {
+            return [
+                'success' => false,
+                'message' => 'Invalid post type',
+            ];
+        }
+
+        $start_timestamp = get_post_meta($post_id, 'start_timestamp', true);
+
+        if (!self::isRunning($post_id) || empty($start_timestamp)) {
+            return [
+                'success' => false,
+                'message' => 'Timer is not running',
+            ];
+        }
+
+        $start = intval($start_timestamp);
+        $now = time();
+        $idle_since = max($start, min($now, $idle_since));
+
+        $segments = self::getSegments($post_id);
+
+        // Idle from the very start leaves nothing worth keeping in this segment
+        if ($idle_since > $start) {
+            $segments[] = [
+                'start' => $start,
+                'end' => $idle_since,
+            ];
+        }
+
+        update_post_meta($post_id, 'timer_segments', $segments);
+        update_post_meta($post_id, 'start_timestamp', $now);
+
+        $accumulated = self::sumSegments($segments);
+
+        Logger::debug('TimerService', "Discarded idle time on TE {$post_id}", [
+            'idle_seconds' => $now - $idle_since,
+            'accumulated_seconds' => $accumulated,
+        ]);
+
+        return [
+            'success' => true,
+            'data' => [
+                'start_timestamp' => $now,
+                'accumulated_seconds' => $accumulated,
+                'segments' => self::formatSegments($segments),
+                'status' => 'running',
+                'message' => 'Idle time discarded',
+            ],
+        ];
+    }
+
+    /**
+     * Get the closed timing segments for a time entry.
+     *
+     * @param int $post_id Time entry post ID.
+     * @return array<int, array{start: int, end: int}> Segments in chronological order.
+     */
+    public static function getSegments(int $post_id): array {
+        $segments = get_post_meta($post_id, 'timer_segments', true);
+
+        if (!is_array($segments)) {
+            return [];
+        }
+
+        $clean = [];
+        foreach ($segments as $segment) {
+            if (!is_array($segment) || empty($segment['start']) || empty($segment['end'])) {
+                continue;
+            }
+            $clean[] = [
+                'start' => intval($segment['start']),
+                'end' => intval($segment['end']),
+            ];
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Get seconds accumulated in closed segments (excludes the open one).
+     *
+     * @param int $post_id Time entry post ID.
+     * @return int Accumulated seconds.
+     */
+    public static function getAccumulatedSeconds(int $post_id): int {
+        return self::sumSegments(self::getSegments($post_id));
+    }
+
+    /**
+     * Get billable hours from stored segments, if they still describe the entry.
+     *
+     * Returns null when the entry has fewer than two segments or when the
+     * start/end times no longer match the segments (edited by hand), so
+     * callers fall back to the plain start/end calculation.
+     *
+     * @param int    $post_id    Time entry post ID.
+     * @param string $time_start Current time_start value.
+     * @param string $time_end   Current time_end value.
+     * @return float|null Billable hours or null.
+     */
+    public static function getSegmentHours(int $post_id, string $time_start, string $time_end): ?float {
+        $segments = self::getSegments($post_id);
+
+        if (count($segments) < 2) {
+            return null;
+        }
+
+        $first = reset($segments);
+        $last = end($segments);
+
+        if (trim($time_start) !== wp_date('g:i A', $first['start']) || trim($time_end) !== wp_date('g:i A', $last['end'])) {
+            return null;
+        }
+
+        return self::roundSecondsToQuarterHours(self::sumSegments($segments));
+    }
+
+    /**
+     * Sum the durations of a list of segments.
+     *
+     * @param array $segments Segments with 'start' and 'end' timestamps.
+     * @return int Total seconds.
+     */
+    private static function sumSegments(array $segments): int {
+        $total = 0;
+        foreach ($segments as $segment) {
+            $total += max(0, $segment['end'] - $segment['start']);
+        }
+        return $total;
+    }
+
+    /**
+     * Round seconds UP to the nearest quarter hour.
+     *
+     * @param int $seconds Elapsed seconds.
+     * @return float Hours in 0.25 increments.
+     */
+    private static function roundSecondsToQuarterHours(int $seconds): float {
+        return ceil(($seconds / 3600) * 4) / 4;
+    }
+
+    /**
+     * Format segments for JSON responses and display.
+     *
+     * @param array $segments Segments with 'start' and 'end' timestamps.
+     * @return array List of segments with formatted times.
+     */
+    private static function formatSegments(array $segments): array {
+        return array_map(function ($segment) {
+            return [
+                'start' => $segment['start'],
+                'end' => $segment['end'],
+                'time_start' => wp_date('g:i A', $segment['start']),
+                'time_end' => wp_date('g:i A', $segment['end']),
+                'seconds' => max(0, $segment['end'] - $segment['start']),
+            ];
+        }, $segments);
+    }
+
+    /**
+     * Get formatted segments for a time entry.
+     *
+     * @param int $post_id Time entry post ID.
+     * @return array List of segments with formatted times.
+     */
+    public static function getFormattedSegments(int $post_id): array {
+        return self::formatSegments(self::getSegments($post_id));
+    }
+
     /**
      * Get the currently running timer, if any.
      *
@@ -172,6 +556,114 @@ class TimerService {
         ];
     }
 
+    /**
+     * Get the timer to show in the UI: the running one, else the latest paused one.
+     *
+     * @return array|null Array with 'post_id', 'status', 'start_timestamp' and
+     *                    'accumulated_seconds', or null.
+     */
+    public static function getActiveTimer(): ?array {
+        global $wpdb;
+
+        $result = $wpdb->get_row("
+            SELECT p.ID as post_id, pm.meta_value as timer_status
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id
+            WHERE p.post_type = 'time_entry'
+            AND p.post_status IN ('publish', 'draft')
+            AND pm.meta_key = 'timer_status'
+            AND pm.meta_value IN ('running', 'paused')
+            ORDER BY (pm.meta_value = 'running') DESC, p.ID DESC
+            LIMIT 1
+        ", ARRAY_A);
+
+        if (!$result) {
+            return null;
+        }
+
+        $post_id = intval($result['post_id']);
+        $status = $result['timer_status'];
+
+        return [
+            'post_id' => $post_id,
+            'status' => $status,
+            'start_timestamp' => $status === 'running' ? intval(get_post_meta($post_id, 'start_timestamp', true)) : 0,
+            'accumulated_seconds' => self::getAccumulatedSeconds($post_id),
+        ];
+    }
+
+    /**
+     * Get a short label describing what a time entry is for.
+     *
+     * @param int $post_id Time entry post ID.
+     * @return string Label such as "SR-0042 - Subject" or "Project: Name".
+     */
+    public static function getContextLabel(int $post_id): string {
+        $sr_id = get_post_meta($post_id, 'related_service_request', true);
+        $project_id = get_post_meta($post_id, 'related_project', true);
+        $milestone_id = get_post_meta($post_id, 'related_milestone', true);
+
+        if ($sr_id) {
+            $ref = get_post_meta($sr_id, 'reference_number', true);
+            $subject = get_post_meta($sr_id, 'subject', true);
+            return $ref . ' - ' . substr((string) $subject, 0, 40);
+        }
+
+        if ($project_id) {
+            return 'Project: ' . get_post_meta($project_id, 'project_name', true);
+        }
+
+        if ($milestone_id) {
+            return 'Milestone: ' . get_post_meta($milestone_id, 'milestone_name', true);
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the full timer state of a single time entry.
+     *
+     * @param int $post_id Time entry post ID.
+     * @return array Timer status, timestamps, recorded times and segments.
+     */
+    public static function getEntryState(int $post_id): array {
+        $status = get_post_meta($post_id, 'timer_status', true) ?: 'stopped';
+        $time_start = get_post_meta($post_id, 'time_start', true);
+        $time_end = get_post_meta($post_id, 'time_end', true);
+
+        return [
+            'post_id' => $post_id,
+            'status' => $status,
+            'start_timestamp' => $status === 'running' ? intval(get_post_meta($post_id, 'start_timestamp', true)) : 0,
+            'accumulated_seconds' => self::getAccumulatedSeconds($post_id),
+            'time_start' => is_array($time_start) ? reset($time_start) : $time_start,
+            'time_end' => is_array($time_end) ? reset($time_end) : $time_end,
+            'hours' => get_post_meta($post_id, 'hours', true),
+            'segments' => self::getFormattedSegments($post_id),
+        ];
+    }
+
+    /**
+     * Get the timer state shared with every admin tab.
+     *
+     * @param int $post_id Optional time entry to include full state for.
+     * @return array With 'active' (timer shown in the global bar, or null)
+     *               and 'entry' (state of $post_id, or null).
+     */
+    public static function getClientState(int $post_id = 0): array {
+        $active = self::getActiveTimer();
+
+        if ($active) {
+            $active['context'] = self::getContextLabel($active['post_id']);
+            $active['edit_url'] = admin_url('post.php?post=' . $active['post_id'] . '&action=edit');
+        }
+
+        return [
+            'active' => $active,
+            'entry' => $post_id && get_post_type($post_id) === 'time_entry' ? self::getEntryState($post_id) : null,
+        ];
+    }
+
     /**
      * Kill (stop without saving times) a timer.
      *
@@ -182,7 +674,7 @@ class TimerService {
     public static function killTimer(int $post_id): void {
         $timer_status = get_post_meta($post_id, 'timer_status', true);
 
-        if ($timer_status === 'running') {
+        if ($timer_status === 'running' || $timer_status === 'paused') {
             update_post_meta($post_id, 'timer_status', 'stopped');
             update_post_meta($post_id, 'start_timestamp', '');
 
@@ -203,72 +695,145 @@ class TimerService {
         self::killTimer($post_id);
     }
 
+    /**
+     * Add the timer handlers to the router.
+     *
+     * Timers are an admin tool: no org context, but edit_posts is required.
+     *
+     * @param AjaxRouter $router The AJAX router.
+     */
+    public static function registerAjaxHandlers(AjaxRouter $router): void {
+        $router->addHandler('timer_start', [self::class, 'handleStartAjax'], false, false, 'edit_posts');
+        $router->addHandler('timer_stop', [self::class, 'handleStopAjax'], false, false, 'edit_posts');
+        $router->addHandler('timer_pause', [self::class, 'handlePauseAjax'], false, false, 'edit_posts');
+        $router->addHandler('timer_resume', [self::class, 'handleResumeAjax'], false, false, 'edit_posts');
+        $router->addHandler('timer_status', [self::class, 'handleStatusAjax'], false, false, 'edit_posts');
+        $router->addHandler('timer_start_for', [self::class, 'handleStartForAjax'], false, false, 'edit_posts');
+        $router->addHandler('timer_discard_idle', [self::class, 'handleDiscardIdleAjax'], false, false, 'edit_posts');
+    }
+
     /**
      * AJAX handler for starting timer.
      *
-     * Uses existing action name (bbab_start_timer) for backward compatibility
-     * with timer UI from snippet 2327/2332.
+     * @param array $data Request data with 'post_id'.
+     * @return array Timer data from start().
      */
-    public static function handleStartAjax(): void {
-        // Verify nonce (using existing nonce action for backward compatibility)
-        if (!check_ajax_referer('bbab_timer_action', 'nonce', false)) {
-            wp_send_json_error('Security check failed');
-            return;
-        }
+    public static function handleStartAjax(array $data): array {
+        return self::ajaxResult(self::start(self::requirePostId($data)));
+    }
 
-        if (!current_user_can('edit_posts')) {
-            wp_send_json_error('Permission denied');
-            return;
-        }
+    /**
+     * AJAX handler for stopping timer.
+     *
+     * @param array $data Request data with 'post_id' and optional 'end_timestamp'.
+     * @return array Timer data from stop().
+     */
+    public static function handleStopAjax(array $data): array {
+        $end_timestamp = absint($data['end_timestamp'] ?? 0);
 
-        $post_id = isset($_POST['post_id']) ? intval($_POST['post_id']) : 0;
+        return self::ajaxResult(self::stop(self::requirePostId($data), $end_timestamp ?: null));
+    }
 
-        if (!$post_id) {
-            wp_send_json_error('Invalid post ID');
-            return;
+    /**
+     * AJAX handler for discarding idle time from a running timer.
+     *
+     * @param array $data Request data with 'post_id' and 'idle_since'.
+     * @return array Timer data from discardIdle().
+     */
+    public static function handleDiscardIdleAjax(array $data): array {
+        $idle_since = absint($data['idle_since'] ?? 0);
+
+        if (!$idle_since) {
+            throw new AjaxException('Invalid idle time', 400, 'invalid_request');
         }
 
-        $result = self::start($post_id);
+        return self::ajaxResult(self::discardIdle(self::requirePostId($data), $idle_since));
+    }
 
-        if ($result['success']) {
-            wp_send_json_success($result['data']);
-        } else {
-            wp_send_json_error($result['message']);
-        }
+    /**
+     * AJAX handler for pausing timer.
+     *
+     * @param array $data Request data with 'post_id'.
+     * @return array Timer data from pause().
+     */
+    public static function handlePauseAjax(array $data): array {
+        return self::ajaxResult(self::pause(self::requirePostId($data)));
     }
 
     /**
-     * AJAX handler for stopping timer.
+     * AJAX handler for resuming a paused timer.
      *
-     * Uses existing action name (bbab_stop_timer) for backward compatibility
-     * with timer UI from snippet 2327/2332.
+     * @param array $data Request data with 'post_id'.
+     * @return array Timer data from resume().
      */
-    public static function handleStopAjax(): void {
-        // Verify nonce (using existing nonce action for backward compatibility)
-        if (!check_ajax_referer('bbab_timer_action', 'nonce', false)) {
-            wp_send_json_error('Security check failed');
-            return;
-        }
+    public static function handleResumeAjax(array $data): array {
+        return self::ajaxResult(self::resume(self::requirePostId($data)));
+    }
 
-        if (!current_user_can('edit_posts')) {
-            wp_send_json_error('Permission denied');
-            return;
+    /**
+     * AJAX handler for one-click "Start Timer" on SR/project/milestone rows.
+     *
+     * A 'timer_running' error carries the running timer so the UI can offer to switch.
+     *
+     * @param array $data Request data with 'target_type', 'target_id' and 'switch'.
+     * @return array Timer data from startFor().
+     */
+    public static function handleStartForAjax(array $data): array {
+        $target_type = sanitize_key($data['target_type'] ?? '');
+        $target_id = absint($data['target_id'] ?? 0);
+        $switch = !empty($data['switch']);
+
+        if (!$target_id || !in_array($target_type, ['service_request', 'project', 'milestone'], true)) {
+            throw new AjaxException('Invalid target', 400, 'invalid_request');
         }
 
-        $post_id = isset($_POST['post_id']) ? intval($_POST['post_id']) : 0;
+        return self::ajaxResult(self::startFor($target_type, $target_id, $switch));
+    }
+
+    /**
+     * AJAX handler for polling the shared timer state.
+     *
+     * Used by admin-timer-sync.js to keep every open admin tab consistent.
+     *
+     * @param array $data Request data with optional 'post_id'.
+     * @return array Client state from getClientState().
+     */
+    public static function handleStatusAjax(array $data): array {
+        return self::getClientState(absint($data['post_id'] ?? 0));
+    }
+
+    /**
+     * Read the time entry ID from a request.
+     *
+     * @param array $data Request data.
+     * @return int Post ID.
+     * @throws AjaxException If missing.
+     */
+    private static function requirePostId(array $data): int {
+        $post_id = absint($data['post_id'] ?? 0);
 
         if (!$post_id) {
-            wp_send_json_error('Invalid post ID');
-            return;
+            throw new AjaxException('Invalid post ID', 400, 'invalid_request');
         }
 
-        $result = self::stop($post_id);
+        return $post_id;
+    }
 
+    /**
+     * Turn a service result into handler output.
+     *
+     * @param array $result Result with 'success' and 'data' or 'message'.
+     * @return array The result data.
+     * @throws AjaxException If the operation failed.
+     */
+    private static function ajaxResult(array $result): array {
         if ($result['success']) {
-            wp_send_json_success($result['data']);
-        } else {
-            wp_send_json_error($result['message']);
+            return $result['data'];
         }
+
+        $extra = isset($result['running']) ? ['running' => $result['running']] : [];
+
+        throw new AjaxException($result['message'], 400, $result['code'] ?? 'timer_error', $extra);
     }
 
     /**
@@ -303,4 +868,15 @@ class TimerService {
         $timer_status = get_post_meta($post_id, 'timer_status', true);
         return $timer_status === 'running';
     }
+
+    /**
+     * Check if a time entry has a paused timer.
+     *
+     * @param int $post_id Time entry post ID.
+     * @return bool True if timer is paused.
+     */
+    public static function isPaused(int $post_id): bool {
+        $timer_status = get_post_meta($post_id, 'timer_status', true);
+        return $timer_status === 'paused';
+    }
 }
@@ -174,6 +174,10 @@ class Cache {
         // Time Entry hooks
         add_action('save_post_time_entry', [self::class, 'invalidateTimeEntryCache']);
 
+        // Client Task and Roadmap hooks (Workbench boxes)
+        add_action('save_post_client_task', [self::class, 'invalidateClientTaskCache']);
+        add_action('save_post_roadmap_item', [self::class, 'invalidateRoadmapCache']);
+
         // Delete hook (handles all post types)
         add_action('delete_post', [self::class, 'invalidateOnDelete'], 10, 2);
 
@@ -264,6 +268,32 @@ class Cache {
         Logger::debug('Cache', 'Invalidated time entry cache for post ' . $post_id);
     }
 
+    /**
+     * Invalidate client task related caches.
+     */
+    public static function invalidateClientTaskCache(int $post_id): void {
+        if (wp_is_post_autosave($post_id) || wp_is_post_revision($post_id)) {
+            return;
+        }
+
+        self::flushPattern('workbench_pending_tasks');
+
+        Logger::debug('Cache', 'Invalidated client task cache for post ' . $post_id);
+    }
+
+    /**
+     * Invalidate roadmap item related caches.
+     */
+    public static function invalidateRoadmapCache(int $post_id): void {
+        if (wp_is_post_autosave($post_id) || wp_is_post_revision($post_id)) {
+            return;
+        }
+
+        self::flushPattern('workbench_active_roadmap');
+
+        Logger::debug('Cache', 'Invalidated roadmap cache for post ' . $post_id);
+    }
+
     /**
      * Handle cache invalidation on post deletion.
      *
@@ -295,6 +325,12 @@ class Cache {
             case 'time_entry':
                 self::invalidateTimeEntryCache($post_id);
                 break;
+            case 'client_task':
+                self::invalidateClientTaskCache($post_id);
+                break;
+            case 'roadmap_item':
+                self::invalidateRoadmapCache($post_id);
+                break;
         }
     }
 }
@@ -72,6 +72,7 @@ class Settings {
 
         // Time Tracking Settings
         'forgotten_timer_email' => 'brad@bradsbitsandbytes.com',
+        'timer_idle_minutes' => 15, // Prompt about idle time after this many minutes (0 = off)
 
         // PDF Generation Settings
         'pdf_logo_url' => '', // Set via admin settings or wp_options
@@ -94,6 +95,18 @@ class Settings {
 <div style="background:#f5f5f5; padding:15px; border-left:4px solid #467FF7;">{description}</div>
 {attachments_note}
 <p><a href="{admin_link}" style="display:inline-block; background:#467FF7; color:white; padding:10px 20px; text-decoration:none; border-radius:4px; margin-top:15px;">View Service Request</a></p>',
+
+        // Service Request Reply Notification
+        // Client replies go to sr_notification_email, staff replies to the submitter
+        // Placeholders: {ref}, {org_name}, {user_name}, {subject}, {message}, {link}, {attachments_note}
+        'sr_reply_notification_subject' => 'New reply on {ref}: {subject}',
+        'sr_reply_notification_body' => '<h2>New Reply on {ref}</h2>
+<p><strong>Client:</strong> {org_name}</p>
+<p><strong>From:</strong> {user_name}</p>
+<p><strong>Subject:</strong> {subject}</p>
+<div style="background:#f5f5f5; padding:15px; border-left:4px solid #467FF7;">{message}</div>
+{attachments_note}
+<p><a href="{link}" style="display:inline-block; background:#467FF7; color:white; padding:10px 20px; text-decoration:none; border-radius:4px; margin-top:15px;">View Service Request</a></p>',
     ];
 
     /**
@@ -0,0 +1,83 @@
+<?php
+/**
+ * Brad's Workbench - Client Tasks box rows.
+ *
+ * Rendered inside the box on page load and again by the workbench_refresh
+ * AJAX handler.
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ *
+ * Variables available:
+ * @var array         $items
+ * @var WorkbenchPage $this
+ */
+
+// Don't allow direct access.
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+<?php if (empty($items)): ?>
+    <p class="bbab-no-items"><?php esc_html_e('No pending client tasks.', 'bbab-service-center'); ?></p>
+<?php else: ?>
+    <table class="bbab-workbench-table">
+        <thead>
+            <tr>
+                <th><?php esc_html_e('Task', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Due Date', 'bbab-service-center'); ?></th>
+                <th class="bbab-col-center"><span class="screen-reader-text"><?php esc_html_e('Done', 'bbab-service-center'); ?></span></th>
+            </tr>
+        </thead>
+        <tbody>
+            <?php foreach ($items as $task):
+                $description = get_post_meta($task->ID, 'task_description', true) ?: $task->post_title;
+                $due_date = get_post_meta($task->ID, 'due_date', true);
+                $org_shortcode = $this->getTaskOrgShortcode($task->ID);
+                $display_desc = mb_strlen($description) > 35 ? mb_substr($description, 0, 35) . '...' : $description;
+
+                // Due date formatting
+                $due_class = '';
+                $due_display = '&mdash;';
+                if (!empty($due_date)) {
+                    $due_timestamp = strtotime($due_date);
+                    $today = strtotime('today');
+                    $soon = strtotime('+3 days');
+
+                    $due_display = date_i18n('M j', $due_timestamp);
+                    if ($due_timestamp < $today) {
+                        $due_class = 'bbab-overdue';
+                    } elseif ($due_timestamp <= $soon) {
+                        $due_class = 'bbab-due-soon';
+                    }
+                }
+            ?>
+            <tr>
+                <td>
+                    <a href="<?php echo esc_url($this->getEditLink($task->ID)); ?>" title="<?php echo esc_attr($description); ?>">
+                        <?php echo esc_html($display_desc); ?>
+                    </a>
+                </td>
+                <td>
+                    <?php if ($org_shortcode): ?>
+                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
+                    <?php else: ?>
+                        <span class="bbab-text-muted">&mdash;</span>
+                    <?php endif; ?>
+                </td>
+                <td>
+                    <?php if (!empty($due_date)): ?>
+                        <span class="<?php echo esc_attr($due_class); ?>"><?php echo esc_html($due_display); ?></span>
+                    <?php else: ?>
+                        <span class="bbab-text-muted">&mdash;</span>
+                    <?php endif; ?>
+                </td>
+                <td class="bbab-col-center">
+                    <button type="button" class="bbab-task-done" data-task-id="<?php echo esc_attr($task->ID); ?>" title="<?php esc_attr_e('Mark Complete', 'bbab-service-center'); ?>">&#10003;</button>
+                </td>
+            </tr>
+            <?php endforeach; ?>
+        </tbody>
+    </table>
+<?php endif; ?>
@@ -0,0 +1,59 @@
+<?php
+/**
+ * Brad's Workbench - Invoices box rows.
+ *
+ * Rendered inside the box on page load and again by the workbench_refresh
+ * AJAX handler.
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ *
+ * Variables available:
+ * @var array         $items
+ * @var WorkbenchPage $this
+ */
+
+// Don't allow direct access.
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+<?php if (empty($items)): ?>
+    <p class="bbab-no-items"><?php esc_html_e('No pending invoices.', 'bbab-service-center'); ?></p>
+<?php else: ?>
+    <table class="bbab-workbench-table">
+        <thead>
+            <tr>
+                <th><?php esc_html_e('Invoice #', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Status', 'bbab-service-center'); ?></th>
+                <th class="bbab-col-right"><?php esc_html_e('Amount', 'bbab-service-center'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <?php foreach ($items as $invoice):
+                $number = get_post_meta($invoice->ID, 'invoice_number', true);
+                $status = get_post_meta($invoice->ID, 'invoice_status', true);
+                $amount = floatval(get_post_meta($invoice->ID, 'total_amount', true));
+                $org_shortcode = $this->getOrgShortcode($invoice->ID);
+            ?>
+            <tr>
+                <td>
+                    <a href="<?php echo esc_url($this->getEditLink($invoice->ID)); ?>" class="bbab-ref-link">
+                        <?php echo esc_html($number); ?>
+                    </a>
+                </td>
+                <td>
+                    <?php if ($org_shortcode): ?>
+                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
+                    <?php else: ?>
+                        <span class="bbab-text-muted">&mdash;</span>
+                    <?php endif; ?>
+                </td>
+                <td><?php echo $this->renderStatusBadge($status); ?></td>
+                <td class="bbab-col-right"><?php echo esc_html($this->formatCurrency($amount)); ?></td>
+            </tr>
+            <?php endforeach; ?>
+        </tbody>
+    </table>
+<?php endif; ?>
@@ -0,0 +1,67 @@
+<?php
+/**
+ * Brad's Workbench - Roadmap Items box rows.
+ *
+ * Rendered inside the box on page load and again by the workbench_refresh
+ * AJAX handler.
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ *
+ * Variables available:
+ * @var array         $items
+ * @var WorkbenchPage $this
+ */
+
+// Don't allow direct access.
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+<?php if (empty($items)): ?>
+    <p class="bbab-no-items"><?php esc_html_e('No active roadmap items.', 'bbab-service-center'); ?></p>
+<?php else: ?>
+    <table class="bbab-workbench-table">
+        <thead>
+            <tr>
+                <th><?php esc_html_e('Feature', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Status', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Priority', 'bbab-service-center'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <?php foreach ($items as $item):
+                $status = get_post_meta($item->ID, 'roadmap_status', true);
+                $priority = get_post_meta($item->ID, 'priority', true);
+                $org_shortcode = $this->getOrgShortcode($item->ID);
+                $title = mb_strlen($item->post_title) > 30 ? mb_substr($item->post_title, 0, 30) . '...' : $item->post_title;
+            ?>
+            <tr>
+                <td>
+                    <a href="<?php echo esc_url($this->getEditLink($item->ID)); ?>" title="<?php echo esc_attr($item->post_title); ?>">
+                        <?php echo esc_html($title); ?>
+                    </a>
+                </td>
+                <td>
+                    <?php if ($org_shortcode): ?>
+                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
+                    <?php else: ?>
+                        <span class="bbab-text-muted">&mdash;</span>
+                    <?php endif; ?>
+                </td>
+                <td><?php echo $this->renderStatusBadge($status); ?></td>
+                <td>
+                    <?php if ($priority): ?>
+                        <span class="bbab-priority-badge priority-<?php echo esc_attr(strtolower($priority)); ?>">
+                            <?php echo esc_html($priority); ?>
+                        </span>
+                    <?php else: ?>
+                        <span class="bbab-text-muted">&mdash;</span>
+                    <?php endif; ?>
+                </td>
+            </tr>
+            <?php endforeach; ?>
+        </tbody>
+    </table>
+<?php endif; ?>
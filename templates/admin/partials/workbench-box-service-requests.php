@@ -0,0 +1,71 @@
+<?php
+/**
+ * Brad's Workbench - Service Requests box rows.
+ *
+ * Rendered inside the box on page load and again by the workbench_refresh
+ * AJAX handler.
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ *
+ * Variables available:
+ * @var array         $items
+ * @var WorkbenchPage $this
+ */
+
+// Don't allow direct access.
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+<?php if (empty($items)): ?>
+    <p class="bbab-no-items"><?php esc_html_e('No open service requests.', 'bbab-service-center'); ?></p>
+<?php else: ?>
+    <table class="bbab-workbench-table">
+        <thead>
+            <tr>
+                <th><?php esc_html_e('Ref', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
+                <th><?php esc_html_e('Status', 'bbab-service-center'); ?></th>
+                <th class="bbab-col-center"><?php esc_html_e('TEs', 'bbab-service-center'); ?></th>
+                <th class="bbab-col-center"><span class="screen-reader-text"><?php esc_html_e('Timer', 'bbab-service-center'); ?></span></th>
+            </tr>
+        </thead>
+        <tbody>
+            <?php foreach ($items as $sr):
+                $ref = get_post_meta($sr->ID, 'reference_number', true);
+                $status = get_post_meta($sr->ID, 'request_status', true);
+                $org_shortcode = $this->getOrgShortcode($sr->ID);
+                $te_count = $this->getSrTimeEntryCount($sr->ID);
+            ?>
+            <tr>
+                <td>
+                    <a href="<?php echo esc_url($this->getEditLink($sr->ID)); ?>" class="bbab-ref-link">
+                        <?php echo esc_html($ref); ?>
+                    </a>
+                </td>
+                <td>
+                    <?php if ($org_shortcode): ?>
+                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
+                    <?php else: ?>
+                        <span class="bbab-text-muted">&mdash;</span>
+                    <?php endif; ?>
+                </td>
+                <td><?php echo $this->renderSrStatusSelect($sr->ID, (string) $status); ?></td>
+                <td class="bbab-col-center">
+                    <?php if ($te_count > 0): ?>
+                        <a href="<?php echo esc_url($this->getTimeEntriesBySrUrl($sr->ID)); ?>" title="<?php esc_attr_e('View Time Entries', 'bbab-service-center'); ?>">
+                            <?php echo esc_html($te_count); ?>
+                        </a>
+                    <?php else: ?>
+                        <span class="bbab-text-muted">0</span>
+                    <?php endif; ?>
+                </td>
+                <td class="bbab-col-center bbab-col-timer">
+                    <?php echo $this->renderStartTimerButton($sr->ID, 'service_request'); ?>
+                </td>
+            </tr>
+            <?php endforeach; ?>
+        </tbody>
+    </table>
+<?php endif; ?>
@@ -21,9 +21,11 @@
  * @var array  $organizations
  * @var int    $simulating_org_id
  * @var string $simulating_org_name
+ * @var int    $filter_org_id
  * @var WorkbenchPage $this
  */
 
+use BBAB\ServiceCenter\Admin\Workbench\WorkbenchPage;
 use BBAB\ServiceCenter\Core\SimulationBootstrap;
 
 // Don't allow direct access.
@@ -73,63 +75,31 @@ if (!defined('ABSPATH')) {
         <?php endif; ?>
     </div>
 
+    <!-- Organization Filter -->
+    <div class="bbab-workbench-toolbar">
+        <label for="bbab-workbench-org-filter"><?php esc_html_e('Filter by Client:', 'bbab-service-center'); ?></label>
+        <select id="bbab-workbench-org-filter">
+            <option value=""><?php esc_html_e('All Clients', 'bbab-service-center'); ?></option>
+            <?php foreach ($organizations as $org): ?>
+                <option value="<?php echo esc_attr($org['id']); ?>" <?php selected($filter_org_id, $org['id']); ?>>
+                    <?php echo esc_html($org['shortcode'] ? $org['shortcode'] . ' - ' . $org['name'] : $org['name']); ?>
+                </option>
+            <?php endforeach; ?>
+        </select>
+        <span class="bbab-refresh-status" aria-live="polite"></span>
+    </div>
+
     <!-- Dashboard Boxes Grid -->
-    <div class="bbab-workbench-grid">
+    <div class="bbab-workbench-grid" data-refresh-interval="<?php echo esc_attr((string) WorkbenchPage::REFRESH_INTERVAL); ?>">
 
         <!-- Service Requests Box -->
         <div class="bbab-workbench-box">
             <div class="bbab-box-header">
                 <h2><?php esc_html_e('Service Requests', 'bbab-service-center'); ?></h2>
-                <span class="bbab-box-count"><?php echo esc_html($sr_total_count); ?> <?php esc_html_e('open', 'bbab-service-center'); ?></span>
+                <span class="bbab-box-count" data-box-count="service_requests"><span class="bbab-count-value"><?php echo esc_html($sr_total_count); ?></span> <?php esc_html_e('open', 'bbab-service-center'); ?></span>
             </div>
-            <div class="bbab-box-content">
-                <?php if (empty($service_requests)): ?>
-                    <p class="bbab-no-items"><?php esc_html_e('No open service requests.', 'bbab-service-center'); ?></p>
-                <?php else: ?>
-                    <table class="bbab-workbench-table">
-                        <thead>
-                            <tr>
-                                <th><?php esc_html_e('Ref', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Status', 'bbab-service-center'); ?></th>
-                                <th class="bbab-col-center"><?php esc_html_e('TEs', 'bbab-service-center'); ?></th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            <?php foreach ($service_requests as $sr):
-                                $ref = get_post_meta($sr->ID, 'reference_number', true);
-                                $status = get_post_meta($sr->ID, 'request_status', true);
-                                $org_shortcode = $this->getOrgShortcode($sr->ID);
-                                $te_count = $this->getSrTimeEntryCount($sr->ID);
-                            ?>
-                            <tr>
-                                <td>
-                                    <a href="<?php echo esc_url($this->getEditLink($sr->ID)); ?>" class="bbab-ref-link">
-                                        <?php echo esc_html($ref); ?>
-                                    </a>
-                                </td>
-                                <td>
-                                    <?php if ($org_shortcode): ?>
-                                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">&mdash;</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td><?php echo $this->renderStatusBadge($status); ?></td>
-                                <td class="bbab-col-center">
-                                    <?php if ($te_count > 0): ?>
-                                        <a href="<?php echo esc_url($this->getTimeEntriesBySrUrl($sr->ID)); ?>" title="<?php esc_attr_e('View Time Entries', 'bbab-service-center'); ?>">
-                                            <?php echo esc_html($te_count); ?>
-                                        </a>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">0</span>
-                                    <?php endif; ?>
-                                </td>
-                            </tr>
-                            <?php endforeach; ?>
-                        </tbody>
-                    </table>
-                <?php endif; ?>
+            <div class="bbab-box-content" data-box="service_requests">
+                <?php echo $this->renderBoxContent('service_requests', $service_requests); ?>
             </div>
             <div class="bbab-box-footer">
                 <a href="<?php echo esc_url(admin_url('admin.php?page=bbab-requests')); ?>" class="button">
@@ -148,67 +118,10 @@ if (!defined('ABSPATH')) {
         <div class="bbab-workbench-box">
             <div class="bbab-box-header">
                 <h2><?php esc_html_e('Projects', 'bbab-service-center'); ?></h2>
-                <span class="bbab-box-count"><?php echo esc_html($project_total_count); ?> <?php esc_html_e('active', 'bbab-service-center'); ?></span>
+                <span class="bbab-box-count" data-box-count="projects"><span class="bbab-count-value"><?php echo esc_html($project_total_count); ?></span> <?php esc_html_e('active', 'bbab-service-center'); ?></span>
             </div>
-            <div class="bbab-box-content">
-                <?php if (empty($projects)): ?>
-                    <p class="bbab-no-items"><?php esc_html_e('No active projects.', 'bbab-service-center'); ?></p>
-                <?php else: ?>
-                    <table class="bbab-workbench-table">
-                        <thead>
-                            <tr>
-                                <th><?php esc_html_e('Ref', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Status', 'bbab-service-center'); ?></th>
-                                <th class="bbab-col-center"><?php esc_html_e('MS', 'bbab-service-center'); ?></th>
-                                <th class="bbab-col-center"><?php esc_html_e('TEs', 'bbab-service-center'); ?></th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            <?php foreach ($projects as $project):
-                                $ref = get_post_meta($project->ID, 'reference_number', true);
-                                $status = get_post_meta($project->ID, 'project_status', true);
-                                $org_shortcode = $this->getOrgShortcode($project->ID);
-                                $ms_count = $this->getProjectMilestoneCount($project->ID);
-                                $te_count = $this->getProjectTimeEntryCount($project->ID);
-                            ?>
-                            <tr>
-                                <td>
-                                    <a href="<?php echo esc_url($this->getEditLink($project->ID)); ?>" class="bbab-ref-link">
-                                        <?php echo esc_html($ref ?: $project->post_title); ?>
-                                    </a>
-                                </td>
-                                <td>
-                                    <?php if ($org_shortcode): ?>
-                                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">&mdash;</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td><?php echo $this->renderStatusBadge($status); ?></td>
-                                <td class="bbab-col-center">
-                                    <?php if ($ms_count > 0): ?>
-                                        <a href="<?php echo esc_url($this->getMilestonesByProjectUrl($project->ID)); ?>" title="<?php esc_attr_e('View Milestones', 'bbab-service-center'); ?>">
-                                            <?php echo esc_html($ms_count); ?>
-                                        </a>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">0</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td class="bbab-col-center">
-                                    <?php if ($te_count > 0): ?>
-                                        <a href="<?php echo esc_url($this->getTimeEntriesByProjectUrl($project->ID)); ?>" title="<?php esc_attr_e('View Time Entries', 'bbab-service-center'); ?>">
-                                            <?php echo esc_html($te_count); ?>
-                                        </a>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">0</span>
-                                    <?php endif; ?>
-                                </td>
-                            </tr>
-                            <?php endforeach; ?>
-                        </tbody>
-                    </table>
-                <?php endif; ?>
+            <div class="bbab-box-content" data-box="projects">
+                <?php echo $this->renderBoxContent('projects', $projects); ?>
             </div>
             <div class="bbab-box-footer">
                 <a href="<?php echo esc_url(admin_url('admin.php?page=bbab-projects')); ?>" class="button">
@@ -227,48 +140,10 @@ if (!defined('ABSPATH')) {
         <div class="bbab-workbench-box">
             <div class="bbab-box-header">
                 <h2><?php esc_html_e('Invoices', 'bbab-service-center'); ?></h2>
-                <span class="bbab-box-count"><?php echo esc_html($invoice_total_count); ?> <?php esc_html_e('pending', 'bbab-service-center'); ?></span>
+                <span class="bbab-box-count" data-box-count="invoices"><span class="bbab-count-value"><?php echo esc_html($invoice_total_count); ?></span> <?php esc_html_e('pending', 'bbab-service-center'); ?></span>
             </div>
-            <div class="bbab-box-content">
-                <?php if (empty($invoices)): ?>
-                    <p class="bbab-no-items"><?php esc_html_e('No pending invoices.', 'bbab-service-center'); ?></p>
-                <?php else: ?>
-                    <table class="bbab-workbench-table">
-                        <thead>
-                            <tr>
-                                <th><?php esc_html_e('Invoice #', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Status', 'bbab-service-center'); ?></th>
-                                <th class="bbab-col-right"><?php esc_html_e('Amount', 'bbab-service-center'); ?></th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            <?php foreach ($invoices as $invoice):
-                                $number = get_post_meta($invoice->ID, 'invoice_number', true);
-                                $status = get_post_meta($invoice->ID, 'invoice_status', true);
-                                $amount = floatval(get_post_meta($invoice->ID, 'total_amount', true));
-                                $org_shortcode = $this->getOrgShortcode($invoice->ID);
-                            ?>
-                            <tr>
-                                <td>
-                                    <a href="<?php echo esc_url($this->getEditLink($invoice->ID)); ?>" class="bbab-ref-link">
-                                        <?php echo esc_html($number); ?>
-                                    </a>
-                                </td>
-                                <td>
-                                    <?php if ($org_shortcode): ?>
-                                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">&mdash;</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td><?php echo $this->renderStatusBadge($status); ?></td>
-                                <td class="bbab-col-right"><?php echo esc_html($this->formatCurrency($amount)); ?></td>
-                            </tr>
-                            <?php endforeach; ?>
-                        </tbody>
-                    </table>
-                <?php endif; ?>
+            <div class="bbab-box-content" data-box="invoices">
+                <?php echo $this->renderBoxContent('invoices', $invoices); ?>
             </div>
             <div class="bbab-box-footer">
                 <a href="<?php echo esc_url(admin_url('admin.php?page=bbab-invoices')); ?>" class="button">
@@ -292,56 +167,10 @@ if (!defined('ABSPATH')) {
         <div class="bbab-workbench-box">
             <div class="bbab-box-header">
                 <h2><?php esc_html_e('Roadmap Items', 'bbab-service-center'); ?></h2>
-                <span class="bbab-box-count"><?php echo esc_html($roadmap_total_count); ?> <?php esc_html_e('active', 'bbab-service-center'); ?></span>
+                <span class="bbab-box-count" data-box-count="roadmap_items"><span class="bbab-count-value"><?php echo esc_html($roadmap_total_count); ?></span> <?php esc_html_e('active', 'bbab-service-center'); ?></span>
             </div>
-            <div class="bbab-box-content">
-                <?php if (empty($roadmap_items)): ?>
-                    <p class="bbab-no-items"><?php esc_html_e('No active roadmap items.', 'bbab-service-center'); ?></p>
-                <?php else: ?>
-                    <table class="bbab-workbench-table">
-                        <thead>
-                            <tr>
-                                <th><?php esc_html_e('Feature', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Status', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Priority', 'bbab-service-center'); ?></th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            <?php foreach ($roadmap_items as $item):
-                                $status = get_post_meta($item->ID, 'roadmap_status', true);
-                                $priority = get_post_meta($item->ID, 'priority', true);
-                                $org_shortcode = $this->getOrgShortcode($item->ID);
-                                $title = mb_strlen($item->post_title) > 30 ? mb_substr($item->post_title, 0, 30) . '...' : $item->post_title;
-                            ?>
-                            <tr>
-                                <td>
-                                    <a href="<?php echo esc_url($this->getEditLink($item->ID)); ?>" title="<?php echo esc_attr($item->post_title); ?>">
-                                        <?php echo esc_html($title); ?>
-                                    </a>
-                                </td>
-                                <td>
-                                    <?php if ($org_shortcode): ?>
-                                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">&mdash;</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td><?php echo $this->renderStatusBadge($status); ?></td>
-                                <td>
-                                    <?php if ($priority): ?>
-                                        <span class="bbab-priority-badge priority-<?php echo esc_attr(strtolower($priority)); ?>">
-                                            <?php echo esc_html($priority); ?>
-                                        </span>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">&mdash;</span>
-                                    <?php endif; ?>
-                                </td>
-                            </tr>
-                            <?php endforeach; ?>
-                        </tbody>
-                    </table>
-                <?php endif; ?>
+            <div class="bbab-box-content" data-box="roadmap_items">
+                <?php echo $this->renderBoxContent('roadmap_items', $roadmap_items); ?>
             </div>
             <div class="bbab-box-footer">
                 <a href="<?php echo esc_url(admin_url('admin.php?page=bbab-roadmap')); ?>" class="button">
@@ -360,68 +189,10 @@ if (!defined('ABSPATH')) {
         <div class="bbab-workbench-box">
             <div class="bbab-box-header">
                 <h2><?php esc_html_e('Client Tasks', 'bbab-service-center'); ?></h2>
-                <span class="bbab-box-count"><?php echo esc_html($task_total_count); ?> <?php esc_html_e('pending', 'bbab-service-center'); ?></span>
+                <span class="bbab-box-count" data-box-count="client_tasks"><span class="bbab-count-value"><?php echo esc_html($task_total_count); ?></span> <?php esc_html_e('pending', 'bbab-service-center'); ?></span>
             </div>
-            <div class="bbab-box-content">
-                <?php if (empty($client_tasks)): ?>
-                    <p class="bbab-no-items"><?php esc_html_e('No pending client tasks.', 'bbab-service-center'); ?></p>
-                <?php else: ?>
-                    <table class="bbab-workbench-table">
-                        <thead>
-                            <tr>
-                                <th><?php esc_html_e('Task', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Client', 'bbab-service-center'); ?></th>
-                                <th><?php esc_html_e('Due Date', 'bbab-service-center'); ?></th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            <?php foreach ($client_tasks as $task):
-                                $description = get_post_meta($task->ID, 'task_description', true) ?: $task->post_title;
-                                $due_date = get_post_meta($task->ID, 'due_date', true);
-                                $org_shortcode = $this->getTaskOrgShortcode($task->ID);
-                                $display_desc = mb_strlen($description) > 35 ? mb_substr($description, 0, 35) . '...' : $description;
-
-                                // Due date formatting
-                                $due_class = '';
-                                $due_display = '&mdash;';
-                                if (!empty($due_date)) {
-                                    $due_timestamp = strtotime($due_date);
-                                    $today = strtotime('today');
-                                    $soon = strtotime('+3 days');
-
-                                    $due_display = date_i18n('M j', $due_timestamp);
-                                    if ($due_timestamp < $today) {
-                                        $due_class = 'bbab-overdue';
-                                    } elseif ($due_timestamp <= $soon) {
-                                        $due_class = 'bbab-due-soon';
-                                    }
-                                }
-                            ?>
-                            <tr>
-                                <td>
-                                    <a href="<?php echo esc_url($this->getEditLink($task->ID)); ?>" title="<?php echo esc_attr($description); ?>">
-                                        <?php echo esc_html($display_desc); ?>
-                                    </a>
-                                </td>
-                                <td>
-                                    <?php if ($org_shortcode): ?>
-                                        <span class="bbab-org-badge"><?php echo esc_html($org_shortcode); ?></span>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">&mdash;</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td>
-                                    <?php if (!empty($due_date)): ?>
-                                        <span class="<?php echo esc_attr($due_class); ?>"><?php echo esc_html($due_display); ?></span>
-                                    <?php else: ?>
-                                        <span class="bbab-text-muted">&mdash;</span>
-                                    <?php endif; ?>
-                                </td>
-                            </tr>
-                            <?php endforeach; ?>
-                        </tbody>
-                    </table>
-                <?php endif; ?>
+            <div class="bbab-box-content" data-box="client_tasks">
+                <?php echo $this->renderBoxContent('client_tasks', $client_tasks); ?>
             </div>
             <div class="bbab-box-footer">
                 <a href="<?php echo esc_url(admin_url('admin.php?page=bbab-tasks')); ?>" class="button">
@@ -0,0 +1,233 @@
+<?php
+/**
+ * Time Entry Reassignment Board Sub-Page Template
+ *
+ * Variables available:
+ * - $entries         The client's time entries this month (empty until a client is picked)
+ * - $targets         Service requests, projects and milestones grouped by type, keyed by "type:id"
+ * - $moves           Recent moves for the Recent Moves list
+ * - $organizations   Array of organizations for filter
+ * - $current_org     Currently selected organization filter
+ * - $month           Shown month (Y-m)
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ */
+
+// If this file is called directly, abort.
+if (!defined('WPINC')) {
+    die;
+}
+
+$type_labels = [
+    'service_request' => __('Service Requests', 'bbab-service-center'),
+    'project' => __('Projects', 'bbab-service-center'),
+    'milestone' => __('Milestones', 'bbab-service-center'),
+];
+
+$target_labels = [];
+foreach ($targets as $type_targets) {
+    foreach ($type_targets as $key => $target) {
+        $target_labels[$key] = $target['label'];
+    }
+}
+
+$total_hours = array_sum(wp_list_pluck($entries, 'hours'));
+?>
+<div class="wrap bbab-workbench-wrap">
+    <div class="bbab-workbench-header">
+        <h1>
+            <span class="dashicons dashicons-randomize"></span>
+            <?php esc_html_e('Reassign Time', 'bbab-service-center'); ?>
+        </h1>
+        <p class="bbab-text-muted">
+            <?php esc_html_e('Drag time entries onto a service request, project or milestone to refile them.', 'bbab-service-center'); ?>
+            <a href="<?php echo esc_url(admin_url('admin.php?page=bbab-workbench')); ?>">
+                &larr; <?php esc_html_e('Back to Workbench', 'bbab-service-center'); ?>
+            </a>
+        </p>
+    </div>
+
+    <!-- Filters -->
+    <div class="bbab-filters-bar">
+        <form method="get" action="">
+            <input type="hidden" name="page" value="bbab-reassign" />
+
+            <!-- Organization Filter -->
+            <div class="bbab-filter-group">
+                <label class="bbab-filter-label" for="organization"><?php esc_html_e('Client:', 'bbab-service-center'); ?></label>
+                <select name="organization" id="organization" class="bbab-client-select" onchange="this.form.submit()">
+                    <option value=""><?php esc_html_e('Select a client...', 'bbab-service-center'); ?></option>
+                    <?php foreach ($organizations as $org) : ?>
+                        <option value="<?php echo esc_attr($org['id']); ?>" <?php selected($current_org, $org['id']); ?>>
+                            <?php echo esc_html($org['shortcode'] ? $org['shortcode'] . ' - ' . $org['name'] : $org['name']); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+
+            <!-- Month Filter -->
+            <div class="bbab-filter-group">
+                <label class="bbab-filter-label" for="month"><?php esc_html_e('Month:', 'bbab-service-center'); ?></label>
+                <input type="month" name="month" id="month" value="<?php echo esc_attr($month); ?>" onchange="this.form.submit()" />
+            </div>
+        </form>
+    </div>
+
+    <div class="notice inline bbab-ra-notice" hidden><p></p></div>
+
+    <?php if (!$current_org) : ?>
+        <p class="bbab-no-items"><?php esc_html_e('Pick a client to load its time entries.', 'bbab-service-center'); ?></p>
+    <?php else : ?>
+        <div class="bbab-ra-board">
+            <!-- Entries -->
+            <div class="bbab-ra-entries">
+                <h2>
+                    <?php esc_html_e('Time Entries', 'bbab-service-center'); ?>
+                    <span class="bbab-text-muted">
+                        <?php echo esc_html(sprintf(
+                            /* translators: 1: number of entries, 2: hours */
+                            __('%1$d entries, %2$s hours', 'bbab-service-center'),
+                            count($entries),
+                            number_format($total_hours, 2)
+                        )); ?>
+                    </span>
+                </h2>
+                <table class="widefat striped bbab-ra-entry-table">
+                    <thead>
+                        <tr>
+                            <td class="check-column"><input type="checkbox" class="bbab-ra-select-all" title="<?php esc_attr_e('Select all', 'bbab-service-center'); ?>" /></td>
+                            <th><?php esc_html_e('Date', 'bbab-service-center'); ?></th>
+                            <th><?php esc_html_e('Entry', 'bbab-service-center'); ?></th>
+                            <th class="bbab-ra-hours"><?php esc_html_e('Hours', 'bbab-service-center'); ?></th>
+                            <th><?php esc_html_e('Filed Under', 'bbab-service-center'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($entries as $entry) : ?>
+                            <tr class="bbab-ra-entry <?php echo $entry['lock'] ? 'is-locked' : ''; ?>"
+                                data-id="<?php echo esc_attr($entry['id']); ?>"
+                                data-hours="<?php echo esc_attr($entry['hours']); ?>"
+                                data-target="<?php echo esc_attr($entry['target']); ?>"
+                                <?php if (!$entry['lock']) : ?>draggable="true"<?php endif; ?>>
+                                <th scope="row" class="check-column">
+                                    <?php if ($entry['lock']) : ?>
+                                        <span class="dashicons dashicons-lock" title="<?php echo esc_attr($entry['lock']); ?>"></span>
+                                    <?php else : ?>
+                                        <input type="checkbox" class="bbab-ra-select" value="<?php echo esc_attr($entry['id']); ?>" />
+                                    <?php endif; ?>
+                                </th>
+                                <td><?php echo esc_html(date('M j', strtotime($entry['date']))); ?></td>
+                                <td>
+                                    <a href="<?php echo esc_url($entry['edit_url']); ?>"><?php echo esc_html($entry['ref']); ?></a>
+                                    <span class="bbab-ra-description"><?php echo esc_html($entry['description']); ?></span>
+                                    <?php if ($entry['lock']) : ?>
+                                        <span class="bbab-ra-lock-reason"><?php echo esc_html($entry['lock']); ?></span>
+                                    <?php endif; ?>
+                                </td>
+                                <td class="bbab-ra-hours"><?php echo esc_html(number_format($entry['hours'], 2)); ?></td>
+                                <td class="bbab-ra-filed"><?php echo esc_html($target_labels[$entry['target']] ?? ''); ?></td>
+                            </tr>
+                        <?php endforeach; ?>
+
+                        <?php if (empty($entries)) : ?>
+                            <tr>
+                                <td colspan="5" class="bbab-text-muted"><?php esc_html_e('No time entries for this client this month.', 'bbab-service-center'); ?></td>
+                            </tr>
+                        <?php endif; ?>
+                    </tbody>
+                </table>
+            </div>
+
+            <!-- Targets -->
+            <div class="bbab-ra-targets">
+                <h2><?php esc_html_e('Move To', 'bbab-service-center'); ?></h2>
+                <?php foreach ($type_labels as $type => $type_label) : ?>
+                    <h3><?php echo esc_html($type_label); ?></h3>
+                    <?php if (empty($targets[$type])) : ?>
+                        <p class="bbab-text-muted"><?php esc_html_e('None open.', 'bbab-service-center'); ?></p>
+                    <?php else : ?>
+                        <ul class="bbab-ra-target-list">
+                            <?php foreach ($targets[$type] as $target) : ?>
+                                <li class="bbab-ra-target <?php echo $target['lock'] ? 'is-locked' : ''; ?> <?php echo $target['closed'] ? 'is-closed' : ''; ?>"
+                                    data-target="<?php echo esc_attr($target['key']); ?>"
+                                    data-label="<?php echo esc_attr($target['label']); ?>"
+                                    <?php if ($target['lock']) : ?>data-lock="<?php echo esc_attr($target['lock']); ?>" title="<?php echo esc_attr($target['lock']); ?>"<?php endif; ?>>
+                                    <span class="bbab-ra-target-label">
+                                        <?php if ($target['lock']) : ?><span class="dashicons dashicons-lock"></span><?php endif; ?>
+                                        <a href="<?php echo esc_url($target['edit_url']); ?>"><?php echo esc_html($target['label']); ?></a>
+                                        <?php if ($target['closed']) : ?>
+                                            <span class="bbab-text-muted"><?php esc_html_e('(closed)', 'bbab-service-center'); ?></span>
+                                        <?php endif; ?>
+                                    </span>
+                                    <span class="bbab-ra-target-hours"><?php echo esc_html(number_format($target['hours'], 2)); ?></span>
+                                    <span class="bbab-ra-target-delta" hidden></span>
+                                </li>
+                            <?php endforeach; ?>
+                        </ul>
+                    <?php endif; ?>
+                <?php endforeach; ?>
+            </div>
+        </div>
+
+        <!-- Move Preview -->
+        <div class="bbab-ra-preview" hidden>
+            <h3 class="bbab-ra-preview-title"></h3>
+            <table class="widefat bbab-ra-preview-table">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e('Hours This Month', 'bbab-service-center'); ?></th>
+                        <th class="bbab-ra-hours"><?php esc_html_e('Before', 'bbab-service-center'); ?></th>
+                        <th class="bbab-ra-hours"><?php esc_html_e('After', 'bbab-service-center'); ?></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p>
+                <button type="button" class="button button-primary bbab-ra-confirm"><?php esc_html_e('Move Entries', 'bbab-service-center'); ?></button>
+                <button type="button" class="button bbab-ra-cancel"><?php esc_html_e('Cancel', 'bbab-service-center'); ?></button>
+            </p>
+        </div>
+
+        <!-- Quick Actions -->
+        <div class="bbab-quick-actions">
+            <select class="bbab-ra-move-target" disabled>
+                <option value=""><?php esc_html_e('Move selected to...', 'bbab-service-center'); ?></option>
+                <?php foreach ($type_labels as $type => $type_label) : ?>
+                    <?php if (!empty($targets[$type])) : ?>
+                        <optgroup label="<?php echo esc_attr($type_label); ?>">
+                            <?php foreach ($targets[$type] as $target) : ?>
+                                <option value="<?php echo esc_attr($target['key']); ?>" <?php disabled((bool) $target['lock']); ?>>
+                                    <?php echo esc_html($target['label']); ?>
+                                </option>
+                            <?php endforeach; ?>
+                        </optgroup>
+                    <?php endif; ?>
+                <?php endforeach; ?>
+            </select>
+            <span class="bbab-ra-selected-count bbab-text-muted"></span>
+        </div>
+    <?php endif; ?>
+
+    <!-- Recent Moves -->
+    <h2><?php esc_html_e('Recent Moves', 'bbab-service-center'); ?></h2>
+    <ul class="bbab-ra-log">
+        <?php foreach ($moves as $move) : ?>
+            <li class="bbab-ra-move <?php echo $move['undone'] ? 'is-undone' : ''; ?>" data-move-id="<?php echo esc_attr($move['id']); ?>">
+                <span class="bbab-ra-move-summary"><?php echo esc_html($move['summary']); ?></span>
+                <span class="bbab-text-muted"><?php echo esc_html(trim($move['user'] . ', ' . $move['when'], ', ')); ?></span>
+                <?php if ($move['undone']) : ?>
+                    <span class="bbab-ra-move-state"><?php esc_html_e('Undone', 'bbab-service-center'); ?></span>
+                <?php else : ?>
+                    <button type="button" class="button-link bbab-ra-undo"><?php esc_html_e('Undo', 'bbab-service-center'); ?></button>
+                <?php endif; ?>
+            </li>
+        <?php endforeach; ?>
+        <li class="bbab-ra-log-empty bbab-text-muted" <?php echo $moves ? 'hidden' : ''; ?>><?php esc_html_e('No moves yet.', 'bbab-service-center'); ?></li>
+    </ul>
+
+    <p class="description">
+        <?php esc_html_e('Entries billed on a sent invoice (monthly report, milestone or project closeout) are locked, and so are targets whose time for this month is billed. Undo returns entries that have not been moved again since.', 'bbab-service-center'); ?>
+    </p>
+
+</div><!-- .bbab-workbench-wrap -->
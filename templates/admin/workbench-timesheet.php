@@ -0,0 +1,217 @@
+<?php
+/**
+ * Weekly Timesheet Sub-Page Template
+ *
+ * Variables available:
+ * - $week_start      Monday of the shown week (Y-m-d)
+ * - $days            The seven days of the week (Y-m-d)
+ * - $rows            Rows with time this week, keyed by row key
+ * - $addable_rows    Open service requests and active projects not on the grid
+ * - $usage           Free hours usage keyed by "orgId:Y-m"
+ * - $organizations   Array of organizations for filter
+ * - $current_org     Currently selected organization filter
+ * - $prev_week       Monday of the previous week
+ * - $next_week       Monday of the next week
+ * - $this_week       Monday of the current week
+ *
+ * @package BBAB\ServiceCenter\Admin\Workbench
+ * @since   2.0.0
+ */
+
+// If this file is called directly, abort.
+if (!defined('WPINC')) {
+    die;
+}
+
+$week_url = function (string $week) use ($current_org): string {
+    return add_query_arg([
+        'page' => 'bbab-timesheet',
+        'week' => $week,
+        'organization' => $current_org ?: null,
+    ], admin_url('admin.php'));
+};
+
+$day_totals = array_fill_keys($days, 0.0);
+$grand_total = 0.0;
+$today = current_time('Y-m-d');
+?>
+<div class="wrap bbab-workbench-wrap">
+    <div class="bbab-workbench-header">
+        <h1>
+            <span class="dashicons dashicons-clock"></span>
+            <?php esc_html_e('Timesheet', 'bbab-service-center'); ?>
+        </h1>
+        <p class="bbab-text-muted">
+            <?php esc_html_e('Hours per service request and project for the week.', 'bbab-service-center'); ?>
+            <a href="<?php echo esc_url(admin_url('admin.php?page=bbab-workbench')); ?>">
+                &larr; <?php esc_html_e('Back to Workbench', 'bbab-service-center'); ?>
+            </a>
+        </p>
+    </div>
+
+    <!-- Filters -->
+    <div class="bbab-filters-bar">
+        <form method="get" action="">
+            <input type="hidden" name="page" value="bbab-timesheet" />
+            <input type="hidden" name="week" value="<?php echo esc_attr($week_start); ?>" />
+
+            <!-- Week Navigation -->
+            <div class="bbab-filter-group">
+                <label class="bbab-filter-label"><?php esc_html_e('Week:', 'bbab-service-center'); ?></label>
+                <div class="bbab-ts-week-nav">
+                    <a href="<?php echo esc_url($week_url($prev_week)); ?>" class="button" title="<?php esc_attr_e('Previous week', 'bbab-service-center'); ?>">&lsaquo;</a>
+                    <strong class="bbab-ts-week-label">
+                        <?php echo esc_html(date('M j', strtotime($days[0])) . ' - ' . date('M j, Y', strtotime($days[6]))); ?>
+                    </strong>
+                    <a href="<?php echo esc_url($week_url($next_week)); ?>" class="button" title="<?php esc_attr_e('Next week', 'bbab-service-center'); ?>">&rsaquo;</a>
+                    <?php if ($week_start !== $this_week) : ?>
+                        <a href="<?php echo esc_url($week_url($this_week)); ?>" class="button"><?php esc_html_e('This Week', 'bbab-service-center'); ?></a>
+                    <?php endif; ?>
+                </div>
+            </div>
+
+            <!-- Organization Filter -->
+            <div class="bbab-filter-group">
+                <label class="bbab-filter-label" for="organization"><?php esc_html_e('Client:', 'bbab-service-center'); ?></label>
+                <select name="organization" id="organization" class="bbab-client-select" onchange="this.form.submit()">
+                    <option value=""><?php esc_html_e('All Clients', 'bbab-service-center'); ?></option>
+                    <?php foreach ($organizations as $org) : ?>
+                        <option value="<?php echo esc_attr($org['id']); ?>" <?php selected($current_org, $org['id']); ?>>
+                            <?php echo esc_html($org['shortcode'] ? $org['shortcode'] . ' - ' . $org['name'] : $org['name']); ?>
+                        </option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+        </form>
+    </div>
+
+    <!-- Free Hours Warnings -->
+    <div class="notice notice-warning inline bbab-timesheet-warning" hidden><p></p></div>
+
+    <!-- Timesheet Grid -->
+    <div class="bbab-timesheet-wrap">
+        <table class="widefat bbab-timesheet" data-usage="<?php echo esc_attr(wp_json_encode($usage)); ?>">
+            <thead>
+                <tr>
+                    <th class="bbab-ts-label"><?php esc_html_e('Service Request / Project', 'bbab-service-center'); ?></th>
+                    <?php foreach ($days as $day) : ?>
+                        <th class="bbab-ts-day <?php echo $day === $today ? 'is-today' : ''; ?>">
+                            <?php echo esc_html(date('D', strtotime($day))); ?>
+                            <span class="bbab-text-muted"><?php echo esc_html(date('n/j', strtotime($day))); ?></span>
+                        </th>
+                    <?php endforeach; ?>
+                    <th class="bbab-ts-total"><?php esc_html_e('Total', 'bbab-service-center'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($rows as $row) : ?>
+                    <?php $row_total = 0.0; ?>
+                    <tr data-type="<?php echo esc_attr($row['type']); ?>" data-id="<?php echo esc_attr($row['id']); ?>" data-org-id="<?php echo esc_attr($row['org_id']); ?>">
+                        <td class="bbab-ts-label">
+                            <a href="<?php echo esc_url($row['edit_url']); ?>"><?php echo esc_html($row['label']); ?></a>
+                            <span class="bbab-ts-org"><?php echo esc_html($row['org_name']); ?></span>
+                        </td>
+                        <?php foreach ($days as $day) : ?>
+                            <?php
+                            $cell = $row['cells'][$day] ?? ['hours' => 0.0, 'entries' => []];
+                            $cell_lock = current(array_filter(wp_list_pluck($cell['entries'], 'lock')));
+                            $row_total += $cell['hours'];
+                            $day_totals[$day] += $cell['hours'];
+                            ?>
+                            <?php if ($cell_lock) : ?>
+                                <td class="bbab-ts-cell is-locked <?php echo $day === $today ? 'is-today' : ''; ?>" data-date="<?php echo esc_attr($day); ?>" data-hours="<?php echo esc_attr($cell['hours']); ?>"
+                                    title="<?php echo esc_attr($cell_lock); ?>">
+                                    <span class="dashicons dashicons-lock"></span>
+                                    <?php echo esc_html(number_format($cell['hours'], 2)); ?>
+                                </td>
+                            <?php elseif (count($cell['entries']) > 1) : ?>
+                                <td class="bbab-ts-cell is-locked <?php echo $day === $today ? 'is-today' : ''; ?>" data-date="<?php echo esc_attr($day); ?>" data-hours="<?php echo esc_attr($cell['hours']); ?>"
+                                    title="<?php echo esc_attr(sprintf(
+                                        /* translators: %s: time entry reference numbers */
+                                        __('Several entries (%s). Edit them individually.', 'bbab-service-center'),
+                                        implode(', ', wp_list_pluck($cell['entries'], 'ref'))
+                                    )); ?>">
+                                    <?php echo esc_html(number_format($cell['hours'], 2)); ?>
+                                </td>
+                            <?php else : ?>
+                                <td class="bbab-ts-cell <?php echo $day === $today ? 'is-today' : ''; ?>" data-date="<?php echo esc_attr($day); ?>">
+                                    <input type="number" step="0.25" min="0" max="24" class="bbab-ts-input"
+                                           value="<?php echo $cell['hours'] ? esc_attr($cell['hours']) : ''; ?>"
+                                           data-hours="<?php echo esc_attr($cell['hours']); ?>"
+                                           data-entry-id="<?php echo esc_attr($cell['entries'][0]['id'] ?? 0); ?>"
+                                           data-billable="<?php echo empty($cell['entries']) || $cell['entries'][0]['billable'] ? '1' : '0'; ?>"
+                                           <?php if (!empty($cell['entries'])) : ?>title="<?php echo esc_attr($cell['entries'][0]['ref']); ?>"<?php endif; ?> />
+                                </td>
+                            <?php endif; ?>
+                        <?php endforeach; ?>
+                        <td class="bbab-ts-total bbab-ts-row-total"><?php echo esc_html(number_format($row_total, 2)); ?></td>
+                    </tr>
+                    <?php $grand_total += $row_total; ?>
+                <?php endforeach; ?>
+
+                <tr class="bbab-ts-empty" <?php echo $rows ? 'hidden' : ''; ?>>
+                    <td colspan="<?php echo count($days) + 2; ?>" class="bbab-text-muted">
+                        <?php esc_html_e('No time logged this week. Add a row below to start.', 'bbab-service-center'); ?>
+                    </td>
+                </tr>
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th class="bbab-ts-label"><?php esc_html_e('Total', 'bbab-service-center'); ?></th>
+                    <?php foreach ($days as $day) : ?>
+                        <th class="bbab-ts-day-total" data-date="<?php echo esc_attr($day); ?>"><?php echo esc_html(number_format($day_totals[$day], 2)); ?></th>
+                    <?php endforeach; ?>
+                    <th class="bbab-ts-total bbab-ts-grand-total"><?php echo esc_html(number_format($grand_total, 2)); ?></th>
+                </tr>
+            </tfoot>
+        </table>
+
+        <!-- Template for rows added from the picker -->
+        <template class="bbab-ts-row-template">
+            <tr>
+                <td class="bbab-ts-label">
+                    <a href=""></a>
+                    <span class="bbab-ts-org"></span>
+                </td>
+                <?php foreach ($days as $day) : ?>
+                    <td class="bbab-ts-cell <?php echo $day === $today ? 'is-today' : ''; ?>" data-date="<?php echo esc_attr($day); ?>">
+                        <input type="number" step="0.25" min="0" max="24" class="bbab-ts-input" value="" data-hours="0" data-entry-id="0" data-billable="1" />
+                    </td>
+                <?php endforeach; ?>
+                <td class="bbab-ts-total bbab-ts-row-total">0.00</td>
+            </tr>
+        </template>
+    </div>
+
+    <!-- Quick Actions -->
+    <div class="bbab-quick-actions">
+        <select class="bbab-ts-add-row" <?php disabled(empty($addable_rows)); ?>>
+            <option value=""><?php esc_html_e('Add a row...', 'bbab-service-center'); ?></option>
+            <?php foreach (['service_request' => __('Service Requests', 'bbab-service-center'), 'project' => __('Projects', 'bbab-service-center')] as $type => $group_label) : ?>
+                <optgroup label="<?php echo esc_attr($group_label); ?>">
+                    <?php foreach ($addable_rows as $row) : ?>
+                        <?php if ($row['type'] === $type) : ?>
+                            <option value="<?php echo esc_attr($row['key']); ?>"
+                                    data-type="<?php echo esc_attr($row['type']); ?>"
+                                    data-id="<?php echo esc_attr($row['id']); ?>"
+                                    data-org-id="<?php echo esc_attr($row['org_id']); ?>"
+                                    data-label="<?php echo esc_attr($row['label']); ?>"
+                                    data-org-name="<?php echo esc_attr($row['org_name']); ?>"
+                                    data-edit-url="<?php echo esc_url($row['edit_url']); ?>">
+                                <?php echo esc_html(($current_org ? '' : $row['org_name'] . ': ') . $row['label']); ?>
+                            </option>
+                        <?php endif; ?>
+                    <?php endforeach; ?>
+                </optgroup>
+            <?php endforeach; ?>
+        </select>
+        <a href="<?php echo esc_url(admin_url('edit.php?post_type=time_entry')); ?>" class="button">
+            <?php esc_html_e('All Time Entries', 'bbab-service-center'); ?>
+        </a>
+    </div>
+
+    <p class="description">
+        <?php esc_html_e('Hours round up to the quarter hour. Changing a timed entry clears its start and end times; clearing a cell moves its entry to the Trash. Days with several entries, entries with a running or paused timer, and time billed on a sent invoice are locked here.', 'bbab-service-center'); ?>
+    </p>
+
+</div><!-- .bbab-workbench-wrap -->